@@ -1,6 +1,7 @@
 // assets/backend/ai-handlers/advanced_streaming_orchestrator.js
 const { EventEmitter } = require('events');
 const WebSocket = require('ws');
+const aiRouter = require('./router');
 
 /**
  * Advanced AI Streaming Orchestrator con strategie intelligenti
@@ -38,6 +39,14 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
     const { prompt, modelConfig, customWeights, mode } = request;
     const { conversationId } = streamInfo;
 
+    // Controller di annullamento condiviso da tutti i modelli della sessione
+    const abortController = new AbortController();
+    streamInfo.abortController = abortController;
+    streamInfo.signal = abortController.signal;
+    streamInfo.partialOutputs = [];
+    streamInfo.startTime = Date.now();
+    this.activeStreams.set(conversationId, streamInfo);
+
     try {
       // Analizza il prompt per determinare la strategia ottimale
       const strategy = this._determineOptimalStrategy(prompt, modelConfig, mode);
@@ -62,9 +71,57 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
           return await this._executeParallelStreaming(request, streamInfo);
       }
     } catch (error) {
-      this.emit('streaming_error', { conversationId, error: error.message });
+      if (!streamInfo.signal.aborted) {
+        this.emit('streaming_error', { conversationId, error: error.message });
+      }
       throw error;
+    } finally {
+      this.activeStreams.delete(conversationId);
+
+      if (streamInfo.signal.aborted) {
+        this.emit('stream_cancelled', this._buildCancellationSummary(streamInfo));
+      }
+    }
+  }
+
+  /**
+   * Annulla una sessione attiva interrompendo le chiamate ai provider
+   * @param {String} conversationId - ID della sessione
+   * @param {String} reason - Motivo dell'annullamento
+   * @returns {Boolean} - true se la sessione era attiva
+   */
+  cancelStreaming(conversationId, reason = 'cancelled') {
+    const streamInfo = this.activeStreams.get(conversationId);
+    if (!streamInfo || streamInfo.signal.aborted) {
+      return false;
     }
+
+    streamInfo.cancelReason = reason;
+    streamInfo.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Riepilogo di una sessione annullata: output parziale e token consumati
+   */
+  _buildCancellationSummary(streamInfo) {
+    const tokensUsed = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    streamInfo.partialOutputs.forEach(({ usage }) => {
+      if (!usage) return;
+      tokensUsed.promptTokens += usage.promptTokens;
+      tokensUsed.completionTokens += usage.completionTokens;
+      tokensUsed.totalTokens += usage.totalTokens;
+    });
+
+    return {
+      conversationId: streamInfo.conversationId,
+      reason: streamInfo.cancelReason,
+      partialOutputs: streamInfo.partialOutputs,
+      tokensUsed,
+      duration: Date.now() - streamInfo.startTime,
+      timestamp: Date.now()
+    };
   }
 
   /**
@@ -264,6 +321,8 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
         chunks: [],
         totalTime: 0,
         averageChunkTime: 0,
+        timeToFirstToken: null,
+        usage: null,
         qualityScore: 0
       };
 
@@ -272,14 +331,36 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
       const chunkTimes = [];
 
       if (handler.supportsStreaming) {
-        // Streaming nativo
-        const stream = await handler.processStream(request.prompt, conversationId);
+        const partial = { model, content: '', usage: null, finishReason: null };
+        if (streamInfo.partialOutputs) {
+          streamInfo.partialOutputs.push(partial);
+        }
 
-        stream.on('data', (chunk) => {
+        const streamOptions = {
+          history: request.conversationHistory,
+          ...request.options,
+          signal: streamInfo.signal
+        };
+
+        // Streaming nativo: async iterator di delta con evento finale di usage
+        for await (const event of handler.processStream(request.prompt, streamOptions)) {
+          if (event.type === 'usage') {
+            metrics.usage = event.usage;
+            metrics.finishReason = event.finishReason;
+            metrics.timeToFirstToken = event.timeToFirstTokenMs;
+            partial.usage = event.usage;
+            partial.finishReason = event.finishReason;
+            continue;
+          }
+
+          const chunk = event.text;
           const chunkTime = Date.now();
-          chunkTimes.push(chunkTime - (chunkTimes.length > 0 ? chunkTimes[chunkTimes.length - 1] : startTime));
+          const previousTime = metrics.chunks.length > 0 ?
+            metrics.chunks[metrics.chunks.length - 1].timestamp : startTime;
+          chunkTimes.push(chunkTime - previousTime);
 
           fullResponse += chunk;
+          partial.content = fullResponse;
           metrics.chunks.push({
             content: chunk,
             timestamp: chunkTime,
@@ -293,23 +374,34 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
             metrics: {
               chunkIndex: metrics.chunks.length,
               responseTime: chunkTime - startTime,
+              timeToFirstToken: metrics.chunks[0].timestamp - startTime,
               totalLength: fullResponse.length
             }
           });
-        });
+        }
 
-        return new Promise((resolve, reject) => {
-          stream.on('end', () => {
-            metrics.totalTime = Date.now() - startTime;
-            metrics.averageChunkTime = chunkTimes.reduce((a, b) => a + b, 0) / chunkTimes.length;
-            metrics.qualityScore = this._calculateQualityScore(fullResponse, metrics);
+        // Stream annullato: il testo parziale resta in streamInfo.partialOutputs
+        if (metrics.finishReason === 'cancelled') {
+          return fullResponse;
+        }
 
-            this._updateModelMetrics(model, metrics);
-            resolve(fullResponse);
-          });
+        metrics.totalTime = Date.now() - startTime;
+        metrics.averageChunkTime = chunkTimes.length > 0 ?
+          chunkTimes.reduce((a, b) => a + b, 0) / chunkTimes.length : 0;
+        metrics.qualityScore = this._calculateQualityScore(fullResponse, metrics);
 
-          stream.on('error', reject);
+        this._updateModelMetrics(model, metrics);
+
+        this.emit('model_stream_completed', {
+          conversationId,
+          model,
+          usage: metrics.usage,
+          finishReason: metrics.finishReason,
+          timeToFirstToken: metrics.timeToFirstToken,
+          totalTime: metrics.totalTime
         });
+
+        return fullResponse;
       } else {
         // Simulated streaming con chunking intelligente
         const response = await handler.process(request.prompt, conversationId);
@@ -322,7 +414,9 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
         return response;
       }
     } catch (error) {
-      this.emit('model_streaming_error', { conversationId, model, error: error.message });
+      if (!(streamInfo.signal && streamInfo.signal.aborted)) {
+        this.emit('model_streaming_error', { conversationId, model, error: error.message, errorType: error.type || null });
+      }
       throw error;
     }
   }
@@ -335,6 +429,8 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
     const chunks = this._createSemanticChunks(fullResponse);
 
     for (let i = 0; i < chunks.length; i++) {
+      if (streamInfo.signal && streamInfo.signal.aborted) break;
+
       const chunk = chunks[i];
       const delay = this._calculateAdaptiveDelay(chunk, i, chunks.length);
 
@@ -527,17 +623,7 @@ class AdvancedStreamingOrchestrator extends EventEmitter {
    * Ottieni handler per modello
    */
   _getModelHandler(model) {
-    const handlers = {
-      'gpt': require('./gpt_handler'),
-      'claude': require('./claude_handler'),
-      'deepseek': require('./deepseek_handler'),
-      'gemini': require('./gemini_handler'),
-      'mistral': require('./mistral_handler'),
-      'ollama': require('./ollama_handler'),
-      'llama': require('./llama_handler'),
-    };
-
-    return handlers[model];
+    return aiRouter.getHandler(model);
   }
 
   /**
@@ -0,0 +1,233 @@
+// assets/backend/ai-handlers/athena_bandit.js
+// 🎰 ATHENA MODEL SELECTION BANDIT - Thompson sampling over model subsets and strategies
+
+const _ = require('lodash');
+
+const DEFAULT_STRATEGIES = ['parallel', 'consensus', 'weighted', 'sequential'];
+
+/**
+ * 🎰 Contextual multi-armed bandit for Athena
+ * The context is the prompt category: each category has its own arms, an arm
+ * being a model subset plus an orchestration strategy. Every arm has a Beta
+ * posterior whose cold-start prior comes from the caller (the model strength
+ * table) and whose evidence is the success score of rated decisions: a score
+ * s adds s to alpha and 1 - s to beta.
+ *
+ * With probability explorationRate the arm is chosen by Thompson sampling
+ * (a draw from each posterior), otherwise by the best posterior mean:
+ * 0 always exploits, 1 is pure Thompson sampling.
+ */
+class ModelSelectionBandit {
+    constructor(options = {}) {
+        this.explorationRate = options.explorationRate ?? 0.3;
+        this.priorStrength = options.priorStrength || 4;
+        this.armSize = options.armSize || 3;
+        this.strategies = options.strategies || DEFAULT_STRATEGIES;
+        this.random = options.random || Math.random;
+
+        // category → Map(armKey → { models, strategy, successes, failures, pulls })
+        this.observations = new Map();
+    }
+
+    /**
+     * 🔑 Arm identity (model order doesn't matter)
+     */
+    static armKey(models, strategy) {
+        return `${[...models].sort().join('+')}|${strategy}`;
+    }
+
+    /**
+     * 🔄 Rebuild the evidence from the rated decisions (idempotent: feedback
+     * on an already rated decision never counts twice)
+     */
+    train(decisions = []) {
+        this.observations = new Map();
+
+        decisions
+            .filter(decision => typeof decision.success_score === 'number' &&
+                decision.category && decision.strategy && decision.models && decision.models.length > 0)
+            .forEach(decision => {
+                if (!this.observations.has(decision.category)) {
+                    this.observations.set(decision.category, new Map());
+                }
+
+                const arms = this.observations.get(decision.category);
+                const key = ModelSelectionBandit.armKey(decision.models, decision.strategy);
+                const arm = arms.get(key) || {
+                    models: [...decision.models].sort(),
+                    strategy: decision.strategy,
+                    successes: 0,
+                    failures: 0,
+                    pulls: 0
+                };
+
+                arm.successes += decision.success_score;
+                arm.failures += 1 - decision.success_score;
+                arm.pulls++;
+                arms.set(key, arm);
+            });
+    }
+
+    /**
+     * 🎯 Choose an arm for a category
+     * @param {String} category - Prompt category (the context)
+     * @param {Object} options
+     * @param {Array<String>} options.models - Candidate models (arms only use these)
+     * @param {Function} options.priorFor - (models, strategy) => prior success mean in [0, 1]
+     * @returns {Object|null} - { models, strategy, mode, exploration_rate, posterior, alternatives }
+     *   (models ordered by prior, strongest first); null without candidates
+     */
+    selectArm(category, { models, priorFor }) {
+        if (!models || models.length === 0) return null;
+
+        const arms = this._getCandidateArms(category, models).map(arm => {
+            const prior = Math.min(Math.max(priorFor(arm.models, arm.strategy), 0.05), 0.95);
+            const alpha = prior * this.priorStrength + arm.successes;
+            const beta = (1 - prior) * this.priorStrength + arm.failures;
+
+            return { ...arm, prior, alpha, beta, mean: alpha / (alpha + beta) };
+        });
+
+        const explore = this.random() < this.explorationRate;
+        arms.forEach(arm => {
+            arm.score = explore ? sampleBeta(arm.alpha, arm.beta, this.random) : arm.mean;
+        });
+
+        const ranked = _.orderBy(arms, ['score', 'mean'], ['desc', 'desc']);
+        const chosen = ranked[0];
+
+        return {
+            models: _.orderBy(chosen.models, modelName => priorFor([modelName], chosen.strategy), 'desc'),
+            strategy: chosen.strategy,
+            mode: explore ? 'explore' : 'exploit',
+            exploration_rate: this.explorationRate,
+            posterior: this._describeArm(chosen),
+            alternatives: _.orderBy(ranked.slice(1), 'mean', 'desc')
+                .slice(0, 5)
+                .map(arm => ({ models: arm.models, strategy: arm.strategy, ...this._describeArm(arm) }))
+        };
+    }
+
+    /**
+     * 📊 Best known arm of every trained category
+     */
+    getSummary() {
+        const categories = {};
+
+        this.observations.forEach((arms, category) => {
+            const best = _.maxBy(Array.from(arms.values()), arm => arm.successes / arm.pulls);
+            categories[category] = {
+                arms_tried: arms.size,
+                pulls: _.sumBy(Array.from(arms.values()), 'pulls'),
+                best_arm: best ? {
+                    models: best.models,
+                    strategy: best.strategy,
+                    average_score: Math.round((best.successes / best.pulls) * 1000) / 1000,
+                    pulls: best.pulls
+                } : null
+            };
+        });
+
+        return {
+            exploration_rate: this.explorationRate,
+            prior_strength: this.priorStrength,
+            categories
+        };
+    }
+
+    /**
+     * 🧩 Every model subset of the arm size with every strategy, plus the arms
+     * already tried in the category (e.g. budget-downgraded subsets) that only
+     * use candidate models
+     */
+    _getCandidateArms(category, models) {
+        const candidates = new Map();
+        const size = Math.min(this.armSize, models.length);
+        const observed = this.observations.get(category) || new Map();
+
+        combinations([...models].sort(), size).forEach(subset => {
+            this.strategies.forEach(strategy => {
+                candidates.set(ModelSelectionBandit.armKey(subset, strategy), {
+                    models: subset, strategy, successes: 0, failures: 0, pulls: 0
+                });
+            });
+        });
+
+        observed.forEach((arm, key) => {
+            if (arm.models.every(modelName => models.includes(modelName))) {
+                candidates.set(key, { ...arm });
+            }
+        });
+
+        return Array.from(candidates.values());
+    }
+
+    _describeArm(arm) {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            alpha: round(arm.alpha),
+            beta: round(arm.beta),
+            mean: round(arm.mean),
+            prior: round(arm.prior),
+            sampled: round(arm.score),
+            pulls: arm.pulls
+        };
+    }
+}
+
+/**
+ * 🧮 k-element subsets of a list (in list order)
+ */
+function combinations(items, size) {
+    if (size === 0) return [[]];
+    if (items.length < size) return [];
+
+    const [first, ...rest] = items;
+    return [
+        ...combinations(rest, size - 1).map(subset => [first, ...subset]),
+        ...combinations(rest, size)
+    ];
+}
+
+/**
+ * 🎲 Beta(alpha, beta) draw from two Gamma draws
+ */
+function sampleBeta(alpha, beta, random) {
+    const x = sampleGamma(alpha, random);
+    const y = sampleGamma(beta, random);
+    return x / (x + y);
+}
+
+// Marsaglia-Tsang; shapes below 1 are boosted and corrected
+function sampleGamma(shape, random) {
+    if (shape < 1) {
+        return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+
+        v = v * v * v;
+        const u = random();
+        if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+            return d * v;
+        }
+    }
+}
+
+// Box-Muller
+function sampleNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = ModelSelectionBandit;
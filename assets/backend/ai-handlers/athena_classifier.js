@@ -0,0 +1,173 @@
+// assets/backend/ai-handlers/athena_classifier.js
+// 🏷️ ATHENA PROMPT CLASSIFIER - Offline naive Bayes over word n-grams
+
+const _ = require('lodash');
+
+// Words too common to say anything about the task
+const STOPWORDS = new Set([
+    'the', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'was', 'be', 'it',
+    'this', 'that', 'these', 'those', 'me', 'my', 'you', 'your', 'we', 'our', 'can', 'could', 'would',
+    'please', 'some', 'any', 'as', 'at', 'by', 'from', 'about', 'into', 'do', 'does', 'if', 'so', 'i'
+]);
+
+// Light suffix stripping: "functions", "function" and "functional" share a feature
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'ions', 'ion', 'ers', 'er', 'ies', 'es', 'ed', 'ly', 's', 'e'];
+
+const MAX_FEATURES = 300;
+
+/**
+ * 🏷️ Multinomial naive Bayes prompt classifier
+ * Features are stemmed unigrams and bigrams. Training examples are
+ * { features, label, weight }: fractional weights let weak labels (e.g. the
+ * classifier's own past answers) count less than confirmed ones.
+ *
+ * Confidence is the top posterior probability scaled by the square root of
+ * the share of prompt words the classifier has seen: naive Bayes is
+ * overconfident on prompts it barely knows.
+ */
+class PromptClassifier {
+    constructor(options = {}) {
+        this.smoothing = options.smoothing || 1;
+        this._reset();
+    }
+
+    /**
+     * ✂️ Features of a text (stemmed unigrams, then bigrams "a b")
+     * @param {String} text - Prompt
+     * @returns {Array<String>} - Features (at most MAX_FEATURES)
+     */
+    static extractFeatures(text) {
+        const tokens = (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1 && !STOPWORDS.has(token))
+            .map(stem);
+
+        const bigrams = tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`);
+        return [...tokens, ...bigrams].slice(0, MAX_FEATURES);
+    }
+
+    /**
+     * 🔄 Train from scratch
+     * @param {Array<Object>} examples - [{ features, label, weight }]
+     */
+    train(examples = []) {
+        this._reset();
+
+        examples
+            .filter(example => example.label && example.features && example.features.length > 0)
+            .forEach(({ features, label, weight = 1 }) => {
+                if (!this.featureCounts.has(label)) {
+                    this.featureCounts.set(label, new Map());
+                    this.featureTotals.set(label, 0);
+                    this.labelWeights.set(label, 0);
+                }
+
+                const counts = this.featureCounts.get(label);
+                features.forEach(feature => {
+                    counts.set(feature, (counts.get(feature) || 0) + weight);
+                    this.vocabulary.add(feature);
+                });
+
+                this.featureTotals.set(label, this.featureTotals.get(label) + features.length * weight);
+                this.labelWeights.set(label, this.labelWeights.get(label) + weight);
+                this.totalWeight += weight;
+                this.examples++;
+            });
+    }
+
+    /**
+     * 🎯 Classify a prompt
+     * @param {String|Array<String>} input - Prompt or its features
+     * @returns {Object|null} - { name, confidence, probabilities, coverage, keywords }
+     *   (null before any training)
+     */
+    classify(input) {
+        if (this.labelWeights.size === 0) return null;
+
+        const features = Array.isArray(input) ? input : PromptClassifier.extractFeatures(input);
+        const known = features.filter(feature => this.vocabulary.has(feature));
+        const labels = Array.from(this.labelWeights.keys());
+        const vocabularySize = this.vocabulary.size;
+
+        const logScores = labels.map(label => {
+            const counts = this.featureCounts.get(label);
+            const denominator = this.featureTotals.get(label) + this.smoothing * vocabularySize;
+            const prior = Math.log((this.labelWeights.get(label) + 1) / (this.totalWeight + labels.length));
+
+            return known.reduce((score, feature) =>
+                score + Math.log(((counts.get(feature) || 0) + this.smoothing) / denominator), prior);
+        });
+
+        // Softmax over the log scores
+        const maxScore = Math.max(...logScores);
+        const exponentials = logScores.map(score => Math.exp(score - maxScore));
+        const sum = _.sum(exponentials);
+        const probabilities = Object.fromEntries(labels.map((label, index) =>
+            [label, Math.round((exponentials[index] / sum) * 1000) / 1000]
+        ));
+
+        const unigrams = features.filter(feature => !feature.includes(' '));
+        const coverage = unigrams.length > 0
+            ? unigrams.filter(feature => this.vocabulary.has(feature)).length / unigrams.length
+            : 0;
+
+        const [name, probability] = _.maxBy(Object.entries(probabilities), ([, value]) => value);
+
+        return {
+            name,
+            confidence: Math.round(probability * Math.sqrt(coverage) * 1000) / 1000,
+            probabilities,
+            coverage: Math.round(coverage * 1000) / 1000,
+            keywords: this._getEvidence(known, name)
+        };
+    }
+
+    /**
+     * 📊 Training statistics
+     */
+    getStats() {
+        return {
+            examples: this.examples,
+            vocabulary: this.vocabulary.size,
+            label_weights: _.mapValues(Object.fromEntries(this.labelWeights), weight => Math.round(weight * 100) / 100)
+        };
+    }
+
+    /**
+     * 🔎 Known features that most favour the chosen label over the others
+     */
+    _getEvidence(known, label) {
+        const counts = this.featureCounts.get(label);
+        const others = Array.from(this.featureCounts.keys()).filter(other => other !== label);
+
+        const ratio = feature => {
+            const inLabel = ((counts.get(feature) || 0) + this.smoothing) / (this.featureTotals.get(label) + this.smoothing);
+            const elsewhere = _.meanBy(others, other =>
+                ((this.featureCounts.get(other).get(feature) || 0) + this.smoothing) / (this.featureTotals.get(other) + this.smoothing)
+            ) || this.smoothing;
+            return inLabel / elsewhere;
+        };
+
+        return _.uniq(known)
+            .filter(feature => ratio(feature) > 1)
+            .sort((a, b) => ratio(b) - ratio(a))
+            .slice(0, 5);
+    }
+
+    _reset() {
+        this.featureCounts = new Map(); // label → Map(feature → weight)
+        this.featureTotals = new Map();
+        this.labelWeights = new Map();
+        this.vocabulary = new Set();
+        this.totalWeight = 0;
+        this.examples = 0;
+    }
+}
+
+function stem(token) {
+    if (token.endsWith('ss')) return token;
+
+    const suffix = SUFFIXES.find(candidate => token.endsWith(candidate) && token.length - candidate.length >= 3);
+    return suffix ? token.slice(0, -suffix.length) : token;
+}
+
+module.exports = PromptClassifier;
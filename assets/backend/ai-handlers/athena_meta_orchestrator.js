@@ -9,6 +9,13 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const _ = require('lodash');
 const BaseAIHandler = require('./base_handler');
+const budgetGuard = require('./budget_guard');
+const synthesisEngine = require('./synthesis_engine');
+const embeddingService = require('./embedding_service');
+const aiRouter = require('./router');
+const ModelSelectionBandit = require('./athena_bandit');
+const PromptClassifier = require('./athena_classifier');
+const analysisStore = require('../storage/athena_analysis_store');
 
 /**
  * 🧠 Athena Meta-Orchestrator - AI Autonomy Intelligence
@@ -30,6 +37,28 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
         this.modelPerformance = new Map();
         this.learningPatterns = new Map();
 
+        // 👍 Outcome feedback: a model's success rate starts from the prior and
+        // moves towards its real scores as rated decisions accumulate
+        this.successPrior = { rate: 0.8, weight: 5 };
+        this.targetLatencyMs = parseInt(process.env.ATHENA_TARGET_LATENCY_MS, 10) || 15000;
+        this.rejectionReasons = ['wrong_category', 'wrong_models', 'wrong_strategy', 'too_expensive', 'too_slow', 'other'];
+
+        // 🏷️ Prompt analysis: the local classifier answers when it is confident enough,
+        // otherwise Ollama (opt-in) or the cloud mini-LLM; 'local' never calls the cloud,
+        // 'cloud' always asks a model
+        this.analysisMode = process.env.ATHENA_ANALYSIS_MODE || 'auto'; // auto | local | cloud
+        this.localConfidenceThreshold = parseFloat(process.env.ATHENA_LOCAL_CONFIDENCE) || 0.6;
+        this.ollamaAnalysis = process.env.ATHENA_OLLAMA_ANALYSIS === 'true';
+        this.cloudAvailable = false;
+        this.classifier = new PromptClassifier();
+
+        // 🎰 Model subset + strategy selection, trained from the rated decisions
+        const explorationRate = parseFloat(process.env.ATHENA_EXPLORATION_RATE);
+        this.bandit = new ModelSelectionBandit({
+            explorationRate: Number.isFinite(explorationRate) ? explorationRate : 0.3,
+            priorStrength: parseFloat(process.env.ATHENA_BANDIT_PRIOR_STRENGTH) || 4
+        });
+
         // 🎯 Available Models Registry
         this.availableModels = new Map([
             ['claude', {
@@ -116,6 +145,7 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
         this.patternsFile = path.join(this.dataDir, 'learning_patterns.json');
         this.metricsFile = path.join(this.dataDir, 'performance_metrics.json');
 
+        this._retrainClassifier();
         this._initializeDataDirectory();
         this._loadPersistedData();
 
@@ -126,33 +156,33 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
      * 🚀 Initialize Athena with API configurations
      */
     async initialize(apiKey, config = {}) {
-        try {
-            // Use Claude API key for mini-LLM analysis
-            this.apiKey = apiKey || process.env.ANTHROPIC_API_KEY;
-
-            if (!this.apiKey) {
-                console.warn('⚠️ Athena: No Claude API key provided - analysis features limited');
-                this.isAvailable = false;
-                return false;
+        // Configuration
+        this.enabled = config.enabled !== false;
+        this.confidence_threshold = config.confidence_threshold || 0.8;
+        this.learning_enabled = config.learning_enabled !== false;
+        if (config.analysis_mode) this.analysisMode = config.analysis_mode;
+
+        // Local classification always works: the Claude key only adds cloud analysis
+        this.isAvailable = true;
+        this.cloudAvailable = false;
+
+        // Use Claude API key for mini-LLM analysis
+        this.apiKey = apiKey || process.env.ANTHROPIC_API_KEY;
+
+        if (!this.apiKey) {
+            console.warn('⚠️ Athena: No Claude API key provided - using offline analysis only');
+        } else if (this.analysisMode !== 'local') {
+            try {
+                // Test mini-LLM connection
+                await this._testMiniLLMConnection();
+                this.cloudAvailable = true;
+            } catch (error) {
+                console.warn('⚠️ Athena: mini-LLM unavailable, using offline analysis only:', error.message);
             }
-
-            // Configuration
-            this.enabled = config.enabled !== false;
-            this.confidence_threshold = config.confidence_threshold || 0.8;
-            this.learning_enabled = config.learning_enabled !== false;
-
-            // Test mini-LLM connection
-            await this._testMiniLLMConnection();
-
-            this.isAvailable = true;
-            console.log('✅ Athena Meta-Orchestrator initialized successfully');
-
-            return true;
-        } catch (error) {
-            console.error('❌ Athena initialization failed:', error.message);
-            this.isAvailable = false;
-            return false;
         }
+
+        console.log(`✅ Athena Meta-Orchestrator initialized successfully (analysis: ${this.analysisMode}, cloud ${this.cloudAvailable ? 'available' : 'unavailable'})`);
+        return true;
     }
 
     /**
@@ -170,10 +200,10 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
             console.log(`🔍 Athena analyzing prompt: "${prompt.substring(0, 100)}..."`);
 
             // Step 1: Fast prompt categorization
-            const quickCategory = this._quickCategorizePrompt(prompt);
+            const quickCategory = await this._quickCategorizePrompt(prompt);
 
-            // Step 2: Deep AI analysis with mini-LLM
-            const aiAnalysis = await this._deepAnalyzeWithMiniLLM(prompt, context);
+            // Step 2: Local classification, deep AI analysis when it isn't confident enough
+            const aiAnalysis = await this._analyzePrompt(prompt, context, quickCategory);
 
             // Step 3: Generate model recommendations
             const recommendations = this._generateModelRecommendations(
@@ -182,6 +212,9 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
                 context
             );
 
+            // Step 3b: Budget guardrails - downgrade or flag recommendations that overspend
+            const budget = await this._applyBudgetGuardrails(prompt, recommendations, context);
+
             // Step 4: Calculate confidence scores
             const confidenceScore = this._calculateOverallConfidence(
                 aiAnalysis,
@@ -194,16 +227,30 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
                 prompt,
                 aiAnalysis,
                 recommendations,
-                confidenceScore
+                confidenceScore,
+                { analysisId, startTime, quickCategory }
             );
 
             // Step 6: Generate reasoning explanation
-            const reasoning = this._generateReasoning(
+            let reasoning = this._generateReasoning(
                 aiAnalysis,
                 recommendations,
                 confidenceScore
             );
 
+            if (context.has_images) {
+                reasoning += ' Image inputs: only multimodal models were considered.';
+            }
+
+            if (recommendations.bandit) {
+                const { mode, posterior } = recommendations.bandit;
+                reasoning += ` Learned selection (${mode}): expected success ${(posterior.mean * 100).toFixed(1)}% over ${posterior.pulls} rated run(s) of this combination.`;
+            }
+
+            if (budget.downgraded || !budget.allowed) {
+                reasoning += ` Budget: ${budget.reason}${budget.downgraded ? ` - downgraded from ${budget.originalModels.join(', ')}.` : ' - orchestration blocked.'}`;
+            }
+
             const result = {
                 analysis_id: analysisId,
                 timestamp: new Date().toISOString(),
@@ -212,22 +259,29 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
                     confidence: aiAnalysis.confidence,
                     complexity: aiAnalysis.complexity,
                     intent: aiAnalysis.intent,
-                    keywords: aiAnalysis.keywords
+                    keywords: aiAnalysis.keywords,
+                    source: aiAnalysis.source
                 },
                 recommendations: {
                     models: recommendations.models,
                     strategy: recommendations.strategy,
                     weights: recommendations.weights,
-                    reasoning: reasoning
+                    reasoning: reasoning,
+                    budget: budgetGuard.describeDecision(budget)
                 },
                 decision_tree: decisionTree,
                 confidence_score: confidenceScore,
-                auto_apply_recommended: confidenceScore >= this.confidence_threshold,
+                auto_apply_recommended: budget.allowed && confidenceScore >= this.confidence_threshold,
                 processing_time_ms: Date.now() - startTime
             };
 
-            // Step 7: Store decision for learning
+            // Step 7: Store decision for learning, and the full analysis for the decision tree viewer
             this._storeDecision(result, prompt, context);
+            await analysisStore.saveAnalysis(this._createAnalysisRecord(result, prompt, context, {
+                aiAnalysis,
+                quickCategory,
+                recommendations
+            }));
 
             console.log(`✅ Athena analysis complete: ${aiAnalysis.category.name} (${(confidenceScore * 100).toFixed(1)}% confidence)`);
 
@@ -240,12 +294,22 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
     }
 
     /**
-     * 🎯 Quick prompt categorization using pattern matching
+     * 🎯 Quick prompt categorization: keyword/pattern hits plus embedding
+     * similarity to each category's keywords, so paraphrases still match
      */
-    _quickCategorizePrompt(prompt) {
+    async _quickCategorizePrompt(prompt) {
         const promptLower = prompt.toLowerCase();
         const scores = new Map();
 
+        const categories = Array.from(this.promptCategories.entries());
+        const { vectors } = await embeddingService.embedMany([
+            prompt,
+            ...categories.map(([, categoryData]) => categoryData.keywords.join(' '))
+        ]);
+        const semanticScores = new Map(categories.map(([categoryName], index) =>
+            [categoryName, Math.max(0, embeddingService.cosine(vectors[0], vectors[index + 1]))]
+        ));
+
         // Score each category
         for (const [categoryName, categoryData] of this.promptCategories) {
             let score = 0;
@@ -261,7 +325,10 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
             const patternMatches = (prompt.match(categoryData.patterns) || []).length;
             score += patternMatches * 3;
 
-            scores.set(categoryName, score);
+            // Semantic similarity weighs like up to two pattern hits
+            score += semanticScores.get(categoryName) * 6;
+
+            scores.set(categoryName, Math.round(score * 100) / 100);
         }
 
         // Find best match
@@ -274,57 +341,114 @@ class AthenaMetaOrchestrator extends BaseAIHandler {
         return {
             name: bestMatch[0],
             confidence: confidence,
-            all_scores: Object.fromEntries(scores)
+            all_scores: Object.fromEntries(scores),
+            semantic_scores: Object.fromEntries(semanticScores)
         };
     }
 
     /**
-     * 🔬 Deep analysis using mini-LLM (Claude Haiku for speed)
+     * 🧭 Choose the analysis path: the local classifier when it is confident
+     * enough (or the mode is 'local'), otherwise Ollama when enabled, then the
+     * cloud mini-LLM; the local result is the fallback of both
      */
-    async _deepAnalyzeWithMiniLLM(prompt, context) {
-        const analysisPrompt = `# AI Prompt Analysis Task
+    async _analyzePrompt(prompt, context, quickCategory) {
+        const local = this._analyzeLocally(prompt, quickCategory);
+        const mode = this.analysisMode;
 
-You are Athena, an AI meta-orchestrator that analyzes prompts to recommend optimal AI models and strategies.
+        if (mode !== 'cloud' && local.confidence >= this.localConfidenceThreshold) {
+            return local;
+        }
 
-**Prompt to analyze:** "${prompt}"
+        // Kept with the remote analysis so the stored decision shows why it escalated
+        const localAnalysis = {
+            category: local.category.name,
+            confidence: local.confidence,
+            threshold: this.localConfidenceThreshold
+        };
 
-**Context:** ${JSON.stringify(context, null, 2)}
+        if (this.ollamaAnalysis && mode !== 'cloud') {
+            const ollamaAnalysis = await this._analyzeWithOllama(prompt, context);
+            if (ollamaAnalysis) return { ...ollamaAnalysis, local_analysis: localAnalysis };
+        }
 
-**Available AI Models:**
-- Claude: Excellent for reasoning, analysis, creativity, safety-focused
-- GPT-4: Strong at coding, math, general knowledge, conversation
-- Gemini: Creative, multimodal, mathematical, search-capable
-- DeepSeek: Fast coding, mathematical reasoning, efficiency-focused
-- Mistral: Multilingual, coding, reasoning
+        if (mode !== 'local' && this.cloudAvailable) {
+            const cloudAnalysis = await this._deepAnalyzeWithMiniLLM(prompt, context, local);
+            return cloudAnalysis === local ? local : { ...cloudAnalysis, local_analysis: localAnalysis };
+        }
 
-**Analysis Categories:**
-- reasoning, creative, coding, math, conversation, analysis, general
+        return local;
+    }
 
-**Your task:** Analyze this prompt and provide a JSON response with:
+    /**
+     * 🏷️ Offline analysis: naive Bayes classifier blended with the
+     * keyword/embedding categorization
+     */
+    _analyzeLocally(prompt, quickCategory) {
+        const classification = this.classifier.classify(prompt);
+        const quickTotal = _.sum(Object.values(quickCategory.all_scores)) || 1;
 
-\`\`\`json
-{
-  "category": {
-    "name": "primary_category_name",
-    "confidence": 0.85
-  },
-  "complexity": "low|medium|high",
-  "intent": "brief description of user intent",
-  "keywords": ["key", "relevant", "words"],
-  "recommended_strategy": "parallel|consensus|weighted|adaptive",
-  "reasoning": "Brief explanation of your analysis"
-}
-\`\`\`
+        const scores = Object.fromEntries(Array.from(this.promptCategories.keys()).map(categoryName => {
+            const classifierProbability = classification ? classification.probabilities[categoryName] || 0 : 0;
+            const quickShare = (quickCategory.all_scores[categoryName] || 0) / quickTotal;
+            return [categoryName, Math.round((0.7 * classifierProbability + 0.3 * quickShare) * 1000) / 1000];
+        }));
 
-Be concise and accurate. Focus on the core task type and optimal orchestration approach.`;
+        const [categoryName, score] = _.maxBy(Object.entries(scores), ([, value]) => value);
+        const coverage = classification ? classification.coverage : 0;
+        const confidence = Math.round(score * Math.sqrt(coverage) * 1000) / 1000;
+        const wordCount = prompt.split(/\s+/).filter(Boolean).length;
+
+        return {
+            category: {
+                name: categoryName,
+                confidence,
+                all_scores: scores
+            },
+            complexity: wordCount < 20 ? 'low' : wordCount < 120 ? 'medium' : 'high',
+            intent: `${categoryName} request`,
+            keywords: classification ? classification.keywords : [],
+            confidence,
+            ai_reasoning: `Offline classifier (${(coverage * 100).toFixed(0)}% of the prompt words known)`,
+            recommended_strategy: this.promptCategories.get(categoryName).strategy,
+            source: 'local',
+            classifier: classification
+        };
+    }
 
+    /**
+     * 🦙 Analysis with the local Ollama model (ATHENA_OLLAMA_ANALYSIS=true)
+     */
+    async _analyzeWithOllama(prompt, context) {
+        const handler = aiRouter.getHandler('ollama');
+        if (!handler || !handler.checkAvailability()) return null;
+
+        try {
+            const response = await handler.generateResponse(this._buildAnalysisPrompt(prompt, context), {
+                temperature: 0.3,
+                max_tokens: 500,
+                timeout: 30000
+            });
+            return {
+                ...this._parseAnalysisResponse(response.content, 'ollama'),
+                analyzer_model: response.model
+            };
+        } catch (error) {
+            console.warn('⚠️ Ollama analysis failed, trying the next analyzer:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 🔬 Deep analysis using mini-LLM (Claude Haiku for speed)
+     */
+    async _deepAnalyzeWithMiniLLM(prompt, context, localAnalysis = null) {
         try {
             const response = await axios.post(
                 'https://api.anthropic.com/v1/messages',
                 {
                     model: 'claude-3-haiku-20240307', // Fast model for analysis
                     max_tokens: 500,
-                    messages: [{ role: 'user', content: analysisPrompt }],
+                    messages: [{ role: 'user', content: this._buildAnalysisPrompt(prompt, context) }],
                     temperature: 0.3 // Low temperature for consistency
                 },
                 {
@@ -337,31 +461,20 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
                 }
             );
 
-            // Parse JSON response
-            const aiResponse = response.data.content[0].text.trim();
-            const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/);
-
-            if (jsonMatch) {
-                const analysisResult = JSON.parse(jsonMatch[1]);
-
-                return {
-                    category: analysisResult.category,
-                    complexity: analysisResult.complexity || 'medium',
-                    intent: analysisResult.intent || 'General assistance',
-                    keywords: analysisResult.keywords || [],
-                    confidence: analysisResult.category.confidence || 0.7,
-                    ai_reasoning: analysisResult.reasoning || 'AI analysis complete',
-                    recommended_strategy: analysisResult.recommended_strategy || 'parallel'
-                };
-            } else {
-                throw new Error('Invalid JSON response from mini-LLM');
-            }
+            return {
+                ...this._parseAnalysisResponse(response.data.content[0].text, 'cloud'),
+                analyzer_model: 'claude-3-haiku-20240307'
+            };
 
         } catch (error) {
             console.warn('⚠️ Mini-LLM analysis failed, using fallback:', error.message);
 
+            if (localAnalysis) {
+                return localAnalysis;
+            }
+
             // Fallback to quick categorization
-            const quickResult = this._quickCategorizePrompt(prompt);
+            const quickResult = await this._quickCategorizePrompt(prompt);
             return {
                 category: quickResult,
                 complexity: 'medium',
@@ -369,11 +482,79 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
                 keywords: [],
                 confidence: quickResult.confidence * 0.8, // Reduced confidence for fallback
                 ai_reasoning: 'Fallback analysis due to mini-LLM unavailability',
-                recommended_strategy: 'parallel'
+                recommended_strategy: 'parallel',
+                source: 'fallback'
             };
         }
     }
 
+    _buildAnalysisPrompt(prompt, context) {
+        return `# AI Prompt Analysis Task
+
+You are Athena, an AI meta-orchestrator that analyzes prompts to recommend optimal AI models and strategies.
+
+**Prompt to analyze:** "${prompt}"
+
+**Context:** ${JSON.stringify(context, null, 2)}
+
+**Available AI Models:**
+- Claude: Excellent for reasoning, analysis, creativity, safety-focused
+- GPT-4: Strong at coding, math, general knowledge, conversation
+- Gemini: Creative, multimodal, mathematical, search-capable
+- DeepSeek: Fast coding, mathematical reasoning, efficiency-focused
+- Mistral: Multilingual, coding, reasoning
+
+**Analysis Categories:**
+- reasoning, creative, coding, math, conversation, analysis, general
+
+**Your task:** Analyze this prompt and provide a JSON response with:
+
+\`\`\`json
+{
+  "category": {
+    "name": "primary_category_name",
+    "confidence": 0.85
+  },
+  "complexity": "low|medium|high",
+  "intent": "brief description of user intent",
+  "keywords": ["key", "relevant", "words"],
+  "recommended_strategy": "parallel|consensus|weighted|adaptive",
+  "reasoning": "Brief explanation of your analysis"
+}
+\`\`\`
+
+Be concise and accurate. Focus on the core task type and optimal orchestration approach.`;
+    }
+
+    /**
+     * 🧾 Parse the JSON analysis of a model (fenced or bare)
+     */
+    _parseAnalysisResponse(text, source) {
+        const aiResponse = text.trim();
+        const jsonMatch = aiResponse.match(/```(?:json)?\s*\n([\s\S]*?)\n```/) || aiResponse.match(/(\{[\s\S]*\})/);
+
+        if (!jsonMatch) {
+            throw new Error(`Invalid JSON response from ${source} analysis`);
+        }
+
+        const analysisResult = JSON.parse(jsonMatch[1]);
+        if (!analysisResult.category || !this.promptCategories.has(analysisResult.category.name)) {
+            throw new Error(`Unknown category in ${source} analysis`);
+        }
+
+        return {
+            category: analysisResult.category,
+            complexity: analysisResult.complexity || 'medium',
+            intent: analysisResult.intent || 'General assistance',
+            keywords: analysisResult.keywords || [],
+            confidence: analysisResult.category.confidence || 0.7,
+            ai_reasoning: analysisResult.reasoning || 'AI analysis complete',
+            recommended_strategy: analysisResult.recommended_strategy || 'parallel',
+            source,
+            raw_output: aiResponse
+        };
+    }
+
     /**
      * 🎯 Generate model recommendations based on analysis
      */
@@ -390,25 +571,21 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
         let recommendedModels = [...categoryData.recommendedModels];
         let strategy = aiAnalysis.recommended_strategy || categoryData.strategy;
 
-        // Apply learning patterns if available
-        if (this.learning_enabled) {
-            const learningAdjustments = this._applyLearningPatterns(
-                categoryName,
-                aiAnalysis,
-                context
-            );
-
-            if (learningAdjustments.models.length > 0) {
-                recommendedModels = learningAdjustments.models;
-            }
-
-            if (learningAdjustments.strategy) {
-                strategy = learningAdjustments.strategy;
-            }
+        // 🎰 Learned selection: the bandit picks the model subset and the strategy
+        const bandit = this.learning_enabled
+            ? this._selectWithBandit(categoryName, categoryData, aiAnalysis, context)
+            : null;
+
+        if (bandit) {
+            recommendedModels = bandit.models;
+            strategy = bandit.strategy;
+        } else if (context.has_images) {
+            // 🖼️ Image inputs: text-only models would answer without seeing them
+            recommendedModels = this._selectMultimodalModels(recommendedModels);
         }
 
         // Generate weights based on model strengths for this category
-        const weights = this._calculateModelWeights(recommendedModels, categoryData);
+        const weights = this._calculateModelWeights(recommendedModels, categoryData, categoryName);
 
         // Limit to top 3 models for performance
         const topModels = recommendedModels.slice(0, 3);
@@ -417,14 +594,93 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
             models: topModels,
             strategy: strategy,
             weights: weights,
-            category_data: categoryData
+            category_name: categoryName,
+            category_data: categoryData,
+            bandit
         };
     }
 
+    /**
+     * 🎰 Ask the bandit for this category's arm. Candidates are the registered
+     * models (multimodal only with images); the cold-start prior of an arm is
+     * the mean fit of its models, with a small bonus for the suggested strategy.
+     */
+    _selectWithBandit(categoryName, categoryData, aiAnalysis, context) {
+        const candidates = Array.from(this.availableModels.keys())
+            .filter(modelName => !context.has_images || aiRouter.supportsImages(modelName));
+
+        return this.bandit.selectArm(categoryName, {
+            models: candidates,
+            priorFor: (models, strategy) => {
+                const modelPrior = _.meanBy(models, modelName => this._getModelPrior(modelName, categoryName, categoryData));
+                const strategyBonus = strategy === aiAnalysis.recommended_strategy ? 0.05
+                    : strategy === categoryData.strategy ? 0.03 : 0;
+                return modelPrior + strategyBonus;
+            }
+        });
+    }
+
+    /**
+     * 🌱 Cold-start success estimate of a model for a category, from the
+     * strength table: reliability scaled by how well its strengths fit
+     */
+    _getModelPrior(modelName, categoryName, categoryData) {
+        const modelData = this.availableModels.get(modelName);
+        if (!modelData) return 0.5;
+
+        const categoryWords = [categoryName, ...(categoryData.keywords || [])];
+        const strengthFit = modelData.strengths.some(strength =>
+            categoryWords.some(word => word.includes(strength) || strength.includes(word))
+        );
+        const fit = strengthFit ? 1 : (categoryData.recommendedModels || []).includes(modelName) ? 0.5 : 0;
+
+        return modelData.reliability * (0.6 + 0.3 * fit);
+    }
+
+    /**
+     * 🖼️ Keep the multimodal models of a recommendation, topping it up with
+     * other multimodal models (those with the 'multimodal' strength first)
+     */
+    _selectMultimodalModels(models) {
+        const multimodal = models.filter(modelName => aiRouter.supportsImages(modelName));
+        const substitutes = Array.from(this.availableModels.entries())
+            .filter(([modelName]) => !multimodal.includes(modelName) && aiRouter.supportsImages(modelName))
+            .sort(([, a], [, b]) => Number(b.strengths.includes('multimodal')) - Number(a.strengths.includes('multimodal')))
+            .map(([modelName]) => modelName);
+
+        return [...multimodal, ...substitutes].slice(0, Math.max(models.length, 1));
+    }
+
+    /**
+     * 💸 Check the recommendation against the configured budgets.
+     * A downgrade replaces models and weights in place; an exceeded budget
+     * leaves the recommendation untouched but blocks auto-apply.
+     */
+    async _applyBudgetGuardrails(prompt, recommendations, context) {
+        const budget = await budgetGuard.checkBudget({
+            prompt,
+            history: context.conversation_history,
+            models: recommendations.models,
+            synthesisModel: synthesisEngine.getBillableBackend({ conversationId: context.conversation_id }),
+            conversationId: context.conversation_id,
+            principal: context.principal,
+            requireImages: !!context.has_images
+        });
+
+        if (budget.downgraded) {
+            console.log(`💸 Athena budget downgrade: ${budget.originalModels.join(', ')} → ${budget.models.join(', ')}`);
+            recommendations.models = budget.models;
+            recommendations.weights = this._calculateModelWeights(budget.models, recommendations.category_data || {}, recommendations.category_name);
+        }
+
+        return budget;
+    }
+
     /**
      * 📊 Calculate model weights based on strengths and performance
+     * (rated outcomes in the category when there are enough, overall ones otherwise)
      */
-    _calculateModelWeights(models, categoryData) {
+    _calculateModelWeights(models, categoryData, categoryName = null) {
         const weights = {};
 
         models.forEach(modelName => {
@@ -448,10 +704,16 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
             // Boost weight for strength matches
             weight += strengthMatches * 0.1;
 
-            // Historical performance adjustment
+            // Historical performance adjustment: above the prior boosts, below it penalizes
             const historicalPerformance = this.modelPerformance.get(modelName);
             if (historicalPerformance) {
-                weight *= (historicalPerformance.success_rate || 1.0);
+                const categoryPerformance = historicalPerformance.categories &&
+                    historicalPerformance.categories[categoryName];
+                const successRate = categoryPerformance && categoryPerformance.samples >= 3
+                    ? categoryPerformance.success_rate
+                    : historicalPerformance.success_rate;
+
+                weight *= (successRate || this.successPrior.rate) / this.successPrior.rate;
             }
 
             weights[modelName] = Math.min(weight, 2.0); // Cap at 2.0
@@ -499,7 +761,9 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
     /**
      * 🌳 Create decision tree for transparency
      */
-    _createDecisionTree(prompt, aiAnalysis, recommendations, confidenceScore) {
+    _createDecisionTree(prompt, aiAnalysis, recommendations, confidenceScore, { analysisId, startTime, quickCategory } = {}) {
+        const categoryScores = aiAnalysis.category.all_scores || (quickCategory && quickCategory.all_scores) || {};
+
         return {
             root: {
                 type: 'analysis',
@@ -509,6 +773,12 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
                         type: 'category',
                         description: `Categorized as: ${aiAnalysis.category.name}`,
                         confidence: aiAnalysis.category.confidence,
+                        source: aiAnalysis.source,
+                        alternatives: Object.entries(categoryScores)
+                            .filter(([categoryName]) => categoryName !== aiAnalysis.category.name)
+                            .sort((a, b) => b[1] - a[1])
+                            .slice(0, 3)
+                            .map(([categoryName, score]) => ({ name: categoryName, score })),
                         children: [
                             {
                                 type: 'model_selection',
@@ -524,7 +794,8 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
                                 type: 'strategy',
                                 description: `Strategy: ${recommendations.strategy}`,
                                 reasoning: this._getStrategyReasoning(recommendations.strategy, aiAnalysis)
-                            }
+                            },
+                            ...(recommendations.bandit ? [this._createBanditNode(recommendations.bandit)] : [])
                         ]
                     },
                     {
@@ -536,13 +807,74 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
             },
             metadata: {
                 created_at: new Date().toISOString(),
-                analysis_id: uuidv4(),
+                analysis_id: analysisId || uuidv4(),
                 prompt_length: prompt.length,
-                processing_time: Date.now() - Date.now()
+                processing_time: startTime ? Date.now() - startTime : 0
             }
         };
     }
 
+    /**
+     * 🎰 Decision tree node of the bandit: the arm it sampled, its posterior
+     * and the best alternatives it passed over
+     */
+    _createBanditNode(bandit) {
+        return {
+            type: 'bandit',
+            description: `${bandit.mode === 'explore' ? 'Exploring' : 'Exploiting'}: ${bandit.models.join(' + ')} with ${bandit.strategy}`,
+            mode: bandit.mode,
+            exploration_rate: bandit.exploration_rate,
+            arm: {
+                models: bandit.models,
+                strategy: bandit.strategy
+            },
+            posterior: bandit.posterior,
+            alternatives: bandit.alternatives
+        };
+    }
+
+    /**
+     * 🗂️ Everything behind a recommendation, stored by analysis_id: the
+     * decision tree, the alternatives considered with their scores (categories,
+     * model weights, bandit arms), the quick categorization and the analyzer's
+     * raw output
+     */
+    _createAnalysisRecord(result, prompt, context, { aiAnalysis, quickCategory, recommendations }) {
+        return {
+            ...result,
+            conversation_id: context.conversation_id || null,
+            prompt_preview: prompt.substring(0, 500),
+            alternatives: {
+                categories: aiAnalysis.category.all_scores || quickCategory.all_scores,
+                models: this._calculateModelWeights(
+                    Array.from(this.availableModels.keys()),
+                    recommendations.category_data || {},
+                    recommendations.category_name
+                ),
+                arms: recommendations.bandit ? recommendations.bandit.alternatives : []
+            },
+            quick_category: quickCategory,
+            analyzer: {
+                source: aiAnalysis.source,
+                model: aiAnalysis.analyzer_model || null,
+                raw_output: aiAnalysis.raw_output || null,
+                classifier: aiAnalysis.classifier || null,
+                local_analysis: aiAnalysis.local_analysis || null,
+                reasoning: aiAnalysis.ai_reasoning
+            },
+            bandit: recommendations.bandit || null
+        };
+    }
+
+    /**
+     * 🗂️ Stored analysis with its decision tree
+     * @param {String} analysisId - analysis_id of the recommendation
+     * @returns {Promise<Object|null>} - Stored analysis or null (unknown or past retention)
+     */
+    async getAnalysisRecord(analysisId) {
+        return analysisStore.getAnalysis(analysisId);
+    }
+
     /**
      * 💭 Generate human-readable reasoning
      */
@@ -568,30 +900,8 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
         return reasoning;
     }
 
-    /**
-     * 📚 Apply learning patterns from historical data
-     */
-    _applyLearningPatterns(categoryName, aiAnalysis, context) {
-        const patterns = this.learningPatterns.get(categoryName);
-
-        if (!patterns || patterns.decisions.length < 5) {
-            return { models: [], strategy: null };
-        }
-
-        // Find most successful pattern
-        const successfulDecisions = patterns.decisions
-            .filter(d => d.success_score > 0.8)
-            .sort((a, b) => b.success_score - a.success_score);
-
-        if (successfulDecisions.length > 0) {
-            const bestPattern = successfulDecisions[0];
-            return {
-                models: bestPattern.models,
-                strategy: bestPattern.strategy
-            };
-        }
-
-        return { models: [], strategy: null };
+    _getRatedDecisions(pattern) {
+        return pattern.decisions.filter(d => typeof d.success_score === 'number');
     }
 
     /**
@@ -603,6 +913,8 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
             timestamp: analysisResult.timestamp,
             prompt_hash: this._hashPrompt(prompt),
             category: analysisResult.analysis.primary_category.name,
+            analysis_source: analysisResult.analysis.source,
+            features: PromptClassifier.extractFeatures(prompt),
             models: analysisResult.recommendations.models,
             strategy: analysisResult.recommendations.strategy,
             confidence: analysisResult.confidence_score,
@@ -620,6 +932,7 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
 
         // Update learning patterns
         this._updateLearningPatterns(decision);
+        this._retrainClassifier();
 
         // Persist to disk (async)
         this._persistDecisionHistory().catch(console.error);
@@ -643,14 +956,401 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
         pattern.decisions.push(decision);
         pattern.last_updated = new Date().toISOString();
 
-        // Calculate success rate (placeholder - would need feedback mechanism)
-        pattern.success_rate = pattern.decisions.length > 0 ?
-            pattern.decisions.filter(d => d.confidence > 0.8).length / pattern.decisions.length : 0;
-
         // Limit pattern history
         if (pattern.decisions.length > 100) {
             pattern.decisions = pattern.decisions.slice(-50);
         }
+
+        this._updatePatternSuccessRate(pattern);
+    }
+
+    /**
+     * 📈 Average success score of the rated decisions of a category
+     */
+    _updatePatternSuccessRate(pattern) {
+        const ratedDecisions = this._getRatedDecisions(pattern);
+
+        pattern.success_rate = ratedDecisions.length > 0 ? _.meanBy(ratedDecisions, 'success_score') : 0;
+        pattern.rated_decisions = ratedDecisions.length;
+    }
+
+    // ===========================================
+    // OUTCOME FEEDBACK
+    // ===========================================
+
+    /**
+     * 👍 Record user feedback on an analysis
+     * @param {String} analysisId - analysis_id of the recommendation
+     * @param {Object} feedback - { rating (1-5), thumbs ('up'|'down'), regenerated (boolean),
+     *   preferred_model (the answer the user picked), category (the right category, retrains
+     *   the classifier), rejected + reasons (recommendation turned down), comment, source }
+     * @returns {Promise<Object>} - Updated outcome of the analysis (see _describeOutcome)
+     */
+    async recordFeedback(analysisId, feedback = {}) {
+        const decision = this._requireDecision(analysisId);
+
+        decision.feedback = [...(decision.feedback || []), this._normalizeFeedback(feedback, decision)];
+        this._refreshOutcomeLearning(decision);
+
+        await this._persistDecisionHistory();
+
+        console.log(`👍 Athena feedback for ${analysisId}: success score ${decision.success_score === null ? 'n/a' : decision.success_score.toFixed(2)}`);
+        return this._describeOutcome(decision);
+    }
+
+    /**
+     * ⏱️ Record what the orchestration of an applied analysis measured
+     * @param {String} analysisId - analysis_id of the recommendation
+     * @param {Object} outcome - { conversation_id, latency_ms, error, synthesis_cost,
+     *   models: [{ model, latency_ms, cost, error }] }
+     * @returns {Promise<Object>} - Updated outcome of the analysis (see _describeOutcome)
+     */
+    async recordOutcome(analysisId, outcome = {}) {
+        const decision = this._requireDecision(analysisId);
+        const models = (outcome.models || []).map(result => ({
+            model: result.model,
+            latency_ms: result.latency_ms || 0,
+            cost: result.cost || 0,
+            error: result.error || null
+        }));
+        const errors = models.filter(result => result.error).length;
+
+        decision.outcome = {
+            conversation_id: outcome.conversation_id || null,
+            latency_ms: outcome.latency_ms || 0,
+            total_cost: Math.round((_.sumBy(models, 'cost') + (outcome.synthesis_cost || 0)) * 1e6) / 1e6,
+            error: outcome.error || null,
+            error_rate: models.length > 0 ? errors / models.length : (outcome.error ? 1 : 0),
+            models,
+            recorded_at: new Date().toISOString()
+        };
+        if (outcome.conversation_id) {
+            decision.conversation_id = outcome.conversation_id;
+            await analysisStore.linkConversation(analysisId, outcome.conversation_id).catch(error => {
+                console.warn(`⚠️ Could not link analysis ${analysisId} to ${outcome.conversation_id}:`, error.message);
+            });
+        }
+
+        this._refreshOutcomeLearning(decision);
+        await this._persistDecisionHistory();
+
+        return this._describeOutcome(decision);
+    }
+
+    /**
+     * ✅ Record how a recommendation was launched. User overrides replace the
+     * recommended models and strategy on the decision (the original ones are
+     * kept in recommended), so outcomes are credited to what actually ran.
+     * @param {String} analysisId - analysis_id of the recommendation
+     * @param {Object} application - { conversation_id, models, strategy, weights, manual }
+     * @returns {Promise<Object>} - Updated outcome of the analysis (see _describeOutcome)
+     */
+    async recordApplication(analysisId, { conversation_id, models, strategy, weights = {}, manual = false }) {
+        const decision = this._requireDecision(analysisId);
+        const recommended = decision.recommended || { models: decision.models, strategy: decision.strategy };
+
+        decision.recommended = recommended;
+        decision.applied = {
+            models,
+            strategy,
+            weights,
+            manual,
+            overridden: strategy !== recommended.strategy ||
+                !_.isEqual([...models].sort(), [...recommended.models].sort()),
+            conversation_id,
+            applied_at: new Date().toISOString()
+        };
+        decision.models = models;
+        decision.strategy = strategy;
+        decision.conversation_id = conversation_id;
+
+        await analysisStore.linkConversation(analysisId, conversation_id).catch(error => {
+            console.warn(`⚠️ Could not link analysis ${analysisId} to ${conversation_id}:`, error.message);
+        });
+
+        this._refreshOutcomeLearning(decision);
+        await this._persistDecisionHistory();
+
+        return { ...this._describeOutcome(decision), applied: decision.applied };
+    }
+
+    _requireDecision(analysisId) {
+        const decision = this._findDecision(analysisId);
+        if (!decision) {
+            throw this._createFeedbackError(`Unknown analysis: ${analysisId}`, 'analysis_not_found');
+        }
+        return decision;
+    }
+
+    _findDecision(analysisId) {
+        if (!analysisId) return null;
+
+        const decision = _.findLast(this.decisionHistory, d => d.id === analysisId);
+        if (decision) return decision;
+
+        for (const pattern of this.learningPatterns.values()) {
+            const found = pattern.decisions.find(d => d.id === analysisId);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    _normalizeFeedback(feedback, decision) {
+        const entry = { received_at: new Date().toISOString(), source: feedback.source || 'api' };
+
+        if (feedback.rating !== undefined && feedback.rating !== null) {
+            const rating = Number(feedback.rating);
+            if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
+                throw this._createFeedbackError('rating must be a number between 1 and 5', 'invalid_feedback');
+            }
+            entry.rating = rating;
+        }
+
+        if (feedback.thumbs !== undefined && feedback.thumbs !== null) {
+            if (feedback.thumbs !== 'up' && feedback.thumbs !== 'down') {
+                throw this._createFeedbackError('thumbs must be "up" or "down"', 'invalid_feedback');
+            }
+            entry.thumbs = feedback.thumbs;
+        }
+
+        if (feedback.regenerated === true) {
+            entry.regenerated = true;
+        }
+
+        if (feedback.preferred_model) {
+            const candidates = [
+                ...decision.models,
+                ...(decision.outcome ? decision.outcome.models.map(result => result.model) : [])
+            ];
+            if (!candidates.includes(feedback.preferred_model)) {
+                throw this._createFeedbackError(
+                    `preferred_model must be one of the models of the analysis (${_.uniq(candidates).join(', ')})`,
+                    'invalid_feedback'
+                );
+            }
+            entry.preferred_model = feedback.preferred_model;
+        }
+
+        if (feedback.category) {
+            if (!this.promptCategories.has(feedback.category)) {
+                throw this._createFeedbackError(
+                    `category must be one of: ${Array.from(this.promptCategories.keys()).join(', ')}`,
+                    'invalid_feedback'
+                );
+            }
+            entry.category = feedback.category;
+        }
+
+        if (feedback.rejected === true) {
+            const reasons = [].concat(feedback.reasons || []);
+            const unknown = reasons.filter(reason => !this.rejectionReasons.includes(reason));
+            if (unknown.length > 0) {
+                throw this._createFeedbackError(
+                    `Unknown rejection reasons: ${unknown.join(', ')} (allowed: ${this.rejectionReasons.join(', ')})`,
+                    'invalid_feedback'
+                );
+            }
+            entry.rejected = true;
+            entry.reasons = reasons.length > 0 ? reasons : ['other'];
+        }
+
+        if (entry.rating === undefined && !entry.thumbs && !entry.regenerated && !entry.preferred_model &&
+            !entry.category && !entry.rejected) {
+            throw this._createFeedbackError(
+                'Feedback needs at least one of rating, thumbs, regenerated, preferred_model, category or rejected',
+                'invalid_feedback'
+            );
+        }
+
+        if (typeof feedback.comment === 'string' && feedback.comment.trim()) {
+            entry.comment = feedback.comment.trim().substring(0, 1000);
+        }
+
+        return entry;
+    }
+
+    /**
+     * 🎯 Success score of a decision (0-1): weighted mean of the user signals
+     * and of the measured outcome (errors, latency over the target). Without
+     * user signals the outcome is balanced by a neutral prior, so a clean run
+     * alone never counts as a highly successful pattern.
+     */
+    _computeSuccessScore(decision) {
+        const signals = [];
+
+        (decision.feedback || []).forEach(entry => {
+            if (entry.rating !== undefined) signals.push([(entry.rating - 1) / 4, 1]);
+            if (entry.thumbs) signals.push([entry.thumbs === 'up' ? 1 : 0, 1]);
+            if (entry.regenerated) signals.push([0.2, 0.5]);
+            if (entry.preferred_model) signals.push([0.7, 0.25]); // At least one answer was worth picking
+            if (entry.rejected) signals.push([0, 1]);
+        });
+
+        if (decision.outcome) {
+            if (signals.length === 0) signals.push([0.5, 0.5]);
+
+            const latency = decision.outcome.latency_ms;
+            const latencyFactor = latency > this.targetLatencyMs ? Math.max(0.5, this.targetLatencyMs / latency) : 1;
+            signals.push([(1 - decision.outcome.error_rate) * latencyFactor, 0.5]);
+        }
+
+        if (signals.length === 0) return null;
+
+        const totalWeight = _.sumBy(signals, ([, weight]) => weight);
+        const score = signals.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight;
+        return Math.round(score * 1000) / 1000;
+    }
+
+    /**
+     * 🤖 Per-model scores of a decision: a failed model scores 0, a preferred
+     * model 1 and the models passed over at most 0.5
+     */
+    _getModelScores(decision) {
+        const outcomeModels = decision.outcome ? decision.outcome.models : [];
+        const models = outcomeModels.length > 0 ? outcomeModels.map(result => result.model) : decision.models;
+        const preferred = _.findLast(decision.feedback || [], entry => entry.preferred_model);
+
+        return models.map(model => {
+            const result = outcomeModels.find(item => item.model === model);
+            let score = decision.success_score;
+
+            if (result && result.error) {
+                score = 0;
+            } else if (preferred) {
+                score = model === preferred.preferred_model ? 1 : Math.min(score, 0.5);
+            }
+
+            return { model, score, result };
+        });
+    }
+
+    /**
+     * 🔄 Rescore a decision and rebuild everything learned from outcomes
+     */
+    _refreshOutcomeLearning(decision) {
+        decision.success_score = this._computeSuccessScore(decision);
+
+        const pattern = this.learningPatterns.get(decision.category);
+        if (pattern) {
+            this._updatePatternSuccessRate(pattern);
+        }
+
+        this._rebuildModelPerformance();
+        this.bandit.train(this.decisionHistory);
+        this._retrainClassifier();
+    }
+
+    /**
+     * 📊 Model performance from the rated decisions in the history
+     * (recomputed from scratch, so repeated feedback on a decision never double counts)
+     */
+    _rebuildModelPerformance() {
+        const stats = new Map();
+        const { rate: priorRate, weight: priorWeight } = this.successPrior;
+        const smooth = (sum, samples) => Math.round(((sum + priorRate * priorWeight) / (samples + priorWeight)) * 1000) / 1000;
+
+        this.decisionHistory
+            .filter(decision => typeof decision.success_score === 'number')
+            .forEach(decision => {
+                const preferred = _.findLast(decision.feedback || [], entry => entry.preferred_model);
+
+                this._getModelScores(decision).forEach(({ model, score, result }) => {
+                    if (!stats.has(model)) {
+                        stats.set(model, {
+                            samples: 0, score_sum: 0, runs: 0, errors: 0,
+                            latency_sum: 0, cost_sum: 0, preferred: 0, categories: {}
+                        });
+                    }
+
+                    const entry = stats.get(model);
+                    entry.samples++;
+                    entry.score_sum += score;
+                    if (preferred && preferred.preferred_model === model) entry.preferred++;
+
+                    if (result) {
+                        entry.runs++;
+                        entry.errors += result.error ? 1 : 0;
+                        entry.latency_sum += result.latency_ms;
+                        entry.cost_sum += result.cost;
+                    }
+
+                    const category = entry.categories[decision.category] || { samples: 0, score_sum: 0 };
+                    category.samples++;
+                    category.score_sum += score;
+                    entry.categories[decision.category] = category;
+                });
+            });
+
+        this.modelPerformance = new Map(Array.from(stats.entries()).map(([model, entry]) => [model, {
+            samples: entry.samples,
+            success_rate: smooth(entry.score_sum, entry.samples),
+            error_rate: entry.runs > 0 ? Math.round((entry.errors / entry.runs) * 1000) / 1000 : 0,
+            avg_latency_ms: entry.runs > 0 ? Math.round(entry.latency_sum / entry.runs) : null,
+            avg_cost: entry.runs > 0 ? Math.round((entry.cost_sum / entry.runs) * 1e6) / 1e6 : null,
+            preferred_count: entry.preferred,
+            categories: _.mapValues(entry.categories, category => ({
+                samples: category.samples,
+                success_rate: smooth(category.score_sum, category.samples)
+            })),
+            last_updated: new Date().toISOString()
+        }]));
+    }
+
+    /**
+     * 🏷️ Retrain the offline classifier: the category keywords bootstrap it,
+     * stored decisions teach it. Categories corrected by the user weigh double;
+     * the classifier's own answers only count once an outcome confirmed them,
+     * and poorly rated decisions are left out (their category is doubtful).
+     */
+    _retrainClassifier() {
+        const examples = Array.from(this.promptCategories.entries()).map(([categoryName, categoryData]) => {
+            const patternWords = (categoryData.patterns.source.match(/\(([^)]*)\)/) || [null, ''])[1].split('|');
+            const words = [categoryName, ...categoryData.keywords, ...patternWords].filter(Boolean);
+
+            return {
+                features: _.uniq(words.flatMap(word => PromptClassifier.extractFeatures(word))),
+                label: categoryName,
+                weight: 1
+            };
+        });
+
+        this.decisionHistory
+            .filter(decision => decision.features && decision.features.length > 0)
+            .forEach(decision => {
+                const correction = _.findLast(decision.feedback || [], entry => entry.category);
+                const rated = typeof decision.success_score === 'number';
+
+                if (correction) {
+                    examples.push({ features: decision.features, label: correction.category, weight: 2 });
+                } else if (!this.promptCategories.has(decision.category) || (rated && decision.success_score < 0.3)) {
+                    return;
+                } else if (decision.analysis_source === 'local') {
+                    if (rated && decision.success_score >= 0.6) {
+                        examples.push({ features: decision.features, label: decision.category, weight: 0.5 });
+                    }
+                } else {
+                    examples.push({ features: decision.features, label: decision.category, weight: 1 });
+                }
+            });
+
+        this.classifier.train(examples);
+    }
+
+    _describeOutcome(decision) {
+        return {
+            analysis_id: decision.id,
+            conversation_id: decision.conversation_id || null,
+            category: decision.category,
+            success_score: decision.success_score,
+            feedback_count: (decision.feedback || []).length,
+            outcome: decision.outcome || null
+        };
+    }
+
+    _createFeedbackError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     }
 
     /**
@@ -683,6 +1383,12 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
         const autoApplyRate = recentDecisions.length > 0 ?
             recentDecisions.filter(d => d.auto_applied).length / recentDecisions.length : 0;
 
+        const ratedDecisions = this.decisionHistory.filter(d => typeof d.success_score === 'number');
+        const sourceBreakdown = _.countBy(recentDecisions, d => d.analysis_source || 'cloud');
+        const rejections = this.decisionHistory
+            .flatMap(d => (d.feedback || []).filter(entry => entry.rejected))
+            .flatMap(entry => entry.reasons);
+
         return {
             enabled: this.enabled,
             available: this.isAvailable,
@@ -695,6 +1401,23 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
             strategy_breakdown: strategyBreakdown,
             model_usage: modelUsage,
             learning_patterns: this.learningPatterns.size,
+            feedback: {
+                rated_decisions: ratedDecisions.length,
+                average_success_score: ratedDecisions.length > 0 ? _.meanBy(ratedDecisions, 'success_score') : null,
+                applied_decisions: this.decisionHistory.filter(d => d.applied).length,
+                overridden_decisions: this.decisionHistory.filter(d => d.applied && d.applied.overridden).length,
+                rejection_reasons: _.countBy(rejections)
+            },
+            model_performance: Object.fromEntries(this.modelPerformance),
+            bandit: this.bandit.getSummary(),
+            analysis: {
+                mode: this.analysisMode,
+                cloud_available: this.cloudAvailable,
+                ollama_enabled: this.ollamaAnalysis,
+                local_confidence_threshold: this.localConfidenceThreshold,
+                source_breakdown: sourceBreakdown,
+                classifier: this.classifier.getStats()
+            },
             last_analysis: this.decisionHistory.length > 0 ?
                 this.decisionHistory[this.decisionHistory.length - 1].timestamp : null
         };
@@ -764,7 +1487,7 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
 
     _hasRelevantLearningData(categoryName) {
         const pattern = this.learningPatterns.get(categoryName);
-        return pattern && pattern.decisions.length >= 5;
+        return !!pattern && this._getRatedDecisions(pattern).length >= 5;
     }
 
     _getModelSelectionReasoning(model, category) {
@@ -850,12 +1573,21 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
                 this.learningPatterns = new Map(Object.entries(data.patterns || {}));
             }
 
+            // Patterns share decision objects with the history, so feedback updates both
+            const decisionsById = new Map(this.decisionHistory.map(decision => [decision.id, decision]));
+            this.learningPatterns.forEach(pattern => {
+                pattern.decisions = pattern.decisions.map(decision => decisionsById.get(decision.id) || decision);
+            });
+
             // Load performance metrics
             if (await fs.pathExists(this.metricsFile)) {
                 const data = await fs.readJson(this.metricsFile);
                 this.modelPerformance = new Map(Object.entries(data.metrics || {}));
             }
 
+            this.bandit.train(this.decisionHistory);
+            this._retrainClassifier();
+
             console.log(`📚 Loaded ${this.decisionHistory.length} decisions, ${this.learningPatterns.size} patterns`);
 
         } catch (error) {
@@ -881,6 +1613,12 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
 
             await fs.writeJson(this.patternsFile, patternsData, { spaces: 2 });
 
+            // And the model performance learned from outcome feedback
+            await fs.writeJson(this.metricsFile, {
+                metrics: Object.fromEntries(this.modelPerformance),
+                last_updated: new Date().toISOString()
+            }, { spaces: 2 });
+
         } catch (error) {
             console.warn('⚠️ Could not persist Athena data:', error.message);
         }
@@ -893,8 +1631,11 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
         this.decisionHistory = [];
         this.learningPatterns.clear();
         this.modelPerformance.clear();
+        this.bandit.train([]);
+        this._retrainClassifier();
 
         try {
+            await analysisStore.clear();
             await fs.remove(this.dataDir);
             await this._initializeDataDirectory();
             console.log('🧹 Athena data cleared successfully');
@@ -907,14 +1648,28 @@ Be concise and accurate. Focus on the core task type and optimal orchestration a
      * ⚙️ Update Athena configuration
      */
     updateConfig(config) {
+        const explorationRate = config.exploration_rate !== undefined ? Number(config.exploration_rate) : null;
+        if (explorationRate !== null && !(explorationRate >= 0 && explorationRate <= 1)) {
+            throw new Error('exploration_rate must be a number between 0 and 1');
+        }
+        if (config.analysis_mode !== undefined && !['auto', 'local', 'cloud'].includes(config.analysis_mode)) {
+            throw new Error('analysis_mode must be one of: auto, local, cloud');
+        }
+
         if (config.enabled !== undefined) this.enabled = config.enabled;
         if (config.confidence_threshold !== undefined) this.confidence_threshold = config.confidence_threshold;
         if (config.learning_enabled !== undefined) this.learning_enabled = config.learning_enabled;
+        if (explorationRate !== null) this.bandit.explorationRate = explorationRate;
+        if (config.analysis_mode !== undefined) this.analysisMode = config.analysis_mode;
+        if (config.local_confidence_threshold !== undefined) this.localConfidenceThreshold = config.local_confidence_threshold;
 
         console.log('⚙️ Athena configuration updated:', {
             enabled: this.enabled,
             confidence_threshold: this.confidence_threshold,
-            learning_enabled: this.learning_enabled
+            learning_enabled: this.learning_enabled,
+            exploration_rate: this.bandit.explorationRate,
+            analysis_mode: this.analysisMode,
+            local_confidence_threshold: this.localConfidenceThreshold
         });
     }
 }
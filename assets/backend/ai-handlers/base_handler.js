@@ -1,13 +1,92 @@
 // assets/backend/ai-handlers/base_handler.js
 
+const axios = require('axios');
+const { readStreamToString } = require('./stream_parsers');
+const { normalizeMessages, splitSystemMessages, truncateMessages } = require('./conversation_messages');
+const modelPricing = require('./model_pricing');
+const {
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  createCircuitOpenError,
+  getRetryDelay,
+  sleep,
+  CircuitBreaker,
+} = require('./provider_resilience');
+
 /**
  * Classe base per tutti gli handler AI
+ *
+ * Contratto comune dei provider:
+ * - generateResponse(input, options) → { content, model, usage, cost, finishReason, latencyMs }
+ * - processStream(input, options) → async iterator di eventi
+ *     { type: 'text', text } per ogni delta e un evento finale
+ *     { type: 'usage', content, model, usage, cost, finishReason, latencyMs, timeToFirstTokenMs, cancelled }
+ * - process(prompt, conversationId) → String (compatibilità con il codice esistente;
+ *     in caso di errore solleva il ProviderError invece di restituire un messaggio)
+ *
+ * input è un prompt testuale oppure una lista di messaggi
+ * { role: 'system' | 'user' | 'assistant', content, images } (vedi conversation_messages).
+ * La cronologia può essere passata anche come options.history.
+ *
+ * Le sottoclassi implementano _generate(prompt, options), che riceve le
+ * opzioni già normalizzate e restituisce { content, model, usage, finishReason },
+ * e, se il provider supporta lo streaming nativo, _stream(prompt, options).
+ * options.messages contiene la conversazione (senza messaggi system, già
+ * troncata alla finestra di contesto), options.system il system prompt unificato
+ * e prompt il testo dell'ultimo messaggio utente.
+ *
+ * Annullamento: options.signal (AbortSignal) va inoltrato alla richiesta HTTP
+ * o al processo locale. Se il segnale scatta durante lo streaming, l'evento
+ * finale riporta il testo parziale, i token stimati e finishReason 'cancelled'.
+ *
+ * Costo: calcolato dall'usage con il listino di model_pricing; gli handler
+ * locali (isLocal) hanno sempre costo zero.
+ *
+ * Strumenti: gli handler con supportsTools traducono options.tools
+ * ([{ name, description, parameters }], vedi tool_registry) nel formato del
+ * provider e restituiscono le chiamate richieste dal modello in toolCalls
+ * [{ id, name, arguments }] con finishReason 'tool_calls'. L'esecuzione degli
+ * strumenti e il ciclo di chiamate sono gestiti da tool_agent.
+ *
+ * Immagini: solo i modelli multimodali (visionModels, vedi supportsImages)
+ * ricevono le immagini dei messaggi; per un modello solo testuale la chiamata
+ * fallisce subito con code 'images_not_supported'.
+ *
+ * Errori: ogni errore del provider viene classificato (vedi provider_resilience)
+ * e sollevato come ProviderError { type, status, retryable, retryAfterMs }.
+ * Gli errori temporanei (rate limit, sovraccarico, timeout, rete) vengono
+ * ritentati con backoff esponenziale; dopo troppi errori consecutivi il
+ * circuit breaker del provider rifiuta le chiamate fino al raffreddamento.
+ * Un errore non diventa mai il testo di una risposta.
  */
 class BaseAIHandler {
   constructor(name) {
     this.name = name;
     this.isAvailable = false;
     this.apiKey = null;
+    this.model = null;
+    this.notConfiguredMessage = `${name} non configurato`;
+    this.supportsStreaming = false; // true se l'handler implementa _stream nativo
+    this.contextWindow = 8192; // Token di contesto del modello (prompt + risposta)
+    this.isLocal = false; // true per i modelli eseguiti in locale (costo zero)
+    this.visionModels = null; // RegExp dei modelli che accettano immagini (null: solo testo)
+    this.supportsTools = false; // true se l'handler traduce options.tools (function calling)
+
+    // Opzioni predefinite per ogni chiamata (sovrascrivibili per singola richiesta)
+    this.defaultOptions = {
+      temperature: 0.7,
+      max_tokens: 1000,
+      timeout: 60000,
+      system: null,
+      stop: [],
+      signal: null,
+      history: [],
+      tools: [],
+      toolChoice: null,
+    };
+
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY };
+    this.circuitBreaker = new CircuitBreaker(name);
   }
 
   /**
@@ -28,6 +107,244 @@ class BaseAIHandler {
     return this.isAvailable;
   }
 
+  /**
+   * Finestra di contesto del modello corrente
+   * @returns {Number} - Numero massimo di token (prompt + risposta)
+   */
+  getContextWindow() {
+    return this.contextWindow;
+  }
+
+  /**
+   * Verifica se il modello accetta immagini in input
+   * @param {String} model - Modello da verificare (default: modello corrente)
+   * @returns {Boolean} - true se il modello è multimodale
+   */
+  supportsImages(model = this.model) {
+    return !!(this.visionModels && model && this.visionModels.test(model));
+  }
+
+  /**
+   * Genera una risposta con metadati di utilizzo
+   * @param {String|Array<Object>} input - Prompt o lista di messaggi
+   * @param {Object} options - Opzioni per la singola chiamata
+   * @param {Number} options.temperature - Temperatura di campionamento
+   * @param {Number} options.max_tokens - Numero massimo di token generati
+   * @param {Number} options.timeout - Timeout della richiesta in ms
+   * @param {String} options.system - System prompt
+   * @param {String|Array<String>} options.stop - Sequenze di stop
+   * @param {AbortSignal} options.signal - Segnale di annullamento
+   * @param {Array<Object>} options.history - Messaggi precedenti della conversazione
+   * @param {Number} options.maxRetries - Tentativi aggiuntivi sugli errori temporanei (default da retryPolicy)
+   * @param {Array<Object>} options.tools - Strumenti disponibili al modello (solo con supportsTools)
+   * @param {String} options.toolChoice - 'auto' | 'none' | 'required' (default del provider)
+   * @returns {Promise<Object>} - { content, model, usage, cost, finishReason, latencyMs, toolCalls }
+   */
+  async generateResponse(input, options = {}) {
+    if (!this.checkAvailability()) {
+      throw new Error(this.notConfiguredMessage);
+    }
+
+    const { prompt, promptText, callOptions } = this._prepareCall(input, options);
+    this._throwIfCancelled(callOptions.signal);
+    const startTime = Date.now();
+
+    const result = await this._withRetry(() => this._generate(prompt, callOptions), callOptions);
+    const content = (result.content || '').trim();
+    const model = result.model || this.model;
+    const usage = this._normalizeUsage(result.usage, promptText, content);
+    const toolCalls = result.toolCalls || [];
+
+    // Una risposta bloccata dai filtri del provider non è una risposta
+    if (!content && result.finishReason === 'content_filter') {
+      throw this._createContentFilterError();
+    }
+
+    const response = {
+      content,
+      model,
+      usage,
+      cost: this._calculateCost(model, usage),
+      // Alcuni provider (Gemini, Ollama) chiudono con 'stop' anche quando chiamano strumenti
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : (result.finishReason || 'stop'),
+      latencyMs: Date.now() - startTime,
+    };
+
+    if (toolCalls.length > 0) response.toolCalls = toolCalls;
+
+    return response;
+  }
+
+  /**
+   * Genera una risposta in streaming
+   * @param {String|Array<Object>} input - Prompt o lista di messaggi
+   * @param {Object} options - Opzioni per la singola chiamata (vedi generateResponse)
+   * @returns {AsyncGenerator<Object>} - Eventi { type: 'text', text } e un evento finale { type: 'usage', ... }
+   */
+  async *processStream(input, options = {}) {
+    if (!this.checkAvailability()) {
+      throw new Error(this.notConfiguredMessage);
+    }
+
+    // Le chiamate di strumenti passano dal ciclo di tool_agent, non dallo streaming
+    const { prompt, promptText, callOptions } = this._prepareCall(input, { ...options, tools: [] });
+    this._throwIfCancelled(callOptions.signal);
+    const startTime = Date.now();
+    let timeToFirstTokenMs = null;
+    let content = '';
+    let metadata = {};
+
+    const trial = this._acquireCircuit();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          for await (const event of this._stream(prompt, callOptions)) {
+            if (event.type === 'text') {
+              if (!event.text) continue;
+              if (timeToFirstTokenMs === null) {
+                timeToFirstTokenMs = Date.now() - startTime;
+              }
+              content += event.text;
+              yield { type: 'text', text: event.text };
+            } else if (event.type === 'metadata') {
+              metadata = { ...metadata, ...event };
+            }
+          }
+          this.circuitBreaker.recordSuccess();
+          break;
+        } catch (error) {
+          // L'annullamento interrompe lo stream: si chiude con il testo parziale
+          if (this._isCancelled(callOptions.signal)) break;
+
+          const providerError = classifyError(error, this.name);
+
+          // Si ritenta solo se il client non ha ancora ricevuto testo
+          if (content) {
+            providerError.attempts = attempt + 1;
+            this.circuitBreaker.recordFailure(providerError);
+            throw providerError;
+          }
+
+          const delay = await this._prepareRetry(providerError, attempt, callOptions);
+          if (delay === null) throw providerError;
+          metadata = {};
+        }
+      }
+    } finally {
+      // Stream annullato o abbandonato dal consumatore durante la prova half_open
+      if (trial) this.circuitBreaker.releaseTrial();
+    }
+
+    if (!content && metadata.finishReason === 'content_filter' && !this._isCancelled(callOptions.signal)) {
+      throw this._createContentFilterError();
+    }
+
+    const cancelled = this._isCancelled(callOptions.signal);
+    const model = metadata.model || this.model;
+    // Uno stream interrotto non riceve l'usage finale del provider: i token vengono stimati
+    const usage = this._normalizeUsage(cancelled ? null : metadata.usage, promptText, content);
+
+    yield {
+      type: 'usage',
+      content,
+      model,
+      usage,
+      cost: this._calculateCost(model, usage),
+      finishReason: cancelled ? 'cancelled' : (metadata.finishReason || 'stop'),
+      latencyMs: Date.now() - startTime,
+      timeToFirstTokenMs,
+      cancelled,
+    };
+  }
+
+  /**
+   * Streaming specifico del provider. L'implementazione predefinita ricade su
+   * _generate ed emette la risposta completa come unico delta.
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate
+   * @returns {AsyncGenerator<Object>} - { type: 'text', text } e { type: 'metadata', model, usage, finishReason }
+   */
+  async *_stream(prompt, options) {
+    const result = await this._generate(prompt, options);
+    yield { type: 'text', text: result.content || '' };
+    yield {
+      type: 'metadata',
+      model: result.model,
+      usage: result.usage,
+      finishReason: result.finishReason,
+    };
+  }
+
+  /**
+   * Esegue una POST in modalità stream. Se il provider risponde con errore,
+   * il corpo viene letto e decodificato per rendere leggibile il messaggio.
+   * @param {String} url - Endpoint
+   * @param {Object} body - Corpo della richiesta
+   * @param {Object} config - Configurazione axios (headers, timeout)
+   * @returns {Promise<Readable>} - Stream della risposta
+   */
+  async _postStream(url, body, config = {}) {
+    try {
+      const response = await axios.post(url, body, { ...config, responseType: 'stream' });
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      if (data && typeof data.on === 'function') {
+        const raw = await readStreamToString(data);
+        try {
+          error.response.data = JSON.parse(raw);
+        } catch (parseError) {
+          error.response.data = raw;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Normalizza opzioni e messaggi della chiamata, troncando la cronologia
+   * alla finestra di contesto del modello
+   * @param {String|Array<Object>} input - Prompt o lista di messaggi
+   * @param {Object} options - Opzioni della chiamata
+   * @returns {Object} - { prompt, promptText, callOptions }
+   */
+  _prepareCall(input, options) {
+    const callOptions = this._resolveOptions(options);
+    const { system, messages } = splitSystemMessages(
+      normalizeMessages(input, callOptions.history),
+      callOptions.system
+    );
+
+    // Spazio per i messaggi: contesto meno risposta attesa e system prompt
+    const budget = this.getContextWindow() - callOptions.max_tokens - this._estimateTokens(system);
+    const truncated = truncateMessages(messages, Math.max(0, budget), text => this._estimateTokens(text));
+
+    if (truncated.droppedMessages > 0) {
+      console.log(`[${this.name}] Cronologia troncata: ${truncated.droppedMessages} messaggi esclusi dal contesto`);
+    }
+
+    // Un modello solo testuale risponderebbe senza vedere le immagini
+    if (!this.supportsImages() && truncated.messages.some(message => message.images.length > 0)) {
+      throw this._createImagesNotSupportedError();
+    }
+
+    callOptions.system = system;
+    callOptions.messages = truncated.messages;
+    if (!this.supportsTools) callOptions.tools = [];
+
+    const lastUserMessage = [...truncated.messages].reverse().find(message => message.role === 'user');
+    const promptText = [system, ...truncated.messages.map(message => message.content)]
+      .filter(Boolean)
+      .join('\n\n');
+
+    return {
+      prompt: lastUserMessage ? lastUserMessage.content : '',
+      promptText,
+      callOptions,
+    };
+  }
+
   /**
    * Elabora una prompt e restituisce una risposta
    * @param {String} prompt - Prompt da elaborare
@@ -35,19 +352,230 @@ class BaseAIHandler {
    * @returns {Promise<String>} - Risposta elaborata
    */
   async process(prompt, conversationId) {
-    throw new Error('Il metodo process deve essere implementato dalle sottoclassi');
+    try {
+      const response = await this.generateResponse(prompt);
+      return response.content;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Esegue una chiamata al provider con retry e circuit breaker
+   * @param {Function} operation - Chiamata da eseguire (restituisce una Promise)
+   * @param {Object} callOptions - Opzioni normalizzate (signal, maxRetries)
+   * @returns {Promise<*>} - Risultato della chiamata
+   */
+  async _withRetry(operation, callOptions) {
+    const { signal } = callOptions;
+    const trial = this._acquireCircuit();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await operation();
+          this.circuitBreaker.recordSuccess();
+          return result;
+        } catch (error) {
+          // Errori di rete causati dall'annullamento: riporta un errore uniforme
+          this._throwIfCancelled(signal);
+
+          const providerError = classifyError(error, this.name);
+          const delay = await this._prepareRetry(providerError, attempt, callOptions);
+          if (delay === null) throw providerError;
+        }
+      }
+    } finally {
+      // Chiamata annullata durante la prova half_open: la prova torna disponibile
+      if (trial) this.circuitBreaker.releaseTrial();
+    }
+  }
+
+  /**
+   * Registra il fallimento di un tentativo e attende prima del successivo
+   * @param {Error} providerError - Errore classificato
+   * @param {Number} attempt - Indice del tentativo fallito (da 0)
+   * @param {Object} callOptions - Opzioni normalizzate (signal, maxRetries)
+   * @returns {Promise<Number|null>} - Attesa effettuata, null se non si ritenta
+   */
+  async _prepareRetry(providerError, attempt, callOptions) {
+    const { signal } = callOptions;
+    const policy = callOptions.maxRetries === undefined
+      ? this.retryPolicy
+      : { ...this.retryPolicy, maxRetries: callOptions.maxRetries };
+
+    providerError.attempts = attempt + 1;
+    this.circuitBreaker.recordFailure(providerError);
+
+    const delay = getRetryDelay(providerError, attempt, policy);
+    // Se il circuito si è aperto durante i tentativi non si insiste
+    if (delay === null || this.circuitBreaker.state === 'open') return null;
+
+    console.warn(`[${this.name}] ${providerError.type} (tentativo ${attempt + 1}/${policy.maxRetries + 1}), nuovo tentativo tra ${delay}ms`);
+    await sleep(delay, signal);
+    this._throwIfCancelled(signal);
+    return delay;
+  }
+
+  /**
+   * Rifiuta la chiamata senza contattare il provider se il circuito è aperto
+   * @returns {Boolean} - true se la chiamata è la richiesta di prova in half_open
+   */
+  _acquireCircuit() {
+    if (!this.circuitBreaker.tryAcquire()) {
+      throw createCircuitOpenError(this.name, this.circuitBreaker.getState());
+    }
+    return this.circuitBreaker.state === 'half_open';
+  }
+
+  _createContentFilterError() {
+    const error = new Error(`Risposta di ${this.name} bloccata dai filtri di contenuto`);
+    error.contentFiltered = true;
+    return classifyError(error, this.name);
+  }
+
+  _createImagesNotSupportedError() {
+    const error = new Error(`${this.name} (${this.model}) non accetta immagini in input`);
+    error.name = 'ProviderError';
+    error.provider = this.name;
+    error.type = 'bad_request';
+    error.code = 'images_not_supported';
+    error.status = null;
+    error.retryable = false;
+    error.retryAfterMs = null;
+    return error;
+  }
+
+  /**
+   * Stato di salute del provider (circuit breaker e politica di retry)
+   * @returns {Object} - { available, circuit, retryPolicy }
+   */
+  getResilienceStatus() {
+    return {
+      available: this.checkAvailability(),
+      circuit: this.circuitBreaker.getState(),
+      retryPolicy: { ...this.retryPolicy },
+    };
+  }
+
+  /**
+   * Chiamata specifica del provider, da implementare nelle sottoclassi
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate (vedi _resolveOptions)
+   * @returns {Promise<Object>} - { content, model, usage, finishReason }
+   */
+  async _generate(prompt, options) {
+    throw new Error('Il metodo _generate deve essere implementato dalle sottoclassi');
+  }
+
+  /**
+   * Unisce le opzioni della chiamata con quelle predefinite
+   * @param {Object} options - Opzioni della chiamata
+   * @returns {Object} - Opzioni normalizzate
+   */
+  _resolveOptions(options = {}) {
+    const resolved = { ...this.defaultOptions };
+
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) {
+        resolved[key] = value;
+      }
+    }
+
+    // Accetta anche le varianti camelCase usate da alcuni chiamanti
+    if (options.maxTokens !== undefined) resolved.max_tokens = options.maxTokens;
+    if (options.systemPrompt !== undefined) resolved.system = options.systemPrompt;
+
+    if (!resolved.stop) {
+      resolved.stop = [];
+    } else if (!Array.isArray(resolved.stop)) {
+      resolved.stop = [resolved.stop];
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Normalizza il blocco usage del provider
+   * @param {Object} usage - { promptTokens, completionTokens } restituiti dal provider
+   * @param {String} prompt - Prompt inviato (per la stima se il provider non riporta usage)
+   * @param {String} content - Testo generato
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens, estimated }
+   */
+  _normalizeUsage(usage, prompt, content) {
+    if (!usage) {
+      const promptTokens = this._estimateTokens(prompt);
+      const completionTokens = this._estimateTokens(content);
+      return {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        estimated: true,
+      };
+    }
+
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      estimated: false,
+    };
+  }
+
+  /**
+   * Costo della chiamata secondo il listino prezzi
+   * @param {String} model - Modello del provider
+   * @param {Object} usage - Usage normalizzato
+   * @returns {Object} - { inputCost, outputCost, totalCost, currency, pricingSource }
+   */
+  _calculateCost(model, usage) {
+    return modelPricing.calculateCost(this.name, model, usage, { local: this.isLocal });
+  }
+
+  /**
+   * Stima approssimativa dei token (~4 caratteri per token)
+   * @param {String} text - Testo
+   * @returns {Number} - Numero stimato di token
+   */
+  _estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+  }
+
+  /**
+   * Verifica se la chiamata è stata annullata
+   * @param {AbortSignal} signal - Segnale di annullamento
+   * @returns {Boolean} - true se il segnale è scattato
+   */
+  _isCancelled(signal) {
+    return !!(signal && signal.aborted);
+  }
+
+  /**
+   * Lancia un errore di annullamento se il segnale è scattato
+   * @param {AbortSignal} signal - Segnale di annullamento
+   */
+  _throwIfCancelled(signal) {
+    if (this._isCancelled(signal)) {
+      const error = new Error(`Richiesta a ${this.name} annullata`);
+      error.name = 'AbortError';
+      error.code = 'ERR_CANCELED';
+      throw error;
+    }
   }
 
   /**
-   * Gestisce un errore
+   * Gestisce un errore: lo classifica e lo registra nel log
    * @param {Error} error - Errore da gestire
-   * @returns {String} - Messaggio di errore formattato
+   * @returns {Error} - ProviderError classificato (o l'AbortError originale)
    */
   handleError(error) {
-    const errorMessage = error.message || 'Errore sconosciuto';
-    console.error(`[${this.name}] Errore: ${errorMessage}`);
-    return `Il modello ${this.name} ha riscontrato un errore: ${errorMessage}`;
+    const providerError = classifyError(error, this.name);
+    console.error(`[${this.name}] Errore${providerError.type ? ` (${providerError.type})` : ''}: ${providerError.message}`);
+    return providerError;
   }
 }
 
-module.exports = BaseAIHandler;
\ No newline at end of file
+module.exports = BaseAIHandler;
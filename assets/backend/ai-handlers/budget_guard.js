@@ -0,0 +1,295 @@
+// assets/backend/ai-handlers/budget_guard.js
+const crypto = require('crypto');
+const aiRouter = require('./router');
+const modelPricing = require('./model_pricing');
+const usageTracker = require('../storage/usage_tracker');
+
+/**
+ * Controllo dei budget prima di avviare un'orchestrazione
+ *
+ * Il costo viene stimato dalla lunghezza del prompt (più la cronologia) e
+ * dai modelli selezionati, poi confrontato con i limiti configurati:
+ * per richiesta, per conversazione, giornaliero globale e giornaliero per
+ * chiave API / utente. Se la stima supera il budget l'orchestrazione viene
+ * rifiutata (modalità 'reject') oppure ridotta (modalità 'downgrade'):
+ * meno modelli, poi un modello più economico, infine un modello locale.
+ *
+ * I limiti sono in USD; null significa nessun limite.
+ */
+class BudgetGuard {
+  constructor() {
+    this.config = {
+      perRequest: this._readLimit('BUDGET_PER_REQUEST_USD'),
+      perConversation: this._readLimit('BUDGET_PER_CONVERSATION_USD'),
+      perDay: this._readLimit('BUDGET_PER_DAY_USD'),
+      perApiKeyPerDay: this._readLimit('BUDGET_PER_API_KEY_PER_DAY_USD'),
+      // downgrade | reject
+      mode: process.env.BUDGET_MODE === 'reject' ? 'reject' : 'downgrade',
+      defaultCompletionTokens: 1000
+    };
+  }
+
+  /**
+   * Aggiorna la configurazione dei budget
+   * @param {Object} config - Chiavi di this.config da sovrascrivere
+   * @returns {Object} - Configurazione risultante
+   */
+  configure(config = {}) {
+    Object.keys(this.config).forEach(key => {
+      if (config[key] !== undefined) {
+        this.config[key] = config[key];
+      }
+    });
+    return this.getConfig();
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Identificativo del chiamante per il budget per chiave/utente.
+   * La chiave API non viene mai salvata in chiaro.
+   * @param {Object} identity - { apiKey, userId }
+   * @returns {String|null} - 'user:<id>', 'key:<hash>' o null
+   */
+  resolvePrincipal({ apiKey, userId } = {}) {
+    if (userId) return `user:${userId}`;
+    if (apiKey) return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16)}`;
+    return null;
+  }
+
+  /**
+   * Stima il costo di un'orchestrazione
+   * @param {Object} params - Parametri della stima
+   * @param {String} params.prompt - Prompt dell'utente
+   * @param {Array<Object>} params.history - Cronologia inviata ai modelli
+   * @param {Array<String>} params.models - Provider selezionati
+   * @param {Number} params.maxTokens - Token di risposta attesi per modello
+   * @param {String} params.synthesisModel - Provider che sintetizza le risposte (opzionale)
+   * @returns {Object} - { totalCost, promptTokens, completionTokens, byModel, currency }
+   */
+  estimateCost({ prompt = '', history = [], models = [], maxTokens, synthesisModel = null }) {
+    const historyText = (history || []).map(message => message.content || message.text || '').join('\n');
+    const promptTokens = this._estimateTokens(prompt) + this._estimateTokens(historyText);
+    const completionTokens = maxTokens || this.config.defaultCompletionTokens;
+
+    const byModel = {};
+    models.forEach(model => {
+      byModel[model] = this._estimateCallCost(model, promptTokens, completionTokens);
+    });
+
+    // La sintesi legge il prompt e tutte le risposte
+    if (synthesisModel && models.length > 1) {
+      const synthesisCost = this._estimateCallCost(
+        synthesisModel,
+        promptTokens + models.length * completionTokens,
+        completionTokens
+      );
+      byModel[`${synthesisModel}:synthesis`] = synthesisCost;
+    }
+
+    const totalCost = Object.values(byModel).reduce((sum, cost) => sum + cost, 0);
+
+    return {
+      totalCost: this._round(totalCost),
+      promptTokens,
+      completionTokens,
+      byModel,
+      currency: modelPricing.currency
+    };
+  }
+
+  /**
+   * Verifica i budget e, se necessario, riduce la selezione dei modelli
+   * @param {Object} request - Parametri della stima (vedi estimateCost) più:
+   * @param {String} request.conversationId - Conversazione (budget per conversazione)
+   * @param {String} request.principal - Chiamante (budget per chiave API / utente)
+   * @param {String} request.mode - 'downgrade' o 'reject' (default da configurazione)
+   * @param {Boolean} request.requireImages - Il downgrade sceglie solo modelli multimodali
+   * @returns {Promise<Object>} - { allowed, downgraded, models, originalModels, estimatedCost,
+   *   originalEstimatedCost, remainingBudget, limitingScope, limits, downgrade, reason }
+   */
+  async checkBudget(request) {
+    const { models = [], conversationId = null, principal = null } = request;
+    const mode = request.mode || this.config.mode;
+    const limits = await this._getRemainingLimits({ conversationId, principal });
+    const limiting = limits.reduce((min, limit) => (!min || limit.remaining < min.remaining ? limit : min), null);
+    const remainingBudget = limiting ? limiting.remaining : null;
+
+    const originalEstimate = this.estimateCost(request);
+    const decision = {
+      allowed: true,
+      downgraded: false,
+      mode,
+      models: [...models],
+      originalModels: [...models],
+      estimatedCost: originalEstimate.totalCost,
+      originalEstimatedCost: originalEstimate.totalCost,
+      remainingBudget,
+      limitingScope: limiting ? limiting.scope : null,
+      limits,
+      currency: originalEstimate.currency,
+      downgrade: null,
+      reason: null
+    };
+
+    if (remainingBudget === null || originalEstimate.totalCost <= remainingBudget) {
+      return decision;
+    }
+
+    const reason = `Estimated cost $${originalEstimate.totalCost} exceeds the remaining ${limiting.scope} budget of $${this._round(remainingBudget)}`;
+
+    if (mode === 'downgrade') {
+      const plan = this._planDowngrade(request, remainingBudget);
+      if (plan) {
+        return {
+          ...decision,
+          downgraded: true,
+          models: plan.models,
+          estimatedCost: plan.estimatedCost,
+          downgrade: { steps: plan.steps, reason },
+          reason
+        };
+      }
+    }
+
+    return { ...decision, allowed: false, models: [], reason };
+  }
+
+  /**
+   * Errore strutturato per un'orchestrazione rifiutata
+   * @param {Object} decision - Risultato di checkBudget
+   * @returns {Error} - Errore con code 'budget_exceeded' e dettagli in budget
+   */
+  createBudgetError(decision) {
+    const error = new Error(decision.reason || 'Budget exceeded');
+    error.name = 'BudgetExceededError';
+    error.code = 'budget_exceeded';
+    error.budget = this.describeDecision(decision);
+    return error;
+  }
+
+  /**
+   * Vista compatta della decisione da includere negli eventi verso il client
+   * @param {Object} decision - Risultato di checkBudget
+   * @returns {Object} - Riepilogo serializzabile
+   */
+  describeDecision(decision) {
+    return {
+      allowed: decision.allowed,
+      downgraded: decision.downgraded,
+      models: decision.models,
+      originalModels: decision.originalModels,
+      estimatedCost: decision.estimatedCost,
+      originalEstimatedCost: decision.originalEstimatedCost,
+      remainingBudget: decision.remainingBudget === null ? null : this._round(decision.remainingBudget),
+      limitingScope: decision.limitingScope,
+      currency: decision.currency,
+      downgrade: decision.downgrade,
+      reason: decision.reason
+    };
+  }
+
+  /**
+   * Riduce la selezione fino a rientrare nel budget:
+   * 1. rimuove i modelli più costosi (almeno uno resta)
+   * 2. sostituisce l'ultimo modello con il più economico disponibile che rientra
+   *    (i modelli locali hanno costo zero)
+   * @returns {Object|null} - { models, estimatedCost, steps } o null se impossibile
+   */
+  _planDowngrade(request, remainingBudget) {
+    const steps = [];
+    const estimate = models => this.estimateCost({ ...request, models }).totalCost;
+    let models = [...request.models]
+      .sort((a, b) => this._estimateModelCost(request, b) - this._estimateModelCost(request, a));
+
+    while (models.length > 1 && estimate(models) > remainingBudget) {
+      const removed = models.shift();
+      steps.push({ action: 'remove_model', model: removed });
+    }
+
+    if (estimate(models) <= remainingBudget) {
+      return { models: request.models.filter(model => models.includes(model)), estimatedCost: estimate(models), steps };
+    }
+
+    const cheaper = aiRouter.getConfiguredModels()
+      .filter(model => model !== 'openai' && !models.includes(model))
+      // Una richiesta con immagini può passare solo a un altro modello multimodale
+      .filter(model => !request.requireImages || aiRouter.supportsImages(model))
+      .map(model => ({ model, cost: estimate([model]) }))
+      .filter(candidate => candidate.cost <= remainingBudget)
+      .sort((a, b) => a.cost - b.cost);
+
+    if (cheaper.length === 0) {
+      return null;
+    }
+
+    const replacement = cheaper[0];
+    steps.push({
+      action: replacement.cost === 0 ? 'switch_to_local' : 'switch_to_cheaper_model',
+      from: models[0],
+      to: replacement.model
+    });
+
+    return { models: [replacement.model], estimatedCost: replacement.cost, steps };
+  }
+
+  async _getRemainingLimits({ conversationId, principal }) {
+    const limits = [];
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+
+    if (this.config.perRequest !== null) {
+      limits.push({ scope: 'request', limit: this.config.perRequest, spent: 0 });
+    }
+
+    if (this.config.perConversation !== null && conversationId) {
+      const spent = await usageTracker.getTotalCost({ conversationId });
+      limits.push({ scope: 'conversation', limit: this.config.perConversation, spent });
+    }
+
+    if (this.config.perDay !== null) {
+      const spent = await usageTracker.getTotalCost({ from: startOfDay });
+      limits.push({ scope: 'day', limit: this.config.perDay, spent });
+    }
+
+    if (this.config.perApiKeyPerDay !== null && principal) {
+      const spent = await usageTracker.getTotalCost({ from: startOfDay, principal });
+      limits.push({ scope: 'api_key', limit: this.config.perApiKeyPerDay, spent });
+    }
+
+    return limits.map(limit => ({ ...limit, remaining: Math.max(0, limit.limit - limit.spent) }));
+  }
+
+  _estimateModelCost(request, model) {
+    return this.estimateCost({ ...request, models: [model], synthesisModel: null }).totalCost;
+  }
+
+  _estimateCallCost(model, promptTokens, completionTokens) {
+    const handler = aiRouter.getHandler(model);
+    const cost = modelPricing.calculateCost(
+      model,
+      handler ? handler.model : null,
+      { promptTokens, completionTokens },
+      { local: !!(handler && handler.isLocal) }
+    );
+    return cost.totalCost;
+  }
+
+  // ~4 caratteri per token, come BaseAIHandler._estimateTokens
+  _estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / 4) : 0;
+  }
+
+  _readLimit(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = new BudgetGuard();
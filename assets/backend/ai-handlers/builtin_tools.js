@@ -0,0 +1,269 @@
+// assets/backend/ai-handlers/builtin_tools.js
+const { spawn } = require('child_process');
+const knowledgeStore = require('../storage/knowledge_store');
+
+/**
+ * Strumenti predefiniti del registro (vedi tool_registry)
+ *
+ * - calculator: espressioni aritmetiche, valutate senza eval
+ * - knowledge_search: ricerca nelle basi di conoscenza locali
+ * - current_datetime: data e ora del server
+ * - run_javascript: esecuzione di codice in un processo separato, abilitata
+ *   solo con TOOL_CODE_EXECUTION=true (il processo non riceve le variabili
+ *   d'ambiente, quindi nemmeno le chiavi API, e non accede a file system,
+ *   processi figli, rete e segnali). Richiede il permission model di Node
+ *   (Node 20 o successivo): con versioni precedenti lo strumento non esiste.
+ */
+const CODE_TIMEOUT_MS = parseInt(process.env.TOOL_CODE_TIMEOUT_MS, 10) || 5000;
+const MAX_OUTPUT_LENGTH = 10000;
+
+// Da Node 22.13 il flag è --permission; prima di Node 20 il permission model non c'è
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : (parseInt(process.versions.node, 10) >= 20 ? '--experimental-permission' : null);
+
+// Funzioni e costanti ammesse nelle espressioni del calcolatore
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  round: Math.round, floor: Math.floor, ceil: Math.ceil, min: Math.min, max: Math.max, pow: Math.pow,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Valuta un'espressione aritmetica (parser a discesa ricorsiva)
+ * Operatori: + - * / % ^ (potenza) e parentesi; funzioni di MATH_FUNCTIONS
+ * @param {String} expression - Espressione
+ * @returns {Number} - Risultato
+ */
+function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-zA-Z_]\w*|[-+*/%^(),]/g) || [];
+  if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+    throw new Error(`Invalid characters in expression: ${expression}`);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in expression`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') { next(); return -parseUnary(); }
+    if (peek() === '+') { next(); return parseUnary(); }
+    return parsePower();
+  };
+
+  // La potenza è associativa a destra: 2^3^2 = 2^9
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') { next(); return Math.pow(base, parseUnary()); }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+
+    const name = token.toLowerCase();
+    // Solo proprietà proprie: "constructor" o "toString" non sono funzioni ammesse
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') { next(); args.push(parseExpression()); }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+    if (Object.hasOwn(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+
+    throw new Error(`Unknown symbol: ${token}`);
+  };
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token: ${peek()}`);
+  }
+  return value;
+}
+
+// Script del processo figlio: esegue il codice ricevuto su stdin in un contesto vm vuoto.
+// vm non isola nulla (dal contesto si risale a process): l'isolamento vero viene dal
+// permission model di Node (file system, processi figli, worker e addon nativi negati)
+// e, prima del codice, dalla disattivazione delle API di rete e dei segnali verso altri
+// processi (process.kill(process.ppid) fermerebbe il backend), che il permission model
+// non copre.
+const CODE_RUNNER = `
+const vm = require('vm');
+const deny = message => () => {
+  const error = new Error(message);
+  error.code = 'ERR_ACCESS_DENIED';
+  throw error;
+};
+const denyNetwork = deny('Network access is disabled in the sandbox');
+const denyProcesses = deny('Signals to other processes are disabled in the sandbox');
+const lock = (target, names, denied = denyNetwork) => names.forEach(name => {
+  Object.defineProperty(target, name, { value: denied, writable: false, configurable: false });
+});
+lock(process, ['kill', '_kill'], denyProcesses);
+lock(require('os'), ['setPriority'], denyProcesses);
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+lock(net.Socket.prototype, ['connect']);
+lock(net.Server.prototype, ['listen']);
+lock(dgram.Socket.prototype, ['bind', 'connect', 'send']);
+[dns, dns.promises, dns.Resolver.prototype, dns.promises.Resolver.prototype].forEach(target => {
+  lock(target, Object.keys(target).filter(name => /^(lookup|resolve|reverse)/.test(name) && typeof target[name] === 'function'));
+});
+let code = '';
+process.stdin.on('data', chunk => { code += chunk; });
+process.stdin.on('end', () => {
+  const output = [];
+  const log = (...args) => output.push(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+  try {
+    const result = vm.runInNewContext(code, { console: { log, info: log, warn: log, error: log } }, { timeout: ${CODE_TIMEOUT_MS} });
+    process.stdout.write(JSON.stringify({ output: output.join('\\n'), result: result === undefined ? null : String(result) }));
+  } catch (error) {
+    process.stdout.write(JSON.stringify({ output: output.join('\\n'), error: String(error && error.message || error) }));
+  }
+});`;
+
+function runJavaScript(code, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [PERMISSION_FLAG, '--no-warnings', '--max-old-space-size=64', '-e', CODE_RUNNER], {
+      env: {},
+      timeout: CODE_TIMEOUT_MS + 1000,
+      killSignal: 'SIGKILL',
+      signal: signal || undefined,
+    });
+
+    let stdout = '';
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+      if (stdout.length > MAX_OUTPUT_LENGTH * 2) child.kill('SIGKILL');
+    });
+    child.on('error', reject);
+    child.on('close', (code, killSignal) => {
+      if (!stdout) {
+        return reject(new Error(killSignal ? `Code execution terminated (${killSignal})` : `Code execution failed (exit ${code})`));
+      }
+      try {
+        const result = JSON.parse(stdout);
+        result.output = result.output.substring(0, MAX_OUTPUT_LENGTH);
+        resolve(result);
+      } catch (error) {
+        reject(new Error('Code execution produced too much output'));
+      }
+    });
+
+    child.stdin.end(code);
+  });
+}
+
+const builtinTools = [
+  {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, the constants pi and e and the functions sqrt, abs, exp, ln, log (base 10), log2, sin, cos, tan, asin, acos, atan, round, floor, ceil, min, max, pow.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 3) ^ 2 / sqrt(16)"' },
+      },
+      required: ['expression'],
+    },
+    execute: async ({ expression }) => {
+      const value = evaluateExpression(expression);
+      if (!Number.isFinite(value)) throw new Error(`The expression does not have a finite result: ${expression}`);
+      return { expression, value };
+    },
+  },
+  {
+    name: 'knowledge_search',
+    description: 'Search the user\'s local knowledge bases (uploaded documents) and return the most relevant passages with their source file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for' },
+        knowledge_base_id: { type: 'string', description: 'Knowledge base to search (default: the ones selected for this conversation, or all)' },
+        top_k: { type: 'integer', description: 'Number of passages to return (1-10, default 5)' },
+      },
+      required: ['query'],
+    },
+    execute: async ({ query, knowledge_base_id: knowledgeBaseId, top_k: topK }, context) => {
+      const ids = knowledgeBaseId
+        ? [knowledgeBaseId]
+        : (context.knowledgeBaseIds && context.knowledgeBaseIds.length > 0
+          ? context.knowledgeBaseIds
+          : (await knowledgeStore.listKnowledgeBases()).map(knowledgeBase => knowledgeBase.id));
+
+      if (ids.length === 0) return { results: [], message: 'No knowledge bases available' };
+
+      const chunks = await knowledgeStore.search(ids, query, { topK: Math.min(Math.max(topK || 5, 1), 10) });
+      return {
+        results: chunks.map(chunk => ({
+          filename: chunk.filename,
+          part: chunk.position + 1,
+          score: chunk.score,
+          content: chunk.content,
+        })),
+      };
+    },
+  },
+  {
+    name: 'current_datetime',
+    description: 'Get the current date and time of the server (ISO 8601, UTC and local time zone).',
+    parameters: { type: 'object', properties: {} },
+    execute: async () => {
+      const now = new Date();
+      return {
+        iso: now.toISOString(),
+        local: now.toString(),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      };
+    },
+  },
+  {
+    name: 'run_javascript',
+    description: 'Run a JavaScript snippet in a separate process that cannot read or write files, start or signal processes or open network connections. Only the language built-ins are available (no require or import). Returns console output and the value of the last expression.',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'JavaScript source code' },
+      },
+      required: ['code'],
+    },
+    isEnabled: () => process.env.TOOL_CODE_EXECUTION === 'true',
+    execute: async ({ code }, context) => runJavaScript(code, context.signal),
+  },
+];
+
+// Senza permission model il codice avrebbe accesso completo al sistema
+module.exports = builtinTools.filter(tool => tool.name !== 'run_javascript' || PERMISSION_FLAG);
+module.exports.evaluateExpression = evaluateExpression;
@@ -2,6 +2,8 @@
 
 const axios = require('axios');
 const BaseAIHandler = require('./base_handler');
+const { parseSSE } = require('./stream_parsers');
+const { toAnthropicTools, fromAnthropicContent, formatAnthropicToolMessage, groupToolResults } = require('./tool_formats');
 
 /**
  * Handler per i modelli Anthropic Claude
@@ -11,40 +13,167 @@ class ClaudeHandler extends BaseAIHandler {
     super('Claude');
     this.apiUrl = 'https://api.anthropic.com/v1/messages';
     this.model = 'claude-3-opus-20240229'; // Modello predefinito
+    this.notConfiguredMessage = 'API Anthropic non configurata';
+    this.supportsStreaming = true;
+    this.contextWindow = 200000;
+    this.visionModels = /^claude-(?!2|instant)/; // Claude 3 e successivi
+    this.supportsTools = true;
   }
 
   /**
-   * Elabora una prompt e restituisce una risposta
+   * Chiama l'API Messages di Anthropic
    * @param {String} prompt - Prompt da elaborare
-   * @param {String} conversationId - ID della conversazione
-   * @returns {Promise<String>} - Risposta elaborata
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason, toolCalls }
    */
-  async process(prompt, conversationId) {
-    if (!this.checkAvailability()) {
-      return 'API Anthropic non configurata';
+  async _generate(prompt, options) {
+    const response = await axios.post(this.apiUrl, this._buildRequestBody(prompt, options), {
+      headers: this._buildHeaders(),
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+
+    const data = response.data;
+    const content = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: data.model,
+      usage: data.usage && {
+        promptTokens: data.usage.input_tokens,
+        completionTokens: data.usage.output_tokens,
+      },
+      finishReason: this._mapStopReason(data.stop_reason),
+      toolCalls: fromAnthropicContent(data.content),
+    };
+  }
+
+  /**
+   * Streaming tramite Server-Sent Events dell'API Messages
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const stream = await this._postStream(
+      this.apiUrl,
+      { ...this._buildRequestBody(prompt, options), stream: true },
+      { headers: this._buildHeaders(), timeout: options.timeout, signal: options.signal }
+    );
+
+    const metadata = { type: 'metadata', model: this.model, usage: { promptTokens: 0, completionTokens: 0 } };
+
+    for await (const { event, data } of parseSSE(stream)) {
+      const payload = JSON.parse(data);
+
+      switch (event) {
+        case 'message_start':
+          metadata.model = payload.message.model;
+          metadata.usage.promptTokens = payload.message.usage?.input_tokens || 0;
+          break;
+
+        case 'content_block_delta':
+          if (payload.delta.type === 'text_delta') {
+            yield { type: 'text', text: payload.delta.text };
+          }
+          break;
+
+        case 'message_delta':
+          metadata.finishReason = this._mapStopReason(payload.delta.stop_reason);
+          metadata.usage.completionTokens = payload.usage?.output_tokens || 0;
+          break;
+
+        case 'error':
+          throw new Error(payload.error?.message || 'Errore nello stream Anthropic');
+
+        default:
+          break;
+      }
     }
 
-    try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          max_tokens: 1000,
-          messages: [{ role: 'user', content: prompt }],
-        },
-        {
-          headers: {
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return response.data.content[0].text.trim();
-    } catch (error) {
-      return this.handleError(error);
+    yield metadata;
+  }
+
+  /**
+   * Costruisce il corpo della richiesta Messages
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Object} - Corpo della richiesta
+   */
+  _buildRequestBody(prompt, options) {
+    const body = {
+      model: this.model,
+      max_tokens: options.max_tokens,
+      temperature: options.temperature,
+      // I risultati di strumenti consecutivi vanno in un unico turno utente
+      messages: groupToolResults(
+        options.messages.map(message => this._formatMessage(message)),
+        'content',
+        block => block.type === 'tool_result'
+      ),
+    };
+
+    if (options.system) body.system = options.system;
+    if (options.stop.length > 0) body.stop_sequences = options.stop;
+    if (options.tools.length > 0) {
+      body.tools = toAnthropicTools(options.tools);
+      if (options.toolChoice) body.tool_choice = { type: options.toolChoice === 'required' ? 'any' : options.toolChoice };
     }
+
+    return body;
+  }
+
+  /**
+   * Converte un messaggio normalizzato nel formato Anthropic
+   * (le immagini diventano blocchi base64 prima del testo)
+   * @param {Object} message - { role, content, images, toolCalls }
+   * @returns {Object} - Messaggio Anthropic
+   */
+  _formatMessage(message) {
+    const toolMessage = formatAnthropicToolMessage(message);
+    if (toolMessage) return toolMessage;
+
+    if (message.images.length === 0) {
+      return { role: message.role, content: message.content };
+    }
+
+    const content = message.images.map(image => ({
+      type: 'image',
+      source: { type: 'base64', media_type: image.mediaType, data: image.data },
+    }));
+    if (message.content) content.push({ type: 'text', text: message.content });
+
+    return { role: message.role, content };
+  }
+
+  /**
+   * Header di autenticazione Anthropic
+   * @returns {Object} - Header HTTP
+   */
+  _buildHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json',
+    };
+  }
+
+  /**
+   * Converte lo stop_reason di Anthropic nel formato comune
+   * @param {String} stopReason - stop_reason restituito dall'API
+   * @returns {String} - stop | length | tool_calls
+   */
+  _mapStopReason(stopReason) {
+    const mapping = {
+      'end_turn': 'stop',
+      'stop_sequence': 'stop',
+      'max_tokens': 'length',
+      'tool_use': 'tool_calls',
+    };
+    return mapping[stopReason] || stopReason || 'stop';
   }
 
   /**
@@ -0,0 +1,365 @@
+// assets/backend/ai-handlers/consensus_analyzer.js
+const embeddingService = require('./embedding_service');
+
+/**
+ * Analisi del consenso a livello di affermazione
+ *
+ * Ogni risposta viene divisa in affermazioni (frasi), le affermazioni
+ * equivalenti dei diversi modelli vengono raggruppate per similarità degli
+ * embedding (embedding_service, offline con il backend 'hashed') e le coppie
+ * sullo stesso argomento che si contraddicono vengono segnalate:
+ * - numeric: stessi termini, valori numerici diversi
+ * - negation: una delle due affermazioni nega l'altra
+ * - yes_no: risposte che aprono con un sì e con un no
+ *
+ * Il risultato alimenta sia il prompt di sintesi sia il pannello di
+ * trasparenza del client.
+ */
+const STOPWORDS = new Set([
+  // English
+  'the', 'and', 'for', 'are', 'but', 'was', 'were', 'been', 'being', 'have', 'has', 'had', 'this', 'that',
+  'these', 'those', 'with', 'from', 'into', 'onto', 'about', 'than', 'then', 'there', 'their', 'they',
+  'them', 'its', 'it\'s', 'our', 'your', 'you', 'his', 'her', 'she', 'him', 'who', 'whom', 'which', 'what',
+  'when', 'where', 'why', 'how', 'can', 'could', 'would', 'should', 'will', 'shall', 'may', 'might', 'must',
+  'also', 'very', 'more', 'most', 'some', 'such', 'each', 'other', 'any', 'all', 'both', 'only', 'just',
+  'does', 'did', 'doing', 'done', 'one', 'ones', 'here', 'while', 'over', 'under', 'again', 'further',
+  'however', 'therefore', 'thus', 'because', 'like', 'well', 'yes',
+  // Italiano
+  'che', 'chi', 'del', 'della', 'dello', 'dei', 'degli', 'delle', 'nel', 'nella', 'nello', 'nei', 'negli',
+  'nelle', 'con', 'per', 'tra', 'fra', 'sul', 'sulla', 'sui', 'sugli', 'sulle', 'dal', 'dalla', 'dai',
+  'dagli', 'dalle', 'una', 'uno', 'gli', 'le', 'lo', 'sono', 'era', 'erano', 'essere', 'stato', 'stata',
+  'questo', 'questa', 'questi', 'queste', 'quello', 'quella', 'quelli', 'quelle', 'come', 'anche', 'più',
+  'molto', 'ogni', 'tutti', 'tutte', 'solo', 'quando', 'dove', 'perché', 'però', 'quindi', 'cui', 'loro',
+  'suo', 'sua', 'suoi', 'sue', 'ha', 'hanno', 'può', 'possono', 'deve', 'devono',
+]);
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'cannot', 'without',
+  'non', 'mai', 'nessuno', 'nessuna', 'niente', 'nulla', 'né', 'senza',
+]);
+
+const DEFAULT_OPTIONS = {
+  // Similarità coseno minima per considerare due affermazioni sullo stesso argomento
+  // (null: la soglia del backend di embedding)
+  similarityThreshold: null,
+  minClaimTokens: 3,
+  maxClaimsPerResponse: 50,
+  // Voci restituite per ogni lista (agreements, disagreements, uniqueClaims)
+  maxItems: 20,
+};
+
+class ConsensusAnalyzer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Analizza il consenso tra le risposte dei modelli
+   * @param {Array<Object>} responses - [{ model, content }]
+   * @param {Object} options - Sovrascrive le opzioni predefinite
+   * @returns {Promise<Object>} - {
+   *   consensusScore, modelCount, claimCount, embeddingBackend,
+   *   agreements: [{ claim, models, support, statements }],
+   *   disagreements: [{ kind, topic, positions: [{ model, text, values }] }],
+   *   uniqueClaims: [{ model, claim }],
+   *   modelAgreement: { [model]: quota di affermazioni condivise },
+   *   agreementPoints: [claim]
+   * }
+   */
+  async analyze(responses = [], options = {}) {
+    const config = { ...this.options, ...options };
+    const valid = responses.filter(response => response.content && response.content.trim());
+    const models = [...new Set(valid.map(response => response.model))];
+
+    const claims = valid.flatMap(response =>
+      this.extractClaims(response.content, config).map(text => this._buildClaim(response.model, text))
+    );
+    this._vectorize(claims);
+
+    const embedding = await embeddingService.embedMany(claims.map(claim => claim.text));
+    claims.forEach((claim, index) => {
+      claim.embedding = embedding.vectors[index];
+    });
+    config.similarityThreshold = config.similarityThreshold ?? embedding.threshold;
+
+    const disagreements = [
+      ...this._findVerdictConflicts(valid),
+      ...this._findContradictions(claims, config),
+    ];
+    const clusters = this._clusterClaims(claims, config);
+
+    const agreements = clusters
+      .filter(cluster => cluster.models.size > 1)
+      .map(cluster => this._describeCluster(cluster, models.length))
+      .sort((a, b) => b.support - a.support || b.statements.length - a.statements.length);
+
+    const uniqueClaims = clusters
+      .filter(cluster => cluster.models.size === 1)
+      .map(cluster => ({ model: cluster.claims[0].model, claim: cluster.claims[0].text }));
+
+    const modelAgreement = this._calculateModelAgreement(models, clusters);
+
+    return {
+      consensusScore: this._calculateScore(models, modelAgreement, agreements.length, disagreements.length),
+      modelCount: models.length,
+      claimCount: claims.length,
+      embeddingBackend: embedding.backend,
+      agreements: agreements.slice(0, config.maxItems),
+      disagreements: disagreements.slice(0, config.maxItems),
+      uniqueClaims: uniqueClaims.slice(0, config.maxItems),
+      modelAgreement,
+      agreementPoints: agreements.slice(0, 10).map(agreement => agreement.claim),
+    };
+  }
+
+  /**
+   * Divide un testo in affermazioni, escludendo codice e frasi troppo corte
+   * @param {String} text - Risposta di un modello
+   * @param {Object} config - { minClaimTokens, maxClaimsPerResponse }
+   * @returns {Array<String>} - Affermazioni
+   */
+  extractClaims(text, config = this.options) {
+    const prose = text
+      .replace(/```[\s\S]*?```/g, '\n')
+      .replace(/`[^`]*`/g, ' ')
+      .replace(/^\s*(#{1,6}|[-*+>]|\d+[.)])\s+/gm, '')
+      .replace(/[*_]{1,3}([^*_]+)[*_]{1,3}/g, '$1');
+
+    // Il punto tra due cifre (decimali) non chiude la frase
+    return (prose.match(/(?:[^.!?\n]|\.(?=\d))+[.!?]*/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(sentence => this._contentTokens(sentence).length >= config.minClaimTokens)
+      .slice(0, config.maxClaimsPerResponse);
+  }
+
+  _buildClaim(model, text) {
+    const normalized = this._normalize(text);
+    const words = normalized.match(/[\p{L}][\p{L}\p{N}']*/gu) || [];
+
+    return {
+      model,
+      text,
+      tokens: this._contentTokens(text),
+      numbers: this._extractNumbers(text),
+      negated: words.filter(word => NEGATIONS.has(word)).length % 2 === 1,
+      vector: null,
+      embedding: null,
+    };
+  }
+
+  /**
+   * Vettori TF-IDF normalizzati, con le affermazioni di tutte le risposte come
+   * corpus: descrivono l'argomento di una contraddizione (i termini condivisi più rari)
+   */
+  _vectorize(claims) {
+    const documentFrequency = new Map();
+    claims.forEach(claim => {
+      new Set(claim.tokens).forEach(token => {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      });
+    });
+
+    claims.forEach(claim => {
+      const termFrequency = new Map();
+      claim.tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+      const vector = new Map();
+      let norm = 0;
+      termFrequency.forEach((count, token) => {
+        const idf = Math.log((1 + claims.length) / (1 + documentFrequency.get(token))) + 1;
+        const weight = count * idf;
+        vector.set(token, weight);
+        norm += weight * weight;
+      });
+
+      norm = Math.sqrt(norm) || 1;
+      vector.forEach((weight, token) => vector.set(token, weight / norm));
+      claim.vector = vector;
+    });
+  }
+
+  similarity(a, b) {
+    return embeddingService.cosine(a.embedding, b.embedding);
+  }
+
+  /**
+   * Tipo di contraddizione tra due affermazioni sullo stesso argomento
+   * @returns {String|null} - 'numeric' | 'negation' | null
+   */
+  _contradictionKind(a, b) {
+    if (a.numbers.length > 0 && b.numbers.length > 0 && !a.numbers.some(value => b.numbers.includes(value))) {
+      return 'numeric';
+    }
+    if (a.negated !== b.negated) {
+      return 'negation';
+    }
+    return null;
+  }
+
+  _findContradictions(claims, config) {
+    const contradictions = [];
+    const seen = new Set();
+
+    for (let i = 0; i < claims.length; i++) {
+      for (let j = i + 1; j < claims.length; j++) {
+        const a = claims[i];
+        const b = claims[j];
+        if (a.model === b.model || this.similarity(a, b) < config.similarityThreshold) continue;
+
+        const kind = this._contradictionKind(a, b);
+        if (!kind) continue;
+
+        // Una sola segnalazione per coppia di modelli e argomento
+        const topic = this._sharedTopic(a, b);
+        const key = `${kind}|${[a.model, b.model].sort().join('|')}|${topic}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        contradictions.push({
+          kind,
+          topic,
+          positions: [a, b].map(claim => ({
+            model: claim.model,
+            text: claim.text,
+            values: kind === 'numeric' ? claim.numbers : undefined,
+          })),
+        });
+      }
+    }
+
+    return contradictions;
+  }
+
+  /**
+   * Risposte che aprono con un sì o con un no netti
+   */
+  _findVerdictConflicts(responses) {
+    const verdicts = responses
+      .map(response => {
+        const match = response.content.trim().match(/^\W*(yes|no|sì|si|yep|nope)\b\s*[,.!;:—-]/i);
+        if (!match) return null;
+        const word = match[1].toLowerCase();
+        return {
+          model: response.model,
+          text: response.content.trim().match(/^[^.!?\n]*[.!?]?/)[0].substring(0, 200),
+          verdict: ['no', 'nope'].includes(word) ? 'no' : 'yes',
+        };
+      })
+      .filter(Boolean);
+
+    const distinct = new Set(verdicts.map(verdict => verdict.verdict));
+    if (distinct.size < 2) return [];
+
+    return [{
+      kind: 'yes_no',
+      topic: 'verdict',
+      positions: verdicts.map(({ model, text, verdict }) => ({ model, text, values: [verdict] })),
+    }];
+  }
+
+  /**
+   * Raggruppamento greedy: un'affermazione entra nel gruppo più simile
+   * (sopra soglia) che non contiene affermazioni in contraddizione con lei
+   */
+  _clusterClaims(claims, config) {
+    const clusters = [];
+
+    claims.forEach(claim => {
+      let best = null;
+      let bestSimilarity = config.similarityThreshold;
+
+      clusters.forEach(cluster => {
+        if (cluster.claims.some(member => member.model !== claim.model && this._contradictionKind(member, claim))) {
+          return;
+        }
+        const similarity = Math.max(...cluster.claims.map(member => this.similarity(member, claim)));
+        if (similarity >= bestSimilarity) {
+          best = cluster;
+          bestSimilarity = similarity;
+        }
+      });
+
+      if (best) {
+        best.claims.push(claim);
+        best.models.add(claim.model);
+        best.similarities.push(bestSimilarity);
+      } else {
+        clusters.push({ claims: [claim], models: new Set([claim.model]), similarities: [] });
+      }
+    });
+
+    return clusters;
+  }
+
+  _describeCluster(cluster, modelCount) {
+    const similarity = cluster.similarities.length > 0
+      ? cluster.similarities.reduce((sum, value) => sum + value, 0) / cluster.similarities.length
+      : 1;
+
+    return {
+      claim: cluster.claims[0].text,
+      models: [...cluster.models],
+      support: cluster.models.size / Math.max(1, modelCount),
+      similarity: Math.round(similarity * 100) / 100,
+      statements: cluster.claims.map(claim => ({ model: claim.model, text: claim.text })),
+    };
+  }
+
+  _calculateModelAgreement(models, clusters) {
+    const agreement = {};
+    models.forEach(model => {
+      const own = clusters.filter(cluster => cluster.models.has(model));
+      const shared = own.filter(cluster => cluster.models.size > 1);
+      agreement[model] = own.length > 0 ? Math.round((shared.length / own.length) * 100) / 100 : 0;
+    });
+    return agreement;
+  }
+
+  /**
+   * Quota media di affermazioni condivise, ridotta dalla quota di contraddizioni
+   */
+  _calculateScore(models, modelAgreement, agreementCount, disagreementCount) {
+    if (models.length === 0) return 0;
+    if (models.length === 1) return 1;
+
+    const shared = models.reduce((sum, model) => sum + modelAgreement[model], 0) / models.length;
+    const conflictRate = disagreementCount / Math.max(1, agreementCount + disagreementCount);
+    return Math.round(Math.max(0, Math.min(1, shared * (1 - conflictRate))) * 1000) / 1000;
+  }
+
+  _sharedTopic(a, b) {
+    return [...a.vector.keys()]
+      .filter(token => b.vector.has(token))
+      .sort((x, y) => (b.vector.get(y) + a.vector.get(y)) - (b.vector.get(x) + a.vector.get(x)))
+      .slice(0, 5)
+      .join(' ');
+  }
+
+  _normalize(text) {
+    return text.toLowerCase().replace(/n['’]t\b/g, ' not');
+  }
+
+  /**
+   * Parole di contenuto: senza stopword, negazioni e numeri (gestiti a parte)
+   */
+  _contentTokens(text) {
+    return (this._normalize(text).match(/[\p{L}][\p{L}\p{N}]*/gu) || [])
+      .filter(word => word.length > 2 && !STOPWORDS.has(word) && !NEGATIONS.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Valori numerici normalizzati ("1,000" e "1000" coincidono, "2,5" è 2.5)
+   */
+  _extractNumbers(text) {
+    const values = (text.match(/\d+(?:[.,]\d+)*/g) || []).map(raw => {
+      const value = /^\d{1,3}([.,])\d{3}(\1\d{3})*$/.test(raw)
+        ? raw.replace(/[.,]/g, '')
+        : raw.replace(',', '.');
+      return String(parseFloat(value));
+    });
+    return [...new Set(values)];
+  }
+}
+
+module.exports = new ConsensusAnalyzer();
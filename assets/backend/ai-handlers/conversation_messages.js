@@ -0,0 +1,192 @@
+// assets/backend/ai-handlers/conversation_messages.js
+
+/**
+ * Formato comune dei messaggi di conversazione
+ *
+ * Ogni messaggio normalizzato ha la forma:
+ *   { role: 'system' | 'user' | 'assistant' | 'tool', content: String, images: [{ data, mediaType }] }
+ * dove images contiene immagini base64 (senza prefisso data:). Gli handler
+ * traducono questo formato nel wire format del provider.
+ *
+ * Chiamate di strumenti (vedi tool_agent):
+ * - un messaggio assistant può avere toolCalls: [{ id, name, arguments }]
+ * - il risultato è un messaggio { role: 'tool', toolCallId, name, content }
+ */
+
+// Ruoli accettati in ingresso (es. cronologia inviata dall'app Flutter)
+const ROLE_ALIASES = {
+  system: 'system',
+  user: 'user',
+  human: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  bot: 'assistant',
+  model: 'assistant',
+  tool: 'tool',
+  function: 'tool',
+};
+
+/**
+ * Normalizza un'immagine allegata
+ * @param {Object|String} image - { data, mediaType } oppure data URL
+ * @returns {Object|null} - { data, mediaType }
+ */
+function normalizeImage(image) {
+  if (!image) return null;
+
+  const source = typeof image === 'string' ? image : (image.data || image.url || '');
+  const match = /^data:([^;]+);base64,(.*)$/s.exec(source);
+
+  if (match) {
+    return { data: match[2], mediaType: match[1] };
+  }
+
+  return {
+    data: source,
+    mediaType: image.mediaType || image.media_type || image.mimeType || 'image/png',
+  };
+}
+
+/**
+ * Normalizza un singolo messaggio
+ * @param {Object|String} message - Messaggio in ingresso
+ * @returns {Object|null} - Messaggio normalizzato, null se non valido
+ */
+function normalizeMessage(message) {
+  if (typeof message === 'string') {
+    return { role: 'user', content: message, images: [] };
+  }
+
+  if (!message) return null;
+
+  const role = ROLE_ALIASES[String(message.role || message.sender || 'user').toLowerCase()];
+  if (!role) return null;
+
+  const content = message.content ?? message.text ?? message.message ?? '';
+
+  if (role === 'tool') {
+    return {
+      role,
+      content: String(content),
+      images: [],
+      toolCallId: message.toolCallId || message.tool_call_id || null,
+      name: message.name || null,
+    };
+  }
+
+  const images = (message.images || []).map(normalizeImage).filter(Boolean);
+  const toolCalls = role === 'assistant' ? (message.toolCalls || message.tool_calls || []) : [];
+
+  if (!content && images.length === 0 && toolCalls.length === 0) return null;
+
+  const normalized = { role, content: String(content), images };
+  if (toolCalls.length > 0) {
+    normalized.toolCalls = toolCalls.map(call => ({
+      id: call.id,
+      name: call.name,
+      arguments: call.arguments || {},
+    }));
+  }
+  return normalized;
+}
+
+/**
+ * Costruisce la lista di messaggi a partire dall'input della chiamata
+ * @param {String|Array} input - Prompt testuale o lista di messaggi
+ * @param {Array} history - Cronologia precedente (opzionale)
+ * @returns {Array<Object>} - Messaggi normalizzati
+ */
+function normalizeMessages(input, history = []) {
+  const current = Array.isArray(input) ? input : [input];
+
+  return [...(history || []), ...current]
+    .map(normalizeMessage)
+    .filter(Boolean);
+}
+
+/**
+ * Separa i messaggi di sistema dal resto della conversazione e unisce i
+ * messaggi consecutivi con lo stesso ruolo (richiesto da Anthropic e Gemini)
+ * @param {Array<Object>} messages - Messaggi normalizzati
+ * @param {String} system - System prompt passato nelle opzioni
+ * @returns {Object} - { system, messages }
+ */
+function splitSystemMessages(messages, system = null) {
+  const systemParts = system ? [system] : [];
+  const conversation = [];
+
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      systemParts.push(message.content);
+      return;
+    }
+
+    // Chiamate e risultati di strumenti restano messaggi distinti (gli handler li raggruppano)
+    const previous = conversation[conversation.length - 1];
+    const mergeable = previous && previous.role === message.role && message.role !== 'tool' &&
+      !previous.toolCalls && !message.toolCalls;
+    if (mergeable) {
+      previous.content = [previous.content, message.content].filter(Boolean).join('\n\n');
+      previous.images = [...previous.images, ...message.images];
+    } else {
+      conversation.push({ ...message, images: [...message.images] });
+    }
+  });
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+    messages: conversation,
+  };
+}
+
+/**
+ * Tronca la cronologia alla finestra di contesto del modello, scartando i
+ * messaggi più vecchi. L'ultimo messaggio viene sempre mantenuto e la
+ * conversazione inizia sempre con un messaggio utente.
+ * @param {Array<Object>} messages - Messaggi senza ruolo system
+ * @param {Number} budgetTokens - Token disponibili per i messaggi
+ * @param {Function} estimateTokens - (text) => Number
+ * @returns {Object} - { messages, droppedMessages }
+ */
+function truncateMessages(messages, budgetTokens, estimateTokens) {
+  const kept = [];
+  let usedTokens = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (kept.length > 0 && usedTokens + tokens > budgetTokens) break;
+
+    kept.unshift(messages[i]);
+    usedTokens += tokens;
+  }
+
+  while (kept.length > 1 && kept[0].role !== 'user') {
+    kept.shift();
+  }
+
+  return { messages: kept, droppedMessages: messages.length - kept.length };
+}
+
+/**
+ * Trascrizione testuale della conversazione (modelli senza formato chat)
+ * @param {Array<Object>} messages - Messaggi senza ruolo system
+ * @returns {String} - Trascrizione terminata dal turno dell'assistente
+ */
+function messagesToTranscript(messages) {
+  const labels = { user: 'User', assistant: 'Assistant', tool: 'Tool' };
+
+  // Singolo turno: il prompt viene passato invariato
+  if (messages.length === 1 && messages[0].role === 'user') {
+    return messages[0].content;
+  }
+
+  const turns = messages.map(message => `${labels[message.role]}: ${message.content}`);
+  return `${turns.join('\n\n')}\n\nAssistant:`;
+}
+
+module.exports = {
+  normalizeMessages,
+  splitSystemMessages,
+  truncateMessages,
+  messagesToTranscript,
+};
@@ -2,6 +2,8 @@
 
 const axios = require('axios');
 const BaseAIHandler = require('./base_handler');
+const { parseSSE } = require('./stream_parsers');
+const { toOpenAITools, fromOpenAIToolCalls, formatOpenAIToolMessage } = require('./tool_formats');
 
 /**
  * Handler per i modelli DeepSeek
@@ -11,40 +13,135 @@ class DeepSeekHandler extends BaseAIHandler {
     super('DeepSeek');
     this.apiUrl = 'https://api.deepseek.com/v1/chat/completions';
     this.model = 'deepseek-chat'; // Modello predefinito
+    this.notConfiguredMessage = 'API DeepSeek non configurata';
+    this.supportsStreaming = true;
+    this.supportsTools = true;
+    this.contextWindow = 64000;
   }
 
   /**
-   * Elabora una prompt e restituisce una risposta
+   * Chiama l'endpoint chat/completions
    * @param {String} prompt - Prompt da elaborare
-   * @param {String} conversationId - ID della conversazione
-   * @returns {Promise<String>} - Risposta elaborata
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason, toolCalls }
    */
-  async process(prompt, conversationId) {
-    if (!this.checkAvailability()) {
-      return 'API DeepSeek non configurata';
+  async _generate(prompt, options) {
+    const response = await axios.post(this.apiUrl, this._buildRequestBody(prompt, options), {
+      headers: this._buildHeaders(),
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+
+    const data = response.data;
+    const choice = data.choices[0];
+
+    return {
+      content: choice.message.content || '',
+      model: data.model,
+      usage: data.usage && {
+        promptTokens: data.usage.prompt_tokens,
+        completionTokens: data.usage.completion_tokens,
+        totalTokens: data.usage.total_tokens,
+      },
+      finishReason: choice.finish_reason,
+      toolCalls: fromOpenAIToolCalls(choice.message.tool_calls),
+    };
+  }
+
+  /**
+   * Streaming tramite Server-Sent Events di chat/completions
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const stream = await this._postStream(
+      this.apiUrl,
+      { ...this._buildRequestBody(prompt, options), stream: true },
+      { headers: this._buildHeaders(), timeout: options.timeout, signal: options.signal }
+    );
+
+    const metadata = { type: 'metadata', model: this.model, usage: null };
+
+    for await (const { data } of parseSSE(stream)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      if (chunk.model) metadata.model = chunk.model;
+
+      // L'ultimo chunk riporta l'usage complessivo
+      if (chunk.usage) {
+        metadata.usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+          totalTokens: chunk.usage.total_tokens,
+        };
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        yield { type: 'text', text: choice.delta.content };
+      }
+
+      if (choice.finish_reason) {
+        metadata.finishReason = choice.finish_reason;
+      }
     }
 
-    try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 1000,
-          temperature: 0.7,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return response.data.choices[0].message.content.trim();
-    } catch (error) {
-      return this.handleError(error);
+    yield metadata;
+  }
+
+  /**
+   * Costruisce il corpo della richiesta chat/completions
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Object} - Corpo della richiesta
+   */
+  _buildRequestBody(prompt, options) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    options.messages.forEach(message => messages.push(this._formatMessage(message)));
+
+    const body = {
+      model: this.model,
+      messages,
+      max_tokens: options.max_tokens,
+      temperature: options.temperature,
+    };
+
+    if (options.stop.length > 0) body.stop = options.stop;
+    if (options.tools.length > 0) {
+      body.tools = toOpenAITools(options.tools);
+      if (options.toolChoice) body.tool_choice = options.toolChoice;
     }
+
+    return body;
+  }
+
+  /**
+   * Converte un messaggio normalizzato nel formato DeepSeek
+   * (l'API è solo testuale: le immagini non vengono inviate)
+   * @param {Object} message - { role, content, images, toolCalls }
+   * @returns {Object} - Messaggio DeepSeek
+   */
+  _formatMessage(message) {
+    const toolMessage = formatOpenAIToolMessage(message);
+    if (toolMessage) return toolMessage;
+
+    return { role: message.role, content: message.content };
+  }
+
+  /**
+   * Header di autenticazione Bearer
+   * @returns {Object} - Header HTTP
+   */
+  _buildHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+    };
   }
 
   /**
@@ -0,0 +1,255 @@
+// assets/backend/ai-handlers/embedding_service.js
+const axios = require('axios');
+const crypto = require('crypto');
+const aiRouter = require('./router');
+const { classifyError } = require('./provider_resilience');
+
+/**
+ * Servizio di embedding
+ *
+ * Vettori semantici per similarità, clustering e retrieval, con backend
+ * intercambiabile scelto da EMBEDDING_BACKEND:
+ * - 'hashed' (predefinito): vettorizzatore offline a n-grammi con hashing,
+ *   deterministico e senza rete (test, ambienti senza provider)
+ * - 'ollama': endpoint /api/embeddings dell'istanza Ollama configurata
+ * - 'openai': endpoint /v1/embeddings con la chiave di OpenAI
+ *
+ * Se il backend remoto non risponde, il lotto viene calcolato con 'hashed':
+ * i vettori di un lotto provengono sempre dallo stesso backend, quindi sono
+ * confrontabili tra loro. I risultati sono tenuti in una cache LRU.
+ */
+const HASHED_BACKEND = 'hashed';
+
+const DEFAULT_MODELS = {
+  hashed: 'hashed-ngram-512',
+  ollama: 'nomic-embed-text',
+  openai: 'text-embedding-3-small',
+};
+
+// Soglia di similarità coseno per "stesso significato": dipende dalla distribuzione del backend
+const SIMILARITY_THRESHOLDS = {
+  hashed: 0.7,
+  ollama: 0.75,
+  openai: 0.6,
+};
+
+const HASHED_DIMENSIONS = 512;
+
+class EmbeddingService {
+  constructor() {
+    this.backend = (process.env.EMBEDDING_BACKEND || HASHED_BACKEND).toLowerCase();
+    this.model = process.env.EMBEDDING_MODEL || null;
+    this.cacheSize = parseInt(process.env.EMBEDDING_CACHE_SIZE, 10) || 2000;
+    this.cache = new Map();
+    this.stats = { requests: 0, cacheHits: 0, fallbacks: 0 };
+
+    this.backends = {
+      hashed: async (texts) => texts.map(text => this.hashedVector(text)),
+      ollama: (texts, model) => this._embedWithOllama(texts, model),
+      openai: (texts, model) => this._embedWithOpenAI(texts, model),
+    };
+  }
+
+  /**
+   * Cambia backend (e modello) degli embedding
+   * @param {String} backend - 'hashed' | 'ollama' | 'openai'
+   * @param {String} model - Modello del backend (opzionale)
+   */
+  configure(backend, model = null) {
+    if (!this.backends[backend]) {
+      throw new Error(`Backend di embedding sconosciuto: ${backend}`);
+    }
+    this.backend = backend;
+    this.model = model;
+  }
+
+  /**
+   * Embedding di un lotto di testi
+   * @param {Array<String>} texts - Testi
+   * @param {Object} options - { backend, model } per sovrascrivere la configurazione
+   * @returns {Promise<Object>} - { vectors, backend, model, threshold }
+   */
+  async embedMany(texts, options = {}) {
+    const backend = this.backends[options.backend] ? options.backend : this.backend;
+    const model = options.model || (backend === this.backend && this.model) || DEFAULT_MODELS[backend];
+    this.stats.requests += texts.length;
+
+    try {
+      return {
+        vectors: await this._embedCached(texts, backend, model),
+        backend,
+        model,
+        threshold: SIMILARITY_THRESHOLDS[backend],
+      };
+    } catch (error) {
+      if (backend === HASHED_BACKEND) throw error;
+
+      const classified = classifyError(error, backend);
+      console.warn(`Embedding con ${backend} non riuscito (${classified.type || 'unknown'}), uso il vettorizzatore locale: ${classified.message}`);
+      this.stats.fallbacks++;
+      return {
+        vectors: await this._embedCached(texts, HASHED_BACKEND, DEFAULT_MODELS.hashed),
+        backend: HASHED_BACKEND,
+        model: DEFAULT_MODELS.hashed,
+        threshold: SIMILARITY_THRESHOLDS.hashed,
+      };
+    }
+  }
+
+  /**
+   * Embedding di un singolo testo
+   * @param {String} text - Testo
+   * @param {Object} options - { backend, model }
+   * @returns {Promise<Array<Number>>} - Vettore normalizzato
+   */
+  async embed(text, options = {}) {
+    const { vectors } = await this.embedMany([text], options);
+    return vectors[0];
+  }
+
+  /**
+   * Matrice di similarità coseno tra testi
+   * @param {Array<String>} texts - Testi
+   * @param {Object} options - { backend, model }
+   * @returns {Promise<Object>} - { matrix, backend, threshold }
+   */
+  async similarityMatrix(texts, options = {}) {
+    const { vectors, backend, threshold } = await this.embedMany(texts, options);
+    const matrix = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 1 : this.cosine(a, b))));
+    return { matrix, backend, threshold };
+  }
+
+  /**
+   * Similarità coseno tra due testi
+   * @returns {Promise<Number>}
+   */
+  async similarity(textA, textB, options = {}) {
+    const { vectors } = await this.embedMany([textA, textB], options);
+    return this.cosine(vectors[0], vectors[1]);
+  }
+
+  cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Vettorizzatore offline: parole e trigrammi di caratteri proiettati con
+   * hashing su HASHED_DIMENSIONS componenti (segno dall'hash per ridurre le collisioni)
+   * @param {String} text - Testo
+   * @returns {Array<Number>} - Vettore normalizzato L2
+   */
+  hashedVector(text) {
+    const vector = new Array(HASHED_DIMENSIONS).fill(0);
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    const add = (feature, weight) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % HASHED_DIMENSIONS;
+      vector[index] += (hash[4] & 1 ? 1 : -1) * weight;
+    };
+
+    words.forEach(word => {
+      add(`w:${word}`, 1);
+      // I trigrammi rendono simili le forme flesse (analyze / analysis / analizza)
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`c:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      model: this.model || DEFAULT_MODELS[this.backend],
+      cacheEntries: this.cache.size,
+      cacheSize: this.cacheSize,
+      stats: { ...this.stats },
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Calcola solo i testi assenti dalla cache, preservando l'ordine
+   */
+  async _embedCached(texts, backend, model) {
+    const keys = texts.map(text => `${backend}:${model}:${crypto.createHash('sha1').update(text || '').digest('hex')}`);
+    const missing = [...new Set(keys.filter(key => !this.cache.has(key)))];
+    this.stats.cacheHits += keys.length - keys.filter(key => missing.includes(key)).length;
+
+    // Un lotto più grande della cache non deve perdere i vettori appena calcolati
+    const computed = new Map();
+    if (missing.length > 0) {
+      const missingTexts = missing.map(key => texts[keys.indexOf(key)]);
+      const vectors = await this.backends[backend](missingTexts, model);
+      missing.forEach((key, index) => {
+        computed.set(key, vectors[index]);
+        this._remember(key, vectors[index]);
+      });
+    }
+
+    return keys.map(key => {
+      const vector = this.cache.get(key) || computed.get(key);
+      // Accesso recente: la voce torna in fondo all'ordine di eliminazione
+      this.cache.delete(key);
+      this.cache.set(key, vector);
+      return vector;
+    });
+  }
+
+  _remember(key, vector) {
+    this.cache.set(key, vector);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  async _embedWithOllama(texts, model) {
+    const handler = aiRouter.getHandler('ollama');
+    const baseUrl = (handler && handler.baseUrl) || 'http://localhost:11434';
+
+    // /api/embeddings accetta un testo per richiesta
+    const vectors = [];
+    for (const text of texts) {
+      const response = await axios.post(`${baseUrl}/api/embeddings`, { model, prompt: text }, { timeout: 30000 });
+      vectors.push(response.data.embedding);
+    }
+    return vectors;
+  }
+
+  async _embedWithOpenAI(texts, model) {
+    const handler = aiRouter.getHandler('gpt');
+    if (!handler || !handler.checkAvailability()) {
+      throw new Error('API OpenAI non configurata');
+    }
+
+    const response = await axios.post('https://api.openai.com/v1/embeddings', { model, input: texts }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${handler.apiKey}`,
+      },
+      timeout: 30000,
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = new EmbeddingService();
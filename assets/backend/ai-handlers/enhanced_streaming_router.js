@@ -2,6 +2,21 @@
 const EventEmitter = require('events');
 const aiRouter = require('./router');
 const streamingHandler = require('../streaming/streaming_handler');
+const conversationStore = require('../storage/conversation_store');
+const usageTracker = require('../storage/usage_tracker');
+const budgetGuard = require('./budget_guard');
+const consensusAnalyzer = require('./consensus_analyzer');
+const embeddingService = require('./embedding_service');
+const attachmentStore = require('../storage/attachment_store');
+const toolAgent = require('./tool_agent');
+
+// Descrizioni dei tipi di task: il prompt viene confrontato con ciascuna via embedding
+const TASK_TYPE_PROTOTYPES = {
+  creative: 'crea scrivi genera immagina inventa una storia poesia racconto. create write generate imagine a story poem design brainstorm',
+  analytical: 'analizza confronta valuta calcola pro e contro. analyze compare evaluate calculate assess trade-offs measure',
+  conversational: 'parliamo discutiamo chiacchieriamo cosa ne pensi. let us talk discuss chat conversation what do you think',
+  informational: 'cosa chi dove quando come perché spiegami. what who where when how why explain define fact'
+};
 
 /**
  * Context Analyzer per analisi intelligente del contesto
@@ -11,7 +26,7 @@ class ContextAnalyzer {
     const analysis = {
       complexity: await this._analyzeComplexity(prompt),
       urgency: this._analyzeUrgency(prompt),
-      taskType: this._classifyTaskType(prompt),
+      taskType: await this._classifyTaskType(prompt),
       requiresMultiplePerspectives: this._requiresMultiplePerspectives(prompt),
       requiresDeepReasoning: this._requiresDeepReasoning(prompt),
       requiresSynthesis: this._requiresSynthesis(prompt),
@@ -72,7 +87,7 @@ class ContextAnalyzer {
     };
   }
 
-  _classifyTaskType(prompt) {
+  async _classifyTaskType(prompt) {
     const taskPatterns = {
       creative: /\b(crea|scrivi|genera|immagina|inventa|create|write|generate|imagine)\b/i,
       analytical: /\b(analizza|confronta|valuta|calcola|analyze|compare|evaluate|calculate)\b/i,
@@ -80,13 +95,21 @@ class ContextAnalyzer {
       informational: /\b(cosa|chi|dove|quando|come|perché|what|who|where|when|how|why)\b/i
     };
 
-    for (const [type, pattern] of Object.entries(taskPatterns)) {
-      if (pattern.test(prompt)) {
-        return type;
+    // Similarità semantica con la descrizione del tipo, più un bonus se compare una parola chiave
+    const types = Object.keys(TASK_TYPE_PROTOTYPES);
+    const { vectors } = await embeddingService.embedMany([prompt, ...types.map(type => TASK_TYPE_PROTOTYPES[type])]);
+
+    let bestType = 'general';
+    let bestScore = 0.2; // Sotto questa soglia il prompt resta generico
+    types.forEach((type, index) => {
+      const score = embeddingService.cosine(vectors[0], vectors[index + 1]) + (taskPatterns[type].test(prompt) ? 0.3 : 0);
+      if (score > bestScore) {
+        bestType = type;
+        bestScore = score;
       }
-    }
+    });
 
-    return 'general';
+    return bestType;
   }
 
   _requiresMultiplePerspectives(prompt) {
@@ -135,22 +158,20 @@ class ContextAnalyzer {
  */
 class IntelligentSynthesisEngine {
   async performConsensus(responses, request, options = {}) {
-    // Implementazione consensus intelligente
-    const { threshold = 0.75, weightDecay = 0.1, diversityBonus = 0.2 } = options;
-
-    // Calcola similarità tra risposte
-    const similarities = this._calculateResponseSimilarities(responses);
-
-    // Trova clusters di consenso
-    const consensusClusters = this._findConsensusClusters(similarities, threshold);
+    // Affermazioni condivise e contraddizioni tra i modelli (ordinati per peso)
+    const analysis = await consensusAnalyzer.analyze(
+      responses.map(r => ({ model: r.model, content: r.response || '' }))
+    );
 
     // Genera risposta sintetizzata
-    const synthesizedText = this._generateConsensusResponse(consensusClusters, responses);
+    const synthesizedText = this._generateConsensusResponse(analysis, responses);
 
     return {
       text: synthesizedText,
-      confidence: this._calculateConsensusConfidence(consensusClusters),
-      consensusClusters
+      confidence: analysis.consensusScore,
+      consensusClusters: analysis.agreements,
+      contradictions: analysis.disagreements,
+      modelAgreement: analysis.modelAgreement
     };
   }
 
@@ -158,18 +179,19 @@ class IntelligentSynthesisEngine {
     // Implementazione diversity maximization
     const { diversityWeight = 0.7, qualityWeight = 0.3, noveltyBonus = 0.1 } = options;
 
-    // Calcola diversità tra risposte
-    const diversityMatrix = this._calculateDiversityMatrix(responses);
+    // Similarità semantica tra risposte (embedding)
+    const similarityMatrix = await this._calculateDiversityMatrix(responses);
 
     // Seleziona subset ottimale per massima diversità
-    const optimalSubset = this._selectDiverseSubset(responses, diversityMatrix, options);
+    const selected = this._selectDiverseSubset(responses, similarityMatrix, options);
+    const optimalSubset = selected.map(index => responses[index]);
 
     // Genera risposta diversificata
     const diversifiedText = this._generateDiversifiedResponse(optimalSubset);
 
     return {
       text: diversifiedText,
-      diversityScore: this._calculateOverallDiversity(optimalSubset),
+      diversityScore: this._calculateOverallDiversity(selected, similarityMatrix),
       selectedResponses: optimalSubset.map(r => r.model)
     };
   }
@@ -194,57 +216,43 @@ class IntelligentSynthesisEngine {
   }
 
   // Metodi helper per synthesis engine...
-  _calculateResponseSimilarities(responses) {
-    // Implementazione calcolo similarità
-    const similarities = {};
-    for (let i = 0; i < responses.length; i++) {
-      for (let j = i + 1; j < responses.length; j++) {
-        const similarity = this._computeTextSimilarity(
-          responses[i].response,
-          responses[j].response
-        );
-        similarities[`${i}-${j}`] = similarity;
-      }
-    }
-    return similarities;
-  }
-
-  _computeTextSimilarity(text1, text2) {
-    // Implementazione semplificata Jaccard similarity
-    const words1 = new Set(text1.toLowerCase().split(/\s+/));
-    const words2 = new Set(text2.toLowerCase().split(/\s+/));
-
-    const intersection = new Set([...words1].filter(x => words2.has(x)));
-    const union = new Set([...words1, ...words2]);
-
-    return intersection.size / union.size;
-  }
-
-  _findConsensusClusters(similarities, threshold) {
-    // Implementazione placeholder per clustering
-    return [{ responses: [0, 1], similarity: 0.8 }];
-  }
-
-  _generateConsensusResponse(clusters, responses) {
-    // Implementazione placeholder per generazione consensus
+  _generateConsensusResponse(analysis, responses) {
+    // La risposta con peso maggiore fa da base (le risposte arrivano ordinate per peso)
     if (responses.length > 0) {
       return responses[0].response || "Consensus response generated.";
     }
     return "No responses available for consensus.";
   }
 
-  _calculateConsensusConfidence(clusters) {
-    return clusters.length > 0 ? 0.85 : 0.5;
-  }
-
-  _calculateDiversityMatrix(responses) {
-    // Implementazione placeholder
-    return {};
+  async _calculateDiversityMatrix(responses) {
+    const { matrix } = await embeddingService.similarityMatrix(responses.map(r => r.response || ''));
+    return matrix;
   }
 
+  /**
+   * Selezione greedy: si parte dalla prima risposta e si aggiunge ogni volta
+   * quella meno simile alle già scelte
+   * @returns {Array<Number>} - Indici delle risposte selezionate
+   */
   _selectDiverseSubset(responses, matrix, options) {
-    // Implementazione placeholder
-    return responses.slice(0, Math.min(3, responses.length));
+    const size = Math.min(options.maxResponses || 3, responses.length);
+    const selected = responses.length > 0 ? [0] : [];
+
+    while (selected.length < size) {
+      let best = null;
+      let bestSimilarity = Infinity;
+      responses.forEach((r, index) => {
+        if (selected.includes(index)) return;
+        const similarity = Math.max(...selected.map(other => matrix[index][other]));
+        if (similarity < bestSimilarity) {
+          best = index;
+          bestSimilarity = similarity;
+        }
+      });
+      selected.push(best);
+    }
+
+    return selected;
   }
 
   _generateDiversifiedResponse(subset) {
@@ -252,8 +260,18 @@ class IntelligentSynthesisEngine {
     return subset.map(r => r.response).join('\n\n---\n\n');
   }
 
-  _calculateOverallDiversity(subset) {
-    return 0.7; // Placeholder
+  _calculateOverallDiversity(selected, matrix) {
+    if (selected.length <= 1) return 0;
+
+    let totalSimilarity = 0;
+    let pairs = 0;
+    for (let i = 0; i < selected.length; i++) {
+      for (let j = i + 1; j < selected.length; j++) {
+        totalSimilarity += matrix[selected[i]][selected[j]];
+        pairs++;
+      }
+    }
+    return Math.max(0, 1 - totalSimilarity / pairs);
   }
 
   async _assessResultQuality(result, request) {
@@ -302,9 +320,14 @@ class EnhancedStreamingRouter extends EventEmitter {
       qualityGateEnabled: true,
       streamingOptimization: true,
       reconnectAttempts: 3,
-      streamTimeout: 30000
+      streamTimeout: 30000,
+      cascadeEarlyExitQuality: 0.9
     };
 
+    this.strategyUsage = Object.fromEntries(
+      Object.values(this.strategies).map(strategy => [strategy, 0])
+    );
+
     this._initializeMetrics();
   }
 
@@ -320,32 +343,40 @@ class EnhancedStreamingRouter extends EventEmitter {
     let responseBuffer = '';
     let isComplete = false;
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Racing timeout for model ${model}`));
-      }, this.config.streamTimeout);
-
-      // Simula streaming chunked dal modello
-      this._initiateModelStream(model, request, (chunk, finished) => {
-        responseBuffer += chunk;
-
-        // Emetti chunk via WebSocket
-        socket.emit('stream_chunk', {
-          conversationId,
-          model,
-          chunk,
-          buffer: responseBuffer,
-          strategy: 'racing',
-          timestamp: Date.now()
-        });
-
-        if (finished) {
-          clearTimeout(timeout);
-          isComplete = true;
-          resolve(responseBuffer);
-        }
-      }).catch(reject);
-    });
+    // Il timer viene fermato anche quando lo stream viene interrotto o fallisce
+    let timeout;
+    try {
+      return await new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          reject(new Error(`Racing timeout for model ${model}`));
+        }, this.config.streamTimeout);
+
+        // Simula streaming chunked dal modello
+        this._initiateModelStream(model, request, streamInfo, (chunk, finished) => {
+          // Un concorrente fermato (gara persa o sessione annullata) non invia più nulla
+          if (this._isSessionCancelled(streamInfo)) return;
+
+          responseBuffer += chunk;
+
+          // Emetti chunk via WebSocket
+          socket.emit('stream_chunk', {
+            conversationId,
+            model,
+            chunk,
+            buffer: responseBuffer,
+            strategy: 'racing',
+            timestamp: Date.now()
+          });
+
+          if (finished) {
+            isComplete = true;
+            resolve(responseBuffer);
+          }
+        }).catch(reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
   }
 
   /**
@@ -356,39 +387,43 @@ class EnhancedStreamingRouter extends EventEmitter {
     let responseBuffer = '';
     let consensusData = { chunks: [], weights: [] };
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Consensus timeout for model ${model}`));
-      }, this.config.streamTimeout);
-
-      this._initiateModelStream(model, request, (chunk, finished) => {
-        responseBuffer += chunk;
-        consensusData.chunks.push({
-          text: chunk,
-          timestamp: Date.now(),
-          model
-        });
-
-        // Calcola peso in tempo reale
-        const currentWeight = this._calculateRealtimeWeight(model, chunk, responseBuffer);
-        consensusData.weights.push(currentWeight);
-
-        socket.emit('consensus_chunk', {
-          conversationId,
-          model,
-          chunk,
-          weight: currentWeight,
-          buffer: responseBuffer,
-          consensusData,
-          timestamp: Date.now()
-        });
-
-        if (finished) {
-          clearTimeout(timeout);
-          resolve(responseBuffer);
-        }
-      }).catch(reject);
-    });
+    let timeout;
+    try {
+      return await new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          reject(new Error(`Consensus timeout for model ${model}`));
+        }, this.config.streamTimeout);
+
+        this._initiateModelStream(model, request, streamInfo, (chunk, finished) => {
+          responseBuffer += chunk;
+          consensusData.chunks.push({
+            text: chunk,
+            timestamp: Date.now(),
+            model
+          });
+
+          // Calcola peso in tempo reale
+          const currentWeight = this._calculateRealtimeWeight(model, chunk, responseBuffer);
+          consensusData.weights.push(currentWeight);
+
+          socket.emit('consensus_chunk', {
+            conversationId,
+            model,
+            chunk,
+            weight: currentWeight,
+            buffer: responseBuffer,
+            consensusData,
+            timestamp: Date.now()
+          });
+
+          if (finished) {
+            resolve(responseBuffer);
+          }
+        }).catch(reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
   }
 
   /**
@@ -398,30 +433,34 @@ class EnhancedStreamingRouter extends EventEmitter {
     const { conversationId, socket } = streamInfo;
     let responseBuffer = '';
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Cascading timeout for model ${model} at stage ${stage}`));
-      }, this.config.streamTimeout);
-
-      this._initiateModelStream(model, request, (chunk, finished) => {
-        responseBuffer += chunk;
-
-        socket.emit('cascade_chunk', {
-          conversationId,
-          model,
-          stage,
-          chunk,
-          buffer: responseBuffer,
-          cascadeProgress: this._calculateCascadeProgress(stage, chunk),
-          timestamp: Date.now()
-        });
-
-        if (finished) {
-          clearTimeout(timeout);
-          resolve(responseBuffer);
-        }
-      }).catch(reject);
-    });
+    let timeout;
+    try {
+      return await new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          reject(new Error(`Cascading timeout for model ${model} at stage ${stage}`));
+        }, this.config.streamTimeout);
+
+        this._initiateModelStream(model, request, streamInfo, (chunk, finished) => {
+          responseBuffer += chunk;
+
+          socket.emit('cascade_chunk', {
+            conversationId,
+            model,
+            stage,
+            chunk,
+            buffer: responseBuffer,
+            cascadeProgress: this._calculateCascadeProgress(stage, chunk),
+            timestamp: Date.now()
+          });
+
+          if (finished) {
+            resolve(responseBuffer);
+          }
+        }).catch(reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
   }
 
   /**
@@ -432,54 +471,545 @@ class EnhancedStreamingRouter extends EventEmitter {
     let responseBuffer = '';
     let diversityMetrics = { noveltyScore: 0, uniqueTokens: new Set() };
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Diversity timeout for model ${model}`));
-      }, this.config.streamTimeout);
+    let timeout;
+    try {
+      return await new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          reject(new Error(`Diversity timeout for model ${model}`));
+        }, this.config.streamTimeout);
+
+        this._initiateModelStream(model, request, streamInfo, (chunk, finished) => {
+          responseBuffer += chunk;
+
+          // Calcola diversità in tempo reale
+          this._updateDiversityMetrics(diversityMetrics, chunk, model);
+
+          socket.emit('diversity_chunk', {
+            conversationId,
+            model,
+            chunk,
+            buffer: responseBuffer,
+            diversityScore: diversityMetrics.noveltyScore,
+            uniqueTokenCount: diversityMetrics.uniqueTokens.size,
+            timestamp: Date.now()
+          });
+
+          if (finished) {
+            resolve(responseBuffer);
+          }
+        }).catch(reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Avvia stream da modello specifico.
+   * Il segnale della sessione viene inoltrato all'handler e l'output parziale
+   * registrato, così un annullamento può riportare testo e token consumati.
+   */
+  async _initiateModelStream(model, request, streamInfo, onChunk) {
+    let partial = null;
+
+    try {
+      if (this._isSessionCancelled(streamInfo)) {
+        throw this._createCancellationError(streamInfo);
+      }
 
-      this._initiateModelStream(model, request, (chunk, finished) => {
-        responseBuffer += chunk;
+      const modelHandler = await aiRouter.getModelHandler(model);
+
+      if (!modelHandler || !modelHandler.checkAvailability()) {
+        throw new Error(`Model ${model} not available`);
+      }
+
+      partial = {
+        model,
+        providerModel: null,
+        content: '',
+        status: 'streaming',
+        usage: null,
+        cost: null,
+        finishReason: null,
+        latencyMs: null
+      };
+      if (streamInfo.partialOutputs) {
+        streamInfo.partialOutputs.push(partial);
+      }
 
-        // Calcola diversità in tempo reale
-        this._updateDiversityMetrics(diversityMetrics, chunk, model);
+      const modelRequest = {
+        ...request,
+        options: { ...request.options, signal: streamInfo.signal }
+      };
 
-        socket.emit('diversity_chunk', {
-          conversationId,
+      const deliver = (chunk, finished) => {
+        partial.content += chunk;
+        onChunk(chunk, finished);
+      };
+
+      // Con gli strumenti il modello passa dal ciclo agente, altrimenti streaming dal provider
+      const tools = toolAgent.resolveTools(modelHandler, request.tools);
+      const finalEvent = tools.length > 0
+        ? await this._runWithTools(model, modelHandler, modelRequest, tools, streamInfo, deliver)
+        : await aiRouter.streamResponse(model, modelRequest, deliver);
+
+      partial.status = 'completed';
+      if (finalEvent) {
+        partial.providerModel = finalEvent.model;
+        partial.usage = finalEvent.usage;
+        partial.cost = finalEvent.cost;
+        partial.finishReason = finalEvent.finishReason;
+        partial.latencyMs = finalEvent.latencyMs;
+
+        // Anche uno stream annullato consuma token: l'usage viene sempre registrato
+        usageTracker.recordUsage({
+          conversationId: streamInfo.conversationId,
+          strategy: streamInfo.strategy,
+          principal: request.principal,
           model,
-          chunk,
-          buffer: responseBuffer,
-          diversityScore: diversityMetrics.noveltyScore,
-          uniqueTokenCount: diversityMetrics.uniqueTokens.size,
-          timestamp: Date.now()
+          providerModel: finalEvent.model,
+          source: 'streaming',
+          usage: finalEvent.usage,
+          cost: finalEvent.cost
         });
+      }
 
-        if (finished) {
-          clearTimeout(timeout);
-          resolve(responseBuffer);
-        }
-      }).catch(reject);
+      return finalEvent;
+
+    } catch (error) {
+      if (partial && !this._isSessionCancelled(streamInfo)) {
+        partial.status = 'error';
+        partial.error = error.message;
+        partial.errorType = error.type || null;
+      }
+      console.error(`Error streaming from model ${model}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Esegue il modello nel ciclo agente (le chiamate di strumenti non sono in
+   * streaming): tool_call e tool_result vengono emessi al client man mano,
+   * la risposta finale arriva come unico chunk.
+   */
+  async _runWithTools(model, handler, request, tools, streamInfo, onChunk) {
+    const { input, options } = aiRouter.prepareCall(request);
+
+    const response = await toolAgent.run(handler, input, {
+      ...options,
+      tools,
+      toolContext: { conversationId: streamInfo.conversationId },
+      onEvent: (type, data) => streamInfo.socket.emit(type, {
+        ...data,
+        model,
+        conversationId: streamInfo.conversationId,
+        timestamp: Date.now()
+      })
     });
+
+    onChunk(response.content, false);
+    onChunk('', true);
+    return response;
   }
 
   /**
-   * Avvia stream da modello specifico
+   * STRATEGY EXECUTORS
+   */
+
+  /**
+   * Parallel racing: tutti i modelli in streaming, vince il primo che completa.
+   * I perdenti vengono interrotti appena c'è un vincitore: altrimenti
+   * continuerebbero a consumare token e a inviare chunk.
    */
-  async _initiateModelStream(model, request, onChunk) {
+  async _executeParallelRacing(request, streamInfo, models) {
+    this._assertModels(models, this.strategies.PARALLEL_RACING);
+    const raceStart = Date.now();
+
+    const racerSessions = models.map(() => this._createRacerSession(streamInfo));
+    const racers = models.map((model, index) =>
+      this._trackModelStream(model, request, racerSessions[index], () =>
+        this._streamFromModelWithRacing(model, request, racerSessions[index])
+      )
+    );
+
+    let winner;
     try {
-      // Usa il router esistente per ottenere response
-      const modelHandler = await aiRouter.getModelHandler(model);
+      winner = await Promise.any(racers);
+    } catch (error) {
+      throw new Error(`All models failed in parallel racing: ${this._describeFailures(error.errors, models)}`);
+    } finally {
+      const winnerIndex = winner ? models.indexOf(winner.model) : -1;
+      racerSessions.forEach((racerSession, index) => {
+        racerSession.release();
+        if (index !== winnerIndex) racerSession.abortController.abort();
+      });
+    }
+
+    this.emit('race_winner', {
+      conversationId: streamInfo.conversationId,
+      winner: winner.model,
+      responseTime: Date.now() - raceStart,
+      quality: winner.quality,
+      participants: models,
+      timestamp: Date.now()
+    });
+
+    return winner.response;
+  }
+
+  /**
+   * Weighted consensus: tutti i modelli completano, le risposte vengono pesate
+   * e passate al motore di consenso
+   */
+  async _executeWeightedConsensus(request, streamInfo, models) {
+    this._assertModels(models, this.strategies.WEIGHTED_CONSENSUS);
+
+    const settled = await Promise.allSettled(
+      models.map(model =>
+        this._trackModelStream(model, request, streamInfo, () =>
+          this._streamFromModelWithConsensus(model, request, streamInfo)
+        )
+      )
+    );
+
+    const responses = this._collectFulfilled(settled, models, this.strategies.WEIGHTED_CONSENSUS);
+
+    // Peso = qualità della risposta * fattore di apprendimento del modello
+    responses.forEach(r => {
+      r.weight = r.quality * this._calculateLearningFactor(r.model, request);
+    });
+    responses.sort((a, b) => b.weight - a.weight);
+
+    const consensus = await this.synthesisEngine.performConsensus(responses, request);
+
+    this.emit('consensus_completed', {
+      conversationId: streamInfo.conversationId,
+      models: responses.map(r => r.model),
+      weights: Object.fromEntries(responses.map(r => [r.model, r.weight])),
+      confidence: consensus.confidence,
+      consensusClusters: consensus.consensusClusters,
+      contradictions: consensus.contradictions,
+      modelAgreement: consensus.modelAgreement,
+      failedModels: models.filter(m => !responses.some(r => r.model === m)),
+      timestamp: Date.now()
+    });
+
+    return consensus.text;
+  }
+
+  /**
+   * Adaptive cascading: i modelli lavorano in sequenza, ognuno raffina la
+   * risposta del precedente. Un modello che fallisce viene saltato e la
+   * cascata si interrompe in anticipo se la qualità è già sufficiente.
+   */
+  async _executeAdaptiveCascading(request, streamInfo, models) {
+    this._assertModels(models, this.strategies.ADAPTIVE_CASCADING);
+
+    const orderedModels = this._orderModelsForCascading([...models], request);
+    const cascadeResults = [];
+    let previousResponse = null;
 
-      if (!modelHandler || !modelHandler.streamResponse) {
-        throw new Error(`Model ${model} does not support streaming`);
+    for (let stage = 0; stage < orderedModels.length; stage++) {
+      if (this._isSessionCancelled(streamInfo)) {
+        throw this._createCancellationError(streamInfo);
       }
 
-      // Avvia streaming dal modello
-      return await modelHandler.streamResponse(request, onChunk);
+      const model = orderedModels[stage];
+      const isFirst = previousResponse === null;
+      const isLast = stage === orderedModels.length - 1;
+      const stageRequest = {
+        ...request,
+        prompt: this._buildCascadePrompt(request.prompt, previousResponse, model, isFirst, isLast)
+      };
+
+      let result;
+      try {
+        result = await this._trackModelStream(model, request, streamInfo, () =>
+          this._streamFromModelWithCascading(model, stageRequest, streamInfo, stage)
+        );
+      } catch (error) {
+        console.warn(`⚠️ Cascade stage ${stage} (${model}) failed, skipping:`, error.message);
+        continue;
+      }
+
+      cascadeResults.push(result);
+      previousResponse = result.response;
+
+      const earlyExit = !isFirst && !isLast && result.quality >= this.config.cascadeEarlyExitQuality;
+
+      this.emit('cascade_stage_completed', {
+        conversationId: streamInfo.conversationId,
+        stage,
+        model,
+        totalStages: orderedModels.length,
+        quality: result.quality,
+        responseTime: result.responseTime,
+        earlyExit,
+        timestamp: Date.now()
+      });
+
+      if (earlyExit) break;
+    }
+
+    if (cascadeResults.length === 0) {
+      throw new Error(`All models failed in ${this.strategies.ADAPTIVE_CASCADING}`);
+    }
+
+    // Ogni stadio incorpora il precedente: l'ultimo è la risposta finale
+    return previousResponse;
+  }
+
+  /**
+   * Diversity sampling: ogni modello riceve una variante del prompt con una
+   * prospettiva diversa, poi si seleziona il sottoinsieme più diversificato
+   */
+  async _executeDiversitySampling(request, streamInfo, models) {
+    this._assertModels(models, this.strategies.DIVERSITY_SAMPLING);
+
+    const prompts = this._generateDiversityPrompts(request.prompt, models.length);
+
+    const settled = await Promise.allSettled(
+      models.map((model, index) => {
+        const sampleRequest = { ...request, prompt: prompts[index % prompts.length] };
+        return this._trackModelStream(model, request, streamInfo, () =>
+          this._streamFromModelWithDiversity(model, sampleRequest, streamInfo)
+        );
+      })
+    );
+
+    const responses = this._collectFulfilled(settled, models, this.strategies.DIVERSITY_SAMPLING);
+
+    const responseMap = Object.fromEntries(responses.map(r => [r.model, r.response]));
+    const diversityScores = {};
+    for (const r of responses) {
+      diversityScores[r.model] = await this._calculateDiversityScore(r.response, responseMap);
+    }
+
+    // Le risposte più originali vengono considerate per prime
+    responses.sort((a, b) => diversityScores[b.model] - diversityScores[a.model]);
+
+    const diversity = await this.synthesisEngine.maximizeDiversity(responses, request);
+
+    this.emit('diversity_sampling_completed', {
+      conversationId: streamInfo.conversationId,
+      models: responses.map(r => r.model),
+      diversityScores,
+      diversityScore: diversity.diversityScore,
+      selectedResponses: diversity.selectedResponses,
+      timestamp: Date.now()
+    });
+
+    return diversity.text;
+  }
+
+  /**
+   * Hybrid synthesis: i modelli vengono partizionati tra racing, consensus e
+   * diversity; i tre risultati vengono poi combinati con meta-sintesi
+   */
+  async _executeHybridSynthesis(request, streamInfo, models) {
+    this._assertModels(models, this.strategies.HYBRID_SYNTHESIS);
+
+    // Con un solo modello le tre partizioni coinciderebbero
+    if (models.length === 1) {
+      return await this._executeParallelRacing(request, streamInfo, models);
+    }
+
+    const partition = this._partitionModelsForHybrid(models, request);
+    const branches = [
+      { strategy: this.strategies.PARALLEL_RACING, run: () => this._executeParallelRacing(request, streamInfo, partition.racing) },
+      { strategy: this.strategies.WEIGHTED_CONSENSUS, run: () => this._executeWeightedConsensus(request, streamInfo, partition.consensus) },
+      { strategy: this.strategies.DIVERSITY_SAMPLING, run: () => this._executeDiversitySampling(request, streamInfo, partition.diversity) }
+    ];
+
+    const settled = await Promise.allSettled(branches.map(branch => branch.run()));
+    const completed = branches
+      .map((branch, index) => ({ ...branch, outcome: settled[index] }))
+      .filter(branch => branch.outcome.status === 'fulfilled');
+
+    if (completed.length === 0) {
+      throw new Error(`All branches failed in ${this.strategies.HYBRID_SYNTHESIS}`);
+    }
+
+    const metaSynthesis = await this.synthesisEngine.performMetaSynthesis(
+      completed.map(branch => branch.outcome.value),
+      request
+    );
+
+    this.emit('hybrid_synthesis_completed', {
+      conversationId: streamInfo.conversationId,
+      partition,
+      completedStrategies: completed.map(branch => branch.strategy),
+      confidence: metaSynthesis.confidence,
+      timestamp: Date.now()
+    });
+
+    return metaSynthesis.text;
+  }
+
+  /**
+   * Sessione di un singolo concorrente: eredita dalla sessione (conversationId,
+   * socket, partialOutputs, cancelReason) ma ha un proprio AbortController,
+   * collegato a quello della sessione, così può essere fermato da solo.
+   * release() scollega il concorrente dalla sessione.
+   */
+  _createRacerSession(streamInfo) {
+    const abortController = new AbortController();
+    const abort = () => abortController.abort();
+
+    if (streamInfo.signal.aborted) {
+      abort();
+    } else {
+      streamInfo.signal.addEventListener('abort', abort, { once: true });
+    }
+
+    return Object.assign(Object.create(streamInfo), {
+      abortController,
+      signal: abortController.signal,
+      release: () => streamInfo.signal.removeEventListener('abort', abort)
+    });
+  }
+
+  /**
+   * Esegue lo stream di un modello registrando tempi, qualità e affidabilità.
+   * Uno stream annullato non viene conteggiato nelle metriche.
+   */
+  async _trackModelStream(model, request, streamInfo, runStream) {
+    const startTime = Date.now();
+    let response;
 
+    try {
+      response = await runStream();
     } catch (error) {
-      console.error(`Error streaming from model ${model}:`, error);
+      if (!this._isSessionCancelled(streamInfo)) {
+        this._recordModelPerformance(model, false, Date.now() - startTime);
+      }
       throw error;
     }
+
+    // Lo stream annullato si chiude con il solo testo parziale
+    if (this._isSessionCancelled(streamInfo)) {
+      throw this._createCancellationError(streamInfo);
+    }
+
+    const responseTime = Date.now() - startTime;
+    const quality = await this._assessResponseQuality(response, request);
+
+    this._recordModelPerformance(model, true, responseTime, quality);
+    return { model, response, responseTime, quality };
+  }
+
+  _recordModelPerformance(model, success, responseTime, quality = null) {
+    const metrics = this.performanceMetrics.get(model) || this._initializeModelMetrics(model);
+    const alpha = 0.2; // Learning rate della media mobile
+
+    metrics.totalRequests++;
+    if (success) {
+      metrics.successfulRequests++;
+      metrics.averageResponseTime = (1 - alpha) * metrics.averageResponseTime + alpha * responseTime;
+      if (quality !== null) {
+        metrics.averageQuality = (1 - alpha) * metrics.averageQuality + alpha * quality;
+      }
+    }
+    metrics.reliability = (1 - alpha) * metrics.reliability + alpha * (success ? 1 : 0);
+  }
+
+  _collectFulfilled(settled, models, strategy) {
+    const responses = settled
+      .filter(outcome => outcome.status === 'fulfilled')
+      .map(outcome => outcome.value);
+
+    if (responses.length === 0) {
+      const errors = settled.map(outcome => outcome.reason);
+      throw new Error(`All models failed in ${strategy}: ${this._describeFailures(errors, models)}`);
+    }
+
+    return responses;
+  }
+
+  _describeFailures(errors = [], models = []) {
+    return errors
+      .map((error, index) => `${models[index] || 'unknown'} (${error?.message || error})`)
+      .join(', ');
+  }
+
+  _assertModels(models, strategy) {
+    if (!models || models.length === 0) {
+      throw new Error(`No available models for ${strategy}`);
+    }
+  }
+
+  /**
+   * STRATEGY PLANNING
+   */
+
+  /**
+   * Modelli abilitati nella modelConfig ({ claude: true, ... } oppure array di nomi)
+   */
+  _getEnabledModels(modelConfig) {
+    if (!modelConfig) return [];
+    if (Array.isArray(modelConfig)) return modelConfig;
+
+    return Object.entries(modelConfig)
+      .filter(([_, value]) => value === true || (value && value.enabled))
+      .map(([model, _]) => model);
+  }
+
+  /**
+   * Seleziona i modelli abilitati e configurati, ordinati per performance.
+   * Il numero di modelli cresce con la complessità del prompt.
+   * Con requireImages restano solo i modelli multimodali.
+   */
+  _selectOptimalModels(analysis, modelConfig, { requireImages = false } = {}) {
+    const candidates = this._getEnabledModels(modelConfig).filter(model => {
+      const handler = aiRouter.getHandler(model);
+      // Con immagini allegate i modelli solo testuali sono esclusi
+      return handler && handler.checkAvailability() && (!requireImages || aiRouter.supportsImages(model));
+    });
+
+    const preferSpeed = analysis.urgency.level === 'high';
+    const scored = candidates.map(model => {
+      const metrics = this.performanceMetrics.get(model) || this._initializeModelMetrics(model);
+      const speedScore = this._calculateSpeedScore(metrics.averageResponseTime);
+      const qualityScore = metrics.averageQuality * metrics.reliability;
+      const score = preferSpeed ? speedScore * 0.7 + qualityScore * 0.3 : qualityScore * 0.7 + speedScore * 0.3;
+      return { model, score };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+
+    const modelLimits = { low: 2, medium: 3, high: this.config.maxConcurrentModels };
+    const limit = Math.min(modelLimits[analysis.complexity.level] || 3, this.config.maxConcurrentModels);
+
+    return scored.slice(0, limit).map(entry => entry.model);
+  }
+
+  /**
+   * Stima la durata (ms) di una strategia sui modelli abilitati
+   */
+  _estimateDuration(strategy, modelConfig) {
+    const times = this._getEnabledModels(modelConfig).map(model => {
+      const metrics = this.performanceMetrics.get(model);
+      return metrics ? metrics.averageResponseTime : 3000;
+    });
+
+    if (times.length === 0) return 0;
+
+    const fastest = Math.min(...times);
+    const slowest = Math.max(...times);
+    const total = times.reduce((a, b) => a + b, 0);
+
+    switch (strategy) {
+      case this.strategies.PARALLEL_RACING:
+        return Math.round(fastest);
+      case this.strategies.ADAPTIVE_CASCADING:
+        return Math.round(total);
+      case this.strategies.HYBRID_SYNTHESIS:
+        return Math.round(slowest * 1.2); // Margine per la meta-sintesi
+      case this.strategies.WEIGHTED_CONSENSUS:
+      case this.strategies.DIVERSITY_SAMPLING:
+      default:
+        return Math.round(slowest);
+    }
   }
 
   /**
@@ -656,24 +1186,14 @@ class EnhancedStreamingRouter extends EventEmitter {
   }
 
   async _calculateDiversityScore(response, allResponses) {
-    if (Object.keys(allResponses).length <= 1) return 1.0;
-
-    const responseWords = new Set(response.toLowerCase().split(/\s+/));
-    let totalSimilarity = 0;
-    let comparisons = 0;
+    const others = Object.values(allResponses).filter(other => other && other !== response);
+    if (others.length === 0) return 1.0;
 
-    for (const [model, otherResponse] of Object.entries(allResponses)) {
-      if (otherResponse && otherResponse !== response) {
-        const otherWords = new Set(otherResponse.toLowerCase().split(/\s+/));
-        const intersection = new Set([...responseWords].filter(x => otherWords.has(x)));
-        const union = new Set([...responseWords, ...otherWords]);
+    // Similarità semantica media con le altre risposte
+    const { vectors } = await embeddingService.embedMany([response, ...others]);
+    const averageSimilarity = vectors.slice(1)
+      .reduce((sum, vector) => sum + embeddingService.cosine(vectors[0], vector), 0) / others.length;
 
-        totalSimilarity += intersection.size / union.size;
-        comparisons++;
-      }
-    }
-
-    const averageSimilarity = comparisons > 0 ? totalSimilarity / comparisons : 0;
     return Math.max(0, 1 - averageSimilarity); // Higher diversity = lower similarity
   }
 
@@ -785,14 +1305,14 @@ class EnhancedStreamingRouter extends EventEmitter {
   }
 
   _getStrategyDistribution() {
-    // Placeholder - dovrebbe tracciare usage delle strategie
-    return {
-      parallel_racing: 0.4,
-      weighted_consensus: 0.3,
-      adaptive_cascading: 0.1,
-      diversity_sampling: 0.1,
-      hybrid_synthesis: 0.1
-    };
+    const total = Object.values(this.strategyUsage).reduce((a, b) => a + b, 0);
+
+    return Object.fromEntries(
+      Object.entries(this.strategyUsage).map(([strategy, count]) => [
+        strategy,
+        total > 0 ? count / total : 0
+      ])
+    );
   }
 
   _getModelEfficiencyStats() {
@@ -812,55 +1332,270 @@ class EnhancedStreamingRouter extends EventEmitter {
    * PUBLIC API METHODS
    */
 
-  async startStreamingSession(request, socket) {
-    const conversationId = this._generateConversationId();
-    const streamInfo = { conversationId, socket };
+  /**
+   * Avvia una sessione di streaming
+   * @param {Object} request - { prompt, modelConfig, conversationHistory, attachments }
+   *   (attachments: ID di allegati caricati o immagini base64, vedi attachment_store)
+   * @param {Object} socket - Socket del client per le emissioni real-time
+   * @param {Object} options - { streamId } per collegare la sessione allo stream del server
+   * @returns {Promise<String>} - Risposta finale
+   */
+  async startStreamingSession(request, socket, options = {}) {
+    // Una conversazione salvata può essere ripresa passando il suo ID
+    const conversationId = request.conversationId || this._generateConversationId();
+    const abortController = new AbortController();
+    const streamInfo = {
+      conversationId,
+      streamId: options.streamId || conversationId,
+      socket,
+      abortController,
+      signal: abortController.signal,
+      partialOutputs: [],
+      cancelReason: null,
+      startTime: Date.now()
+    };
+
+    this.activeStreams.set(conversationId, streamInfo);
 
     try {
+      if (request.conversationId && !request.conversationHistory) {
+        request = { ...request, conversationHistory: await this._loadConversationHistory(conversationId) };
+      }
+
+      // Immagini allegate: normalizzate e inviate solo ai modelli multimodali
+      const { images, attachments } = await attachmentStore.resolveAttachments(request.attachments);
+      const requireImages = images.length > 0;
+      request = { ...request, images };
+      streamInfo.attachments = attachments;
+
       // Determina strategia ottimale
       const strategy = await this.determineStreamingStrategy(
         request.prompt,
         request.modelConfig,
-        request.conversationHistory || []
+        request.conversationHistory || [],
+        { requireImages }
       );
 
+      if (requireImages && strategy.recommendedModels.length === 0) {
+        const error = new Error('None of the selected models accepts image inputs');
+        error.code = 'images_not_supported';
+        throw error;
+      }
+
+      // Verifica il budget prima di avviare i modelli: rifiuta o riduce la selezione
+      const budget = await budgetGuard.checkBudget({
+        prompt: request.prompt,
+        history: request.conversationHistory,
+        models: strategy.recommendedModels,
+        maxTokens: request.options && request.options.max_tokens,
+        conversationId,
+        principal: request.principal,
+        mode: request.budgetMode,
+        requireImages
+      });
+
+      if (!budget.allowed) {
+        throw budgetGuard.createBudgetError(budget);
+      }
+
+      const plan = { ...strategy, recommendedModels: budget.models };
+
       // Emetti strategia selezionata
       socket.emit('strategy_selected', {
         conversationId,
-        strategy: strategy.strategy,
-        reasoning: strategy.reasoning,
-        estimatedDuration: strategy.estimatedDuration,
-        recommendedModels: strategy.recommendedModels
+        strategy: plan.strategy,
+        reasoning: budget.downgraded ? `${plan.reasoning} (budget downgrade: ${budget.reason})` : plan.reasoning,
+        estimatedDuration: plan.estimatedDuration,
+        recommendedModels: plan.recommendedModels,
+        budget: budgetGuard.describeDecision(budget)
       });
 
       // Esegui streaming
-      const result = await this.executeStreamingStrategy(request, streamInfo);
+      const result = await this.executeStreamingStrategy(request, streamInfo, plan);
+
+      // Annullata durante la sintesi: il risultato è solo parziale
+      if (this._isSessionCancelled(streamInfo)) {
+        throw this._createCancellationError(streamInfo);
+      }
 
       // Emetti risultato finale
       socket.emit('streaming_completed', {
         conversationId,
         finalResponse: result,
+        usage: this._summarizeUsage(streamInfo.partialOutputs),
         timestamp: Date.now()
       });
 
+      await this._saveExchange(request, streamInfo, result);
+
       return result;
 
     } catch (error) {
+      if (this._isSessionCancelled(streamInfo)) {
+        throw this._createCancellationError(streamInfo);
+      }
+
       socket.emit('streaming_error', {
         conversationId,
         error: error.message,
+        code: error.code,
+        budget: error.budget,
         timestamp: Date.now()
       });
       throw error;
+    } finally {
+      const cancelled = this._isSessionCancelled(streamInfo);
+
+      // Ferma le chiamate ancora in corso (modelli oltre il timeout, rami falliti):
+      // dopo l'eliminazione nessuno stop potrebbe più raggiungerle
+      if (!cancelled) {
+        streamInfo.abortController.abort();
+      }
+      this.activeStreams.delete(conversationId);
+
+      if (cancelled) {
+        const cancellation = this._buildCancellationSummary(streamInfo);
+        socket.emit('stream_cancelled', cancellation);
+        this.emit('stream_cancelled', cancellation);
+      }
+    }
+  }
+
+  /**
+   * Annulla una sessione attiva: interrompe le richieste HTTP e i processi
+   * locali ancora in corso. L'evento 'stream_cancelled' viene emesso quando
+   * la sessione ha terminato, con l'output parziale e i token consumati.
+   * @param {String} id - conversationId o streamId della sessione
+   * @param {String} reason - Motivo dell'annullamento
+   * @returns {Boolean} - true se la sessione era attiva
+   */
+  cancelStreamingSession(id, reason = 'cancelled') {
+    const streamInfo = this._findSession(id);
+    if (!streamInfo || streamInfo.signal.aborted) {
+      return false;
+    }
+
+    console.log(`⏹️ Cancelling streaming session ${streamInfo.conversationId}: ${reason}`);
+    streamInfo.cancelReason = reason;
+    streamInfo.abortController.abort();
+    return true;
+  }
+
+  _findSession(id) {
+    if (this.activeStreams.has(id)) {
+      return this.activeStreams.get(id);
+    }
+
+    for (const streamInfo of this.activeStreams.values()) {
+      if (streamInfo.streamId === id) return streamInfo;
+    }
+
+    return null;
+  }
+
+  _isSessionCancelled(streamInfo) {
+    return !!(streamInfo && streamInfo.signal && streamInfo.signal.aborted);
+  }
+
+  _createCancellationError(streamInfo) {
+    const error = new Error(`Streaming session ${streamInfo.conversationId} cancelled`);
+    error.name = 'AbortError';
+    error.code = 'ERR_CANCELED';
+    error.reason = streamInfo.cancelReason;
+    return error;
+  }
+
+  /**
+   * Cronologia salvata della conversazione (vuota se non disponibile)
+   * @param {String} conversationId - ID della conversazione
+   * @returns {Promise<Array<Object>>} - Messaggi [{ role, content }]
+   */
+  async _loadConversationHistory(conversationId) {
+    try {
+      return await conversationStore.getHistory(conversationId);
+    } catch (error) {
+      console.error(`Error loading history for ${conversationId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Salva lo scambio completato nell'archivio conversazioni.
+   * Un errore di salvataggio non fa fallire la sessione.
+   * @param {Object} request - Richiesta originale
+   * @param {Object} streamInfo - Stato della sessione
+   * @param {String} result - Risposta finale
+   */
+  async _saveExchange(request, streamInfo, result) {
+    try {
+      await conversationStore.recordExchange(streamInfo.conversationId, {
+        prompt: request.prompt,
+        response: result,
+        strategy: streamInfo.strategy,
+        responses: streamInfo.partialOutputs,
+        startedAt: streamInfo.startTime,
+        source: 'streaming',
+        metadata: streamInfo.attachments && streamInfo.attachments.length > 0
+          ? { attachments: streamInfo.attachments }
+          : undefined
+      });
+    } catch (error) {
+      console.error(`Error saving conversation ${streamInfo.conversationId}:`, error.message);
     }
   }
 
+  /**
+   * Totali di token e costo delle chiamate di una sessione
+   * @param {Array<Object>} outputs - Output dei modelli { model, usage, cost }
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens, cost, currency, byModel }
+   */
+  _summarizeUsage(outputs) {
+    const summary = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, currency: 'USD', byModel: {} };
+
+    outputs.forEach(({ model, usage, cost }) => {
+      const modelTotals = summary.byModel[model] || (summary.byModel[model] = { totalTokens: 0, cost: 0 });
+      const callCost = cost ? cost.totalCost : 0;
+
+      summary.promptTokens += usage?.promptTokens || 0;
+      summary.completionTokens += usage?.completionTokens || 0;
+      summary.totalTokens += usage?.totalTokens || 0;
+      summary.cost += callCost;
+      modelTotals.totalTokens += usage?.totalTokens || 0;
+      modelTotals.cost = Math.round((modelTotals.cost + callCost) * 1e6) / 1e6;
+    });
+
+    summary.cost = Math.round(summary.cost * 1e6) / 1e6;
+    return summary;
+  }
+
+  _buildCancellationSummary(streamInfo) {
+    const partialOutputs = streamInfo.partialOutputs.map(partial => ({
+      model: partial.model,
+      content: partial.content,
+      usage: partial.usage,
+      cost: partial.cost,
+      finishReason: partial.finishReason || 'cancelled'
+    }));
+
+    const tokensUsed = this._summarizeUsage(partialOutputs);
+
+    return {
+      conversationId: streamInfo.conversationId,
+      streamId: streamInfo.streamId,
+      reason: streamInfo.cancelReason,
+      partialOutputs,
+      tokensUsed,
+      duration: Date.now() - streamInfo.startTime,
+      timestamp: Date.now()
+    };
+  }
+
   _generateConversationId() {
     return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   // Implementazione originale dei metodi esistenti...
-  async determineStreamingStrategy(prompt, modelConfig, conversationHistory = []) {
+  async determineStreamingStrategy(prompt, modelConfig, conversationHistory = [], { requireImages = false } = {}) {
     const analysis = await this.contextAnalyzer.analyze({
       prompt,
       modelConfig,
@@ -895,17 +1630,28 @@ class EnhancedStreamingRouter extends EventEmitter {
       reasoning,
       confidence: analysis.confidence,
       estimatedDuration: this._estimateDuration(strategy, modelConfig),
-      recommendedModels: this._selectOptimalModels(analysis, modelConfig)
+      recommendedModels: this._selectOptimalModels(analysis, modelConfig, { requireImages })
     };
   }
 
-  async executeStreamingStrategy(request, streamInfo) {
-    const { strategy, recommendedModels } = await this.determineStreamingStrategy(
+  /**
+   * Esegue la strategia. plan (risultato di determineStreamingStrategy,
+   * eventualmente ridotto dal budget) evita di ricalcolare la selezione.
+   */
+  async executeStreamingStrategy(request, streamInfo, plan = null) {
+    const { strategy, recommendedModels } = plan || await this.determineStreamingStrategy(
       request.prompt,
       request.modelConfig,
-      request.conversationHistory
+      request.conversationHistory,
+      { requireImages: !!(request.images && request.images.length > 0) }
     );
 
+    if (this.strategyUsage[strategy] !== undefined) {
+      this.strategyUsage[strategy]++;
+    }
+
+    streamInfo.strategy = strategy;
+
     this.emit('strategy_execution_started', {
       conversationId: streamInfo.conversationId,
       strategy,
@@ -1,5 +1,8 @@
 // assets/backend/ai-handlers/enhanced_transparent_synthesizer.js
 const EventEmitter = require('events');
+const synthesisEngine = require('./synthesis_engine');
+const consensusAnalyzer = require('./consensus_analyzer');
+const embeddingService = require('./embedding_service');
 
 /**
  * 🧠 Enhanced Transparent AI Synthesizer
@@ -14,7 +17,45 @@ class TransparentAISynthesizer extends EventEmitter {
             consensus: this.consensusStrategy.bind(this),
             weighted: this.weightedStrategy.bind(this),
             adaptive: this.adaptiveStrategy.bind(this),
-            sequential: this.sequentialStrategy.bind(this)
+            sequential: this.sequentialStrategy.bind(this),
+            cascading: this.cascadingStrategy.bind(this)
+        };
+
+        // Chained strategies: the synthesizer dispatches each model itself,
+        // so model N receives model N-1's output
+        this.dispatchStrategies = new Set(['sequential', 'cascading']);
+
+        // Stage prompt templates. Placeholders: {prompt}, {answer} (latest answer),
+        // {answer_model}, {critique} (latest critique)
+        this.chainTemplates = {
+            draft: '{prompt}',
+            critique: `Original request:
+{prompt}
+
+Draft answer from {answer_model}:
+{answer}
+
+Review this draft: point out factual errors, gaps and unclear parts, and suggest concrete improvements. Do not rewrite the answer.`,
+            refine: `Original request:
+{prompt}
+
+Current answer from {answer_model}:
+{answer}
+
+Reviewer feedback:
+{critique}
+
+Write the final, improved answer to the original request, addressing the feedback. Output only the answer.`
+        };
+
+        // How long each strategy waits for responses and how many it needs.
+        // quorum: 'all' | 'majority' | N (synthesize as soon as the first N of M answered)
+        this.collectionRules = {
+            parallel: { timeout: 30000, quorum: 'all' },
+            consensus: { timeout: 35000, quorum: 'all' },
+            weighted: { timeout: 30000, quorum: 'all' },
+            sequential: { timeout: 60000 }, // per stage
+            cascading: { timeout: 60000, earlyExitQuality: 0.9 }
         };
     }
 
@@ -28,18 +69,46 @@ class TransparentAISynthesizer extends EventEmitter {
             models,
             strategy = 'parallel',
             weights = {},
-            metadata = {}
+            metadata = {},
+            quorum = null,
+            responseTimeout = null,
+            dispatch = null,
+            chainRoles = null,
+            chainTemplates = {},
+            synthesisBackend = null,
+            synthesisBackends = null,
+            modelPrompt = null,
+            sources = []
         } = orchestrationRequest;
 
         // Initialize orchestration state
+        // Own copies: failover substitutions rewrite slots and weights in place
         const orchestration = {
             id: conversationId,
+            conversationId, // Strategies look the orchestration up by this name
             prompt,
-            models,
+            models: [...models],
             strategy,
-            weights,
+            weights: { ...weights },
             metadata,
             responses: new Map(),
+            failures: new Map(),
+            timedOutModels: [],
+            quorum,
+            responseTimeout,
+            // Pending waits, re-checked whenever a model settles
+            waiters: new Set(),
+            failovers: [],
+            // Chained strategies: (modelName, stagePrompt) => response record
+            dispatch,
+            chainRoles,
+            chainTemplates: { ...this.chainTemplates, ...chainTemplates },
+            chain: [],
+            synthesisBackend,
+            synthesisBackends,
+            // Prompt actually sent to the models (e.g. grounded with knowledge base sources)
+            modelPrompt: modelPrompt || prompt,
+            sources,
             startTime: Date.now(),
             status: 'active',
             currentPhase: 'initializing'
@@ -65,6 +134,14 @@ class TransparentAISynthesizer extends EventEmitter {
             }
 
             const synthesizedResult = await strategyFunction(orchestration);
+            synthesizedResult.usage = this.summarizeUsage(orchestration, synthesizedResult.synthesisUsage);
+            synthesizedResult.failovers = orchestration.failovers;
+            synthesizedResult.chain = orchestration.chain;
+            synthesizedResult.sources = orchestration.sources;
+            synthesizedResult.qualityMetrics = {
+                ...synthesizedResult.qualityMetrics,
+                ...this.describeCollection(orchestration)
+            };
 
             // Update phase
             this.updateOrchestrationPhase(conversationId, 'synthesis_complete');
@@ -74,6 +151,11 @@ class TransparentAISynthesizer extends EventEmitter {
                 conversation_id: conversationId,
                 synthesis: synthesizedResult.content,
                 quality_metrics: synthesizedResult.qualityMetrics,
+                usage: synthesizedResult.usage,
+                cost: synthesizedResult.usage.cost,
+                failovers: orchestration.failovers,
+                chain: orchestration.chain,
+                sources: orchestration.sources,
                 orchestration_time: Date.now() - orchestration.startTime
             });
 
@@ -83,7 +165,7 @@ class TransparentAISynthesizer extends EventEmitter {
             this.emit('orchestration_error', {
                 conversation_id: conversationId,
                 error: error.message,
-                code: 'ORCHESTRATION_FAILED'
+                code: error.code || 'ORCHESTRATION_FAILED'
             });
             throw error;
         } finally {
@@ -109,6 +191,8 @@ class TransparentAISynthesizer extends EventEmitter {
             response_time_ms: responseData.responseTime || 0,
             timestamp: new Date().toISOString(),
             status: 'completed',
+            usage: responseData.usage || null,
+            cost: responseData.cost || null,
             metadata: responseData.metadata || {}
         };
 
@@ -122,22 +206,90 @@ class TransparentAISynthesizer extends EventEmitter {
 
         // Update progress
         this.updateOrchestrationProgress(conversationId);
+        this.notifyWaiters(orchestration);
+    }
+
+    /**
+     * Record that a model failed for good (after retries and failover),
+     * so the orchestration stops waiting for it
+     */
+    addFailure(conversationId, modelName, failureData = {}) {
+        const orchestration = this.activeOrchestrations.get(conversationId);
+        if (!orchestration) {
+            console.warn(`No active orchestration found for ${conversationId}`);
+            return;
+        }
+
+        const failure = {
+            model_name: modelName,
+            error: failureData.error || 'Unknown error',
+            error_type: failureData.type || 'unknown',
+            timestamp: new Date().toISOString(),
+            status: 'failed'
+        };
+
+        orchestration.failures.set(modelName, failure);
+
+        this.emit('individual_failure', {
+            conversation_id: conversationId,
+            ...failure
+        });
+
+        this.updateOrchestrationProgress(conversationId);
+        this.notifyWaiters(orchestration);
+    }
+
+    /**
+     * Replace a failed model slot with its failover substitute.
+     * Responses, progress and weights are tracked under the substitute's name.
+     */
+    substituteModel(conversationId, fromModel, toModel, details = {}) {
+        const orchestration = this.activeOrchestrations.get(conversationId);
+        if (!orchestration) {
+            console.warn(`No active orchestration found for ${conversationId}`);
+            return;
+        }
+
+        const slot = orchestration.models.indexOf(fromModel);
+        if (slot !== -1) {
+            orchestration.models[slot] = toModel;
+        }
+
+        // The substitute inherits the slot's weight
+        if (orchestration.weights[fromModel] !== undefined && orchestration.weights[toModel] === undefined) {
+            orchestration.weights[toModel] = orchestration.weights[fromModel];
+        }
+        delete orchestration.weights[fromModel];
+
+        const failover = {
+            from: fromModel,
+            to: toModel,
+            reason: details.reason || 'unknown',
+            error: details.error || null,
+            timestamp: new Date().toISOString()
+        };
+        orchestration.failovers.push(failover);
+
+        this.emit('model_failover', {
+            conversation_id: conversationId,
+            ...failover
+        });
+
+        this.updateOrchestrationProgress(conversationId);
+        this.notifyWaiters(orchestration);
     }
 
     /**
      * Parallel strategy - all models run simultaneously
      */
     async parallelStrategy(orchestration) {
-        const { conversationId, models, prompt, weights } = orchestration;
+        const { weights } = orchestration;
 
-        // Wait for all responses or timeout
-        await this.waitForResponses(conversationId, models, 30000); // 30s timeout
+        // Wait for all responses (or the quorum) or timeout
+        const responses = await this.collectResponses(orchestration);
 
-        const responses = Array.from(orchestration.responses.values());
-
-        // Use Claude as meta-orchestrator for synthesis
-        const synthesis = await this.synthesizeWithClaudeOrchestrator(
-            prompt,
+        const synthesis = await this.synthesizeResponses(
+            orchestration,
             responses,
             'parallel',
             weights
@@ -145,6 +297,7 @@ class TransparentAISynthesizer extends EventEmitter {
 
         return {
             content: synthesis.content,
+            synthesisUsage: synthesis.usage || null,
             qualityMetrics: synthesis.qualityMetrics,
             strategy: 'parallel',
             responseCount: responses.length
@@ -155,16 +308,17 @@ class TransparentAISynthesizer extends EventEmitter {
      * Consensus strategy - find agreement between models
      */
     async consensusStrategy(orchestration) {
-        const { conversationId, models, prompt } = orchestration;
-
-        await this.waitForResponses(conversationId, models, 35000);
-        const responses = Array.from(orchestration.responses.values());
+        const responses = await this.collectResponses(orchestration);
 
-        // Analyze consensus
-        const consensusAnalysis = this.analyzeConsensus(responses);
+        // Claim-level agreement and contradictions, shown to the client before synthesis
+        const consensusAnalysis = await this.analyzeConsensus(responses);
+        this.emit('consensus_analysis', {
+            conversation_id: orchestration.conversationId,
+            ...consensusAnalysis
+        });
 
-        const synthesis = await this.synthesizeWithClaudeOrchestrator(
-            prompt,
+        const synthesis = await this.synthesizeResponses(
+            orchestration,
             responses,
             'consensus',
             null,
@@ -173,10 +327,15 @@ class TransparentAISynthesizer extends EventEmitter {
 
         return {
             content: synthesis.content,
+            synthesisUsage: synthesis.usage || null,
             qualityMetrics: {
                 ...synthesis.qualityMetrics,
                 consensus_score: consensusAnalysis.consensusScore,
-                agreement_points: consensusAnalysis.agreementPoints
+                agreement_points: consensusAnalysis.agreementPoints,
+                agreements: consensusAnalysis.agreements,
+                disagreements: consensusAnalysis.disagreements,
+                unique_claims: consensusAnalysis.uniqueClaims,
+                model_agreement: consensusAnalysis.modelAgreement
             },
             strategy: 'consensus',
             responseCount: responses.length
@@ -187,16 +346,15 @@ class TransparentAISynthesizer extends EventEmitter {
      * Weighted strategy - combine responses based on model weights
      */
     async weightedStrategy(orchestration) {
-        const { conversationId, models, prompt, weights } = orchestration;
+        const { weights } = orchestration;
 
-        await this.waitForResponses(conversationId, models, 30000);
-        const responses = Array.from(orchestration.responses.values());
+        const responses = await this.collectResponses(orchestration);
 
         // Apply weights to responses
         const weightedResponses = this.applyWeights(responses, weights);
 
-        const synthesis = await this.synthesizeWithClaudeOrchestrator(
-            prompt,
+        const synthesis = await this.synthesizeResponses(
+            orchestration,
             weightedResponses,
             'weighted',
             weights
@@ -204,6 +362,7 @@ class TransparentAISynthesizer extends EventEmitter {
 
         return {
             content: synthesis.content,
+            synthesisUsage: synthesis.usage || null,
             qualityMetrics: synthesis.qualityMetrics,
             strategy: 'weighted',
             responseCount: responses.length,
@@ -229,91 +388,231 @@ class TransparentAISynthesizer extends EventEmitter {
     }
 
     /**
-     * Sequential strategy - models run in sequence with context
+     * Sequential strategy - draft → critique → refine, every stage runs
      */
     async sequentialStrategy(orchestration) {
+        return this.runChain(orchestration, 'sequential');
+    }
+
+    /**
+     * Cascading strategy - like sequential, but stops as soon as an answer
+     * is good enough
+     */
+    async cascadingStrategy(orchestration) {
+        return this.runChain(orchestration, 'cascading');
+    }
+
+    /**
+     * Whether the strategy dispatches models itself (the caller must not
+     * send the prompt to every model up front, but pass a dispatcher)
+     */
+    ownsDispatch(strategy) {
+        return this.dispatchStrategies.has(strategy);
+    }
+
+    /**
+     * Run the models one after another, feeding each stage the previous output.
+     * The last answer (draft or refinement) is the final response.
+     */
+    async runChain(orchestration, strategy) {
         const { conversationId, models, prompt } = orchestration;
-        let contextualPrompt = prompt;
-        const sequentialResponses = [];
+        const rule = this.collectionRules[strategy];
 
-        for (let i = 0; i < models.length; i++) {
-            const model = models[i];
+        if (typeof orchestration.dispatch !== 'function') {
+            throw new Error(`The ${strategy} strategy requires a model dispatcher`);
+        }
 
-            this.updateOrchestrationPhase(conversationId, `processing_${model.toLowerCase()}`);
+        const roles = this.getChainRoles(models.length, orchestration.chainRoles, orchestration.chainTemplates);
+        const stageResponses = [];
+        let answer = null;
+        let critique = null;
+
+        for (let stage = 0; stage < models.length; stage++) {
+            const model = models[stage];
+            const role = roles[stage];
+            const isLast = stage === models.length - 1;
+
+            // A critique needs something to review: without an answer the stage drafts instead
+            const effectiveRole = answer ? role : 'draft';
+            const stagePrompt = this.buildStagePrompt(orchestration.chainTemplates[effectiveRole], {
+                prompt: orchestration.modelPrompt,
+                answer: answer ? answer.content : '',
+                answer_model: answer ? answer.model_name : '',
+                critique: critique ? critique.content : 'No reviewer feedback: improve accuracy, completeness and clarity.'
+            });
 
-            // Wait for this specific model
-            await this.waitForSpecificResponse(conversationId, model, 15000);
+            this.updateOrchestrationPhase(conversationId, `${effectiveRole}_${model.toLowerCase()}`);
+            this.emit('chain_stage_started', {
+                conversation_id: conversationId,
+                strategy,
+                stage,
+                total_stages: models.length,
+                role: effectiveRole,
+                model
+            });
+
+            const stageStart = Date.now();
+            const record = await this.dispatchStage(orchestration, model, stagePrompt, orchestration.responseTimeout || rule.timeout);
+            // The dispatcher may have failed over to a substitute
+            const stageModel = record && record.model ? record.model : this.resolveSlotModel(orchestration, model);
+            const response = orchestration.responses.get(stageModel);
+            const completed = !!(record && record.status === 'completed' && response);
+
+            const entry = {
+                stage,
+                role: effectiveRole,
+                model: stageModel,
+                slot_model: model,
+                prompt: stagePrompt,
+                content: completed ? record.content : null,
+                status: completed ? 'completed' : (record ? record.status : 'timed_out'),
+                error: completed ? null : (record ? record.error : 'Stage timed out'),
+                quality: null,
+                response_time_ms: Date.now() - stageStart,
+                early_exit: false
+            };
 
-            const response = orchestration.responses.get(model);
-            if (response) {
-                sequentialResponses.push(response);
+            if (completed) {
+                stageResponses.push(response);
 
-                // Update context for next model
-                if (i < models.length - 1) {
-                    contextualPrompt = `${prompt}\n\nPrevious AI response from ${model}: "${response.content.substring(0, 500)}..."\n\nBuild upon this response:`;
+                if (effectiveRole === 'critique') {
+                    critique = response;
+                } else {
+                    answer = response;
+                    critique = null;
+                    entry.quality = (await this.calculateQualityMetrics(prompt, [response], response.content)).overall_quality;
+                    entry.early_exit = strategy === 'cascading' && !isLast && entry.quality >= rule.earlyExitQuality;
                 }
+            } else {
+                console.warn(`⚠️ Chain stage ${stage} (${effectiveRole}, ${stageModel}) failed, skipping: ${entry.error}`);
+            }
+
+            orchestration.chain.push(entry);
+            this.emit('chain_stage_completed', {
+                conversation_id: conversationId,
+                strategy,
+                total_stages: models.length,
+                ...entry
+            });
+
+            if (entry.early_exit) {
+                console.log(`✅ Cascade stopped at stage ${stage}: quality ${entry.quality.toFixed(2)}`);
+                break;
             }
         }
 
-        const synthesis = await this.synthesizeWithClaudeOrchestrator(
-            prompt,
-            sequentialResponses,
-            'sequential'
-        );
+        if (!answer) {
+            throw this.createNoResponsesError(orchestration);
+        }
 
         return {
-            content: synthesis.content,
-            qualityMetrics: synthesis.qualityMetrics,
-            strategy: 'sequential',
-            responseCount: sequentialResponses.length
+            content: answer.content,
+            synthesisUsage: null, // The last stage is the answer: no extra synthesis call
+            qualityMetrics: {
+                ...(await this.calculateQualityMetrics(prompt, stageResponses, answer.content)),
+                chain_stages: orchestration.chain.length,
+                final_stage_model: answer.model_name
+            },
+            strategy,
+            responseCount: stageResponses.length
         };
     }
 
     /**
-     * Synthesize responses using Claude as meta-orchestrator
+     * Dispatch one stage; resolves with the dispatcher's record or null on timeout
+     */
+    async dispatchStage(orchestration, model, stagePrompt, timeout) {
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeout);
+        });
+
+        try {
+            const record = await Promise.race([orchestration.dispatch(model, stagePrompt), timedOut]);
+            if (!record) {
+                const slotModel = this.resolveSlotModel(orchestration, model);
+                console.warn(`⏱️ Timed out waiting for: ${slotModel}`);
+                orchestration.timedOutModels.push(slotModel);
+            }
+            return record;
+        } catch (error) {
+            return { model, status: 'error', error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Role of each stage: explicit list (padded with 'critique', last 'refine')
+     * or draft → critique… → refine
+     */
+    getChainRoles(stageCount, requestedRoles = null, templates = this.chainTemplates) {
+        if (Array.isArray(requestedRoles) && requestedRoles.length > 0) {
+            return Array.from({ length: stageCount }, (_, index) =>
+                requestedRoles[index] || (index === stageCount - 1 ? 'refine' : 'critique')
+            ).map(role => (templates[role] ? role : 'refine'));
+        }
+
+        return Array.from({ length: stageCount }, (_, index) => {
+            if (index === 0) return 'draft';
+            return index === stageCount - 1 ? 'refine' : 'critique';
+        });
+    }
+
+    buildStagePrompt(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+    }
+
+    /**
+     * Synthesize responses through the synthesis engine: the backend is chosen
+     * per request (synthesisBackend / synthesisBackends) or by the central fallback order
      */
-    async synthesizeWithClaudeOrchestrator(originalPrompt, responses, strategy, weights = null, consensusData = null) {
-        // Prepare synthesis prompt for Claude
+    async synthesizeResponses(orchestration, responses, strategy, weights = null, consensusData = null) {
+        const originalPrompt = orchestration.prompt;
         const synthesisPrompt = this.buildSynthesisPrompt(
             originalPrompt,
             responses,
             strategy,
             weights,
-            consensusData
+            consensusData,
+            orchestration.sources
         );
 
-        try {
-            // Use Claude handler for meta-orchestration
-            const claudeHandler = require('./claude_handler');
-            const synthesisResponse = await claudeHandler.generateResponse(synthesisPrompt, {
-                temperature: 0.3, // Lower temperature for consistency
-                max_tokens: 4000
-            });
-
-            // Calculate quality metrics
-            const qualityMetrics = this.calculateQualityMetrics(
-                originalPrompt,
-                responses,
-                synthesisResponse.content
-            );
-
-            return {
-                content: synthesisResponse.content,
-                qualityMetrics: qualityMetrics
-            };
+        const synthesis = await synthesisEngine.synthesize({
+            prompt: originalPrompt,
+            responses,
+            weights,
+            synthesisPrompt,
+            backend: orchestration.synthesisBackend,
+            backends: orchestration.synthesisBackends,
+            conversationId: orchestration.id
+        });
 
-        } catch (error) {
-            console.error('Claude meta-orchestration failed:', error);
+        const qualityMetrics = {
+            ...(await this.calculateQualityMetrics(originalPrompt, responses, synthesis.content)),
+            synthesis_backend: synthesis.backend,
+            synthesis_method: synthesis.type === 'algorithmic' ? 'algorithmic' : 'llm',
+            synthesis_attempts: synthesis.attempts,
+            synthesis_variant: synthesis.variant
+        };
 
-            // Fallback to algorithmic synthesis
-            return this.fallbackAlgorithmicSynthesis(originalPrompt, responses, strategy);
-        }
+        return {
+            content: synthesis.content,
+            qualityMetrics,
+            // Algorithmic merging has no token usage
+            usage: synthesis.usage ? {
+                model: synthesis.backend,
+                providerModel: synthesis.providerModel,
+                usage: synthesis.usage,
+                cost: synthesis.cost
+            } : null
+        };
     }
 
     /**
-     * Build synthesis prompt for Claude meta-orchestrator
+     * Build synthesis prompt for the meta-orchestrator backend
      */
-    buildSynthesisPrompt(originalPrompt, responses, strategy, weights, consensusData) {
+    buildSynthesisPrompt(originalPrompt, responses, strategy, weights, consensusData, sources = []) {
         let prompt = `# AI Orchestration Synthesis Task
 
 **Original User Prompt:** ${originalPrompt}
@@ -336,11 +635,31 @@ ${response.content}
         });
 
         if (consensusData) {
+            const agreements = consensusData.agreements
+                .map(agreement => `- [${agreement.models.join(', ')}] ${agreement.claim}`)
+                .join('\n') || '- None';
+            const disagreements = consensusData.disagreements
+                .map(disagreement => `- ${disagreement.kind} (${disagreement.topic}): ` +
+                    disagreement.positions.map(position => `${position.model} says "${position.text}"`).join(' vs '))
+                .join('\n') || '- None';
+
             prompt += `
 **Consensus Analysis:**
 - Consensus Score: ${(consensusData.consensusScore * 100).toFixed(1)}%
-- Agreement Points: ${consensusData.agreementPoints.join(', ')}
-- Disagreements: ${consensusData.disagreements.join(', ')}
+
+Claims backed by several models:
+${agreements}
+
+Contradictions to resolve:
+${disagreements}
+
+`;
+        }
+
+        if (sources.length > 0) {
+            prompt += `
+**Knowledge Base Sources:** the responses were grounded in these numbered sources. Keep their inline citations ([1], [2], ...) next to the claims they support.
+${sources.map(source => `[${source.citation}] ${source.filename || 'document'}`).join('\n')}
 
 `;
         }
@@ -362,14 +681,14 @@ ${response.content}
     /**
      * Calculate quality metrics for synthesis
      */
-    calculateQualityMetrics(originalPrompt, responses, synthesis) {
+    async calculateQualityMetrics(originalPrompt, responses, synthesis) {
         const metrics = {
             response_count: responses.length,
             avg_confidence: responses.reduce((sum, r) => sum + r.confidence, 0) / responses.length,
             synthesis_length: synthesis.length,
             completeness_score: this.calculateCompleteness(originalPrompt, synthesis),
             coherence_score: this.calculateCoherence(synthesis),
-            uniqueness_score: this.calculateUniqueness(responses, synthesis)
+            uniqueness_score: await this.calculateUniqueness(responses, synthesis)
         };
 
         // Overall quality score
@@ -384,28 +703,50 @@ ${response.content}
     }
 
     /**
-     * Analyze consensus between responses
+     * Analyze consensus between responses at claim level
      */
-    analyzeConsensus(responses) {
-        // Simple keyword-based consensus analysis
-        const allKeywords = responses.flatMap(r => this.extractKeywords(r.content));
-        const keywordCounts = {};
+    async analyzeConsensus(responses) {
+        return consensusAnalyzer.analyze(responses.map(response => ({
+            model: response.model_name,
+            content: response.content
+        })));
+    }
 
-        allKeywords.forEach(keyword => {
-            keywordCounts[keyword] = (keywordCounts[keyword] || 0) + 1;
-        });
+    /**
+     * Token and cost totals for an orchestration: individual responses plus the synthesis call
+     */
+    summarizeUsage(orchestration, synthesisUsage = null) {
+        const summary = {
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            currency: 'USD',
+            byModel: {},
+            synthesis: synthesisUsage
+        };
 
-        const consensusThreshold = Math.ceil(responses.length / 2);
-        const agreementPoints = Object.keys(keywordCounts)
-            .filter(keyword => keywordCounts[keyword] >= consensusThreshold);
+        const entries = Array.from(orchestration.responses.values())
+            .map(response => ({ model: response.model_name, usage: response.usage, cost: response.cost }));
+        if (synthesisUsage) {
+            entries.push(synthesisUsage);
+        }
 
-        const consensusScore = agreementPoints.length / Object.keys(keywordCounts).length;
+        entries.forEach(({ model, usage, cost }) => {
+            const modelTotals = summary.byModel[model] || (summary.byModel[model] = { totalTokens: 0, cost: 0 });
+            const tokens = usage?.totalTokens || 0;
+            const callCost = cost?.totalCost || 0;
+
+            summary.promptTokens += usage?.promptTokens || 0;
+            summary.completionTokens += usage?.completionTokens || 0;
+            summary.totalTokens += tokens;
+            summary.cost += callCost;
+            modelTotals.totalTokens += tokens;
+            modelTotals.cost = Math.round((modelTotals.cost + callCost) * 1e6) / 1e6;
+        });
 
-        return {
-            consensusScore: consensusScore || 0,
-            agreementPoints: agreementPoints.slice(0, 10), // Top 10
-            disagreements: responses.map(r => r.model_name) // Simplified
-        };
+        summary.cost = Math.round(summary.cost * 1e6) / 1e6;
+        return summary;
     }
 
     /**
@@ -416,17 +757,19 @@ ${response.content}
         if (!orchestration) return;
 
         const completedModels = orchestration.responses.size;
+        const failedModels = orchestration.failures.size;
         const totalModels = orchestration.models.length;
-        const overallProgress = completedModels / totalModels;
+        const overallProgress = (completedModels + failedModels) / totalModels;
 
         this.emit('orchestration_progress', {
             conversation_id: conversationId,
             completed_models: completedModels,
+            failed_models: failedModels,
             total_models: totalModels,
             current_phase: orchestration.currentPhase,
             overall_progress: overallProgress,
             active_models: orchestration.models.filter(model =>
-                !orchestration.responses.has(model)
+                !this.isModelSettled(orchestration, model)
             )
         });
     }
@@ -443,60 +786,158 @@ ${response.content}
     }
 
     /**
-     * Wait for responses from all models
+     * Wait for the strategy's responses and return them.
+     * Throws when no model answered at all.
      */
-    async waitForResponses(conversationId, models, timeout) {
-        return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-
-            const checkCompletion = () => {
-                const orchestration = this.activeOrchestrations.get(conversationId);
-                if (!orchestration) {
-                    reject(new Error('Orchestration not found'));
-                    return;
-                }
+    async collectResponses(orchestration) {
+        const rule = this.collectionRules[orchestration.strategy] || this.collectionRules.parallel;
+        const quorum = orchestration.quorum !== null ? orchestration.quorum : rule.quorum;
+
+        await this.waitForResponses(
+            orchestration.id,
+            orchestration.models,
+            orchestration.responseTimeout || rule.timeout,
+            quorum
+        );
 
-                const completedCount = orchestration.responses.size;
-                const isComplete = completedCount >= models.length;
-                const isTimedOut = Date.now() - startTime > timeout;
+        const responses = Array.from(orchestration.responses.values());
+        if (responses.length === 0) {
+            throw this.createNoResponsesError(orchestration);
+        }
+        return responses;
+    }
 
-                if (isComplete || isTimedOut) {
-                    resolve();
-                } else {
-                    setTimeout(checkCompletion, 500);
-                }
-            };
+    /**
+     * Wait until every model has answered or failed, the quorum is reached
+     * or the timeout expires. Driven by addResponse / addFailure events.
+     * Resolves with { complete, timedOut } where timedOut lists the models still pending.
+     */
+    async waitForResponses(conversationId, models, timeout, quorum = 'all') {
+        const orchestration = this.activeOrchestrations.get(conversationId);
+        if (!orchestration) {
+            throw new Error('Orchestration not found');
+        }
 
-            checkCompletion();
-        });
+        const isComplete = () => {
+            const pending = models.filter(model => !this.isModelSettled(orchestration, model));
+            const required = this.resolveQuorum(quorum, models.length);
+            return pending.length === 0 || orchestration.responses.size >= required;
+        };
+
+        const complete = await this.waitUntil(orchestration, isComplete, timeout);
+        const timedOut = complete ? [] : models.filter(model => !this.isModelSettled(orchestration, model));
+
+        if (timedOut.length > 0) {
+            console.warn(`⏱️ Timed out waiting for: ${timedOut.join(', ')}`);
+            orchestration.timedOutModels.push(...timedOut.filter(model => !orchestration.timedOutModels.includes(model)));
+        }
+
+        return { complete, timedOut };
     }
 
     /**
-     * Wait for specific model response
+     * Wait for a specific model (following failover substitutions)
+     * Resolves with the name the slot settled under.
      */
     async waitForSpecificResponse(conversationId, modelName, timeout) {
-        return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-
-            const checkResponse = () => {
-                const orchestration = this.activeOrchestrations.get(conversationId);
-                if (!orchestration) {
-                    reject(new Error('Orchestration not found'));
-                    return;
-                }
+        const orchestration = this.activeOrchestrations.get(conversationId);
+        if (!orchestration) {
+            throw new Error('Orchestration not found');
+        }
+
+        const complete = await this.waitUntil(
+            orchestration,
+            () => this.isModelSettled(orchestration, this.resolveSlotModel(orchestration, modelName)),
+            timeout
+        );
 
-                const hasResponse = orchestration.responses.has(modelName);
-                const isTimedOut = Date.now() - startTime > timeout;
+        const settledModel = this.resolveSlotModel(orchestration, modelName);
+        if (!complete && !orchestration.timedOutModels.includes(settledModel)) {
+            console.warn(`⏱️ Timed out waiting for: ${settledModel}`);
+            orchestration.timedOutModels.push(settledModel);
+        }
 
-                if (hasResponse || isTimedOut) {
-                    resolve();
-                } else {
-                    setTimeout(checkResponse, 500);
-                }
+        return settledModel;
+    }
+
+    /**
+     * Resolve true as soon as the condition holds, false on timeout.
+     * The condition is re-evaluated by notifyWaiters.
+     */
+    waitUntil(orchestration, condition, timeout) {
+        return new Promise((resolve) => {
+            if (condition()) {
+                resolve(true);
+                return;
+            }
+
+            const waiter = () => {
+                if (condition()) finish(true);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            const finish = (result) => {
+                clearTimeout(timer);
+                orchestration.waiters.delete(waiter);
+                resolve(result);
             };
 
-            checkResponse();
+            orchestration.waiters.add(waiter);
+        });
+    }
+
+    notifyWaiters(orchestration) {
+        Array.from(orchestration.waiters).forEach(waiter => waiter());
+    }
+
+    isModelSettled(orchestration, modelName) {
+        return orchestration.responses.has(modelName) || orchestration.failures.has(modelName);
+    }
+
+    /**
+     * Current model of a slot after any failover substitutions
+     */
+    resolveSlotModel(orchestration, modelName) {
+        let current = modelName;
+        orchestration.failovers.forEach(failover => {
+            if (failover.from === current) current = failover.to;
         });
+        return current;
+    }
+
+    /**
+     * Number of responses needed: 'all', 'majority' or a count (capped at the model count)
+     */
+    resolveQuorum(quorum, total) {
+        if (quorum === 'majority') return Math.floor(total / 2) + 1;
+        const count = parseInt(quorum, 10);
+        return Number.isFinite(count) && count > 0 ? Math.min(count, total) : total;
+    }
+
+    /**
+     * Which models answered, failed or timed out (merged into the quality metrics)
+     */
+    describeCollection(orchestration) {
+        return {
+            expected_models: orchestration.models.length,
+            responded_models: Array.from(orchestration.responses.keys()),
+            failed_models: Array.from(orchestration.failures.values()).map(failure => ({
+                model: failure.model_name,
+                error: failure.error,
+                error_type: failure.error_type
+            })),
+            timed_out_models: [...orchestration.timedOutModels],
+            quorum: orchestration.quorum !== null
+                ? orchestration.quorum
+                : (this.collectionRules[orchestration.strategy] || {}).quorum || null
+        };
+    }
+
+    createNoResponsesError(orchestration) {
+        const collection = this.describeCollection(orchestration);
+        const error = new Error(`No model responded (failed: ${collection.failed_models.map(f => f.model).join(', ') || 'none'}, timed out: ${collection.timed_out_models.join(', ') || 'none'})`);
+        error.code = 'NO_RESPONSES';
+        error.collection = collection;
+        return error;
     }
 
     // Utility methods
@@ -507,14 +948,6 @@ ${response.content}
         return hasStructure ? (0.7 + lengthScore * 0.3) : (0.5 + lengthScore * 0.2);
     }
 
-    extractKeywords(text) {
-        return text.toLowerCase()
-            .replace(/[^\w\s]/g, '')
-            .split(/\s+/)
-            .filter(word => word.length > 3)
-            .slice(0, 20); // Top 20 words
-    }
-
     calculateCompleteness(prompt, response) {
         // Simple completeness check
         const promptWords = prompt.toLowerCase().split(/\s+/);
@@ -532,22 +965,13 @@ ${response.content}
         return Math.min(avgSentenceLength / 100, 1.0);
     }
 
-    calculateUniqueness(responses, synthesis) {
-        // Check how much synthesis differs from individual responses
-        const synthesisWords = new Set(synthesis.toLowerCase().split(/\s+/));
-        const allResponseWords = new Set();
-
-        responses.forEach(r => {
-            r.content.toLowerCase().split(/\s+/).forEach(word => {
-                allResponseWords.add(word);
-            });
-        });
+    async calculateUniqueness(responses, synthesis) {
+        // How far the synthesis moves from its closest individual response (embedding similarity)
+        if (responses.length === 0) return 0;
 
-        const uniqueWords = Array.from(synthesisWords).filter(word =>
-            !allResponseWords.has(word)
-        );
-
-        return uniqueWords.length / synthesisWords.size;
+        const { vectors } = await embeddingService.embedMany([synthesis, ...responses.map(r => r.content)]);
+        const closest = Math.max(...vectors.slice(1).map(vector => embeddingService.cosine(vectors[0], vector)));
+        return Math.max(0, 1 - closest);
     }
 
     analyzePrompt(prompt) {
@@ -583,24 +1007,6 @@ ${response.content}
             weighted_confidence: response.confidence * (weights[response.model_name] || 1.0)
         }));
     }
-
-    fallbackAlgorithmicSynthesis(originalPrompt, responses, strategy) {
-        // Simple fallback - combine all responses
-        const combinedContent = responses
-            .sort((a, b) => b.confidence - a.confidence)
-            .map(r => r.content)
-            .join('\n\n');
-
-        return {
-            content: `Based on multiple AI perspectives:\n\n${combinedContent}`,
-            qualityMetrics: {
-                response_count: responses.length,
-                avg_confidence: responses.reduce((sum, r) => sum + r.confidence, 0) / responses.length,
-                synthesis_method: 'algorithmic_fallback',
-                overall_quality: 0.6
-            }
-        };
-    }
 }
 
 module.exports = TransparentAISynthesizer;
\ No newline at end of file
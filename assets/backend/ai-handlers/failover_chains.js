@@ -0,0 +1,142 @@
+// assets/backend/ai-handlers/failover_chains.js
+const fs = require('fs-extra');
+const aiRouter = require('./router');
+
+/**
+ * Catene di failover tra provider
+ *
+ * Ogni slot di un'orchestrazione (un modello scelto dal client o da Athena)
+ * ha una catena di sostituti: se il provider fallisce, o il suo circuit
+ * breaker è aperto, la richiesta passa al primo sostituto configurato e
+ * disponibile che non sia già impegnato in un altro slot.
+ *
+ * Le catene si possono sovrascrivere con un file JSON indicato da FAILOVER_CHAINS_FILE:
+ *   { "claude": ["gpt", "mistral", "ollama"], "gemini": [] }
+ */
+const DEFAULT_FAILOVER_CHAINS = {
+  claude: ['gpt', 'mistral', 'ollama'],
+  gpt: ['claude', 'mistral', 'ollama'],
+  deepseek: ['mistral', 'gpt', 'ollama'],
+  gemini: ['gpt', 'claude', 'ollama'],
+  mistral: ['deepseek', 'gpt', 'ollama'],
+  llama: ['ollama'],
+  ollama: ['llama'],
+};
+
+class FailoverChains {
+  constructor() {
+    this.chains = {};
+    Object.entries(DEFAULT_FAILOVER_CHAINS).forEach(([model, chain]) => this.setChain(model, chain));
+
+    if (process.env.FAILOVER_CHAINS_FILE) {
+      this.loadFromFile(process.env.FAILOVER_CHAINS_FILE);
+    }
+  }
+
+  /**
+   * Sovrascrive le catene con quelle di un file JSON
+   * @param {String} filePath - Percorso del file { [modello]: [sostituti] }
+   * @returns {Boolean} - true se il file è stato caricato
+   */
+  loadFromFile(filePath) {
+    try {
+      const config = fs.readJsonSync(filePath);
+      Object.entries(config).forEach(([model, chain]) => this.setChain(model, chain));
+      return true;
+    } catch (error) {
+      console.error(`Impossibile caricare le catene di failover da ${filePath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Imposta la catena di un modello (una lista vuota disattiva il failover)
+   * @param {String} model - Provider dello slot
+   * @param {Array<String>} chain - Sostituti in ordine di preferenza
+   */
+  setChain(model, chain = []) {
+    const key = model.toLowerCase();
+    this.chains[key] = chain
+      .map(substitute => substitute.toLowerCase())
+      .filter(substitute => substitute !== key);
+  }
+
+  /**
+   * @param {String} model - Provider dello slot
+   * @returns {Array<String>} - Sostituti configurati
+   */
+  getChain(model) {
+    return [...(this.chains[model.toLowerCase()] || [])];
+  }
+
+  getChains() {
+    return Object.fromEntries(Object.entries(this.chains).map(([model, chain]) => [model, [...chain]]));
+  }
+
+  /**
+   * Esegue la chiamata di uno slot scorrendo la catena di failover
+   * @param {String} model - Provider dello slot
+   * @param {Function} call - (handler, modelName) => Promise, la chiamata al provider
+   * @param {Object} options - Opzioni
+   * @param {Set<String>} options.reserved - Provider già impegnati negli altri slot
+   *   (aggiornato con il sostituto scelto)
+   * @param {Function} options.onFailover - ({ from, to, reason, error }) chiamata a ogni sostituzione
+   * @param {Boolean} options.requireImages - Solo sostituti multimodali (richiesta con immagini)
+   * @returns {Promise<Object>} - { model, result, attempts } con il provider che ha risposto
+   */
+  async execute(model, call, { reserved = new Set(), onFailover = () => {}, requireImages = false } = {}) {
+    const attempts = [];
+    let failedModel = model;
+    let lastError = null;
+
+    for (const candidate of [model, ...this.getChain(model)]) {
+      const handler = aiRouter.getHandler(candidate);
+      const isPrimary = candidate === model;
+
+      if (!isPrimary) {
+        if (reserved.has(candidate) || !this._isUsable(handler)) continue;
+        if (requireImages && !aiRouter.supportsImages(candidate)) continue;
+
+        reserved.add(candidate);
+        onFailover({
+          from: failedModel,
+          to: candidate,
+          reason: lastError ? (lastError.type || 'unknown') : 'unavailable',
+          error: lastError ? lastError.message : null,
+        });
+      }
+
+      try {
+        if (!handler) {
+          throw new Error(`Nessun handler per ${candidate}`);
+        }
+
+        const result = await call(handler, candidate);
+        return { model: candidate, result, attempts };
+      } catch (error) {
+        // Un annullamento riguarda l'intera orchestrazione: nessun sostituto
+        if (error.name === 'AbortError') throw error;
+
+        attempts.push({ model: candidate, type: error.type || 'unknown', error: error.message });
+        failedModel = candidate;
+        lastError = error;
+      }
+    }
+
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+
+  /**
+   * Un sostituto è utilizzabile se configurato e con il circuito non aperto
+   * @param {Object} handler - Handler del provider
+   * @returns {Boolean}
+   */
+  _isUsable(handler) {
+    if (!handler || !handler.checkAvailability()) return false;
+    if (typeof handler.getResilienceStatus !== 'function') return true;
+    return handler.getResilienceStatus().circuit.state !== 'open';
+  }
+}
+
+module.exports = new FailoverChains();
@@ -2,6 +2,8 @@
 
 const axios = require('axios');
 const BaseAIHandler = require('./base_handler');
+const { parseSSE } = require('./stream_parsers');
+const { toGeminiTools, fromGeminiParts, formatGeminiToolMessage, groupToolResults } = require('./tool_formats');
 
 /**
  * Handler per i modelli Google Gemini
@@ -9,51 +11,185 @@ const BaseAIHandler = require('./base_handler');
 class GeminiHandler extends BaseAIHandler {
   constructor() {
     super('Gemini');
+    this.apiBaseUrl = 'https://generativelanguage.googleapis.com/v1beta'; // v1beta supporta systemInstruction
     this.model = 'gemini-1.5-pro'; // Modello predefinito
+    this.notConfiguredMessage = 'API Google Gemini non configurata';
+    this.supportsStreaming = true;
+    this.contextWindow = 1000000;
+    this.supportsTools = true;
+    this.visionModels = /^gemini-(1\.5|[2-9]|pro-vision)/;
   }
 
   /**
-   * Elabora una prompt e restituisce una risposta
+   * Chiama l'endpoint generateContent di Gemini
    * @param {String} prompt - Prompt da elaborare
-   * @param {String} conversationId - ID della conversazione
-   * @returns {Promise<String>} - Risposta elaborata
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason, toolCalls }
    */
-  async process(prompt, conversationId) {
-    if (!this.checkAvailability()) {
-      return 'API Google Gemini non configurata';
+  async _generate(prompt, options) {
+    // L'API Gemini ha un formato leggermente diverso
+    const apiUrl = `${this.apiBaseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
+
+    const response = await axios.post(apiUrl, this._buildRequestBody(prompt, options), {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+
+    const data = response.data;
+    const candidate = (data.candidates || [])[0];
+
+    if (!candidate) {
+      const blockReason = data.promptFeedback?.blockReason;
+      const error = new Error(`Risposta Gemini vuota (${blockReason || 'nessun candidato'})`);
+      // Prompt bloccato dai filtri di sicurezza: classificato come content_filter
+      error.contentFiltered = !!blockReason;
+      throw error;
+    }
+
+    // Estrai il testo dalla risposta
+    const parts = candidate.content?.parts || [];
+    const content = parts.map(part => part.text || '').join('');
+
+    return {
+      content,
+      model: this.model,
+      usage: data.usageMetadata && {
+        promptTokens: data.usageMetadata.promptTokenCount,
+        completionTokens: data.usageMetadata.candidatesTokenCount,
+        totalTokens: data.usageMetadata.totalTokenCount,
+      },
+      finishReason: this._mapFinishReason(candidate.finishReason),
+      toolCalls: fromGeminiParts(parts),
+    };
+  }
+
+  /**
+   * Streaming tramite streamGenerateContent (formato SSE con alt=sse)
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const apiUrl = `${this.apiBaseUrl}/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+
+    const stream = await this._postStream(apiUrl, this._buildRequestBody(prompt, options), {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+
+    const metadata = { type: 'metadata', model: this.model, usage: null };
+
+    for await (const { data } of parseSSE(stream)) {
+      const chunk = JSON.parse(data);
+
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Errore nello stream Gemini');
+      }
+
+      // Ogni chunk riporta l'usage cumulativo: vale l'ultimo ricevuto
+      if (chunk.usageMetadata) {
+        metadata.usage = {
+          promptTokens: chunk.usageMetadata.promptTokenCount,
+          completionTokens: chunk.usageMetadata.candidatesTokenCount,
+          totalTokens: chunk.usageMetadata.totalTokenCount,
+        };
+      }
+
+      const candidate = (chunk.candidates || [])[0];
+      if (!candidate) continue;
+
+      const text = (candidate.content?.parts || []).map(part => part.text || '').join('');
+      if (text) {
+        yield { type: 'text', text };
+      }
+
+      if (candidate.finishReason) {
+        metadata.finishReason = this._mapFinishReason(candidate.finishReason);
+      }
+    }
+
+    yield metadata;
+  }
+
+  /**
+   * Costruisce il corpo della richiesta generateContent
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Object} - Corpo della richiesta
+   */
+  _buildRequestBody(prompt, options) {
+    const body = {
+      // Le functionResponse di un turno vanno in un unico elemento
+      contents: groupToolResults(
+        options.messages.map(message => this._formatMessage(message)),
+        'parts',
+        part => !!part.functionResponse
+      ),
+      generationConfig: {
+        temperature: options.temperature,
+        maxOutputTokens: options.max_tokens,
+      }
+    };
+
+    if (options.system) {
+      body.systemInstruction = { parts: [{ text: options.system }] };
     }
 
-    try {
-      // L'API Gemini ha un formato leggermente diverso
-      const apiUrl = `https://generativelanguage.googleapis.com/v1/models/${this.model}:generateContent?key=${this.apiKey}`;
-
-      const response = await axios.post(
-        apiUrl,
-        {
-          contents: [{
-            role: 'user',
-            parts: [{text: prompt}]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 1000,
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      // Estrai il testo dalla risposta
-      const content = response.data.candidates[0].content;
-      const text = content.parts[0].text;
-
-      return text.trim();
-    } catch (error) {
-      return this.handleError(error);
+    if (options.stop.length > 0) {
+      body.generationConfig.stopSequences = options.stop;
     }
+
+    if (options.tools.length > 0) {
+      body.tools = toGeminiTools(options.tools);
+      if (options.toolChoice) {
+        const mode = options.toolChoice === 'required' ? 'ANY' : options.toolChoice.toUpperCase();
+        body.toolConfig = { functionCallingConfig: { mode } };
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Converte un messaggio normalizzato in un elemento di contents
+   * (Gemini usa il ruolo 'model' per l'assistente e inlineData per le immagini)
+   * @param {Object} message - { role, content, images, toolCalls }
+   * @returns {Object} - { role, parts }
+   */
+  _formatMessage(message) {
+    const toolMessage = formatGeminiToolMessage(message);
+    if (toolMessage) return toolMessage;
+
+    const parts = message.images.map(image => ({
+      inlineData: { mimeType: image.mediaType, data: image.data },
+    }));
+    if (message.content) parts.push({ text: message.content });
+
+    return {
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts,
+    };
+  }
+
+  /**
+   * Converte il finishReason di Gemini nel formato comune
+   * @param {String} finishReason - finishReason restituito dall'API
+   * @returns {String} - stop | length | content_filter
+   */
+  _mapFinishReason(finishReason) {
+    const mapping = {
+      'STOP': 'stop',
+      'MAX_TOKENS': 'length',
+      'SAFETY': 'content_filter',
+      'RECITATION': 'content_filter',
+    };
+    return mapping[finishReason] || (finishReason ? finishReason.toLowerCase() : 'stop');
   }
 
   /**
@@ -0,0 +1,103 @@
+// assets/backend/ai-handlers/knowledge_retriever.js
+const knowledgeStore = require('../storage/knowledge_store');
+
+/**
+ * Retrieval-augmented generation sulle basi di conoscenza dell'utente
+ *
+ * L'opzione knowledge_base di una richiesta di orchestrazione seleziona una
+ * o più basi; i chunk più pertinenti vengono inseriti nel prompt di ogni
+ * modello come fonti numerate [1], [2], ... da citare, e le stesse fonti
+ * vengono restituite al client insieme alla risposta sintetizzata.
+ */
+const DEFAULT_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 5;
+const MAX_TOP_K = 20;
+const EXCERPT_LENGTH = 300;
+
+class KnowledgeRetriever {
+  /**
+   * Normalizza l'opzione knowledge_base della richiesta
+   * @param {String|Array<String>|Object} option - ID, lista di ID o { id | ids, top_k, min_score }
+   * @returns {Object|null} - { ids, topK, minScore } o null se assente
+   */
+  parseOption(option) {
+    if (!option) return null;
+
+    if (typeof option === 'string' || Array.isArray(option)) {
+      return { ids: [].concat(option), topK: DEFAULT_TOP_K, minScore: 0 };
+    }
+
+    const ids = [].concat(option.ids || option.id || []);
+    if (ids.length === 0) return null;
+
+    return {
+      ids,
+      topK: Math.min(Math.max(parseInt(option.top_k, 10) || DEFAULT_TOP_K, 1), MAX_TOP_K),
+      minScore: Number(option.min_score) || 0,
+    };
+  }
+
+  /**
+   * Recupera i chunk pertinenti al prompt
+   * @param {String|Array<String>|Object} option - Opzione knowledge_base della richiesta
+   * @param {String} prompt - Domanda dell'utente
+   * @returns {Promise<Object|null>} - { knowledgeBaseIds, chunks, sources } o null senza basi
+   */
+  async retrieve(option, prompt) {
+    const config = this.parseOption(option);
+    if (!config) return null;
+
+    for (const id of config.ids) {
+      if (!(await knowledgeStore.getKnowledgeBase(id))) {
+        const error = new Error(`Knowledge base not found: ${id}`);
+        error.code = 'knowledge_base_not_found';
+        throw error;
+      }
+    }
+
+    const chunks = await knowledgeStore.search(config.ids, prompt, {
+      topK: config.topK,
+      minScore: config.minScore,
+    });
+
+    return {
+      knowledgeBaseIds: config.ids,
+      chunks,
+      sources: chunks.map((chunk, index) => ({
+        citation: index + 1,
+        knowledgeBaseId: chunk.knowledgeBaseId,
+        documentId: chunk.documentId,
+        filename: chunk.filename,
+        chunkId: chunk.chunkId,
+        position: chunk.position,
+        score: chunk.score,
+        excerpt: chunk.content.length > EXCERPT_LENGTH
+          ? `${chunk.content.substring(0, EXCERPT_LENGTH)}...`
+          : chunk.content,
+      })),
+    };
+  }
+
+  /**
+   * Prompt del modello con le fonti numerate prima della domanda
+   * @param {String} prompt - Domanda dell'utente
+   * @param {Array<Object>} chunks - Chunk restituiti da retrieve
+   * @returns {String} - Prompt arricchito (invariato senza chunk)
+   */
+  buildGroundedPrompt(prompt, chunks = []) {
+    if (chunks.length === 0) return prompt;
+
+    const context = chunks
+      .map((chunk, index) => `[${index + 1}] ${chunk.filename || 'document'} (part ${chunk.position + 1})\n${chunk.content}`)
+      .join('\n\n');
+
+    return `Answer using the sources below when they are relevant. Cite them inline with their number, e.g. [1] or [2][3]. If the sources do not contain the answer, say so and answer from general knowledge.
+
+Sources:
+${context}
+
+Question:
+${prompt}`;
+  }
+}
+
+module.exports = new KnowledgeRetriever();
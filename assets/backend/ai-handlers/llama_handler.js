@@ -3,7 +3,9 @@
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
 const BaseAIHandler = require('./base_handler');
+const { messagesToTranscript } = require('./conversation_messages');
 
 /**
  * Handler per i modelli llama.cpp locali
@@ -13,12 +15,17 @@ class LlamaHandler extends BaseAIHandler {
     super('Llama');
     this.executablePath = ''; // Percorso dell'eseguibile llama.cpp
     this.modelPath = '';      // Percorso del modello
+    this.isLocal = true; // Nessun costo per token
     this.modelConfig = {
       contextSize: 2048,      // Dimensione del contesto
       threads: 4,             // Numero di thread
       temperature: 0.7,       // Temperatura per la generazione
       topP: 0.9,              // Top-p sampling
     };
+    this.notConfiguredMessage = 'Modello Llama non configurato correttamente';
+    this.supportsStreaming = true;
+    this.defaultOptions.timeout = 300000; // Inferenza su CPU: timeout più ampio
+    this.retryPolicy.maxRetries = 0; // Un timeout su CPU non si risolve ritentando
   }
 
   /**
@@ -40,6 +47,7 @@ class LlamaHandler extends BaseAIHandler {
     if (config.threads) this.modelConfig.threads = config.threads;
     if (config.temperature) this.modelConfig.temperature = config.temperature;
     if (config.topP) this.modelConfig.topP = config.topP;
+    this.defaultOptions.temperature = this.modelConfig.temperature;
 
     // Verifica che i file esistano
     if (!fs.existsSync(this.executablePath) || !fs.existsSync(this.modelPath)) {
@@ -52,32 +60,30 @@ class LlamaHandler extends BaseAIHandler {
   }
 
   /**
-   * Elabora una prompt usando il modello llama.cpp locale
+   * Esegue il modello llama.cpp locale
    * @param {String} prompt - Prompt da elaborare
-   * @param {String} conversationId - ID conversazione
-   * @returns {Promise<String>} - Risposta elaborata
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason }
    */
-  async process(prompt, conversationId) {
-    if (!this.checkAvailability()) {
-      return 'Modello Llama non configurato correttamente';
-    }
+  async _generate(prompt, options) {
+    const fullPrompt = this._buildPrompt(prompt, options);
 
     return new Promise((resolve, reject) => {
-      // Costruisci i parametri per llama.cpp
-      const args = [
-        '-m', this.modelPath,
-        '-c', this.modelConfig.contextSize,
-        '-t', this.modelConfig.threads,
-        '--temp', this.modelConfig.temperature,
-        '--top_p', this.modelConfig.topP,
-        '-p', prompt
-      ];
-
       // Avvia il processo llama.cpp
-      const llamaProcess = spawn(this.executablePath, args);
+      const llamaProcess = spawn(this.executablePath, this._buildArgs(fullPrompt, options));
 
       let output = '';
       let errorOutput = '';
+      let timedOut = false;
+
+      // llama.cpp non ha un timeout nativo: termina il processo allo scadere
+      const timer = setTimeout(() => {
+        timedOut = true;
+        llamaProcess.kill();
+      }, options.timeout);
+
+      // Annullamento richiesto dal chiamante: termina il processo
+      const detachAbort = this._killOnAbort(llamaProcess, options.signal);
 
       // Gestione dell'output
       llamaProcess.stdout.on('data', (data) => {
@@ -89,20 +95,257 @@ class LlamaHandler extends BaseAIHandler {
         errorOutput += data.toString();
       });
 
+      llamaProcess.on('error', (error) => {
+        clearTimeout(timer);
+        detachAbort();
+        reject(error);
+      });
+
       // Completamento del processo
       llamaProcess.on('close', (code) => {
+        clearTimeout(timer);
+        detachAbort();
+
+        if (this._isCancelled(options.signal)) {
+          reject(new Error('llama.cpp interrotto su richiesta'));
+          return;
+        }
+
+        if (timedOut) {
+          reject(new Error(`llama.cpp timeout dopo ${options.timeout}ms`));
+          return;
+        }
+
         if (code !== 0) {
           reject(new Error(`llama.cpp terminato con codice ${code}: ${errorOutput}`));
           return;
         }
 
         // Estrai la risposta generata (escludi il prompt originale)
-        const responseText = output.substring(prompt.length).trim();
-        resolve(responseText);
+        const { text, stopped } = this._applyStopSequences(
+          output.substring(fullPrompt.length),
+          options.stop
+        );
+
+        resolve({
+          content: text,
+          model: path.basename(this.modelPath),
+          usage: null, // llama.cpp non riporta i token su stdout: verranno stimati
+          finishReason: stopped ? 'stop' : this._inferFinishReason(text, options),
+        });
       });
     });
   }
 
+  /**
+   * Streaming dello stdout di llama.cpp
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const fullPrompt = this._buildPrompt(prompt, options);
+    const llamaProcess = spawn(this.executablePath, this._buildArgs(fullPrompt, options));
+
+    let errorOutput = '';
+    let timedOut = false;
+
+    llamaProcess.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    const exitPromise = new Promise((resolve, reject) => {
+      llamaProcess.on('error', reject);
+      llamaProcess.on('close', resolve);
+    });
+    // Un errore di avvio (eseguibile mancante o non eseguibile) arriva prima della
+    // lettura di stdout: viene gestito qui e sollevato dopo il ciclo
+    exitPromise.catch(() => {});
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      llamaProcess.kill();
+    }, options.timeout);
+
+    const detachAbort = this._killOnAbort(llamaProcess, options.signal);
+
+    const decoder = new StringDecoder('utf8');
+    // llama.cpp ristampa il prompt prima della generazione: va scartato
+    let echoRemaining = fullPrompt.length;
+    // Coda trattenuta per riconoscere sequenze di stop divise tra due chunk
+    const holdBack = Math.max(0, ...options.stop.map(sequence => sequence.length - 1));
+    let pending = '';
+    let generated = '';
+    let stopped = false;
+
+    try {
+      for await (const data of llamaProcess.stdout) {
+        let text = decoder.write(data);
+
+        if (echoRemaining > 0) {
+          const skip = Math.min(echoRemaining, text.length);
+          echoRemaining -= skip;
+          text = text.slice(skip);
+        }
+
+        if (!text) continue;
+        pending += text;
+
+        const result = this._applyStopSequences(pending, options.stop);
+        if (result.stopped) {
+          generated += result.text;
+          if (result.text) yield { type: 'text', text: result.text };
+          stopped = true;
+          llamaProcess.kill();
+          break;
+        }
+
+        const emitLength = pending.length - holdBack;
+        if (emitLength > 0) {
+          const delta = pending.slice(0, emitLength);
+          pending = pending.slice(emitLength);
+          generated += delta;
+          yield { type: 'text', text: delta };
+        }
+      }
+
+      if (!stopped && pending) {
+        generated += pending;
+        yield { type: 'text', text: pending };
+      }
+
+      const code = await exitPromise;
+
+      if (this._isCancelled(options.signal)) {
+        throw new Error('llama.cpp interrotto su richiesta');
+      }
+
+      if (timedOut) {
+        throw new Error(`llama.cpp timeout dopo ${options.timeout}ms`);
+      }
+
+      if (!stopped && code !== 0) {
+        throw new Error(`llama.cpp terminato con codice ${code}: ${errorOutput}`);
+      }
+    } finally {
+      clearTimeout(timer);
+      detachAbort();
+      // Se il consumatore interrompe l'iterazione il processo non deve restare attivo
+      if (llamaProcess.exitCode === null && !llamaProcess.killed) {
+        llamaProcess.kill();
+      }
+    }
+
+    yield {
+      type: 'metadata',
+      model: path.basename(this.modelPath),
+      usage: null, // llama.cpp non riporta i token su stdout: verranno stimati
+      finishReason: stopped ? 'stop' : this._inferFinishReason(generated, options),
+    };
+  }
+
+  /**
+   * Termina il processo llama.cpp quando il segnale di annullamento scatta
+   * @param {ChildProcess} llamaProcess - Processo avviato
+   * @param {AbortSignal} signal - Segnale di annullamento
+   * @returns {Function} - Rimuove il listener sul segnale
+   */
+  _killOnAbort(llamaProcess, signal) {
+    if (!signal) return () => {};
+
+    const onAbort = () => {
+      if (llamaProcess.exitCode === null && !llamaProcess.killed) {
+        llamaProcess.kill();
+      }
+    };
+
+    if (signal.aborted) {
+      onAbort();
+      return () => {};
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * La finestra di contesto è quella passata a llama.cpp con -c
+   * @returns {Number} - Numero massimo di token
+   */
+  getContextWindow() {
+    return this.modelConfig.contextSize;
+  }
+
+  /**
+   * Costruisce il prompt testuale: system prompt seguito dalla trascrizione
+   * della conversazione (llama.cpp non ha un formato chat strutturato)
+   * @param {String} prompt - Prompt utente
+   * @param {Object} options - Opzioni normalizzate
+   * @returns {String} - Prompt completo passato a llama.cpp
+   */
+  _buildPrompt(prompt, options) {
+    const conversation = options.messages && options.messages.length > 0
+      ? messagesToTranscript(options.messages)
+      : prompt;
+
+    return options.system ? `${options.system}\n\n${conversation}` : conversation;
+  }
+
+  /**
+   * Costruisce i parametri per llama.cpp
+   * @param {String} fullPrompt - Prompt completo
+   * @param {Object} options - Opzioni normalizzate
+   * @returns {Array<String>} - Argomenti da riga di comando
+   */
+  _buildArgs(fullPrompt, options) {
+    const args = [
+      '-m', this.modelPath,
+      '-c', this.modelConfig.contextSize,
+      '-t', this.modelConfig.threads,
+      '-n', options.max_tokens,
+      '--temp', options.temperature,
+      '--top_p', this.modelConfig.topP,
+      '-p', fullPrompt,
+    ];
+
+    // Le sequenze di stop non vengono passate come reverse prompt (-r attiva
+    // la modalità interattiva): l'output viene troncato in _applyStopSequences
+    return args.map(String);
+  }
+
+  /**
+   * Tronca l'output alla prima sequenza di stop
+   * @param {String} text - Output generato
+   * @param {Array<String>} stop - Sequenze di stop
+   * @returns {Object} - { text, stopped }
+   */
+  _applyStopSequences(text, stop) {
+    let cutIndex = -1;
+
+    stop.forEach(sequence => {
+      const index = text.indexOf(sequence);
+      if (index !== -1 && (cutIndex === -1 || index < cutIndex)) {
+        cutIndex = index;
+      }
+    });
+
+    if (cutIndex === -1) {
+      return { text, stopped: false };
+    }
+
+    return { text: text.substring(0, cutIndex), stopped: true };
+  }
+
+  /**
+   * Stima se la generazione si è fermata per limite di token
+   * @param {String} text - Output generato
+   * @param {Object} options - Opzioni normalizzate
+   * @returns {String} - stop | length
+   */
+  _inferFinishReason(text, options) {
+    return this._estimateTokens(text) >= options.max_tokens ? 'length' : 'stop';
+  }
+
   /**
    * Imposta il modello da utilizzare
    * @param {String} modelPath - Percorso del modello
@@ -125,6 +368,7 @@ class LlamaHandler extends BaseAIHandler {
     if (config.threads) this.modelConfig.threads = config.threads;
     if (config.temperature) this.modelConfig.temperature = config.temperature;
     if (config.topP) this.modelConfig.topP = config.topP;
+    this.defaultOptions.temperature = this.modelConfig.temperature;
   }
 }
 
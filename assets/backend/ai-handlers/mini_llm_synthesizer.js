@@ -180,15 +180,12 @@ Risposta sintetizzata:`;
       return responses[activeModels[0]];
     }
 
-    // Ordina i modelli per peso
-    const sortedModels = activeModels.sort((a, b) => {
-      const weightA = weights[a] || 1.0;
-      const weightB = weights[b] || 1.0;
-      return weightB - weightA; // Ordine decrescente
-    });
-
-    // Usa la risposta del modello con peso più alto come risposta primaria
-    return responses[sortedModels[0]];
+    // Fusione deterministica del motore di sintesi (richiesto qui: il motore usa questa classe come backend)
+    const synthesisEngine = require('./synthesis_engine');
+    return synthesisEngine.mergeAlgorithmically(
+      activeModels.map(model => ({ model_name: model, content: responses[model], confidence: 0.8 })),
+      weights
+    );
   }
 
   /**
@@ -0,0 +1,80 @@
+// assets/backend/ai-handlers/mock_handler.js
+
+const BaseAIHandler = require('./base_handler');
+
+/**
+ * Handler fittizio che restituisce l'eco del prompt.
+ * Non chiama alcun servizio esterno: serve solo per test e sviluppo
+ * e va richiesto esplicitamente con il nome provider 'mock'.
+ */
+class MockHandler extends BaseAIHandler {
+  constructor() {
+    super('Mock');
+    this.model = 'mock-echo';
+    this.isAvailable = true;
+    this.supportsStreaming = true;
+    this.isLocal = true;
+    this.chunkDelay = 100; // Ritardo simulato tra i chunk (ms)
+  }
+
+  /**
+   * Sempre disponibile, non richiede configurazione
+   * @returns {Boolean} - true
+   */
+  initialize() {
+    this.isAvailable = true;
+    return true;
+  }
+
+  /**
+   * Restituisce l'eco del prompt
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason }
+   */
+  async _generate(prompt, options) {
+    return {
+      content: this._buildEcho(prompt),
+      model: this.model,
+      usage: null,
+      finishReason: 'stop',
+    };
+  }
+
+  /**
+   * Emette l'eco del prompt parola per parola
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const words = this._buildEcho(prompt).split(' ');
+
+    for (let i = 0; i < words.length; i++) {
+      await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+      if (this._isCancelled(options.signal)) return;
+      yield { type: 'text', text: i < words.length - 1 ? `${words[i]} ` : words[i] };
+    }
+
+    yield { type: 'metadata', model: this.model, usage: null, finishReason: 'stop' };
+  }
+
+  /**
+   * Testo di eco
+   * @param {String} prompt - Prompt ricevuto
+   * @returns {String} - Risposta fittizia
+   */
+  _buildEcho(prompt) {
+    return `Mock response: ${prompt}`;
+  }
+
+  /**
+   * Imposta il modello da utilizzare
+   * @param {String} model - Nome del modello
+   */
+  setModel(model) {
+    this.model = model;
+  }
+}
+
+module.exports = new MockHandler();
@@ -0,0 +1,183 @@
+// assets/backend/ai-handlers/model_pricing.js
+const fs = require('fs-extra');
+
+/**
+ * Listino prezzi dei modelli (USD per milione di token)
+ *
+ * I prezzi si cercano per nome del modello del provider (prefisso più lungo,
+ * es. 'claude-3-5-sonnet-20241022' → 'claude-3-5-sonnet') e in mancanza per
+ * provider. I modelli locali (Ollama, llama.cpp) hanno costo zero.
+ *
+ * Il listino si può sovrascrivere con un file JSON indicato da MODEL_PRICING_FILE:
+ *   { "models": { "gpt-4o": { "input": 2.5, "output": 10 } }, "providers": { ... } }
+ */
+const DEFAULT_MODEL_PRICING = {
+  // Anthropic
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+
+  // OpenAI
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o1': { input: 15, output: 60 },
+
+  // Google
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+
+  // Mistral
+  'mistral-large': { input: 2, output: 6 },
+  'mistral-medium': { input: 0.4, output: 2 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'open-mistral-nemo': { input: 0.15, output: 0.15 },
+  'codestral': { input: 0.3, output: 0.9 },
+
+  // DeepSeek
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+};
+
+// Prezzo usato quando il modello non è nel listino
+const DEFAULT_PROVIDER_PRICING = {
+  claude: { input: 3, output: 15 },
+  gpt: { input: 2.5, output: 10 },
+  gemini: { input: 1.25, output: 5 },
+  mistral: { input: 2, output: 6 },
+  deepseek: { input: 0.27, output: 1.1 },
+  ollama: { input: 0, output: 0 },
+  llama: { input: 0, output: 0 },
+  mock: { input: 0, output: 0 },
+};
+
+class ModelPricing {
+  constructor() {
+    this.currency = 'USD';
+    this.models = { ...DEFAULT_MODEL_PRICING };
+    this.providers = { ...DEFAULT_PROVIDER_PRICING };
+
+    if (process.env.MODEL_PRICING_FILE) {
+      this.loadFromFile(process.env.MODEL_PRICING_FILE);
+    }
+  }
+
+  /**
+   * Sovrascrive il listino con i prezzi di un file JSON
+   * @param {String} filePath - Percorso del file { models, providers }
+   * @returns {Boolean} - true se il file è stato caricato
+   */
+  loadFromFile(filePath) {
+    try {
+      const config = fs.readJsonSync(filePath);
+      Object.entries(config.models || {}).forEach(([model, pricing]) => this.setModelPricing(model, pricing));
+      Object.entries(config.providers || {}).forEach(([provider, pricing]) => this.setProviderPricing(provider, pricing));
+      return true;
+    } catch (error) {
+      console.error(`Impossibile caricare il listino prezzi da ${filePath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Imposta il prezzo di un modello
+   * @param {String} model - Nome (o prefisso) del modello del provider
+   * @param {Object} pricing - { input, output } in USD per milione di token
+   */
+  setModelPricing(model, { input = 0, output = 0 }) {
+    this.models[model.toLowerCase()] = { input, output };
+  }
+
+  /**
+   * Imposta il prezzo predefinito di un provider
+   * @param {String} provider - Nome del provider (claude, gpt, ...)
+   * @param {Object} pricing - { input, output } in USD per milione di token
+   */
+  setProviderPricing(provider, { input = 0, output = 0 }) {
+    this.providers[provider.toLowerCase()] = { input, output };
+  }
+
+  /**
+   * Prezzo applicabile a una chiamata
+   * @param {String} provider - Nome del provider
+   * @param {String} model - Modello del provider
+   * @param {Object} options - { local: true per i modelli eseguiti in locale }
+   * @returns {Object} - { input, output, source: 'model' | 'provider' | 'local' | 'unknown' }
+   */
+  getPricing(provider, model, { local = false } = {}) {
+    if (local) {
+      return { input: 0, output: 0, source: 'local' };
+    }
+
+    const modelName = (model || '').toLowerCase();
+    const match = Object.keys(this.models)
+      .filter(prefix => modelName.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (match) {
+      return { ...this.models[match], source: 'model' };
+    }
+
+    const providerPricing = this.providers[(provider || '').toLowerCase()];
+    if (providerPricing) {
+      return { ...providerPricing, source: 'provider' };
+    }
+
+    return { input: 0, output: 0, source: 'unknown' };
+  }
+
+  /**
+   * Costo di una chiamata a partire dall'usage normalizzato
+   * @param {String} provider - Nome del provider
+   * @param {String} model - Modello del provider
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @param {Object} options - { local }
+   * @returns {Object} - { inputCost, outputCost, totalCost, currency, pricingSource }
+   */
+  calculateCost(provider, model, usage, options = {}) {
+    const pricing = this.getPricing(provider, model, options);
+    const inputCost = ((usage?.promptTokens || 0) / 1000000) * pricing.input;
+    const outputCost = ((usage?.completionTokens || 0) / 1000000) * pricing.output;
+
+    return {
+      inputCost: this._round(inputCost),
+      outputCost: this._round(outputCost),
+      totalCost: this._round(inputCost + outputCost),
+      currency: this.currency,
+      pricingSource: pricing.source,
+    };
+  }
+
+  /**
+   * Listino corrente
+   * @returns {Object} - { currency, unit, models, providers }
+   */
+  getPricingTable() {
+    return {
+      currency: this.currency,
+      unit: 'per_million_tokens',
+      models: { ...this.models },
+      providers: { ...this.providers },
+    };
+  }
+
+  _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = new ModelPricing();
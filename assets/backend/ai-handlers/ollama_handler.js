@@ -2,6 +2,8 @@
 
 const axios = require('axios');
 const BaseAIHandler = require('./base_handler');
+const { parseNDJSON } = require('./stream_parsers');
+const { toOpenAITools, fromOllamaToolCalls, formatOllamaToolMessage } = require('./tool_formats');
 
 /**
  * Handler per i modelli locali Ollama
@@ -11,6 +13,14 @@ class OllamaHandler extends BaseAIHandler {
     super('Ollama');
     this.baseUrl = 'http://localhost:11434'; // Default locale
     this.model = 'llama2'; // Modello predefinito
+    this.notConfiguredMessage = 'Ollama non configurato o non disponibile';
+    this.supportsStreaming = true;
+    this.isLocal = true; // Modello locale: nessun costo per token
+    this.defaultOptions.timeout = 120000; // I modelli locali possono essere lenti
+    this.contextWindow = 4096; // Inviato come num_ctx: il default di Ollama è più basso
+    this.supportsTools = true; // Solo i modelli con supporto tools (es. llama3.1, qwen2.5)
+    // Modelli locali multimodali (es. llava): le immagini vanno nel campo images
+    this.visionModels = /llava|bakllava|moondream|vision|minicpm-v|qwen2\.5?-?vl|gemma3|llama4/;
   }
 
   /**
@@ -34,39 +44,127 @@ class OllamaHandler extends BaseAIHandler {
   }
 
   /**
-   * Elabora una prompt e restituisce una risposta
+   * Chiama l'endpoint /api/chat di Ollama
    * @param {String} prompt - Prompt da elaborare
-   * @param {String} conversationId - ID della conversazione
-   * @returns {Promise<String>} - Risposta elaborata
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {Promise<Object>} - { content, model, usage, finishReason, toolCalls }
    */
-  async process(prompt, conversationId) {
-    if (!this.checkAvailability()) {
-      return 'Ollama non configurato o non disponibile';
-    }
+  async _generate(prompt, options) {
+    const body = this._buildRequestBody(prompt, options, false);
 
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/api/generate`,
-        {
-          model: this.model,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.7,
-            num_predict: 1000,
-          }
+    const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+
+    const data = response.data;
+
+    return {
+      content: data.message?.content || '',
+      model: data.model || this.model,
+      usage: data.eval_count !== undefined ? {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count,
+      } : null,
+      finishReason: data.done_reason || 'stop',
+      toolCalls: fromOllamaToolCalls(data.message?.tool_calls),
+    };
+  }
+
+  /**
+   * Streaming tramite /api/chat (JSON delimitato da newline)
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @returns {AsyncGenerator<Object>} - Delta di testo e metadati finali
+   */
+  async *_stream(prompt, options) {
+    const stream = await this._postStream(
+      `${this.baseUrl}/api/chat`,
+      this._buildRequestBody(prompt, options, true),
+      {
+        headers: {
+          'Content-Type': 'application/json',
         },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
+        timeout: options.timeout,
+        signal: options.signal,
+      }
+    );
+
+    const metadata = { type: 'metadata', model: this.model, usage: null };
+
+    for await (const chunk of parseNDJSON(stream)) {
+      if (chunk.error) {
+        throw new Error(chunk.error);
+      }
+
+      if (chunk.message?.content) {
+        yield { type: 'text', text: chunk.message.content };
+      }
+
+      // L'ultimo oggetto (done: true) contiene statistiche e motivo di arresto
+      if (chunk.done) {
+        metadata.model = chunk.model || this.model;
+        metadata.finishReason = chunk.done_reason || 'stop';
+        if (chunk.eval_count !== undefined) {
+          metadata.usage = {
+            promptTokens: chunk.prompt_eval_count || 0,
+            completionTokens: chunk.eval_count,
+          };
         }
-      );
+      }
+    }
 
-      return response.data.response.trim();
-    } catch (error) {
-      return this.handleError(error);
+    yield metadata;
+  }
+
+  /**
+   * Costruisce il corpo della richiesta /api/chat
+   * @param {String} prompt - Prompt da elaborare
+   * @param {Object} options - Opzioni normalizzate della chiamata
+   * @param {Boolean} stream - Abilita lo streaming NDJSON
+   * @returns {Object} - Corpo della richiesta
+   */
+  _buildRequestBody(prompt, options, stream) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    options.messages.forEach(message => messages.push(this._formatMessage(message)));
+
+    const body = {
+      model: this.model,
+      messages,
+      stream: stream,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.max_tokens,
+        num_ctx: this.getContextWindow(),
+      }
+    };
+
+    if (options.stop.length > 0) body.options.stop = options.stop;
+    // /api/chat non ha tool_choice: 'none' equivale a non dichiarare gli strumenti
+    if (options.tools.length > 0 && options.toolChoice !== 'none') body.tools = toOpenAITools(options.tools);
+
+    return body;
+  }
+
+  /**
+   * Converte un messaggio normalizzato nel formato /api/chat
+   * (le immagini sono passate come base64 per i modelli multimodali, es. llava)
+   * @param {Object} message - { role, content, images, toolCalls }
+   * @returns {Object} - Messaggio Ollama
+   */
+  _formatMessage(message) {
+    const toolMessage = formatOllamaToolMessage(message);
+    if (toolMessage) return toolMessage;
+
+    const formatted = { role: message.role, content: message.content };
+    if (message.images.length > 0) {
+      formatted.images = message.images.map(image => image.data);
     }
+    return formatted;
   }
 
   /**
@@ -0,0 +1,324 @@
+// assets/backend/ai-handlers/provider_resilience.js
+
+/**
+ * Resilienza delle chiamate ai provider
+ *
+ * - classifyError: converte un errore axios / di rete / del processo locale
+ *   in un errore classificato { type, status, retryable, retryAfterMs }
+ * - getRetryDelay: backoff esponenziale con jitter, rispettando Retry-After
+ * - CircuitBreaker: dopo troppi errori consecutivi il provider viene escluso
+ *   per un periodo di raffreddamento, poi una sola richiesta di prova
+ *   (half_open) decide se richiuderlo
+ */
+
+const ERROR_TYPES = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate_limit',
+  OVERLOADED: 'overloaded',
+  TIMEOUT: 'timeout',
+  BAD_REQUEST: 'bad_request',
+  CONTENT_FILTER: 'content_filter',
+  NETWORK: 'network',
+  SERVER: 'server',
+  CANCELLED: 'cancelled',
+  CIRCUIT_OPEN: 'circuit_open',
+  UNKNOWN: 'unknown',
+};
+
+// Classi di errore per cui ha senso ritentare
+const RETRYABLE_TYPES = new Set([
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.OVERLOADED,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.SERVER,
+]);
+
+// Classi che indicano un provider in difficoltà (contano per il circuit breaker)
+const HEALTH_FAILURE_TYPES = RETRYABLE_TYPES;
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH']);
+const CONTENT_FILTER_CODES = new Set(['content_filter', 'content_policy_violation', 'content_filtered']);
+
+function readNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: readNumber('PROVIDER_MAX_RETRIES', 2),
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  // Oltre questa attesa richiesta dal provider si rinuncia subito
+  maxRetryAfterMs: 30000,
+};
+
+const DEFAULT_CIRCUIT_CONFIG = {
+  failureThreshold: readNumber('CIRCUIT_FAILURE_THRESHOLD', 5),
+  cooldownMs: readNumber('CIRCUIT_COOLDOWN_MS', 30000),
+};
+
+/**
+ * Legge Retry-After (secondi o data HTTP) e retry-after-ms
+ * @param {Object} headers - Header della risposta
+ * @returns {Number|null} - Attesa in ms
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Messaggio d'errore restituito dal provider (formati OpenAI, Anthropic, Gemini, Ollama)
+ */
+function extractProviderMessage(error) {
+  const data = error.response?.data;
+  if (typeof data === 'string' && data.trim()) return data.trim().substring(0, 500);
+  return data?.error?.message || data?.message || (typeof data?.error === 'string' ? data.error : null) || error.message || 'Errore sconosciuto';
+}
+
+function detectType(error) {
+  if (error.name === 'AbortError' || error.code === 'ERR_CANCELED') return ERROR_TYPES.CANCELLED;
+  if (error.contentFiltered) return ERROR_TYPES.CONTENT_FILTER;
+
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const providerCode = data?.error?.code || data?.error?.type || data?.type;
+
+  if (CONTENT_FILTER_CODES.has(providerCode)) return ERROR_TYPES.CONTENT_FILTER;
+  if (providerCode === 'overloaded_error') return ERROR_TYPES.OVERLOADED;
+
+  if (status) {
+    if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+    if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+    if (status === 529 || status === 503) return ERROR_TYPES.OVERLOADED;
+    if (status === 408 || status === 504) return ERROR_TYPES.TIMEOUT;
+    if (status >= 500) return ERROR_TYPES.SERVER;
+    if (status >= 400) return ERROR_TYPES.BAD_REQUEST;
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) {
+    return ERROR_TYPES.TIMEOUT;
+  }
+  if (NETWORK_CODES.has(error.code) || /socket hang up/i.test(error.message || '')) {
+    return ERROR_TYPES.NETWORK;
+  }
+
+  return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Classifica un errore di chiamata a un provider
+ * @param {Error} error - Errore originale (axios, rete, processo locale)
+ * @param {String} provider - Nome dell'handler
+ * @returns {Error} - Errore con name 'ProviderError' e campi
+ *   { provider, type, code, status, retryable, retryAfterMs, cause }
+ */
+function classifyError(error, provider) {
+  if (error && error.name === 'ProviderError') return error;
+
+  // Gli annullamenti restano AbortError: i chiamanti li riconoscono dal nome
+  const type = detectType(error);
+  if (type === ERROR_TYPES.CANCELLED) return error;
+
+  const classified = new Error(extractProviderMessage(error));
+  classified.name = 'ProviderError';
+  classified.provider = provider;
+  classified.type = type;
+  classified.code = type;
+  classified.status = error.response?.status || null;
+  classified.retryable = RETRYABLE_TYPES.has(type);
+  classified.retryAfterMs = parseRetryAfter(error.response?.headers);
+  classified.cause = error;
+  return classified;
+}
+
+/**
+ * Errore restituito senza chiamare il provider quando il circuito è aperto
+ * @param {String} provider - Nome dell'handler
+ * @param {Object} state - Stato del circuit breaker
+ * @returns {Error} - ProviderError di tipo circuit_open
+ */
+function createCircuitOpenError(provider, state) {
+  const error = new Error(`${provider} temporaneamente escluso dopo ${state.consecutiveFailures} errori consecutivi`);
+  error.name = 'ProviderError';
+  error.provider = provider;
+  error.type = ERROR_TYPES.CIRCUIT_OPEN;
+  error.code = ERROR_TYPES.CIRCUIT_OPEN;
+  error.status = null;
+  error.retryable = false;
+  error.retryAfterMs = state.nextAttemptAt ? Math.max(0, state.nextAttemptAt - Date.now()) : null;
+  return error;
+}
+
+/**
+ * Attesa prima del prossimo tentativo
+ * @param {Error} error - Errore classificato
+ * @param {Number} attempt - Tentativi già falliti meno uno (0 = primo errore)
+ * @param {Object} policy - Politica di retry
+ * @returns {Number|null} - Attesa in ms, null se non si deve ritentare
+ */
+function getRetryDelay(error, attempt, policy = DEFAULT_RETRY_POLICY) {
+  if (!error.retryable || attempt >= policy.maxRetries) return null;
+
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= policy.maxRetryAfterMs ? error.retryAfterMs : null;
+  }
+
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  // Jitter: evita che più richieste ritentino nello stesso istante
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Attesa interrompibile da un AbortSignal
+ * @param {Number} ms - Durata
+ * @param {AbortSignal} signal - Segnale di annullamento (opzionale)
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Circuit breaker per provider: closed → open dopo failureThreshold errori
+ * consecutivi, half_open al termine del raffreddamento (una richiesta di prova),
+ * di nuovo closed al primo successo.
+ */
+class CircuitBreaker {
+  constructor(provider, config = {}) {
+    this.provider = provider;
+    this.config = { ...DEFAULT_CIRCUIT_CONFIG, ...config };
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+    this.stats = { successes: 0, failures: 0, rejected: 0, timesOpened: 0 };
+  }
+
+  /**
+   * Verifica se una richiesta può partire (e la registra come prova in half_open)
+   * @returns {Boolean} - false se il circuito è aperto
+   */
+  tryAcquire() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.config.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Libera la prova half_open di una chiamata terminata senza esito (annullata)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== 'closed') {
+      console.log(`🟢 [${this.provider}] Circuit breaker richiuso`);
+    }
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  /**
+   * Registra un errore; solo le classi che indicano un provider in difficoltà
+   * fanno avanzare il circuito
+   * @param {Error} error - Errore classificato
+   */
+  recordFailure(error) {
+    if (!HEALTH_FAILURE_TYPES.has(error.type)) {
+      // Errore della richiesta (auth, bad_request, ...): libera solo la prova in corso
+      this.trialInFlight = false;
+      return;
+    }
+
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastFailure = { type: error.type, message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.config.failureThreshold) {
+      if (this.state !== 'open') {
+        this.stats.timesOpened++;
+        console.warn(`🔴 [${this.provider}] Circuit breaker aperto dopo ${this.consecutiveFailures} errori (${error.type})`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Stato serializzabile per get_model_status e /streaming/status
+   * @returns {Object} - { state, consecutiveFailures, openedAt, nextAttemptAt, lastFailure, stats }
+   */
+  getState() {
+    // Il passaggio a half_open è pigro: va riportato anche se nessuno ha chiamato tryAcquire
+    const cooledDown = this.state === 'open' && Date.now() - this.openedAt >= this.config.cooldownMs;
+
+    return {
+      state: cooledDown ? 'half_open' : this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.config.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === 'open' ? this.openedAt + this.config.cooldownMs : null,
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats },
+    };
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+}
+
+module.exports = {
+  ERROR_TYPES,
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  createCircuitOpenError,
+  getRetryDelay,
+  sleep,
+  CircuitBreaker,
+};
@@ -1,204 +1,222 @@
 // assets/backend/ai-handlers/router.js
-const axios = require('axios');
 
 /**
- * Basic AI Router per gestire diversi modelli AI
+ * AI Router: registro centrale degli handler dei provider
+ *
+ * Ogni voce del registro è un handler che rispetta il contratto di
+ * BaseAIHandler (generateResponse, processStream, checkAvailability).
+ * Gli handler reali vengono configurati dalle variabili d'ambiente;
+ * il provider 'mock' (eco del prompt) è disponibile solo se richiesto esplicitamente:
+ * è registrato come non elencato, quindi non compare tra i modelli disponibili.
  */
 class AIRouter {
   constructor() {
     this.handlers = new Map();
+    this.unlistedHandlers = new Set();
     this._initializeHandlers();
   }
 
   _initializeHandlers() {
-    // Registra handlers base per i modelli
-    this.handlers.set('claude', new ClaudeHandler());
-    this.handlers.set('gpt', new GPTHandler());
-    this.handlers.set('deepseek', new DeepSeekHandler());
-    this.handlers.set('gemini', new GeminiHandler());
-    this.handlers.set('mistral', new MistralHandler());
-    this.handlers.set('llama', new LlamaHandler());
-    this.handlers.set('ollama', new OllamaHandler());
-  }
-
-  async getModelHandler(modelName) {
-    return this.handlers.get(modelName);
-  }
-
-  async processRequest(modelName, request) {
-    const handler = this.handlers.get(modelName);
-    if (!handler) {
-      throw new Error(`Handler not found for model: ${modelName}`);
+    const handlerConfigs = [
+      { name: 'claude', handler: require('./claude_handler'), config: process.env.ANTHROPIC_API_KEY, model: process.env.CLAUDE_MODEL },
+      { name: 'gpt', handler: require('./gpt_handler'), config: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL },
+      { name: 'deepseek', handler: require('./deepseek_handler'), config: process.env.DEEPSEEK_API_KEY, model: process.env.DEEPSEEK_MODEL },
+      { name: 'gemini', handler: require('./gemini_handler'), config: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL },
+      { name: 'mistral', handler: require('./mistral_handler'), config: process.env.MISTRAL_API_KEY, model: process.env.MISTRAL_MODEL },
+      {
+        name: 'llama',
+        handler: require('./llama_handler'),
+        config: {
+          executablePath: process.env.LLAMA_CPP_EXECUTABLE,
+          modelPath: process.env.LLAMA_CPP_MODEL_PATH
+        }
+      },
+      { name: 'ollama', handler: require('./ollama_handler'), config: process.env.OLLAMA_BASE_URL, model: process.env.OLLAMA_MODEL },
+      { name: 'mock', handler: require('./mock_handler'), listed: false }
+    ];
+
+    handlerConfigs.forEach(({ name, handler, config, model, listed }) => {
+      // Configura l'handler da ambiente (chiave API, endpoint o percorsi locali)
+      if (!handler.checkAvailability()) {
+        handler.initialize(config);
+      }
+      if (model) {
+        handler.setModel(model);
+      }
+
+      this.registerHandler(name, handler, { listed });
+    });
+
+    // Alias per GPT
+    this.registerHandler('openai', this.handlers.get('gpt'));
+  }
+
+  /**
+   * Registra (o sostituisce) un handler nel registro
+   * @param {String} name - Nome del provider
+   * @param {Object} handler - Handler conforme a BaseAIHandler
+   * @param {Object} options - { listed }: false lo esclude da getAvailableModels e
+   *   getConfiguredModels (resta utilizzabile per nome)
+   */
+  registerHandler(name, handler, { listed = true } = {}) {
+    if (!handler || typeof handler.generateResponse !== 'function') {
+      throw new Error(`Invalid handler for ${name}: generateResponse is required`);
     }
 
-    return await handler.processRequest(request);
-  }
-
-  getAvailableModels() {
-    return Array.from(this.handlers.keys());
-  }
-}
-
-/**
- * Base handler class
- */
-class BaseHandler {
-  constructor(modelName) {
-    this.modelName = modelName;
-  }
-
-  async processRequest(request) {
-    // Placeholder implementation
-    return {
-      text: `Response from ${this.modelName}: ${request.prompt}`,
-      model: this.modelName,
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  async streamResponse(request, onChunk) {
-    // Simula streaming response
-    const fullResponse = await this.processRequest(request);
-    const words = fullResponse.text.split(' ');
-
-    for (let i = 0; i < words.length; i++) {
-      const chunk = words[i] + ' ';
-      const isFinished = i === words.length - 1;
-
-      // Simula delay tra chunks
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      onChunk(chunk, isFinished);
+    const key = name.toLowerCase();
+    this.handlers.set(key, handler);
+    if (listed) {
+      this.unlistedHandlers.delete(key);
+    } else {
+      this.unlistedHandlers.add(key);
     }
-
-    return fullResponse.text;
   }
-}
 
-// Handlers specifici per ogni modello
-class ClaudeHandler extends BaseHandler {
-  constructor() {
-    super('claude');
-    this.apiKey = process.env.CLAUDE_API_KEY;
-    this.baseURL = 'https://api.anthropic.com/v1/messages';
+  /**
+   * Rimuove un handler dal registro
+   * @param {String} name - Nome del provider
+   * @returns {Boolean} - true se l'handler era registrato
+   */
+  unregisterHandler(name) {
+    this.unlistedHandlers.delete(name.toLowerCase());
+    return this.handlers.delete(name.toLowerCase());
   }
 
-  async processRequest(request) {
-    if (!this.apiKey) {
-      throw new Error('Claude API key not configured');
-    }
-
-    try {
-      // Implementazione placeholder - sostituire con chiamata reale API
-      return {
-        text: `Claude response: ${request.prompt}`,
-        model: 'claude',
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('Claude API error:', error);
-      throw error;
-    }
+  /**
+   * Restituisce l'handler registrato (sincrono)
+   * @param {String} modelName - Nome del provider
+   * @returns {Object|undefined} - Handler
+   */
+  getHandler(modelName) {
+    return modelName ? this.handlers.get(modelName.toLowerCase()) : undefined;
   }
-}
-
-class GPTHandler extends BaseHandler {
-  constructor() {
-    super('gpt');
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.baseURL = 'https://api.openai.com/v1/chat/completions';
-  }
-
-  async processRequest(request) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
 
-    try {
-      return {
-        text: `GPT response: ${request.prompt}`,
-        model: 'gpt',
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      throw error;
-    }
+  async getModelHandler(modelName) {
+    return this.getHandler(modelName);
   }
-}
 
-class DeepSeekHandler extends BaseHandler {
-  constructor() {
-    super('deepseek');
-    this.apiKey = process.env.DEEPSEEK_API_KEY;
-  }
+  async processRequest(modelName, request) {
+    const handler = this._requireHandler(modelName);
+    const response = await handler.generateResponse(this._getInput(request), this._getCallOptions(request));
 
-  async processRequest(request) {
     return {
-      text: `DeepSeek response: ${request.prompt}`,
-      model: 'deepseek',
+      text: response.content,
+      model: modelName,
+      providerModel: response.model,
+      usage: response.usage,
+      cost: response.cost,
+      finishReason: response.finishReason,
+      latencyMs: response.latencyMs,
       timestamp: new Date().toISOString()
     };
   }
-}
-
-class GeminiHandler extends BaseHandler {
-  constructor() {
-    super('gemini');
-    this.apiKey = process.env.GEMINI_API_KEY;
-  }
 
-  async processRequest(request) {
-    return {
-      text: `Gemini response: ${request.prompt}`,
-      model: 'gemini',
-      timestamp: new Date().toISOString()
-    };
-  }
-}
+  /**
+   * Streaming da un provider con callback per chunk
+   * @param {String} modelName - Nome del provider
+   * @param {Object} request - { prompt | messages, conversationHistory, options }
+   * @param {Function} onChunk - (chunk, isFinished) => void
+   * @returns {Promise<Object>} - Evento finale di usage del provider
+   */
+  async streamResponse(modelName, request, onChunk) {
+    const handler = this._requireHandler(modelName);
+    let finalEvent = null;
+
+    for await (const event of handler.processStream(this._getInput(request), this._getCallOptions(request))) {
+      if (event.type === 'text') {
+        onChunk(event.text, false);
+      } else if (event.type === 'usage') {
+        finalEvent = event;
+      }
+    }
 
-class MistralHandler extends BaseHandler {
-  constructor() {
-    super('mistral');
-    this.apiKey = process.env.MISTRAL_API_KEY;
+    onChunk('', true);
+    return finalEvent;
   }
 
-  async processRequest(request) {
-    return {
-      text: `Mistral response: ${request.prompt}`,
-      model: 'mistral',
-      timestamp: new Date().toISOString()
-    };
-  }
-}
-
-class LlamaHandler extends BaseHandler {
-  constructor() {
-    super('llama');
+  /**
+   * Provider registrati, esclusi quelli non elencati (mock)
+   * @returns {Array<String>} - Nomi dei provider
+   */
+  getAvailableModels() {
+    return Array.from(this.handlers.keys()).filter(name => !this.unlistedHandlers.has(name));
+  }
+
+  /**
+   * Provider registrati e configurati
+   * @returns {Array<String>} - Nomi dei provider utilizzabili
+   */
+  getConfiguredModels() {
+    return this.getAvailableModels().filter(name => this.handlers.get(name).checkAvailability());
+  }
+
+  /**
+   * Verifica se il provider accetta immagini con il modello configurato
+   * @param {String} modelName - Nome del provider
+   * @returns {Boolean} - true se il provider è multimodale
+   */
+  supportsImages(modelName) {
+    const handler = this.getHandler(modelName);
+    return !!(handler && typeof handler.supportsImages === 'function' && handler.supportsImages());
+  }
+
+  /**
+   * Stato di salute dei provider: disponibilità e circuit breaker
+   * @returns {Object} - { [provider]: { available, circuit, retryPolicy } }
+   */
+  getProviderHealth() {
+    const health = {};
+    this.handlers.forEach((handler, name) => {
+      // Gli alias (openai → gpt) condividono lo stesso handler; i non elencati non compaiono
+      if (name === 'openai' || this.unlistedHandlers.has(name) || typeof handler.getResilienceStatus !== 'function') return;
+      health[name] = handler.getResilienceStatus();
+    });
+    return health;
+  }
+
+  /**
+   * Input e opzioni della chiamata per una richiesta (per chi invoca
+   * direttamente l'handler, es. il ciclo di tool_agent)
+   * @param {Object} request - { prompt | messages, images, conversationHistory, options }
+   * @returns {Object} - { input, options }
+   */
+  prepareCall(request) {
+    return { input: this._getInput(request), options: this._getCallOptions(request) };
+  }
+
+  /**
+   * Input per l'handler: lista di messaggi se presente, altrimenti il prompt
+   * (con le immagini allegate, un messaggio utente multimodale)
+   * @param {Object} request - Richiesta
+   * @returns {String|Array<Object>} - Input della chiamata
+   */
+  _getInput(request) {
+    if (request.messages) return request.messages;
+    if (request.images && request.images.length > 0) {
+      return [{ role: 'user', content: request.prompt, images: request.images }];
+    }
+    return request.prompt;
   }
 
-  async processRequest(request) {
+  /**
+   * Opzioni della chiamata con la cronologia della conversazione
+   * @param {Object} request - Richiesta
+   * @returns {Object} - Opzioni per generateResponse / processStream
+   */
+  _getCallOptions(request) {
     return {
-      text: `Llama response: ${request.prompt}`,
-      model: 'llama',
-      timestamp: new Date().toISOString()
+      history: request.conversationHistory,
+      ...request.options
     };
   }
-}
-
-class OllamaHandler extends BaseHandler {
-  constructor() {
-    super('ollama');
-    this.baseURL = 'http://localhost:11434/api/generate';
-  }
 
-  async processRequest(request) {
-    return {
-      text: `Ollama response: ${request.prompt}`,
-      model: 'ollama',
-      timestamp: new Date().toISOString()
-    };
+  _requireHandler(modelName) {
+    const handler = this.getHandler(modelName);
+    if (!handler) {
+      throw new Error(`Handler not found for model: ${modelName}`);
+    }
+    return handler;
   }
 }
 
-module.exports = new AIRouter();
\ No newline at end of file
+module.exports = new AIRouter();
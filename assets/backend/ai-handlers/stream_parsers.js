@@ -0,0 +1,108 @@
+// assets/backend/ai-handlers/stream_parsers.js
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parser per i formati di streaming dei provider AI
+ * (Server-Sent Events e JSON delimitato da newline)
+ */
+
+/**
+ * Itera le righe di uno stream Node, gestendo chunk spezzati a metà riga
+ * e caratteri UTF-8 multi-byte divisi tra due chunk
+ * @param {Readable} readable - Stream di risposta (es. axios responseType 'stream')
+ * @returns {AsyncGenerator<String>} - Righe senza terminatore
+ */
+async function* readLines(readable) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of readable) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      yield line;
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parser Server-Sent Events (Anthropic, OpenAI, DeepSeek, Mistral, Gemini alt=sse)
+ * @param {Readable} readable - Stream di risposta
+ * @returns {AsyncGenerator<Object>} - Eventi { event, data } con data come stringa
+ */
+async function* parseSSE(readable) {
+  let eventName = 'message';
+  let dataLines = [];
+
+  for await (const line of readLines(readable)) {
+    // Riga vuota: fine dell'evento corrente
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: eventName, data: dataLines.join('\n') };
+      }
+      eventName = 'message';
+      dataLines = [];
+      continue;
+    }
+
+    // Commenti / keep-alive
+    if (line.startsWith(':')) continue;
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  }
+
+  // Evento finale senza riga vuota di chiusura
+  if (dataLines.length > 0) {
+    yield { event: eventName, data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Parser JSON delimitato da newline (Ollama)
+ * @param {Readable} readable - Stream di risposta
+ * @returns {AsyncGenerator<Object>} - Oggetti JSON, uno per riga
+ */
+async function* parseNDJSON(readable) {
+  for await (const line of readLines(readable)) {
+    if (line.trim() === '') continue;
+    yield JSON.parse(line);
+  }
+}
+
+/**
+ * Legge l'intero contenuto di uno stream (usato per i corpi di errore)
+ * @param {Readable} readable - Stream da leggere
+ * @returns {Promise<String>} - Contenuto testuale
+ */
+async function readStreamToString(readable) {
+  let text = '';
+  for await (const line of readLines(readable)) {
+    text += (text ? '\n' : '') + line;
+  }
+  return text;
+}
+
+module.exports = {
+  readLines,
+  parseSSE,
+  parseNDJSON,
+  readStreamToString,
+};
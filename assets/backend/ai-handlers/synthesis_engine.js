@@ -0,0 +1,361 @@
+// assets/backend/ai-handlers/synthesis_engine.js
+const crypto = require('crypto');
+const aiRouter = require('./router');
+const miniLLMSynthesizer = require('./mini_llm_synthesizer');
+
+/**
+ * Motore di sintesi indipendente dal provider
+ *
+ * Un'unica interfaccia per fondere le risposte dei modelli, con backend
+ * intercambiabili:
+ * - qualsiasi handler registrato nel router (claude, gpt, gemini, mistral,
+ *   deepseek, ollama, llama, ...)
+ * - 'mini_llm': il modello llama.cpp dedicato di MiniLLMSynthesizer
+ * - 'algorithmic': fusione deterministica, sempre disponibile
+ *
+ * Il backend si sceglie per richiesta (backend o backends); in mancanza si
+ * segue l'ordine di fallback centrale, configurabile con SYNTHESIS_BACKENDS
+ * (es. "ollama,claude,algorithmic"). 'algorithmic' chiude sempre la catena.
+ *
+ * A/B test: con SYNTHESIS_AB_VARIANTS (es. "claude:50,ollama:50") ogni
+ * conversazione viene assegnata in modo stabile a una variante, che diventa
+ * il backend preferito per le sue sintesi.
+ */
+const DEFAULT_FALLBACK_ORDER = ['claude', 'gpt', 'gemini', 'mistral', 'deepseek', 'ollama', 'llama', 'mini_llm', 'algorithmic'];
+
+const ALGORITHMIC_BACKEND = 'algorithmic';
+
+class SynthesisEngine {
+  constructor() {
+    this.backends = new Map();
+    this.fallbackOrder = this._readList('SYNTHESIS_BACKENDS') || [...DEFAULT_FALLBACK_ORDER];
+    this.experiment = null;
+    this.stats = {};
+
+    this.registerBackend('mini_llm', {
+      type: 'local',
+      isAvailable: () => miniLLMSynthesizer.isInitialized,
+      synthesize: async (synthesisPrompt) => ({
+        content: await miniLLMSynthesizer.runMiniLLM(synthesisPrompt),
+        model: 'mini_llm',
+        usage: null,
+        cost: null,
+      }),
+    });
+
+    this.registerBackend(ALGORITHMIC_BACKEND, {
+      type: 'algorithmic',
+      isAvailable: () => true,
+      synthesize: async (synthesisPrompt, request) => ({
+        content: this.mergeAlgorithmically(request.responses, request.weights),
+        model: ALGORITHMIC_BACKEND,
+        usage: null,
+        cost: null,
+      }),
+    });
+
+    if (process.env.SYNTHESIS_AB_VARIANTS) {
+      this.configureExperiment(this._parseVariants(process.env.SYNTHESIS_AB_VARIANTS));
+    }
+  }
+
+  /**
+   * Registra un backend di sintesi (oltre agli handler del router)
+   * @param {String} name - Nome del backend
+   * @param {Object} backend - { type, isAvailable(), synthesize(synthesisPrompt, request) }
+   */
+  registerBackend(name, backend) {
+    this.backends.set(name, { name, ...backend });
+  }
+
+  /**
+   * Imposta l'ordine di fallback centrale
+   * @param {Array<String>} order - Backend in ordine di preferenza
+   */
+  setFallbackOrder(order) {
+    this.fallbackOrder = [...order];
+  }
+
+  /**
+   * Configura (o disattiva con null) un A/B test tra backend
+   * @param {Object} variants - { [backend]: peso }
+   * @param {String} name - Nome dell'esperimento
+   */
+  configureExperiment(variants, name = 'synthesis_backend') {
+    const entries = Object.entries(variants || {}).filter(([, weight]) => weight > 0);
+    this.experiment = entries.length > 0 ? { name, variants: Object.fromEntries(entries) } : null;
+  }
+
+  /**
+   * Sintetizza le risposte con il primo backend disponibile
+   * @param {Object} request - Richiesta di sintesi
+   * @param {String} request.prompt - Prompt originale dell'utente
+   * @param {Array<Object>} request.responses - [{ model_name, content, confidence }]
+   * @param {Object} request.weights - Pesi per modello (opzionale)
+   * @param {String} request.synthesisPrompt - Prompt di sintesi già costruito (opzionale)
+   * @param {String} request.backend - Backend preferito per questa richiesta
+   * @param {Array<String>} request.backends - Ordine dei backend per questa richiesta
+   * @param {String} request.conversationId - Per l'assegnazione stabile dell'A/B test
+   * @returns {Promise<Object>} - { content, backend, model, providerModel, usage, cost, attempts, variant }
+   */
+  async synthesize(request) {
+    const { order, variant } = this.resolveOrder(request);
+    const synthesisPrompt = request.synthesisPrompt || this.buildPrompt(request);
+    const attempts = [];
+
+    for (const name of order) {
+      const backend = this._getBackend(name);
+      if (!backend || !backend.isAvailable()) continue;
+
+      const startTime = Date.now();
+      try {
+        const result = await backend.synthesize(synthesisPrompt, request);
+        if (!result.content || !result.content.trim()) {
+          throw new Error('Sintesi vuota');
+        }
+
+        this._recordStat(name, true, Date.now() - startTime);
+        return {
+          content: result.content.trim(),
+          backend: name,
+          type: backend.type,
+          model: name,
+          providerModel: result.model || null,
+          usage: result.usage || null,
+          cost: result.cost || null,
+          attempts,
+          variant,
+        };
+      } catch (error) {
+        this._recordStat(name, false, Date.now() - startTime);
+        console.warn(`Sintesi con ${name} non riuscita: ${error.message}`);
+        attempts.push({ backend: name, type: error.type || 'unknown', error: error.message });
+      }
+    }
+
+    // Non raggiungibile finché 'algorithmic' chiude la catena
+    throw new Error('Nessun backend di sintesi disponibile');
+  }
+
+  /**
+   * Ordine dei backend per una richiesta: preferito, variante A/B, ordine centrale,
+   * sempre terminato da 'algorithmic'
+   * @param {Object} request - { backend, backends, conversationId }
+   * @returns {Object} - { order, variant }
+   */
+  resolveOrder({ backend = null, backends = null, conversationId = null } = {}) {
+    let variant = null;
+    let preferred = backend ? [backend] : [];
+
+    if (!backend && !backends && this.experiment) {
+      variant = this._assignVariant(conversationId);
+      preferred = [variant.backend];
+    }
+
+    const base = Array.isArray(backends) && backends.length > 0 ? backends : this.fallbackOrder;
+    const order = [...new Set([...preferred, ...base, ALGORITHMIC_BACKEND])];
+
+    return { order, variant };
+  }
+
+  /**
+   * Primo backend che verrebbe usato (per le stime di costo)
+   * @param {Object} request - { backend, backends, conversationId }
+   * @returns {String} - Nome del backend
+   */
+  getPrimaryBackend(request = {}) {
+    const { order } = this.resolveOrder(request);
+    return order.find(name => {
+      const backend = this._getBackend(name);
+      return backend && backend.isAvailable();
+    }) || ALGORITHMIC_BACKEND;
+  }
+
+  /**
+   * Provider del router che eseguirebbe la sintesi, per la stima dei costi
+   * @param {Object} request - { backend, backends, conversationId }
+   * @returns {String|null} - Nome dell'handler o null (mini_llm, algorithmic)
+   */
+  getBillableBackend(request = {}) {
+    const name = this.getPrimaryBackend(request);
+    return !this.backends.has(name) && aiRouter.getHandler(name) ? name : null;
+  }
+
+  /**
+   * Backend noti con disponibilità e statistiche
+   * @returns {Object} - { fallbackOrder, experiment, backends }
+   */
+  getStatus() {
+    const names = new Set([...this.fallbackOrder, ...this.backends.keys(), ...aiRouter.getAvailableModels()]);
+    names.delete('openai');
+
+    const backends = {};
+    names.forEach(name => {
+      const backend = this._getBackend(name);
+      if (!backend) return;
+      backends[name] = {
+        type: backend.type,
+        available: backend.isAvailable(),
+        stats: this.stats[name] || null,
+      };
+    });
+
+    return {
+      fallbackOrder: [...this.fallbackOrder],
+      experiment: this.experiment,
+      backends,
+    };
+  }
+
+  /**
+   * Prompt di sintesi predefinito (i chiamanti possono passarne uno proprio)
+   * @param {Object} request - { prompt, responses, weights }
+   * @returns {String} - Prompt per il backend
+   */
+  buildPrompt({ prompt = '', responses = [], weights = {} }) {
+    const responsesText = responses
+      .map(response => `## ${response.model_name} (weight: ${(weights && weights[response.model_name]) || 1.0})\n${response.content}`)
+      .join('\n\n---\n\n');
+
+    return `Synthesize the following AI responses into a single answer to the user's request.
+Combine the most accurate and relevant information, resolve contradictions in favour of the better supported claim, and give more weight to higher-weighted models. Do not mention the source models.
+
+User request:
+${prompt}
+
+Responses:
+${responsesText}
+
+Synthesized answer:`;
+  }
+
+  /**
+   * Fusione deterministica: la risposta con peso × confidenza maggiore fa da
+   * base, le altre contribuiscono solo con frasi che non ripetono contenuti già presenti
+   * @param {Array<Object>} responses - [{ model_name, content, confidence }]
+   * @param {Object} weights - Pesi per modello
+   * @returns {String} - Testo sintetizzato
+   */
+  mergeAlgorithmically(responses = [], weights = {}) {
+    const ranked = responses
+      .filter(response => response.content && response.content.trim())
+      .map(response => ({
+        ...response,
+        score: ((weights && weights[response.model_name]) || 1.0) * (response.confidence || 0.5),
+      }))
+      .sort((a, b) => b.score - a.score || a.model_name.localeCompare(b.model_name));
+
+    if (ranked.length === 0) return '';
+
+    const base = ranked[0].content.trim();
+    const included = this._splitSentences(base).map(sentence => this._tokenize(sentence));
+    const additions = [];
+
+    ranked.slice(1).forEach(response => {
+      this._splitSentences(response.content).forEach(sentence => {
+        const tokens = this._tokenize(sentence);
+        if (tokens.size < 4) return;
+
+        const isNew = included.every(existing => this._jaccard(tokens, existing) < 0.5);
+        if (isNew) {
+          included.push(tokens);
+          additions.push(sentence.trim());
+        }
+      });
+    });
+
+    return additions.length > 0 ? `${base}\n\n${additions.join(' ')}` : base;
+  }
+
+  /**
+   * Backend per nome: registrato esplicitamente oppure handler del router
+   * @param {String} name - Nome del backend
+   * @returns {Object|null} - Backend
+   */
+  _getBackend(name) {
+    if (this.backends.has(name)) return this.backends.get(name);
+
+    const handler = aiRouter.getHandler(name);
+    if (!handler) return null;
+
+    return {
+      name,
+      type: handler.isLocal ? 'local' : 'cloud',
+      isAvailable: () => handler.checkAvailability(),
+      synthesize: async (synthesisPrompt, request) => {
+        const response = await handler.generateResponse(synthesisPrompt, {
+          temperature: request.temperature ?? 0.3, // Temperatura bassa per una sintesi coerente
+          max_tokens: request.maxTokens || 4000,
+        });
+        return {
+          content: response.content,
+          model: response.model,
+          usage: response.usage,
+          cost: response.cost,
+        };
+      },
+    };
+  }
+
+  _assignVariant(conversationId) {
+    const variants = Object.entries(this.experiment.variants);
+    const total = variants.reduce((sum, [, weight]) => sum + weight, 0);
+    const seed = conversationId || `${Date.now()}_${Math.random()}`;
+    // Hash stabile: la stessa conversazione resta sulla stessa variante
+    const point = (parseInt(crypto.createHash('sha256').update(seed).digest('hex').substring(0, 8), 16) / 0xffffffff) * total;
+
+    let cumulative = 0;
+    for (const [backend, weight] of variants) {
+      cumulative += weight;
+      if (point <= cumulative) {
+        return { experiment: this.experiment.name, backend };
+      }
+    }
+    return { experiment: this.experiment.name, backend: variants[variants.length - 1][0] };
+  }
+
+  _recordStat(name, success, latencyMs) {
+    const stat = this.stats[name] || (this.stats[name] = { successes: 0, failures: 0, avgLatencyMs: 0 });
+    if (success) {
+      stat.avgLatencyMs = Math.round((stat.avgLatencyMs * stat.successes + latencyMs) / (stat.successes + 1));
+      stat.successes++;
+    } else {
+      stat.failures++;
+    }
+  }
+
+  _splitSentences(text) {
+    return (text.match(/[^.!?\n]+[.!?]*/g) || []).filter(sentence => sentence.trim());
+  }
+
+  _tokenize(text) {
+    return new Set(text.toLowerCase().split(/\W+/).filter(word => word.length > 2));
+  }
+
+  _jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    a.forEach(token => {
+      if (b.has(token)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  _readList(name) {
+    const value = process.env[name];
+    if (!value) return null;
+    const list = value.split(',').map(item => item.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+  }
+
+  _parseVariants(value) {
+    const variants = {};
+    value.split(',').forEach(entry => {
+      const [backend, weight] = entry.split(':').map(item => item.trim());
+      if (backend) variants[backend] = parseFloat(weight) || 1;
+    });
+    return variants;
+  }
+}
+
+module.exports = new SynthesisEngine();
@@ -1,4 +1,5 @@
 // assets/backend/ai-handlers/synthesizer.js
+const synthesisEngine = require('./synthesis_engine');
 
 /**
  * Classe per la sintesi delle risposte da diversi modelli AI
@@ -26,10 +27,11 @@ class AISynthesizer {
 
   /**
    * Combina le risposte di vari modelli AI in un'unica risposta sintetizzata
+   * tramite il motore di sintesi (backend scelto da modelConfig o dall'ordine centrale)
    * @param {Object} responses - Oggetto con le risposte dei vari modelli
-   * @param {Object} modelConfig - Configurazione dei modelli (abilitati/disabilitati)
+   * @param {Object} modelConfig - Configurazione ({ prompt, synthesisBackend, synthesisBackends })
    * @param {Object} customWeights - Pesi personalizzati per ciascun modello (opzionale)
-   * @returns {String} - Risposta sintetizzata
+   * @returns {Promise<String>} - Risposta sintetizzata
    */
   async synthesize(responses, modelConfig, customWeights = null) {
     // Usa pesi personalizzati se forniti
@@ -41,76 +43,19 @@ class AISynthesizer {
       return responses[activeModels[0]];
     }
 
-    // Se ci sono più risposte, sintetizzale
-    // In questa prima implementazione, usiamo un approccio semplice
-    // In futuro, possiamo usare un modello locale per la sintesi
-
-    // Estrai le risposte e i loro pesi
-    const weightedResponses = activeModels.map(model => ({
-      model,
-      response: responses[model],
-      weight: weights[model] || 1.0
-    }));
-
-    // Ordina le risposte per peso (dalla più alta alla più bassa)
-    weightedResponses.sort((a, b) => b.weight - a.weight);
-
-    // Costruisci una risposta sintetizzata
-    // Per ora, prendiamo la risposta con il peso maggiore come base,
-    // e integriamo elementi dalle altre risposte
-
-    const primaryResponse = weightedResponses[0].response;
-
-    // Se ci sono solo 1-2 risposte, restituiamo la principale
-    if (weightedResponses.length <= 2) {
-      return primaryResponse;
-    }
-
-    // Altrimenti, costruiamo una sintesi
-    let synthesis = `Analizzando le risposte da diversi modelli AI:\n\n`;
-
-    // Aggiungi punti chiave da ciascun modello
-    weightedResponses.forEach(({ model, response }) => {
-      // Estrai una versione sintetica della risposta
-      const summary = this._extractSummary(response);
-      synthesis += `${this._getModelDisplayName(model)} suggerisce: ${summary}\n\n`;
+    const synthesis = await synthesisEngine.synthesize({
+      prompt: modelConfig?.prompt || '',
+      responses: activeModels.map(model => ({
+        model_name: model,
+        content: responses[model],
+        confidence: 0.8,
+      })),
+      weights,
+      backend: modelConfig?.synthesisBackend,
+      backends: modelConfig?.synthesisBackends,
     });
 
-    // Aggiungi una conclusione
-    synthesis += `Sintesi: ${primaryResponse}`;
-
-    return synthesis;
-  }
-
-  /**
-   * Estrae un sommario da una risposta
-   * @param {String} response - Risposta completa
-   * @returns {String} - Sommario
-   */
-  _extractSummary(response) {
-    // Semplice implementazione: prendi le prime 2 frasi
-    const sentences = response.split(/[.!?]/).filter(s => s.trim().length > 0);
-    return sentences.slice(0, 2).join('. ') + '.';
-  }
-
-  /**
-   * Ottiene il nome visualizzato per un modello
-   * @param {String} modelKey - Chiave del modello
-   * @returns {String} - Nome visualizzato
-   */
-  _getModelDisplayName(modelKey) {
-    const displayNames = {
-      'gpt': 'GPT',
-      'claude': 'Claude',
-      'deepseek': 'DeepSeek',
-      'gemini': 'Gemini',
-      'mistral': 'Mistral',
-      'cohere': 'Cohere',
-      'llama': 'Llama',
-      'ollama': 'Ollama'
-    };
-
-    return displayNames[modelKey] || modelKey;
+    return synthesis.content;
   }
 
   /**
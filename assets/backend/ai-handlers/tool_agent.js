@@ -0,0 +1,157 @@
+// assets/backend/ai-handlers/tool_agent.js
+const toolRegistry = require('./tool_registry');
+
+/**
+ * Ciclo agente per il function calling
+ *
+ * Il modello riceve gli strumenti richiesti; ogni chiamata che restituisce
+ * viene eseguita dal registro e il risultato torna al modello come messaggio
+ * 'tool', finché il modello risponde senza chiamate o si raggiunge il numero
+ * massimo di iterazioni (l'ultima chiamata avviene con toolChoice 'none', così
+ * il modello deve rispondere con ciò che ha raccolto).
+ *
+ * Eventi (onEvent):
+ * - 'tool_call'   { id, name, arguments, iteration }
+ * - 'tool_result' { id, name, ok, result | error, durationMs, iteration }
+ */
+const DEFAULT_MAX_ITERATIONS = parseInt(process.env.TOOL_MAX_ITERATIONS, 10) || 5;
+const MAX_RESULT_LENGTH = 8000;
+
+class ToolAgent {
+  /**
+   * Strumenti da offrire a un handler
+   * @param {Object} handler - Handler del provider
+   * @param {Boolean|String|Array<String>} selection - Opzione tools della richiesta
+   * @returns {Array<Object>} - Descrizioni degli strumenti (vuota se l'handler non li supporta)
+   */
+  resolveTools(handler, selection) {
+    if (!selection || !handler || !handler.supportsTools) return [];
+    return toolRegistry.getDefinitions(selection);
+  }
+
+  /**
+   * Genera una risposta eseguendo le chiamate di strumenti del modello
+   * @param {Object} handler - Handler del provider (con supportsTools)
+   * @param {String|Array<Object>} input - Prompt o lista di messaggi
+   * @param {Object} options - Opzioni di generateResponse più:
+   * @param {Array<Object>} options.tools - Descrizioni degli strumenti (vedi resolveTools)
+   * @param {Number} options.maxIterations - Numero massimo di turni con strumenti
+   * @param {Object} options.toolContext - Contesto passato agli strumenti { conversationId, knowledgeBaseIds }
+   * @param {Function} options.onEvent - (type, data) per 'tool_call' e 'tool_result'
+   * @returns {Promise<Object>} - Risposta di generateResponse con usage e costo totali,
+   *   toolCalls (traccia delle esecuzioni) e iterations
+   */
+  async run(handler, input, options = {}) {
+    const {
+      tools = [],
+      maxIterations = DEFAULT_MAX_ITERATIONS,
+      toolContext = {},
+      onEvent = () => {},
+      ...callOptions
+    } = options;
+
+    const messages = Array.isArray(input) ? [...input] : [{ role: 'user', content: input }];
+    const trace = [];
+    const responses = [];
+    const startTime = Date.now();
+
+    for (let iteration = 1; ; iteration++) {
+      // Gli strumenti restano dichiarati anche nell'ultimo turno: la cronologia contiene le loro chiamate
+      const finalTurn = tools.length === 0 || iteration > maxIterations;
+      const response = await handler.generateResponse(messages, {
+        ...callOptions,
+        tools,
+        toolChoice: finalTurn && tools.length > 0 ? 'none' : callOptions.toolChoice,
+      });
+      responses.push(response);
+
+      if (finalTurn || !response.toolCalls) {
+        return this._summarize(response, responses, trace, iteration, startTime);
+      }
+
+      messages.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+
+      // Le chiamate dello stesso turno sono indipendenti: eseguite in parallelo
+      const results = await Promise.all(response.toolCalls.map(async call => {
+        onEvent('tool_call', { id: call.id, name: call.name, arguments: call.arguments, iteration });
+
+        const callStart = Date.now();
+        const outcome = await toolRegistry.execute(call.name, call.arguments, {
+          ...toolContext,
+          signal: callOptions.signal,
+        });
+        const record = {
+          id: call.id,
+          name: call.name,
+          arguments: call.arguments,
+          ok: outcome.ok,
+          ...(outcome.ok ? { result: outcome.result } : { error: outcome.error }),
+          durationMs: Date.now() - callStart,
+          iteration,
+        };
+
+        onEvent('tool_result', {
+          id: record.id,
+          name: record.name,
+          ok: record.ok,
+          result: record.result,
+          error: record.error,
+          durationMs: record.durationMs,
+          iteration,
+        });
+        return record;
+      }));
+
+      results.forEach(record => {
+        trace.push(record);
+        messages.push({
+          role: 'tool',
+          toolCallId: record.id,
+          name: record.name,
+          content: this._serializeResult(record),
+        });
+      });
+    }
+  }
+
+  /**
+   * Risultato per il modello (JSON troncato per non saturare il contesto)
+   */
+  _serializeResult(record) {
+    const payload = record.ok ? record.result : { error: record.error };
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return text.length > MAX_RESULT_LENGTH ? `${text.substring(0, MAX_RESULT_LENGTH)}... [truncated]` : text;
+  }
+
+  /**
+   * Risposta finale con usage e costo sommati su tutti i turni
+   */
+  _summarize(finalResponse, responses, trace, iterations, startTime) {
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const cost = { inputCost: 0, outputCost: 0, totalCost: 0, currency: finalResponse.cost?.currency || 'USD' };
+
+    responses.forEach(response => {
+      usage.promptTokens += response.usage?.promptTokens || 0;
+      usage.completionTokens += response.usage?.completionTokens || 0;
+      usage.totalTokens += response.usage?.totalTokens || 0;
+      cost.inputCost += response.cost?.inputCost || 0;
+      cost.outputCost += response.cost?.outputCost || 0;
+      cost.totalCost += response.cost?.totalCost || 0;
+    });
+
+    ['inputCost', 'outputCost', 'totalCost'].forEach(key => {
+      cost[key] = Math.round(cost[key] * 1e6) / 1e6;
+    });
+
+    return {
+      ...finalResponse,
+      usage,
+      cost: { ...finalResponse.cost, ...cost },
+      latencyMs: Date.now() - startTime,
+      toolCalls: trace,
+      iterations,
+    };
+  }
+}
+
+module.exports = new ToolAgent();
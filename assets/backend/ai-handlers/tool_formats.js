@@ -0,0 +1,234 @@
+// assets/backend/ai-handlers/tool_formats.js
+const crypto = require('crypto');
+
+/**
+ * Traduzione degli strumenti (function calling) nei formati dei provider
+ *
+ * Gli strumenti del registro hanno la forma { name, description, parameters }
+ * con parameters in JSON Schema; le chiamate restituite dal modello vengono
+ * riportate alla forma comune { id, name, arguments } (arguments già decodificati).
+ * I provider che non assegnano un ID alle chiamate (Gemini, Ollama) ricevono
+ * un ID generato, usato per collegare il risultato alla chiamata.
+ */
+
+function createToolCallId() {
+  return `call_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Decodifica gli argomenti JSON di una chiamata
+ * @param {String|Object} raw - Argomenti come stringa JSON o oggetto
+ * @returns {Object} - Argomenti (con _invalid se il JSON non è valido)
+ */
+function parseArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return { _invalid: raw };
+  }
+}
+
+// OpenAI Chat Completions (anche DeepSeek e Mistral)
+
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+  }));
+}
+
+function fromOpenAIToolCalls(toolCalls = []) {
+  return toolCalls.map(call => ({
+    id: call.id || createToolCallId(),
+    name: call.function.name,
+    arguments: parseArguments(call.function.arguments),
+  }));
+}
+
+/**
+ * Messaggi di strumenti nel formato Chat Completions
+ * @param {Object} message - Messaggio normalizzato
+ * @param {Object} options - { includeName } per le API che richiedono il nome nel risultato (Mistral)
+ * @returns {Object|null} - Messaggio del provider, null se non riguarda strumenti
+ */
+function formatOpenAIToolMessage(message, { includeName = false } = {}) {
+  if (message.role === 'tool') {
+    const formatted = { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    if (includeName) formatted.name = message.name;
+    return formatted;
+  }
+
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+      })),
+    };
+  }
+
+  return null;
+}
+
+// Anthropic Messages
+
+function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+function fromAnthropicContent(blocks = []) {
+  return blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+}
+
+/**
+ * Messaggi di strumenti nel formato Anthropic: tool_use nel turno
+ * dell'assistente, tool_result in un turno utente
+ * @param {Object} message - Messaggio normalizzato
+ * @returns {Object|null} - Messaggio del provider, null se non riguarda strumenti
+ */
+function formatAnthropicToolMessage(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }],
+    };
+  }
+
+  if (message.toolCalls) {
+    const content = message.content ? [{ type: 'text', text: message.content }] : [];
+    message.toolCalls.forEach(call => {
+      content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+    });
+    return { role: 'assistant', content };
+  }
+
+  return null;
+}
+
+// Gemini generateContent
+
+function toGeminiTools(tools) {
+  return [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    })),
+  }];
+}
+
+function fromGeminiParts(parts = []) {
+  return parts
+    .filter(part => part.functionCall)
+    .map(part => ({
+      id: createToolCallId(),
+      name: part.functionCall.name,
+      arguments: part.functionCall.args || {},
+    }));
+}
+
+/**
+ * Messaggi di strumenti nel formato Gemini: functionCall nel turno del
+ * modello, functionResponse in un turno utente
+ * @param {Object} message - Messaggio normalizzato
+ * @returns {Object|null} - Elemento di contents, null se non riguarda strumenti
+ */
+function formatGeminiToolMessage(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      parts: [{ functionResponse: { name: message.name, response: { content: message.content } } }],
+    };
+  }
+
+  if (message.toolCalls) {
+    const parts = message.content ? [{ text: message.content }] : [];
+    message.toolCalls.forEach(call => {
+      parts.push({ functionCall: { name: call.name, args: call.arguments } });
+    });
+    return { role: 'model', parts };
+  }
+
+  return null;
+}
+
+// Ollama /api/chat
+
+function fromOllamaToolCalls(toolCalls = []) {
+  return toolCalls.map(call => ({
+    id: createToolCallId(),
+    name: call.function.name,
+    arguments: parseArguments(call.function.arguments),
+  }));
+}
+
+function formatOllamaToolMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', content: message.content, tool_name: message.name };
+  }
+
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content,
+      tool_calls: message.toolCalls.map(call => ({
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Unisce i turni consecutivi che contengono solo risultati di strumenti
+ * (Anthropic e Gemini vogliono tutti i risultati di un turno in un solo messaggio)
+ * @param {Array<Object>} messages - Messaggi del provider
+ * @param {String} field - Campo con i blocchi ('content' o 'parts')
+ * @param {Function} isToolResult - (block) => true per i blocchi di risultato
+ * @returns {Array<Object>} - Messaggi con i risultati raggruppati
+ */
+function groupToolResults(messages, field, isToolResult) {
+  const onlyResults = message => Array.isArray(message[field]) && message[field].length > 0 &&
+    message[field].every(isToolResult);
+
+  return messages.reduce((grouped, message) => {
+    const previous = grouped[grouped.length - 1];
+    if (previous && previous.role === message.role && onlyResults(previous) && onlyResults(message)) {
+      previous[field] = [...previous[field], ...message[field]];
+    } else {
+      grouped.push(message);
+    }
+    return grouped;
+  }, []);
+}
+
+module.exports = {
+  createToolCallId,
+  parseArguments,
+  toOpenAITools,
+  fromOpenAIToolCalls,
+  formatOpenAIToolMessage,
+  toAnthropicTools,
+  fromAnthropicContent,
+  formatAnthropicToolMessage,
+  toGeminiTools,
+  fromGeminiParts,
+  formatGeminiToolMessage,
+  fromOllamaToolCalls,
+  formatOllamaToolMessage,
+  groupToolResults,
+};
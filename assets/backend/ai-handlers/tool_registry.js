@@ -0,0 +1,162 @@
+// assets/backend/ai-handlers/tool_registry.js
+const builtinTools = require('./builtin_tools');
+
+/**
+ * Registro degli strumenti (function calling)
+ *
+ * Ogni strumento è descritto da { name, description, parameters } dove
+ * parameters è un JSON Schema di tipo object; execute(args, context) lo
+ * implementa in JavaScript. Gli handler traducono le descrizioni nel formato
+ * del provider (vedi tool_formats), tool_agent esegue le chiamate del modello.
+ *
+ * execute non solleva mai errori: argomenti non validi, strumenti sconosciuti,
+ * timeout ed eccezioni diventano { ok: false, error } e vengono restituiti
+ * al modello, che può correggere la chiamata.
+ */
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+};
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.timeoutMs = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 15000;
+
+    builtinTools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Registra (o sostituisce) uno strumento
+   * @param {Object} tool - { name, description, parameters, execute, isEnabled }
+   *   isEnabled() opzionale: false esclude lo strumento dalle richieste
+   */
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Nome di strumento non valido: ${tool && tool.name}`);
+    }
+    if (typeof tool.execute !== 'function') {
+      throw new Error(`Lo strumento ${tool.name} non ha un'implementazione execute`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      isEnabled: () => true,
+      ...tool,
+    });
+  }
+
+  /**
+   * Rimuove uno strumento
+   * @param {String} name - Nome dello strumento
+   * @returns {Boolean} - true se era registrato
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Descrizioni degli strumenti da offrire al modello
+   * @param {Boolean|String|Array<String>} selection - true / 'all' per tutti gli strumenti
+   *   abilitati, oppure i nomi richiesti
+   * @returns {Array<Object>} - [{ name, description, parameters }]
+   */
+  getDefinitions(selection = true) {
+    if (!selection) return [];
+
+    const names = selection === true || selection === 'all'
+      ? Array.from(this.tools.keys())
+      : [].concat(selection);
+
+    return names
+      .map(name => this.tools.get(name))
+      .filter(tool => tool && tool.isEnabled())
+      .map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Elenco degli strumenti registrati
+   * @returns {Array<Object>} - [{ name, description, parameters, enabled }]
+   */
+  list() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+      enabled: tool.isEnabled(),
+    }));
+  }
+
+  /**
+   * Esegue una chiamata del modello
+   * @param {String} name - Nome dello strumento
+   * @param {Object} args - Argomenti decodificati
+   * @param {Object} context - { conversationId, knowledgeBaseIds, signal }
+   * @returns {Promise<Object>} - { ok: true, result } o { ok: false, error }
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool || !tool.isEnabled()) {
+      return { ok: false, error: `Unknown tool: ${name}` };
+    }
+
+    if (args._invalid !== undefined) {
+      return { ok: false, error: `Arguments are not valid JSON: ${args._invalid}` };
+    }
+
+    const validationError = this._validate(tool.parameters, args);
+    if (validationError) {
+      return { ok: false, error: validationError };
+    }
+
+    let timer = null;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const result = await Promise.race([tool.execute(args, context), timeout]);
+      return { ok: true, result };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Validazione essenziale: campi obbligatori, tipi ed enum delle proprietà
+   * @returns {String|null} - Messaggio di errore o null se valido
+   */
+  _validate(schema, args) {
+    if (!JSON_TYPES.object(args)) return 'Arguments must be an object';
+
+    for (const field of schema.required || []) {
+      if (args[field] === undefined || args[field] === null) {
+        return `Missing required argument: ${field}`;
+      }
+    }
+
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+      const value = args[field];
+      if (value === undefined || value === null) continue;
+
+      if (property.type && JSON_TYPES[property.type] && !JSON_TYPES[property.type](value)) {
+        return `Argument ${field} must be of type ${property.type}`;
+      }
+      if (property.enum && !property.enum.includes(value)) {
+        return `Argument ${field} must be one of: ${property.enum.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ToolRegistry();
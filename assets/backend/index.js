@@ -11,6 +11,11 @@ dotenv.config();
 
 // Import modules
 const streamingRoutes = require('./routes/streaming_routes');
+const conversationRoutes = require('./routes/conversation_routes');
+const usageRoutes = require('./routes/usage_routes');
+const knowledgeRoutes = require('./routes/knowledge_routes');
+const attachmentRoutes = require('./routes/attachment_routes');
+const athenaRoutes = require('./routes/athena_routes');
 const enhancedStreamingRouter = require('./ai-handlers/enhanced_streaming_router');
 
 /**
@@ -33,7 +38,7 @@ class NeuronVaultServer {
     // CORS
     this.app.use(cors({
       origin: '*',
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization'],
       credentials: true
     }));
@@ -69,6 +74,11 @@ class NeuronVaultServer {
         endpoints: {
           health: '/health',
           streaming: '/streaming/*',
+          conversations: '/conversations/*',
+          usage: '/usage/*',
+          knowledge: '/knowledge/*',
+          attachments: '/attachments/*',
+          athena: '/athena/*',
           websocket: `ws://localhost:${this.wsPort}`
         }
       });
@@ -77,6 +87,21 @@ class NeuronVaultServer {
     // Streaming routes
     this.app.use('/streaming', streamingRoutes);
 
+    // Conversation history routes
+    this.app.use('/conversations', conversationRoutes);
+
+    // Token usage and cost routes
+    this.app.use('/usage', usageRoutes);
+
+    // Knowledge bases for retrieval-augmented generation
+    this.app.use('/knowledge', knowledgeRoutes);
+
+    // Image attachments for multimodal prompts
+    this.app.use('/attachments', attachmentRoutes);
+
+    // Athena analytics, recommendation feedback and stored analyses
+    this.app.use('/athena', athenaRoutes);
+
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
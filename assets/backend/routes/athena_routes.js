@@ -0,0 +1,117 @@
+// assets/backend/routes/athena_routes.js
+const express = require('express');
+const router = express.Router();
+const athena = require('../ai-handlers/athena_meta_orchestrator');
+const analysisStore = require('../storage/athena_analysis_store');
+
+/**
+ * Routes per Athena (selezione automatica di modelli e strategie)
+ */
+
+// Stato HTTP per gli errori di Athena
+function errorStatus(error) {
+  if (error.code === 'analysis_not_found') return 404;
+  if (error.code === 'invalid_feedback') return 400;
+  return 500;
+}
+
+// GET /athena/analytics - Statistiche delle decisioni e prestazioni apprese dai modelli
+router.get('/analytics', (req, res) => {
+  res.json({
+    ...athena.getAnalytics(),
+    timestamp: Date.now()
+  });
+});
+
+// POST /athena/feedback - Esito di una raccomandazione
+// { analysis_id, rating (1-5), thumbs ('up'|'down'), regenerated, preferred_model, category,
+//   rejected, reasons, comment }
+router.post('/feedback', async (req, res) => {
+  try {
+    if (!req.body.analysis_id) {
+      return res.status(400).json({
+        error: 'Missing required field: analysis_id'
+      });
+    }
+
+    const outcome = await athena.recordFeedback(req.body.analysis_id, {
+      ...req.body,
+      source: 'api'
+    });
+    res.status(201).json(outcome);
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      error: 'Failed to record feedback',
+      code: error.code || null,
+      message: error.message
+    });
+  }
+});
+
+// POST /athena/analyses/:analysisId/reject - Rifiuto di una raccomandazione con i motivi
+// { reasons: ['wrong_category'|'wrong_models'|'wrong_strategy'|'too_expensive'|'too_slow'|'other'],
+//   category (categoria corretta), comment }
+router.post('/analyses/:analysisId/reject', async (req, res) => {
+  try {
+    const outcome = await athena.recordFeedback(req.params.analysisId, {
+      ...req.body,
+      rejected: true,
+      source: 'api'
+    });
+    res.status(201).json(outcome);
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      error: 'Failed to reject recommendation',
+      code: error.code || null,
+      message: error.message
+    });
+  }
+});
+
+// GET /athena/analyses - Analisi salvate, dalla più recente (?conversation_id=&limit=&offset=)
+router.get('/analyses', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { analyses, total } = await analysisStore.listAnalyses({
+      conversationId: req.query.conversation_id || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      analyses,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list analyses',
+      message: error.message
+    });
+  }
+});
+
+// GET /athena/analyses/:analysisId - Analisi completa con albero decisionale e alternative
+router.get('/analyses/:analysisId', async (req, res) => {
+  try {
+    const analysis = await analysisStore.getAnalysis(req.params.analysisId);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        analysis_id: req.params.analysisId
+      });
+    }
+
+    res.json(analysis);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get analysis',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+// assets/backend/routes/attachment_routes.js
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const attachmentStore = require('../storage/attachment_store');
+
+/**
+ * Routes per le immagini allegate ai prompt multimodali
+ * (gli ID restituiti vanno in attachments di orchestration_request e start_ai_stream)
+ */
+
+const MAX_FILE_SIZE = (parseInt(process.env.ATTACHMENT_MAX_FILE_MB, 10) || 20) * 1024 * 1024;
+
+// I file restano in memoria: vengono normalizzati prima del salvataggio
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 10 }
+});
+
+// POST /attachments - Carica immagini (campo multipart "files")
+router.post('/', (req, res) => {
+  upload.array('files')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        error: 'Failed to upload attachments',
+        message: uploadError.message
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded: use the multipart field "files"'
+      });
+    }
+
+    // Ogni immagine è salvata separatamente: un file non valido non blocca gli altri
+    const attachments = [];
+    const failures = [];
+    for (const file of req.files) {
+      try {
+        attachments.push(await attachmentStore.saveImage(file.buffer, { filename: file.originalname }));
+      } catch (error) {
+        failures.push({ filename: file.originalname, code: error.code || null, message: error.message });
+      }
+    }
+
+    res.status(attachments.length > 0 ? 201 : 422).json({
+      attachments,
+      failures
+    });
+  });
+});
+
+// GET /attachments/:attachmentId - Immagine normalizzata
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await attachmentStore.getAttachment(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        attachmentId: req.params.attachmentId
+      });
+    }
+
+    res.type(attachment.mediaType).send(attachment.data);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get attachment',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /attachments/:attachmentId - Elimina un'immagine
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const deleted = await attachmentStore.deleteAttachment(req.params.attachmentId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        attachmentId: req.params.attachmentId
+      });
+    }
+
+    res.json({
+      deleted: true,
+      attachmentId: req.params.attachmentId
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete attachment',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
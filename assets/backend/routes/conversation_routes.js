@@ -0,0 +1,134 @@
+// assets/backend/routes/conversation_routes.js
+const express = require('express');
+const router = express.Router();
+const conversationStore = require('../storage/conversation_store');
+
+/**
+ * Routes per la cronologia delle conversazioni salvate
+ */
+
+// GET /conversations - Elenco conversazioni (dalla più recente)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { conversations, total } = await conversationStore.listConversations({ limit, offset });
+
+    res.json({
+      conversations,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list conversations',
+      message: error.message
+    });
+  }
+});
+
+// GET /conversations/search?q= - Ricerca per titolo o contenuto
+router.get('/search', async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Missing required query parameter: q'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const results = await conversationStore.searchConversations(query, { limit });
+
+    res.json({
+      query,
+      results,
+      count: results.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to search conversations',
+      message: error.message
+    });
+  }
+});
+
+// GET /conversations/:conversationId - Conversazione con messaggi e risposte dei modelli
+router.get('/:conversationId', async (req, res) => {
+  try {
+    const conversation = await conversationStore.getConversation(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        conversationId: req.params.conversationId
+      });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get conversation',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /conversations/:conversationId - Rinomina conversazione
+router.patch('/:conversationId', async (req, res) => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+
+    if (!title) {
+      return res.status(400).json({
+        error: 'Missing required field: title'
+      });
+    }
+
+    const conversation = await conversationStore.renameConversation(req.params.conversationId, title);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        conversationId: req.params.conversationId
+      });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to rename conversation',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /conversations/:conversationId - Elimina conversazione
+router.delete('/:conversationId', async (req, res) => {
+  try {
+    const deleted = await conversationStore.deleteConversation(req.params.conversationId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        conversationId: req.params.conversationId
+      });
+    }
+
+    res.json({
+      success: true,
+      conversationId: req.params.conversationId,
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+// assets/backend/routes/knowledge_routes.js
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const knowledgeStore = require('../storage/knowledge_store');
+const { CHUNK_LIMITS, DEFAULT_CHUNK_OPTIONS } = require('../storage/document_extractor');
+const knowledgeRetriever = require('../ai-handlers/knowledge_retriever');
+
+/**
+ * Routes per le basi di conoscenza (documenti per la retrieval-augmented generation)
+ */
+
+const MAX_FILE_SIZE = (parseInt(process.env.KNOWLEDGE_MAX_FILE_MB, 10) || 20) * 1024 * 1024;
+
+// I file restano in memoria: vengono indicizzati e non salvati su disco
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 10 }
+});
+
+// Stato HTTP per gli errori di indicizzazione
+function errorStatus(error) {
+  if (error.code === 'knowledge_base_not_found') return 404;
+  if (error.code === 'unsupported_format' || error.code === 'empty_document') return 422;
+  if (error instanceof multer.MulterError) return 400;
+  return 500;
+}
+
+// Opzioni di chunking dal form di caricamento
+// @returns {Object} - { chunkOptions } oppure { error } se fuori dai CHUNK_LIMITS
+function parseChunkOptions(body) {
+  const chunkOptions = {};
+  const isSet = value => value !== undefined && value !== '';
+
+  if (isSet(body.chunk_size)) {
+    const chunkSize = Number(body.chunk_size);
+    if (!Number.isInteger(chunkSize) || chunkSize < CHUNK_LIMITS.minChunkSize || chunkSize > CHUNK_LIMITS.maxChunkSize) {
+      return { error: `chunk_size must be an integer between ${CHUNK_LIMITS.minChunkSize} and ${CHUNK_LIMITS.maxChunkSize}` };
+    }
+    chunkOptions.chunkSize = chunkSize;
+  }
+
+  if (isSet(body.chunk_overlap)) {
+    const overlap = Number(body.chunk_overlap);
+    const chunkSize = chunkOptions.chunkSize || DEFAULT_CHUNK_OPTIONS.chunkSize;
+    if (!Number.isInteger(overlap) || overlap < 0 || overlap >= chunkSize * CHUNK_LIMITS.maxOverlapRatio) {
+      return { error: `chunk_overlap must be an integer from 0 to less than half of chunk_size (${chunkSize})` };
+    }
+    chunkOptions.overlap = overlap;
+  }
+
+  return { chunkOptions };
+}
+
+// GET /knowledge - Elenco basi di conoscenza
+router.get('/', async (req, res) => {
+  try {
+    const knowledgeBases = await knowledgeStore.listKnowledgeBases();
+    res.json({
+      knowledgeBases,
+      count: knowledgeBases.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list knowledge bases',
+      message: error.message
+    });
+  }
+});
+
+// POST /knowledge - Crea base di conoscenza { name, description }
+router.post('/', async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Missing required field: name'
+      });
+    }
+
+    const knowledgeBase = await knowledgeStore.createKnowledgeBase({
+      name,
+      description: req.body.description || null
+    });
+    res.status(201).json(knowledgeBase);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create knowledge base',
+      message: error.message
+    });
+  }
+});
+
+// GET /knowledge/:knowledgeBaseId - Base con i suoi documenti
+router.get('/:knowledgeBaseId', async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeStore.getKnowledgeBase(req.params.knowledgeBaseId);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({
+        error: 'Knowledge base not found',
+        knowledgeBaseId: req.params.knowledgeBaseId
+      });
+    }
+
+    res.json(knowledgeBase);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get knowledge base',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /knowledge/:knowledgeBaseId - Elimina base, documenti e indice
+router.delete('/:knowledgeBaseId', async (req, res) => {
+  try {
+    const deleted = await knowledgeStore.deleteKnowledgeBase(req.params.knowledgeBaseId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Knowledge base not found',
+        knowledgeBaseId: req.params.knowledgeBaseId
+      });
+    }
+
+    res.json({
+      deleted: true,
+      knowledgeBaseId: req.params.knowledgeBaseId
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete knowledge base',
+      message: error.message
+    });
+  }
+});
+
+// POST /knowledge/:knowledgeBaseId/documents - Carica e indicizza documenti (campo multipart "files")
+router.post('/:knowledgeBaseId/documents', (req, res) => {
+  upload.array('files')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(errorStatus(uploadError)).json({
+        error: 'Failed to upload documents',
+        message: uploadError.message
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded: use the multipart field "files"'
+      });
+    }
+
+    const { chunkOptions, error: chunkError } = parseChunkOptions(req.body);
+    if (chunkError) {
+      return res.status(400).json({
+        error: 'Invalid chunk options',
+        message: chunkError
+      });
+    }
+
+    // Ogni file è indicizzato separatamente: un file non valido non blocca gli altri
+    const documents = [];
+    const failures = [];
+    for (const file of req.files) {
+      try {
+        documents.push(await knowledgeStore.addDocument(req.params.knowledgeBaseId, {
+          buffer: file.buffer,
+          filename: file.originalname,
+          mimeType: file.mimetype
+        }, chunkOptions));
+      } catch (error) {
+        if (error.code === 'knowledge_base_not_found') {
+          return res.status(404).json({
+            error: 'Knowledge base not found',
+            knowledgeBaseId: req.params.knowledgeBaseId
+          });
+        }
+        failures.push({ filename: file.originalname, code: error.code || null, message: error.message });
+      }
+    }
+
+    res.status(documents.length > 0 ? 201 : errorStatus({ code: failures[0].code })).json({
+      documents,
+      failures
+    });
+  });
+});
+
+// DELETE /knowledge/:knowledgeBaseId/documents/:documentId - Rimuove un documento dall'indice
+router.delete('/:knowledgeBaseId/documents/:documentId', async (req, res) => {
+  try {
+    const deleted = await knowledgeStore.deleteDocument(req.params.knowledgeBaseId, req.params.documentId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Document not found',
+        documentId: req.params.documentId
+      });
+    }
+
+    res.json({
+      deleted: true,
+      documentId: req.params.documentId
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete document',
+      message: error.message
+    });
+  }
+});
+
+// POST /knowledge/:knowledgeBaseId/search - Chunk più pertinenti { query, top_k, min_score }
+router.post('/:knowledgeBaseId/search', async (req, res) => {
+  try {
+    const query = (req.body.query || '').trim();
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Missing required field: query'
+      });
+    }
+
+    const retrieval = await knowledgeRetriever.retrieve({
+      id: req.params.knowledgeBaseId,
+      top_k: req.body.top_k,
+      min_score: req.body.min_score
+    }, query);
+
+    res.json({
+      query,
+      sources: retrieval.sources,
+      count: retrieval.sources.length
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      error: 'Failed to search knowledge base',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
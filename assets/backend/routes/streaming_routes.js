@@ -3,6 +3,10 @@ const express = require('express');
 const router = express.Router();
 const streamingHandler = require('../streaming/streaming_handler');
 const enhancedStreamingRouter = require('../ai-handlers/enhanced_streaming_router');
+const aiRouter = require('../ai-handlers/router');
+const synthesisEngine = require('../ai-handlers/synthesis_engine');
+const embeddingService = require('../ai-handlers/embedding_service');
+const toolRegistry = require('../ai-handlers/tool_registry');
 
 /**
  * Routes per gestire streaming HTTP (fallback per WebSocket)
@@ -14,6 +18,12 @@ router.get('/status', (req, res) => {
     const stats = {
       streaming: streamingHandler.getStats(),
       router: enhancedStreamingRouter.getEnhancedStats(),
+      // Circuit breaker per provider (closed | open | half_open)
+      providers: aiRouter.getProviderHealth(),
+      // Backend di sintesi disponibili, ordine di fallback e A/B test
+      synthesis: synthesisEngine.getStatus(),
+      embeddings: embeddingService.getStatus(),
+      tools: toolRegistry.list(),
       timestamp: Date.now()
     };
 
@@ -110,11 +120,21 @@ router.get('/:streamId', (req, res) => {
 router.post('/:streamId/pause', (req, res) => {
   try {
     const streamId = req.params.streamId;
-    streamingHandler.pauseStream(streamId);
+
+    if (!streamingHandler.getStreamInfo(streamId)) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        streamId
+      });
+    }
+
+    const paused = streamingHandler.pauseStream(streamId);
 
     res.json({
-      message: 'Stream paused',
+      message: paused ? 'Stream paused' : 'Stream is not active',
       streamId,
+      paused,
+      streamInfo: streamingHandler.getStreamInfo(streamId),
       timestamp: Date.now()
     });
   } catch (error) {
@@ -129,11 +149,23 @@ router.post('/:streamId/pause', (req, res) => {
 router.post('/:streamId/resume', (req, res) => {
   try {
     const streamId = req.params.streamId;
-    streamingHandler.resumeStream(streamId);
+
+    if (!streamingHandler.getStreamInfo(streamId)) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        streamId
+      });
+    }
+
+    // Consegna gli eventi trattenuti durante la pausa
+    const flushedEvents = streamingHandler.resumeStream(streamId);
 
     res.json({
-      message: 'Stream resumed',
+      message: flushedEvents !== null ? 'Stream resumed' : 'Stream is not paused',
       streamId,
+      resumed: flushedEvents !== null,
+      flushedEvents: flushedEvents || 0,
+      streamInfo: streamingHandler.getStreamInfo(streamId),
       timestamp: Date.now()
     });
   } catch (error) {
@@ -148,11 +180,15 @@ router.post('/:streamId/resume', (req, res) => {
 router.post('/:streamId/stop', (req, res) => {
   try {
     const streamId = req.params.streamId;
-    streamingHandler.stopStream(streamId);
+
+    // Annulla le chiamate ai provider ancora in corso per la sessione
+    const cancelled = enhancedStreamingRouter.cancelStreamingSession(streamId, 'http_stop');
+    streamingHandler.stopStream(streamId, 'http_stop');
 
     res.json({
       message: 'Stream stopped',
       streamId,
+      cancelled,
       timestamp: Date.now()
     });
   } catch (error) {
@@ -169,6 +205,8 @@ router.get('/stats/detailed', (req, res) => {
     const detailedStats = {
       streaming: streamingHandler.getStats(),
       router: enhancedStreamingRouter.getEnhancedStats(),
+      // Circuit breaker per provider (closed | open | half_open)
+      providers: aiRouter.getProviderHealth(),
       system: {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
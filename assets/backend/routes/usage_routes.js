@@ -0,0 +1,83 @@
+// assets/backend/routes/usage_routes.js
+const express = require('express');
+const router = express.Router();
+const usageTracker = require('../storage/usage_tracker');
+const modelPricing = require('../ai-handlers/model_pricing');
+
+/**
+ * Routes per utilizzo dei token e costi
+ */
+
+// Filtri comuni: ?from=&to= (date ISO)
+function parseFilters(query) {
+  const filters = {};
+  ['from', 'to'].forEach(key => {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        throw new RangeError(`Invalid date for ${key}: ${query[key]}`);
+      }
+      filters[key] = date;
+    }
+  });
+  return filters;
+}
+
+// Aggregati giornalieri o mensili
+async function sendRollups(req, res, period) {
+  try {
+    const rollups = await usageTracker.getRollups(period, parseFilters(req.query));
+    res.json({
+      period,
+      rollups,
+      count: rollups.length
+    });
+  } catch (error) {
+    res.status(error instanceof RangeError ? 400 : 500).json({
+      error: `Failed to get ${period === 'month' ? 'monthly' : 'daily'} usage`,
+      message: error.message
+    });
+  }
+}
+
+// GET /usage - Totali per modello e strategia
+router.get('/', async (req, res) => {
+  try {
+    const summary = await usageTracker.getSummary(parseFilters(req.query));
+    res.json({
+      ...summary,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    res.status(error instanceof RangeError ? 400 : 500).json({
+      error: 'Failed to get usage summary',
+      message: error.message
+    });
+  }
+});
+
+// GET /usage/daily - Aggregati giornalieri (UTC)
+router.get('/daily', (req, res) => sendRollups(req, res, 'day'));
+
+// GET /usage/monthly - Aggregati mensili (UTC)
+router.get('/monthly', (req, res) => sendRollups(req, res, 'month'));
+
+// GET /usage/pricing - Listino prezzi corrente
+router.get('/pricing', (req, res) => {
+  res.json(modelPricing.getPricingTable());
+});
+
+// GET /usage/conversations/:conversationId - Utilizzo di una conversazione
+router.get('/conversations/:conversationId', async (req, res) => {
+  try {
+    const usage = await usageTracker.getConversationUsage(req.params.conversationId);
+    res.json(usage);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get conversation usage',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
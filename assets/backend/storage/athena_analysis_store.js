@@ -0,0 +1,193 @@
+// assets/backend/storage/athena_analysis_store.js
+const { DataTypes, Op } = require('sequelize');
+const database = require('./database');
+
+/**
+ * Analisi di Athena con il loro albero decisionale
+ *
+ * Ogni raccomandazione viene salvata per analysis_id con tutto ciò che
+ * l'ha determinata (albero decisionale, alternative valutate con i punteggi,
+ * categorizzazione rapida, risposta grezza dell'analizzatore), così il client
+ * può mostrare cosa è successo davvero. La conservazione è limitata per età
+ * (ATHENA_ANALYSIS_RETENTION_DAYS) e per numero (ATHENA_ANALYSIS_MAX_RECORDS):
+ * la pulizia avviene all'avvio e ogni PRUNE_EVERY salvataggi.
+ */
+const RETENTION_DAYS = parseInt(process.env.ATHENA_ANALYSIS_RETENTION_DAYS, 10) || 30;
+const MAX_RECORDS = parseInt(process.env.ATHENA_ANALYSIS_MAX_RECORDS, 10) || 5000;
+const PRUNE_EVERY = 50;
+
+class AthenaAnalysisStore {
+  constructor() {
+    this.sequelize = null;
+    this.AthenaAnalysis = null;
+    this.initPromise = null;
+    this.savesSincePrune = 0;
+  }
+
+  /**
+   * Crea la tabella se manca ed elimina le analisi scadute (idempotente)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async _initialize() {
+    this.sequelize = database.getConnection();
+
+    this.AthenaAnalysis = this.sequelize.define('AthenaAnalysis', {
+      id: { type: DataTypes.STRING, primaryKey: true },
+      conversationId: { type: DataTypes.STRING },
+      category: { type: DataTypes.STRING },
+      // local | ollama | cloud | fallback
+      source: { type: DataTypes.STRING },
+      confidence: { type: DataTypes.FLOAT },
+      autoApply: { type: DataTypes.BOOLEAN, defaultValue: false },
+      record: { type: DataTypes.JSON, allowNull: false }
+    }, {
+      tableName: 'athena_analyses',
+      indexes: [
+        { fields: ['conversationId'] },
+        { fields: ['createdAt'] }
+      ]
+    });
+
+    await this.AthenaAnalysis.sync();
+    await this._prune();
+  }
+
+  /**
+   * Salva un'analisi. Non solleva errori: un problema di salvataggio non
+   * deve impedire la raccomandazione.
+   * @param {Object} record - Analisi completa (analysis_id, analysis, recommendations,
+   *   decision_tree, alternatives, quick_category, analyzer, ...)
+   * @returns {Promise<Boolean>} - true se salvata
+   */
+  async saveAnalysis(record) {
+    try {
+      await this.initialize();
+
+      await this.AthenaAnalysis.upsert({
+        id: record.analysis_id,
+        conversationId: record.conversation_id || null,
+        category: record.analysis ? record.analysis.primary_category.name : null,
+        source: record.analysis ? record.analysis.source : null,
+        confidence: record.confidence_score,
+        autoApply: !!record.auto_apply_recommended,
+        record
+      });
+
+      if (++this.savesSincePrune >= PRUNE_EVERY) {
+        await this._prune();
+      }
+      return true;
+    } catch (error) {
+      console.error(`Errore nel salvataggio dell'analisi ${record.analysis_id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Analisi completa
+   * @param {String} analysisId - analysis_id della raccomandazione
+   * @returns {Promise<Object|null>} - Analisi salvata (con conversation_id e created_at) o null
+   */
+  async getAnalysis(analysisId) {
+    await this.initialize();
+    const analysis = await this.AthenaAnalysis.findByPk(analysisId);
+    return analysis ? this._describe(analysis, true) : null;
+  }
+
+  /**
+   * Elenco delle analisi, dalla più recente (senza il contenuto completo)
+   * @param {Object} options - { conversationId, limit, offset }
+   * @returns {Promise<Object>} - { analyses, total }
+   */
+  async listAnalyses({ conversationId = null, limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+
+    const { rows, count } = await this.AthenaAnalysis.findAndCountAll({
+      where: conversationId ? { conversationId } : {},
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { analyses: rows.map(row => this._describe(row, false)), total: count };
+  }
+
+  /**
+   * Collega un'analisi alla conversazione orchestrata con le sue raccomandazioni
+   * @param {String} analysisId - analysis_id della raccomandazione
+   * @param {String} conversationId - ID della conversazione
+   * @returns {Promise<Boolean>} - true se l'analisi esiste
+   */
+  async linkConversation(analysisId, conversationId) {
+    await this.initialize();
+    const analysis = await this.AthenaAnalysis.findByPk(analysisId);
+    if (!analysis) return false;
+
+    await analysis.update({
+      conversationId,
+      record: { ...analysis.record, conversation_id: conversationId }
+    });
+    return true;
+  }
+
+  /**
+   * Elimina tutte le analisi
+   * @returns {Promise<Number>} - Analisi eliminate
+   */
+  async clear() {
+    await this.initialize();
+    return this.AthenaAnalysis.destroy({ where: {} });
+  }
+
+  /**
+   * Elimina le analisi più vecchie di RETENTION_DAYS e quelle oltre MAX_RECORDS
+   * @returns {Promise<Number>} - Analisi eliminate
+   */
+  async _prune() {
+    this.savesSincePrune = 0;
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    let deleted = await this.AthenaAnalysis.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+
+    const overflow = await this.AthenaAnalysis.findAll({
+      attributes: ['id'],
+      order: [['createdAt', 'DESC']],
+      offset: MAX_RECORDS
+    });
+    if (overflow.length > 0) {
+      deleted += await this.AthenaAnalysis.destroy({ where: { id: overflow.map(row => row.id) } });
+    }
+
+    if (deleted > 0) {
+      console.log(`🧹 Eliminate ${deleted} analisi di Athena oltre il periodo di conservazione`);
+    }
+    return deleted;
+  }
+
+  _describe(analysis, full) {
+    const summary = {
+      analysis_id: analysis.id,
+      conversation_id: analysis.conversationId,
+      category: analysis.category,
+      source: analysis.source,
+      confidence_score: analysis.confidence,
+      auto_apply_recommended: analysis.autoApply,
+      created_at: analysis.createdAt,
+      updated_at: analysis.updatedAt
+    };
+
+    return full ? { ...analysis.record, ...summary } : summary;
+  }
+}
+
+module.exports = new AthenaAnalysisStore();
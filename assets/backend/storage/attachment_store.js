@@ -0,0 +1,165 @@
+// assets/backend/storage/attachment_store.js
+const { DataTypes } = require('sequelize');
+const database = require('./database');
+const { decodeImageSource, prepareImage } = require('./image_normalizer');
+
+/**
+ * Immagini allegate ai prompt
+ *
+ * Le immagini caricate con /attachments vengono normalizzate e salvate in
+ * SQLite; le richieste di orchestrazione e di streaming le citano per ID
+ * oppure inviano direttamente l'immagine in base64 (normalizzata ma non salvata).
+ * resolveAttachments produce le immagini nel formato dei messaggi
+ * (vedi conversation_messages), pronte per gli handler.
+ */
+const MAX_ATTACHMENTS = parseInt(process.env.ATTACHMENT_MAX_PER_REQUEST, 10) || 10;
+
+class AttachmentStore {
+  constructor() {
+    this.sequelize = null;
+    this.models = {};
+    this.initPromise = null;
+  }
+
+  /**
+   * Apre il database e crea la tabella mancante (idempotente)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async _initialize() {
+    this.sequelize = database.getConnection();
+
+    const Attachment = this.sequelize.define('Attachment', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      filename: { type: DataTypes.STRING },
+      mediaType: { type: DataTypes.STRING, allowNull: false },
+      width: { type: DataTypes.INTEGER },
+      height: { type: DataTypes.INTEGER },
+      size: { type: DataTypes.INTEGER },
+      data: { type: DataTypes.BLOB, allowNull: false }
+    }, {
+      tableName: 'attachments',
+      updatedAt: false
+    });
+
+    this.models = { Attachment };
+    await Attachment.sync();
+  }
+
+  /**
+   * Normalizza e salva un'immagine caricata
+   * @param {Buffer} buffer - Contenuto del file
+   * @param {Object} file - { filename }
+   * @returns {Promise<Object>} - Metadati dell'allegato (senza i dati)
+   */
+  async saveImage(buffer, { filename = null } = {}) {
+    await this.initialize();
+    const image = await prepareImage(buffer);
+
+    const attachment = await this.models.Attachment.create({
+      filename,
+      mediaType: image.mediaType,
+      width: image.width,
+      height: image.height,
+      size: image.buffer.length,
+      data: image.buffer
+    });
+
+    return this._describe(attachment);
+  }
+
+  /**
+   * Allegato con i suoi dati
+   * @param {String} attachmentId - ID dell'allegato
+   * @returns {Promise<Object|null>} - { id, filename, mediaType, width, height, size, createdAt, data } o null
+   */
+  async getAttachment(attachmentId) {
+    await this.initialize();
+    const attachment = await this.models.Attachment.findByPk(attachmentId);
+    return attachment ? { ...this._describe(attachment), data: attachment.data } : null;
+  }
+
+  /**
+   * Elimina un allegato
+   * @param {String} attachmentId - ID dell'allegato
+   * @returns {Promise<Boolean>} - true se l'allegato esisteva
+   */
+  async deleteAttachment(attachmentId) {
+    await this.initialize();
+    const deleted = await this.models.Attachment.destroy({ where: { id: attachmentId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Risolve gli allegati di una richiesta nelle immagini da inviare ai modelli
+   * @param {Array<String|Object>} attachments - ID di allegati caricati ({ id } o stringa),
+   *   data URL o { data, media_type } in base64
+   * @returns {Promise<Object>} - { images: [{ data, mediaType }], attachments: [metadati] }
+   */
+  async resolveAttachments(attachments = []) {
+    const list = [].concat(attachments || []);
+    if (list.length === 0) return { images: [], attachments: [] };
+
+    if (list.length > MAX_ATTACHMENTS) {
+      const error = new Error(`Troppi allegati: ${list.length} (massimo ${MAX_ATTACHMENTS})`);
+      error.code = 'too_many_attachments';
+      throw error;
+    }
+
+    const images = [];
+    const described = [];
+
+    for (const item of list) {
+      const id = typeof item === 'string' ? (item.startsWith('data:') ? null : item) : (item.id || item.file_id || null);
+
+      if (id) {
+        const attachment = await this.getAttachment(id);
+        if (!attachment) {
+          const error = new Error(`Allegato non trovato: ${id}`);
+          error.code = 'attachment_not_found';
+          throw error;
+        }
+        const { data, ...metadata } = attachment;
+        images.push({ data: data.toString('base64'), mediaType: attachment.mediaType });
+        described.push(metadata);
+        continue;
+      }
+
+      const image = await prepareImage(decodeImageSource(item));
+      images.push({ data: image.buffer.toString('base64'), mediaType: image.mediaType });
+      described.push({
+        id: null,
+        filename: item.filename || null,
+        mediaType: image.mediaType,
+        width: image.width,
+        height: image.height,
+        size: image.buffer.length
+      });
+    }
+
+    return { images, attachments: described };
+  }
+
+  _describe(attachment) {
+    return {
+      id: attachment.id,
+      filename: attachment.filename,
+      mediaType: attachment.mediaType,
+      width: attachment.width,
+      height: attachment.height,
+      size: attachment.size,
+      createdAt: attachment.createdAt
+    };
+  }
+}
+
+module.exports = new AttachmentStore();
@@ -0,0 +1,358 @@
+// assets/backend/storage/conversation_store.js
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const database = require('./database');
+
+/**
+ * Archivio SQLite delle conversazioni
+ *
+ * Ogni scambio (turno) salva il messaggio utente, la risposta sintetizzata
+ * come messaggio 'assistant' e le risposte individuali dei modelli che vi
+ * hanno contribuito, con strategia, tempi e utilizzo dei token.
+ */
+class ConversationStore {
+  constructor() {
+    this.sequelize = null;
+    this.models = {};
+    this.initPromise = null;
+  }
+
+  /**
+   * Apre il database e crea le tabelle mancanti (idempotente)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        // Permette un nuovo tentativo alla chiamata successiva
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async _initialize() {
+    this.sequelize = database.getConnection();
+    this._defineModels();
+
+    const { Conversation, Message, ModelResponse } = this.models;
+    await Conversation.sync();
+    await Message.sync();
+    await ModelResponse.sync();
+  }
+
+  _defineModels() {
+    const Conversation = this.sequelize.define('Conversation', {
+      id: { type: DataTypes.STRING, primaryKey: true },
+      title: { type: DataTypes.STRING, allowNull: false, defaultValue: 'New conversation' },
+      source: { type: DataTypes.STRING },
+      lastStrategy: { type: DataTypes.STRING },
+      metadata: { type: DataTypes.JSON, defaultValue: {} }
+    }, { tableName: 'conversations' });
+
+    const Message = this.sequelize.define('Message', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      conversationId: { type: DataTypes.STRING, allowNull: false },
+      role: { type: DataTypes.STRING, allowNull: false },
+      content: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+      strategy: { type: DataTypes.STRING },
+      models: { type: DataTypes.JSON },
+      durationMs: { type: DataTypes.INTEGER },
+      usage: { type: DataTypes.JSON },
+      metadata: { type: DataTypes.JSON, defaultValue: {} }
+    }, {
+      tableName: 'messages',
+      updatedAt: false,
+      indexes: [{ fields: ['conversationId', 'createdAt'] }]
+    });
+
+    const ModelResponse = this.sequelize.define('ModelResponse', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      messageId: { type: DataTypes.UUID, allowNull: false },
+      model: { type: DataTypes.STRING, allowNull: false },
+      providerModel: { type: DataTypes.STRING },
+      content: { type: DataTypes.TEXT },
+      status: { type: DataTypes.STRING, defaultValue: 'completed' },
+      error: { type: DataTypes.TEXT },
+      latencyMs: { type: DataTypes.INTEGER },
+      usage: { type: DataTypes.JSON },
+      cost: { type: DataTypes.FLOAT },
+      finishReason: { type: DataTypes.STRING }
+    }, {
+      tableName: 'model_responses',
+      updatedAt: false,
+      indexes: [{ fields: ['messageId'] }]
+    });
+
+    Conversation.hasMany(Message, { as: 'messages', foreignKey: 'conversationId' });
+    Message.belongsTo(Conversation, { foreignKey: 'conversationId' });
+    Message.hasMany(ModelResponse, { as: 'modelResponses', foreignKey: 'messageId' });
+    ModelResponse.belongsTo(Message, { foreignKey: 'messageId' });
+
+    this.models = { Conversation, Message, ModelResponse };
+  }
+
+  /**
+   * Salva uno scambio completo: domanda, risposta sintetizzata e risposte dei modelli
+   * @param {String} conversationId - ID della conversazione (creata se non esiste)
+   * @param {Object} exchange - Dati dello scambio
+   * @param {String} exchange.prompt - Messaggio dell'utente
+   * @param {String} exchange.response - Risposta finale (sintesi)
+   * @param {String} exchange.strategy - Strategia di orchestrazione usata
+   * @param {Array<Object>} exchange.responses - [{ model, providerModel, content, status, error, latencyMs, usage, cost, finishReason }]
+   * @param {Object} exchange.synthesis - Usage della sintesi, se eseguita da un modello { model, usage, cost }
+   * @param {Number} exchange.startedAt - Timestamp di inizio del turno
+   * @param {String} exchange.source - Percorso di orchestrazione (websocket, streaming, ...)
+   * @param {Object} exchange.metadata - Metadati aggiuntivi della risposta
+   * @returns {Promise<Object>} - { conversationId, userMessageId, assistantMessageId }
+   */
+  async recordExchange(conversationId, exchange) {
+    await this.initialize();
+    const { Conversation, Message, ModelResponse } = this.models;
+
+    const {
+      prompt,
+      response,
+      strategy = null,
+      responses = [],
+      synthesis = null,
+      startedAt = Date.now(),
+      source = null,
+      metadata = {}
+    } = exchange;
+
+    const completedAt = Date.now();
+
+    return this.sequelize.transaction(async (transaction) => {
+      const [conversation] = await Conversation.findOrCreate({
+        where: { id: conversationId },
+        defaults: { title: this._buildTitle(prompt), source },
+        transaction
+      });
+
+      const userMessage = await Message.create({
+        conversationId,
+        role: 'user',
+        content: prompt || '',
+        createdAt: new Date(startedAt)
+      }, { transaction });
+
+      const assistantMessage = await Message.create({
+        conversationId,
+        role: 'assistant',
+        content: response || '',
+        strategy,
+        models: responses.map(r => r.model),
+        durationMs: completedAt - startedAt,
+        usage: this._sumUsage(responses, synthesis ? [synthesis] : []),
+        metadata,
+        createdAt: new Date(completedAt)
+      }, { transaction });
+
+      if (responses.length > 0) {
+        await ModelResponse.bulkCreate(responses.map(r => ({
+          messageId: assistantMessage.id,
+          model: r.model,
+          providerModel: r.providerModel || null,
+          content: r.content || null,
+          status: r.status || 'completed',
+          error: r.error || null,
+          latencyMs: r.latencyMs || null,
+          usage: r.usage || null,
+          cost: r.cost ? r.cost.totalCost : null,
+          finishReason: r.finishReason || null
+        })), { transaction });
+      }
+
+      conversation.lastStrategy = strategy;
+      conversation.changed('updatedAt', true);
+      await conversation.save({ transaction });
+
+      return {
+        conversationId,
+        userMessageId: userMessage.id,
+        assistantMessageId: assistantMessage.id
+      };
+    });
+  }
+
+  /**
+   * Elenco delle conversazioni, dalla più recente
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { conversations, total }
+   */
+  async listConversations({ limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+    const { Conversation } = this.models;
+
+    const { rows, count } = await Conversation.findAndCountAll({
+      attributes: {
+        include: [[
+          Sequelize.literal('(SELECT COUNT(*) FROM messages WHERE messages.conversationId = Conversation.id)'),
+          'messageCount'
+        ]]
+      },
+      order: [['updatedAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { conversations: rows.map(row => row.toJSON()), total: count };
+  }
+
+  /**
+   * Conversazione completa con messaggi e risposte dei singoli modelli
+   * @param {String} conversationId - ID della conversazione
+   * @returns {Promise<Object|null>} - Conversazione o null se non esiste
+   */
+  async getConversation(conversationId) {
+    await this.initialize();
+    const { Conversation, Message, ModelResponse } = this.models;
+
+    const conversation = await Conversation.findByPk(conversationId, {
+      include: [{
+        model: Message,
+        as: 'messages',
+        include: [{ model: ModelResponse, as: 'modelResponses' }]
+      }],
+      order: [
+        [{ model: Message, as: 'messages' }, 'createdAt', 'ASC'],
+        [{ model: Message, as: 'messages' }, { model: ModelResponse, as: 'modelResponses' }, 'model', 'ASC']
+      ]
+    });
+
+    return conversation ? conversation.toJSON() : null;
+  }
+
+  /**
+   * Cronologia nel formato messaggi degli handler, per riprendere una conversazione
+   * @param {String} conversationId - ID della conversazione
+   * @param {Number} limit - Numero massimo di messaggi (i più recenti)
+   * @returns {Promise<Array<Object>>} - [{ role, content }]
+   */
+  async getHistory(conversationId, limit = 50) {
+    await this.initialize();
+    const { Message } = this.models;
+
+    const messages = await Message.findAll({
+      where: { conversationId },
+      attributes: ['role', 'content'],
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+
+    return messages.reverse().map(message => ({ role: message.role, content: message.content }));
+  }
+
+  /**
+   * Ricerca per titolo o contenuto dei messaggi
+   * @param {String} query - Testo da cercare
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - Conversazioni con i messaggi corrispondenti
+   */
+  async searchConversations(query, { limit = 20 } = {}) {
+    await this.initialize();
+    const { Conversation, Message } = this.models;
+    const pattern = `%${query}%`;
+
+    const matchingMessages = await Message.findAll({
+      where: { content: { [Op.like]: pattern } },
+      attributes: ['id', 'conversationId', 'role', 'content', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: limit * 5
+    });
+
+    const conversations = await Conversation.findAll({
+      where: {
+        [Op.or]: [
+          { title: { [Op.like]: pattern } },
+          { id: { [Op.in]: [...new Set(matchingMessages.map(m => m.conversationId))] } }
+        ]
+      },
+      order: [['updatedAt', 'DESC']],
+      limit
+    });
+
+    return conversations.map(conversation => ({
+      ...conversation.toJSON(),
+      matches: matchingMessages
+        .filter(message => message.conversationId === conversation.id)
+        .map(message => ({
+          messageId: message.id,
+          role: message.role,
+          snippet: this._buildSnippet(message.content, query),
+          createdAt: message.createdAt
+        }))
+    }));
+  }
+
+  /**
+   * Rinomina una conversazione
+   * @param {String} conversationId - ID della conversazione
+   * @param {String} title - Nuovo titolo
+   * @returns {Promise<Object|null>} - Conversazione aggiornata o null se non esiste
+   */
+  async renameConversation(conversationId, title) {
+    await this.initialize();
+    const conversation = await this.models.Conversation.findByPk(conversationId);
+    if (!conversation) return null;
+
+    conversation.title = title;
+    await conversation.save();
+    return conversation.toJSON();
+  }
+
+  /**
+   * Elimina una conversazione con messaggi e risposte dei modelli
+   * @param {String} conversationId - ID della conversazione
+   * @returns {Promise<Boolean>} - true se la conversazione esisteva
+   */
+  async deleteConversation(conversationId) {
+    await this.initialize();
+    const { Conversation, Message, ModelResponse } = this.models;
+
+    return this.sequelize.transaction(async (transaction) => {
+      const messageIds = (await Message.findAll({
+        where: { conversationId },
+        attributes: ['id'],
+        transaction
+      })).map(message => message.id);
+
+      await ModelResponse.destroy({ where: { messageId: { [Op.in]: messageIds } }, transaction });
+      await Message.destroy({ where: { conversationId }, transaction });
+      const deleted = await Conversation.destroy({ where: { id: conversationId }, transaction });
+
+      return deleted > 0;
+    });
+  }
+
+  _buildTitle(prompt) {
+    const firstLine = (prompt || '').trim().split('\n')[0];
+    if (!firstLine) return 'New conversation';
+    return firstLine.length > 80 ? `${firstLine.substring(0, 77)}...` : firstLine;
+  }
+
+  _buildSnippet(content, query) {
+    const index = content.toLowerCase().indexOf(query.toLowerCase());
+    const start = Math.max(0, index - 60);
+    const end = Math.min(content.length, index + query.length + 60);
+    return `${start > 0 ? '...' : ''}${content.substring(start, end)}${end < content.length ? '...' : ''}`;
+  }
+
+  _sumUsage(responses, extra = []) {
+    const totals = [...responses, ...extra].reduce((sum, { usage, cost }) => {
+      if (usage) {
+        sum.promptTokens += usage.promptTokens || 0;
+        sum.completionTokens += usage.completionTokens || 0;
+        sum.totalTokens += usage.totalTokens || 0;
+      }
+      sum.cost += cost?.totalCost || 0;
+      return sum;
+    }, { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, currency: 'USD' });
+
+    totals.cost = Math.round(totals.cost * 1e6) / 1e6;
+    return totals;
+  }
+}
+
+module.exports = new ConversationStore();
@@ -0,0 +1,40 @@
+// assets/backend/storage/database.js
+const path = require('path');
+const fs = require('fs-extra');
+const { Sequelize } = require('sequelize');
+
+/**
+ * Connessione SQLite condivisa dagli archivi del backend
+ *
+ * Ogni archivio definisce i propri modelli sulla stessa istanza Sequelize
+ * e crea le proprie tabelle al primo utilizzo.
+ */
+class Database {
+  constructor() {
+    this.storagePath = process.env.DATABASE_PATH ||
+      path.join(__dirname, '..', 'data', 'neuronvault.sqlite');
+    this.sequelize = null;
+  }
+
+  /**
+   * Istanza Sequelize (creata alla prima richiesta)
+   * @returns {Sequelize} - Connessione al database
+   */
+  getConnection() {
+    if (!this.sequelize) {
+      fs.ensureDirSync(path.dirname(this.storagePath));
+
+      this.sequelize = new Sequelize({
+        dialect: 'sqlite',
+        storage: this.storagePath,
+        logging: false
+      });
+
+      console.log(`💾 Database: ${this.storagePath}`);
+    }
+
+    return this.sequelize;
+  }
+}
+
+module.exports = new Database();
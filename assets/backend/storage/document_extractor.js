@@ -0,0 +1,138 @@
+// assets/backend/storage/document_extractor.js
+const path = require('path');
+
+/**
+ * Estrazione del testo dai documenti caricati e suddivisione in chunk
+ *
+ * Formati supportati: testo semplice, Markdown (e altri formati testuali),
+ * PDF (pdf-parse) e DOCX (mammoth). Le librerie dei formati binari vengono
+ * caricate solo quando servono.
+ */
+const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.markdown', '.csv', '.json', '.html', '.htm', '.xml', '.yaml', '.yml', '.log', '.rst']);
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DEFAULT_CHUNK_OPTIONS = {
+  // Caratteri per chunk e sovrapposizione tra chunk consecutivi
+  chunkSize: 1200,
+  overlap: 200,
+};
+
+// Limiti dei chunk: chunk minuscoli o una sovrapposizione vicina alla dimensione
+// farebbero avanzare il testo di pochi caratteri per chunk (migliaia di embedding)
+const CHUNK_LIMITS = {
+  minChunkSize: 100,
+  maxChunkSize: 8000,
+  // La sovrapposizione deve restare sotto questa frazione del chunk
+  maxOverlapRatio: 0.5,
+};
+
+/**
+ * Formato di un file dal MIME type o dall'estensione
+ * @param {String} filename - Nome del file
+ * @param {String} mimeType - MIME type dichiarato
+ * @returns {String|null} - 'text' | 'markdown' | 'pdf' | 'docx' | null se non supportato
+ */
+function detectFormat(filename = '', mimeType = '') {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (mimeType === 'application/pdf' || extension === '.pdf') return 'pdf';
+  if (mimeType === DOCX_MIME || extension === '.docx') return 'docx';
+  if (extension === '.md' || extension === '.markdown' || mimeType === 'text/markdown') return 'markdown';
+  if (TEXT_EXTENSIONS.has(extension) || mimeType.startsWith('text/')) return 'text';
+  return null;
+}
+
+/**
+ * Estrae il testo di un documento
+ * @param {Buffer} buffer - Contenuto del file
+ * @param {Object} file - { filename, mimeType }
+ * @returns {Promise<Object>} - { text, format, pages }
+ */
+async function extractText(buffer, { filename, mimeType = '' } = {}) {
+  const format = detectFormat(filename, mimeType);
+
+  if (!format) {
+    const error = new Error(`Formato non supportato: ${filename} (${mimeType || 'sconosciuto'})`);
+    error.code = 'unsupported_format';
+    throw error;
+  }
+
+  if (format === 'pdf') {
+    // Il modulo interno evita il file di prova caricato dall'index di pdf-parse
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    const result = await pdfParse(buffer);
+    return { text: normalizeText(result.text), format, pages: result.numpages };
+  }
+
+  if (format === 'docx') {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    return { text: normalizeText(result.value), format, pages: null };
+  }
+
+  return { text: normalizeText(buffer.toString('utf8')), format, pages: null };
+}
+
+function normalizeText(text = '') {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Divide il testo in chunk rispettando paragrafi e frasi dove possibile
+ * @param {String} text - Testo normalizzato
+ * @param {Object} options - { chunkSize, overlap }, riportati nei CHUNK_LIMITS
+ * @returns {Array<Object>} - [{ position, content, start, end }]
+ */
+function chunkText(text, options = {}) {
+  const { chunkSize, overlap } = clampChunkOptions({ ...DEFAULT_CHUNK_OPTIONS, ...options });
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + chunkSize);
+
+    // Taglio al confine naturale più vicino nella seconda metà del chunk
+    if (end < text.length) {
+      const window = text.substring(start + Math.floor(chunkSize / 2), end);
+      const boundary = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+      if (boundary > 0) {
+        end = start + Math.floor(chunkSize / 2) + boundary + 1;
+      }
+    }
+
+    const content = text.substring(start, end).trim();
+    if (content) {
+      chunks.push({ position: chunks.length, content, start, end });
+    }
+
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+function clampChunkOptions({ chunkSize, overlap }) {
+  const size = Number.isFinite(chunkSize)
+    ? Math.min(Math.max(Math.floor(chunkSize), CHUNK_LIMITS.minChunkSize), CHUNK_LIMITS.maxChunkSize)
+    : DEFAULT_CHUNK_OPTIONS.chunkSize;
+  const maxOverlap = Math.ceil(size * CHUNK_LIMITS.maxOverlapRatio) - 1;
+  const safeOverlap = Number.isFinite(overlap)
+    ? Math.min(Math.max(Math.floor(overlap), 0), maxOverlap)
+    : Math.min(DEFAULT_CHUNK_OPTIONS.overlap, maxOverlap);
+
+  return { chunkSize: size, overlap: safeOverlap };
+}
+
+module.exports = {
+  CHUNK_LIMITS,
+  DEFAULT_CHUNK_OPTIONS,
+  detectFormat,
+  extractText,
+  chunkText,
+};
@@ -0,0 +1,71 @@
+// assets/backend/storage/image_normalizer.js
+const sharp = require('sharp');
+
+/**
+ * Normalizzazione delle immagini allegate ai prompt
+ *
+ * Ogni immagine (caricata o inviata in base64) viene ruotata secondo
+ * l'orientamento EXIF, ridimensionata entro IMAGE_MAX_DIMENSION pixel sul
+ * lato lungo e ricodificata in JPEG (PNG se ha trasparenza), così rientra
+ * nei limiti di dimensione e nei formati accettati da tutti i provider.
+ * I metadati EXIF (posizione GPS inclusa) non vengono conservati.
+ */
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+const JPEG_QUALITY = 85;
+
+/**
+ * Decodifica un'immagine base64 inviata dal client
+ * @param {String|Object} source - Data URL, base64 oppure { data }
+ * @returns {Buffer} - Contenuto dell'immagine (il formato viene riconosciuto da sharp)
+ */
+function decodeImageSource(source) {
+  const raw = typeof source === 'string' ? source : (source && source.data) || '';
+  const match = /^data:([^;]+);base64,(.*)$/s.exec(raw);
+  const data = match ? match[2] : raw;
+
+  if (!data) {
+    throw createInvalidImageError('immagine vuota');
+  }
+
+  return Buffer.from(data, 'base64');
+}
+
+/**
+ * Normalizza un'immagine per l'invio ai provider
+ * @param {Buffer} buffer - Contenuto dell'immagine
+ * @returns {Promise<Object>} - { buffer, mediaType, width, height }
+ */
+async function prepareImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw createInvalidImageError(error.message);
+  }
+
+  const pipeline = sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+
+  const { data, info } = metadata.hasAlpha
+    ? await pipeline.png().toBuffer({ resolveWithObject: true })
+    : await pipeline.jpeg({ quality: JPEG_QUALITY }).toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    mediaType: metadata.hasAlpha ? 'image/png' : 'image/jpeg',
+    width: info.width,
+    height: info.height,
+  };
+}
+
+function createInvalidImageError(reason) {
+  const error = new Error(`Immagine non valida: ${reason}`);
+  error.code = 'invalid_image';
+  return error;
+}
+
+module.exports = {
+  decodeImageSource,
+  prepareImage,
+};
@@ -0,0 +1,298 @@
+// assets/backend/storage/knowledge_store.js
+const { DataTypes, Op } = require('sequelize');
+const database = require('./database');
+const embeddingService = require('../ai-handlers/embedding_service');
+const { extractText, chunkText } = require('./document_extractor');
+
+/**
+ * Basi di conoscenza: documenti dell'utente indicizzati in SQLite
+ *
+ * Ogni documento caricato viene convertito in testo, diviso in chunk e
+ * ogni chunk viene salvato con il suo embedding (Float32 in un BLOB).
+ * La ricerca confronta l'embedding della domanda con quelli dei chunk
+ * della base, calcolati con lo stesso backend di embedding.
+ */
+const EMBEDDING_BATCH_SIZE = 32;
+
+class KnowledgeStore {
+  constructor() {
+    this.sequelize = null;
+    this.models = {};
+    this.initPromise = null;
+  }
+
+  /**
+   * Apre il database e crea le tabelle mancanti (idempotente)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async _initialize() {
+    this.sequelize = database.getConnection();
+    this._defineModels();
+
+    const { KnowledgeBase, KnowledgeDocument, KnowledgeChunk } = this.models;
+    await KnowledgeBase.sync();
+    await KnowledgeDocument.sync();
+    await KnowledgeChunk.sync();
+  }
+
+  _defineModels() {
+    const KnowledgeBase = this.sequelize.define('KnowledgeBase', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT }
+    }, { tableName: 'knowledge_bases' });
+
+    const KnowledgeDocument = this.sequelize.define('KnowledgeDocument', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      knowledgeBaseId: { type: DataTypes.UUID, allowNull: false },
+      filename: { type: DataTypes.STRING, allowNull: false },
+      mimeType: { type: DataTypes.STRING },
+      format: { type: DataTypes.STRING },
+      size: { type: DataTypes.INTEGER },
+      pages: { type: DataTypes.INTEGER },
+      chunkCount: { type: DataTypes.INTEGER, defaultValue: 0 }
+    }, {
+      tableName: 'knowledge_documents',
+      updatedAt: false,
+      indexes: [{ fields: ['knowledgeBaseId'] }]
+    });
+
+    const KnowledgeChunk = this.sequelize.define('KnowledgeChunk', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      knowledgeBaseId: { type: DataTypes.UUID, allowNull: false },
+      documentId: { type: DataTypes.UUID, allowNull: false },
+      position: { type: DataTypes.INTEGER, allowNull: false },
+      content: { type: DataTypes.TEXT, allowNull: false },
+      embedding: { type: DataTypes.BLOB, allowNull: false },
+      embeddingBackend: { type: DataTypes.STRING },
+      embeddingModel: { type: DataTypes.STRING }
+    }, {
+      tableName: 'knowledge_chunks',
+      timestamps: false,
+      indexes: [{ fields: ['knowledgeBaseId'] }, { fields: ['documentId'] }]
+    });
+
+    KnowledgeBase.hasMany(KnowledgeDocument, { as: 'documents', foreignKey: 'knowledgeBaseId' });
+    KnowledgeDocument.belongsTo(KnowledgeBase, { foreignKey: 'knowledgeBaseId' });
+
+    this.models = { KnowledgeBase, KnowledgeDocument, KnowledgeChunk };
+  }
+
+  /**
+   * Crea una base di conoscenza
+   * @param {Object} data - { name, description }
+   * @returns {Promise<Object>} - Base creata
+   */
+  async createKnowledgeBase({ name, description = null }) {
+    await this.initialize();
+    const knowledgeBase = await this.models.KnowledgeBase.create({ name, description });
+    return knowledgeBase.toJSON();
+  }
+
+  /**
+   * Elenco delle basi con il numero di documenti
+   * @returns {Promise<Array<Object>>}
+   */
+  async listKnowledgeBases() {
+    await this.initialize();
+    const { KnowledgeBase, KnowledgeDocument } = this.models;
+
+    const knowledgeBases = await KnowledgeBase.findAll({
+      include: [{ model: KnowledgeDocument, as: 'documents', attributes: ['id'] }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    return knowledgeBases.map(knowledgeBase => {
+      const { documents, ...data } = knowledgeBase.toJSON();
+      return { ...data, documentCount: documents.length };
+    });
+  }
+
+  /**
+   * Base di conoscenza con i suoi documenti
+   * @param {String} knowledgeBaseId - ID della base
+   * @returns {Promise<Object|null>} - Base o null se non esiste
+   */
+  async getKnowledgeBase(knowledgeBaseId) {
+    await this.initialize();
+    const { KnowledgeBase, KnowledgeDocument } = this.models;
+
+    const knowledgeBase = await KnowledgeBase.findByPk(knowledgeBaseId, {
+      include: [{ model: KnowledgeDocument, as: 'documents' }],
+      order: [[{ model: KnowledgeDocument, as: 'documents' }, 'createdAt', 'ASC']]
+    });
+
+    return knowledgeBase ? knowledgeBase.toJSON() : null;
+  }
+
+  /**
+   * Elimina una base con documenti e chunk
+   * @param {String} knowledgeBaseId - ID della base
+   * @returns {Promise<Boolean>} - true se la base esisteva
+   */
+  async deleteKnowledgeBase(knowledgeBaseId) {
+    await this.initialize();
+    const { KnowledgeBase, KnowledgeDocument, KnowledgeChunk } = this.models;
+
+    return this.sequelize.transaction(async (transaction) => {
+      await KnowledgeChunk.destroy({ where: { knowledgeBaseId }, transaction });
+      await KnowledgeDocument.destroy({ where: { knowledgeBaseId }, transaction });
+      const deleted = await KnowledgeBase.destroy({ where: { id: knowledgeBaseId }, transaction });
+      return deleted > 0;
+    });
+  }
+
+  /**
+   * Indicizza un documento: estrazione del testo, chunk, embedding e salvataggio
+   * @param {String} knowledgeBaseId - ID della base
+   * @param {Object} file - { buffer, filename, mimeType }
+   * @param {Object} options - { chunkSize, overlap }
+   * @returns {Promise<Object>} - Documento salvato
+   */
+  async addDocument(knowledgeBaseId, { buffer, filename, mimeType }, options = {}) {
+    await this.initialize();
+    const { KnowledgeBase, KnowledgeDocument, KnowledgeChunk } = this.models;
+
+    const knowledgeBase = await KnowledgeBase.findByPk(knowledgeBaseId);
+    if (!knowledgeBase) {
+      const error = new Error(`Knowledge base not found: ${knowledgeBaseId}`);
+      error.code = 'knowledge_base_not_found';
+      throw error;
+    }
+
+    const { text, format, pages } = await extractText(buffer, { filename, mimeType });
+    const chunks = chunkText(text, options);
+    if (chunks.length === 0) {
+      const error = new Error(`Nessun testo estraibile da ${filename}`);
+      error.code = 'empty_document';
+      throw error;
+    }
+
+    // Embedding prima della transazione: le chiamate remote non tengono il database bloccato
+    const embedded = [];
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const { vectors, backend, model } = await embeddingService.embedMany(batch.map(chunk => chunk.content));
+      batch.forEach((chunk, index) => embedded.push({ ...chunk, vector: vectors[index], backend, model }));
+    }
+
+    return this.sequelize.transaction(async (transaction) => {
+      const document = await KnowledgeDocument.create({
+        knowledgeBaseId,
+        filename,
+        mimeType,
+        format,
+        size: buffer.length,
+        pages,
+        chunkCount: embedded.length
+      }, { transaction });
+
+      await KnowledgeChunk.bulkCreate(embedded.map(chunk => ({
+        knowledgeBaseId,
+        documentId: document.id,
+        position: chunk.position,
+        content: chunk.content,
+        embedding: Buffer.from(new Float32Array(chunk.vector).buffer),
+        embeddingBackend: chunk.backend,
+        embeddingModel: chunk.model
+      })), { transaction });
+
+      knowledgeBase.changed('updatedAt', true);
+      await knowledgeBase.save({ transaction });
+
+      return document.toJSON();
+    });
+  }
+
+  /**
+   * Elimina un documento e i suoi chunk
+   * @param {String} knowledgeBaseId - ID della base
+   * @param {String} documentId - ID del documento
+   * @returns {Promise<Boolean>} - true se il documento esisteva
+   */
+  async deleteDocument(knowledgeBaseId, documentId) {
+    await this.initialize();
+    const { KnowledgeDocument, KnowledgeChunk } = this.models;
+
+    return this.sequelize.transaction(async (transaction) => {
+      await KnowledgeChunk.destroy({ where: { documentId, knowledgeBaseId }, transaction });
+      const deleted = await KnowledgeDocument.destroy({ where: { id: documentId, knowledgeBaseId }, transaction });
+      return deleted > 0;
+    });
+  }
+
+  /**
+   * Chunk più simili alla domanda
+   * @param {String|Array<String>} knowledgeBaseIds - Basi in cui cercare
+   * @param {String} query - Domanda dell'utente
+   * @param {Object} options - { topK, minScore }
+   * @returns {Promise<Array<Object>>} - [{ chunkId, documentId, filename, position, content, score }]
+   */
+  async search(knowledgeBaseIds, query, { topK = 5, minScore = 0 } = {}) {
+    await this.initialize();
+    const { KnowledgeDocument, KnowledgeChunk } = this.models;
+    const ids = Array.isArray(knowledgeBaseIds) ? knowledgeBaseIds : [knowledgeBaseIds];
+
+    const chunks = await KnowledgeChunk.findAll({ where: { knowledgeBaseId: { [Op.in]: ids } } });
+    if (chunks.length === 0) return [];
+
+    // La domanda va confrontata con chunk dello stesso backend (e modello) di embedding
+    const groups = new Map();
+    chunks.forEach(chunk => {
+      const key = `${chunk.embeddingBackend}|${chunk.embeddingModel}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(chunk);
+    });
+
+    const scored = [];
+    for (const group of groups.values()) {
+      const { embeddingBackend, embeddingModel } = group[0];
+      const { vectors, backend, model } = await embeddingService.embedMany([query], { backend: embeddingBackend, model: embeddingModel });
+      if (backend !== embeddingBackend || model !== embeddingModel) continue;
+
+      group.forEach(chunk => {
+        scored.push({ chunk, score: embeddingService.cosine(vectors[0], this._toVector(chunk.embedding)) });
+      });
+    }
+
+    const top = scored
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    const documents = await KnowledgeDocument.findAll({
+      where: { id: { [Op.in]: [...new Set(top.map(({ chunk }) => chunk.documentId))] } },
+      attributes: ['id', 'filename']
+    });
+    const filenames = new Map(documents.map(document => [document.id, document.filename]));
+
+    return top.map(({ chunk, score }) => ({
+      chunkId: chunk.id,
+      knowledgeBaseId: chunk.knowledgeBaseId,
+      documentId: chunk.documentId,
+      filename: filenames.get(chunk.documentId) || null,
+      position: chunk.position,
+      content: chunk.content,
+      score: Math.round(score * 1000) / 1000
+    }));
+  }
+
+  _toVector(blob) {
+    // Copia: il Buffer letto da SQLite può non essere allineato a 4 byte
+    const bytes = new Uint8Array(blob.length);
+    bytes.set(blob);
+    return Array.from(new Float32Array(bytes.buffer));
+  }
+}
+
+module.exports = new KnowledgeStore();
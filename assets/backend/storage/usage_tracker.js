@@ -0,0 +1,257 @@
+// assets/backend/storage/usage_tracker.js
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const database = require('./database');
+
+/**
+ * Registro dell'utilizzo di token e dei costi
+ *
+ * Una riga per ogni chiamata a un provider (risposta di un modello o
+ * sintesi finale), con conversazione e strategia di appartenenza, così da
+ * poter aggregare per conversazione, strategia, modello e periodo.
+ */
+class UsageTracker {
+  constructor() {
+    this.sequelize = null;
+    this.UsageRecord = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Crea la tabella se manca (idempotente)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async _initialize() {
+    this.sequelize = database.getConnection();
+
+    this.UsageRecord = this.sequelize.define('UsageRecord', {
+      id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+      conversationId: { type: DataTypes.STRING },
+      strategy: { type: DataTypes.STRING },
+      // Chiamante (utente o hash della chiave API) per i budget per chiave
+      principal: { type: DataTypes.STRING },
+      model: { type: DataTypes.STRING, allowNull: false },
+      providerModel: { type: DataTypes.STRING },
+      // response | synthesis
+      role: { type: DataTypes.STRING, defaultValue: 'response' },
+      source: { type: DataTypes.STRING },
+      promptTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      completionTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      totalTokens: { type: DataTypes.INTEGER, defaultValue: 0 },
+      estimated: { type: DataTypes.BOOLEAN, defaultValue: false },
+      cost: { type: DataTypes.FLOAT, defaultValue: 0 },
+      currency: { type: DataTypes.STRING, defaultValue: 'USD' }
+    }, {
+      tableName: 'usage_records',
+      updatedAt: false,
+      indexes: [
+        { fields: ['conversationId'] },
+        { fields: ['createdAt'] }
+      ]
+    });
+
+    await this.UsageRecord.sync();
+  }
+
+  /**
+   * Registra l'utilizzo di una chiamata. Non solleva errori: un problema
+   * di salvataggio non deve interrompere l'orchestrazione.
+   * @param {Object} record - Dati della chiamata
+   * @param {String} record.conversationId - Conversazione di appartenenza
+   * @param {String} record.strategy - Strategia di orchestrazione
+   * @param {String} record.principal - Chiamante (vedi BudgetGuard.resolvePrincipal)
+   * @param {String} record.model - Provider (claude, gpt, ...)
+   * @param {String} record.providerModel - Modello effettivo del provider
+   * @param {String} record.role - 'response' o 'synthesis'
+   * @param {String} record.source - Percorso di orchestrazione
+   * @param {Object} record.usage - Usage normalizzato dell'handler
+   * @param {Object} record.cost - Costo calcolato dall'handler
+   * @returns {Promise<Object|null>} - Riga salvata o null in caso di errore
+   */
+  async recordUsage({ conversationId = null, strategy = null, principal = null, model, providerModel = null, role = 'response', source = null, usage, cost }) {
+    if (!usage) return null;
+
+    try {
+      await this.initialize();
+
+      const record = await this.UsageRecord.create({
+        conversationId,
+        strategy,
+        principal,
+        model,
+        providerModel,
+        role,
+        source,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        estimated: !!usage.estimated,
+        cost: cost?.totalCost || 0,
+        currency: cost?.currency || 'USD'
+      });
+
+      return record.toJSON();
+    } catch (error) {
+      console.error(`Errore nel salvataggio dell'usage di ${model}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Totali con dettaglio per modello e per strategia
+   * @param {Object} filters - { from, to, conversationId }
+   * @returns {Promise<Object>} - { totals, byModel, byStrategy }
+   */
+  async getSummary(filters = {}) {
+    await this.initialize();
+    const where = this._buildWhere(filters);
+
+    const [totals] = await this._aggregate(where, []);
+    const byModel = await this._aggregate(where, ['model']);
+    const byStrategy = await this._aggregate(where, ['strategy']);
+
+    return {
+      totals: totals || this._emptyTotals(),
+      byModel,
+      byStrategy
+    };
+  }
+
+  /**
+   * Costo totale speso con i filtri indicati
+   * @param {Object} filters - { from, to, conversationId, principal }
+   * @returns {Promise<Number>} - Costo in USD
+   */
+  async getTotalCost(filters = {}) {
+    await this.initialize();
+    const total = await this.UsageRecord.sum('cost', { where: this._buildWhere(filters) });
+    return this._round(total || 0);
+  }
+
+  /**
+   * Utilizzo di una singola conversazione
+   * @param {String} conversationId - ID della conversazione
+   * @returns {Promise<Object>} - { conversationId, totals, byModel, byStrategy }
+   */
+  async getConversationUsage(conversationId) {
+    return { conversationId, ...(await this.getSummary({ conversationId })) };
+  }
+
+  /**
+   * Aggregati giornalieri o mensili (UTC), dal periodo più recente
+   * @param {String} period - 'day' o 'month'
+   * @param {Object} filters - { from, to, conversationId }
+   * @returns {Promise<Array<Object>>} - [{ period, requests, promptTokens, completionTokens, totalTokens, cost, byModel }]
+   */
+  async getRollups(period = 'day', filters = {}) {
+    await this.initialize();
+    const format = period === 'month' ? '%Y-%m' : '%Y-%m-%d';
+    const periodColumn = Sequelize.fn('strftime', format, Sequelize.col('createdAt'));
+    const where = this._buildWhere(filters);
+
+    const rows = await this.UsageRecord.findAll({
+      attributes: [
+        [periodColumn, 'period'],
+        'model',
+        ...this._sumAttributes()
+      ],
+      where,
+      group: [periodColumn, 'model'],
+      raw: true
+    });
+
+    const rollups = new Map();
+    rows.forEach(row => {
+      if (!rollups.has(row.period)) {
+        rollups.set(row.period, { period: row.period, ...this._emptyTotals(), byModel: {} });
+      }
+
+      const rollup = rollups.get(row.period);
+      const totals = this._formatTotals(row);
+      ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'].forEach(key => {
+        rollup[key] += totals[key];
+      });
+      rollup.cost = this._round(rollup.cost);
+      rollup.byModel[row.model] = totals;
+    });
+
+    return Array.from(rollups.values()).sort((a, b) => b.period.localeCompare(a.period));
+  }
+
+  async _aggregate(where, groupBy) {
+    const rows = await this.UsageRecord.findAll({
+      attributes: [...groupBy, ...this._sumAttributes()],
+      where,
+      group: groupBy.length > 0 ? groupBy : undefined,
+      raw: true
+    });
+
+    return rows
+      .filter(row => row.requests > 0)
+      .map(row => ({
+        ...Object.fromEntries(groupBy.map(key => [key, row[key]])),
+        ...this._formatTotals(row)
+      }))
+      .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+  }
+
+  _sumAttributes() {
+    return [
+      [Sequelize.fn('COUNT', Sequelize.col('id')), 'requests'],
+      [Sequelize.fn('SUM', Sequelize.col('promptTokens')), 'promptTokens'],
+      [Sequelize.fn('SUM', Sequelize.col('completionTokens')), 'completionTokens'],
+      [Sequelize.fn('SUM', Sequelize.col('totalTokens')), 'totalTokens'],
+      [Sequelize.fn('SUM', Sequelize.col('cost')), 'cost']
+    ];
+  }
+
+  _buildWhere({ from, to, conversationId, principal } = {}) {
+    const where = {};
+
+    if (conversationId) {
+      where.conversationId = conversationId;
+    }
+
+    if (principal) {
+      where.principal = principal;
+    }
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(from);
+      if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+
+    return where;
+  }
+
+  _formatTotals(row) {
+    return {
+      requests: Number(row.requests) || 0,
+      promptTokens: Number(row.promptTokens) || 0,
+      completionTokens: Number(row.completionTokens) || 0,
+      totalTokens: Number(row.totalTokens) || 0,
+      cost: this._round(Number(row.cost) || 0),
+      currency: 'USD'
+    };
+  }
+
+  _emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, currency: 'USD' };
+  }
+
+  _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = new UsageTracker();
@@ -3,6 +3,7 @@
 // Extension for orchestration_websocket_server.js - Phase 3.4
 
 const AthenaMetaOrchestrator = require('../ai-handlers/athena_meta_orchestrator');
+const aiRouter = require('../ai-handlers/router');
 
 /**
  * 🧠 Athena WebSocket Extension
@@ -13,6 +14,8 @@ class AthenaWebSocketExtension {
         this.wss = webSocketServer;
         this.athena = AthenaMetaOrchestrator;
         this.activeAnalyses = new Map(); // Track active analyses per client
+        this.pendingRecommendations = new Map(); // analysis_id → request awaiting approval
+        this.pendingTtlMs = parseInt(process.env.ATHENA_PENDING_TTL_MS, 10) || 30 * 60 * 1000;
 
         this._setupAthenaIntegration();
         console.log('🧠 Athena WebSocket Extension initialized');
@@ -83,10 +86,18 @@ class AthenaWebSocketExtension {
                 await this._handleApplyRecommendation(clientId, messageData);
                 break;
 
+            case 'athena:reject_recommendation':
+                await this._handleRejectRecommendation(clientId, messageData);
+                break;
+
             case 'athena:get_decision_tree':
                 await this._handleDecisionTreeRequest(clientId, messageData);
                 break;
 
+            case 'athena:feedback':
+                await this._handleFeedback(clientId, messageData);
+                break;
+
             default:
                 console.warn(`🤔 Unknown Athena message type: ${messageType}`);
                 this._sendAthenaError(clientId, `Unknown message type: ${messageType}`);
@@ -127,10 +138,15 @@ class AthenaWebSocketExtension {
             // Perform Athena analysis
             const analysisResult = await this.athena.analyzePromptAndRecommend(prompt, {
                 ...context,
+                has_images: this._hasImages(requestData, context),
                 client_id: clientId,
+                principal: this._getClientPrincipal(clientId),
                 websocket_request: true
             });
 
+            // The client may approve the analysis later: keep the request it came from
+            this._storePendingRecommendation(clientId, analysisResult, requestData);
+
             // Send analysis complete event
             this._sendToClient(clientId, {
                 type: 'athena:analysis_complete',
@@ -163,7 +179,9 @@ class AthenaWebSocketExtension {
      * 🤖 Handle intelligent orchestration with Athena recommendations
      */
     async _handleIntelligentOrchestration(clientId, requestData) {
-        const { prompt, conversation_id, context = {} } = requestData;
+        const { prompt, context = {} } = requestData;
+        // Known before the analysis so the recommendation is stored with its conversation
+        const conversation_id = requestData.conversation_id || this._generateConversationId();
 
         try {
             console.log(`🤖 Starting intelligent orchestration for ${clientId}`);
@@ -180,22 +198,42 @@ class AthenaWebSocketExtension {
 
             const athenaAnalysis = await this.athena.analyzePromptAndRecommend(prompt, {
                 ...context,
+                has_images: this._hasImages(requestData, context),
+                conversation_id,
                 orchestration_mode: true,
-                client_id: clientId
+                client_id: clientId,
+                principal: this._getClientPrincipal(clientId)
             });
 
             // Step 2: Apply Athena recommendations or send for review
-            if (athenaAnalysis.auto_apply_recommended) {
+            const budget = athenaAnalysis.recommendations.budget;
+            if (budget && !budget.allowed) {
+                console.log(`💸 Athena orchestration blocked by budget for ${clientId}: ${budget.reason}`);
+
+                this._sendToClient(clientId, {
+                    type: 'athena:orchestration_error',
+                    data: {
+                        conversation_id,
+                        error: budget.reason,
+                        code: 'budget_exceeded',
+                        budget,
+                        analysis: athenaAnalysis,
+                        timestamp: new Date().toISOString()
+                    }
+                });
+
+            } else if (athenaAnalysis.auto_apply_recommended) {
                 console.log(`🤖 Auto-applying Athena recommendations (${(athenaAnalysis.confidence_score * 100).toFixed(1)}% confidence)`);
 
-                // Auto-apply recommendations
+                // Auto-apply recommendations (attachments, tools, knowledge bases... carry over)
                 const orchestrationRequest = {
+                    ...this._getOrchestrationOptions(requestData),
                     prompt,
                     models: athenaAnalysis.recommendations.models,
                     strategy: athenaAnalysis.recommendations.strategy,
                     weights: athenaAnalysis.recommendations.weights,
                     conversation_id,
-                    athena_analysis: athenaAnalysis
+                    analysis_id: athenaAnalysis.analysis_id
                 };
 
                 // Send recommendations applied event
@@ -215,13 +253,17 @@ class AthenaWebSocketExtension {
             } else {
                 console.log(`🤖 Athena recommendations require review (${(athenaAnalysis.confidence_score * 100).toFixed(1)}% confidence)`);
 
-                // Send recommendations for manual review
+                // Send recommendations for manual review (approve or reject by analysis_id)
+                const pending = this._storePendingRecommendation(clientId, athenaAnalysis, requestData, conversation_id);
+
                 this._sendToClient(clientId, {
                     type: 'athena:recommendations_ready',
                     data: {
                         conversation_id,
+                        analysis_id: athenaAnalysis.analysis_id,
                         analysis: athenaAnalysis,
                         requires_approval: true,
+                        expires_at: new Date(pending.expires_at).toISOString(),
                         timestamp: new Date().toISOString()
                     }
                 });
@@ -242,23 +284,50 @@ class AthenaWebSocketExtension {
     }
 
     /**
-     * 🎯 Apply Athena recommendation manually
+     * 🎯 Apply Athena recommendation manually, optionally with user-edited
+     * models, strategy and weights. The prompt comes from the pending request;
+     * once it has expired the client must send it again.
      */
-    async _handleApplyRecommendation(clientId, requestData) {
-        const { analysis_id, conversation_id, approved_models, approved_strategy } = requestData;
+    async _handleApplyRecommendation(clientId, requestData = {}) {
+        const { analysis_id, approved_models, approved_strategy, approved_weights } = requestData;
 
         try {
             console.log(`🎯 Applying Athena recommendation manually for ${clientId}`);
 
-            // Find the analysis (in a real implementation, you'd store these)
-            // For now, we'll create a new orchestration request
-            const orchestrationRequest = {
-                conversation_id,
-                models: approved_models,
-                strategy: approved_strategy,
-                manual_approval: true,
-                analysis_id
-            };
+            const pending = this._getPendingRecommendation(analysis_id);
+            const record = pending ? null : analysis_id && await this.athena.getAnalysisRecord(analysis_id);
+
+            if (!pending && !record) {
+                throw this._createError(`Unknown analysis: ${analysis_id}`, 'analysis_not_found');
+            }
+
+            const prompt = requestData.prompt || (pending && pending.request.prompt);
+            if (!prompt) {
+                throw this._createError(
+                    `Analysis ${analysis_id} is no longer pending (expired, applied or rejected): send the prompt again`,
+                    'prompt_required'
+                );
+            }
+
+            const recommendations = pending ? pending.analysis.recommendations : record.recommendations;
+            const models = approved_models || recommendations.models;
+            if (!Array.isArray(models) || models.length === 0 || !models.every(modelName => aiRouter.getHandler(modelName))) {
+                throw this._createError(
+                    `approved_models must be a non-empty list of available models (${aiRouter.getAvailableModels().join(', ')})`,
+                    'invalid_override'
+                );
+            }
+
+            const strategy = approved_strategy || recommendations.strategy;
+            const weights = approved_weights || Object.fromEntries(
+                Object.entries(recommendations.weights || {}).filter(([modelName]) => models.includes(modelName))
+            );
+            const conversation_id = requestData.conversation_id ||
+                (pending && pending.conversation_id) ||
+                (record && record.conversation_id) ||
+                this._generateConversationId();
+
+            this.pendingRecommendations.delete(analysis_id);
 
             this._sendToClient(clientId, {
                 type: 'athena:recommendation_applied',
@@ -266,16 +335,116 @@ class AthenaWebSocketExtension {
                     conversation_id,
                     analysis_id,
                     manual_approval: true,
+                    models,
+                    strategy,
+                    weights,
+                    overridden: !!(approved_models || approved_strategy || approved_weights),
                     timestamp: new Date().toISOString()
                 }
             });
 
-            // Note: Would integrate with existing orchestration system here
+            await this._startIntelligentOrchestration(clientId, {
+                ...this._getOrchestrationOptions(pending ? pending.request : requestData),
+                prompt,
+                models,
+                strategy,
+                weights,
+                conversation_id,
+                analysis_id,
+                manual_approval: true
+            });
+
             console.log(`✅ Athena recommendation applied manually for ${clientId}`);
 
         } catch (error) {
-            console.error(`❌ Failed to apply Athena recommendation for ${clientId}:`, error);
-            this._sendAthenaError(clientId, error.message);
+            console.error(`❌ Failed to apply Athena recommendation for ${clientId}:`, error.message);
+
+            this._sendToClient(clientId, {
+                type: 'athena:apply_error',
+                data: {
+                    analysis_id,
+                    error: error.message,
+                    code: error.code || null,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * 🙅 Reject a recommendation: the reasons (and an optional category
+     * correction) are recorded as feedback, so the rejected models and
+     * strategy score low for this kind of prompt
+     */
+    async _handleRejectRecommendation(clientId, rejectionData = {}) {
+        const { analysis_id } = rejectionData;
+
+        try {
+            const outcome = await this.athena.recordFeedback(analysis_id, {
+                ...rejectionData,
+                rejected: true,
+                source: 'websocket'
+            });
+
+            this.pendingRecommendations.delete(analysis_id);
+
+            this._sendToClient(clientId, {
+                type: 'athena:recommendation_rejected',
+                data: {
+                    ...outcome,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+            console.log(`🙅 Athena recommendation ${analysis_id} rejected by ${clientId}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to reject Athena recommendation for ${clientId}:`, error.message);
+
+            this._sendToClient(clientId, {
+                type: 'athena:reject_error',
+                data: {
+                    analysis_id,
+                    error: error.message,
+                    code: error.code || null,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+    }
+
+    /**
+     * 👍 Record user feedback on a recommendation (rating, thumbs, regeneration, preferred model)
+     */
+    async _handleFeedback(clientId, feedbackData = {}) {
+        const { analysis_id } = feedbackData;
+
+        try {
+            const outcome = await this.athena.recordFeedback(analysis_id, {
+                ...feedbackData,
+                source: 'websocket'
+            });
+
+            this._sendToClient(clientId, {
+                type: 'athena:feedback_recorded',
+                data: {
+                    ...outcome,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+        } catch (error) {
+            console.error(`❌ Failed to record Athena feedback for ${clientId}:`, error.message);
+
+            this._sendToClient(clientId, {
+                type: 'athena:feedback_error',
+                data: {
+                    analysis_id,
+                    error: error.message,
+                    code: error.code || null,
+                    timestamp: new Date().toISOString()
+                }
+            });
         }
     }
 
@@ -346,43 +515,44 @@ class AthenaWebSocketExtension {
     }
 
     /**
-     * 🌳 Handle decision tree request
+     * 🌳 Handle decision tree request: the stored analysis behind a recommendation
      */
-    async _handleDecisionTreeRequest(clientId, requestData) {
+    async _handleDecisionTreeRequest(clientId, requestData = {}) {
         const { analysis_id } = requestData;
 
         try {
-            // In a full implementation, you'd retrieve the stored decision tree
-            // For now, return a sample tree structure
-            const decisionTree = {
-                analysis_id,
-                tree: {
-                    root: {
-                        type: 'analysis',
-                        description: 'Athena Decision Process',
-                        children: [
-                            {
-                                type: 'category_analysis',
-                                description: 'Prompt Categorization',
-                                confidence: 0.85
-                            },
-                            {
-                                type: 'model_selection',
-                                description: 'AI Model Selection',
-                                children: [
-                                    { type: 'model', name: 'claude', reasoning: 'Strong reasoning capabilities' },
-                                    { type: 'model', name: 'gpt', reasoning: 'Excellent general performance' }
-                                ]
-                            }
-                        ]
+            const record = analysis_id ? await this.athena.getAnalysisRecord(analysis_id) : null;
+
+            if (!record) {
+                this._sendToClient(clientId, {
+                    type: 'athena:decision_tree_error',
+                    data: {
+                        analysis_id,
+                        error: `Unknown analysis: ${analysis_id}`,
+                        code: 'analysis_not_found',
+                        timestamp: new Date().toISOString()
                     }
-                },
-                timestamp: new Date().toISOString()
-            };
+                });
+                return;
+            }
 
             this._sendToClient(clientId, {
                 type: 'athena:decision_tree_response',
-                data: decisionTree
+                data: {
+                    analysis_id,
+                    conversation_id: record.conversation_id,
+                    tree: record.decision_tree,
+                    analysis: record.analysis,
+                    recommendations: record.recommendations,
+                    alternatives: record.alternatives,
+                    quick_category: record.quick_category,
+                    analyzer: record.analyzer,
+                    bandit: record.bandit,
+                    confidence_score: record.confidence_score,
+                    auto_apply_recommended: record.auto_apply_recommended,
+                    created_at: record.created_at,
+                    timestamp: new Date().toISOString()
+                }
             });
 
         } catch (error) {
@@ -440,29 +610,40 @@ class AthenaWebSocketExtension {
 
     /**
      * 🚀 Start intelligent orchestration with Athena recommendations
+     * The conversation is linked to the analysis before the orchestration runs;
+     * the orchestration then reports its outcome through analysis_id.
      */
     async _startIntelligentOrchestration(clientId, orchestrationRequest) {
+        const { analysis_id, conversation_id, models, strategy, weights } = orchestrationRequest;
+
         try {
-            // This would integrate with the existing orchestration system
-            // For now, we'll send a simulated orchestration start event
+            await this.athena.recordApplication(analysis_id, {
+                conversation_id,
+                models,
+                strategy,
+                weights,
+                manual: !!orchestrationRequest.manual_approval
+            }).catch(error => {
+                console.warn(`⚠️ Could not record Athena application for ${analysis_id}:`, error.message);
+            });
 
             this._sendToClient(clientId, {
                 type: 'athena:intelligent_orchestration_started',
                 data: {
-                    conversation_id: orchestrationRequest.conversation_id,
-                    models: orchestrationRequest.models,
-                    strategy: orchestrationRequest.strategy,
+                    conversation_id,
+                    analysis_id,
+                    models,
+                    strategy,
                     athena_guided: true,
                     timestamp: new Date().toISOString()
                 }
             });
 
-            // Note: Here you would call the existing orchestration system
-            // Example:
-            // await this.wss.handleOrchestrationRequest(clientId, orchestrationRequest);
-
             console.log(`🚀 Intelligent orchestration started for ${clientId}`);
 
+            // Reports its own progress and errors to the client
+            await this.wss.handleOrchestrationRequest(clientId, orchestrationRequest);
+
         } catch (error) {
             console.error(`❌ Failed to start intelligent orchestration for ${clientId}:`, error);
             this._sendAthenaError(clientId, error.message);
@@ -524,6 +705,76 @@ class AthenaWebSocketExtension {
         });
     }
 
+    /**
+     * 💸 Caller identity used for per-key budgets
+     */
+    _getClientPrincipal(clientId) {
+        const client = this.wss.clients && this.wss.clients.get(clientId);
+        return client ? client.principal : null;
+    }
+
+    /**
+     * 🖼️ Whether the request carries image attachments (only multimodal models qualify)
+     */
+    _hasImages(requestData, context) {
+        const attachments = requestData.attachments || context.attachments;
+        return !!(context.has_images || (attachments && [].concat(attachments).length > 0));
+    }
+
+    /**
+     * ⏳ Keep the request behind a recommendation until it is approved, rejected or expires
+     */
+    _storePendingRecommendation(clientId, analysis, request, conversationId = null) {
+        const now = Date.now();
+        this.pendingRecommendations.forEach((entry, analysisId) => {
+            if (entry.expires_at <= now) this.pendingRecommendations.delete(analysisId);
+        });
+
+        const pending = {
+            client_id: clientId,
+            analysis,
+            request,
+            conversation_id: conversationId || request.conversation_id || null,
+            expires_at: now + this.pendingTtlMs
+        };
+        this.pendingRecommendations.set(analysis.analysis_id, pending);
+        return pending;
+    }
+
+    _getPendingRecommendation(analysisId) {
+        const pending = analysisId && this.pendingRecommendations.get(analysisId);
+        if (!pending) return null;
+
+        if (pending.expires_at <= Date.now()) {
+            this.pendingRecommendations.delete(analysisId);
+            return null;
+        }
+        return pending;
+    }
+
+    /**
+     * 🧳 Request fields the orchestration uses as-is (attachments, tools, knowledge_base,
+     * budget_mode...), without those Athena decides or only reads
+     */
+    _getOrchestrationOptions(requestData) {
+        const {
+            use_athena, context, prompt, models, strategy, weights, conversation_id,
+            analysis_id, approved_models, approved_strategy, approved_weights,
+            ...options
+        } = requestData;
+        return options;
+    }
+
+    _createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    _generateConversationId() {
+        return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * 🆔 Generate unique analysis ID
      */
@@ -537,6 +788,7 @@ class AthenaWebSocketExtension {
     getStats() {
         return {
             active_analyses: this.activeAnalyses.size,
+            pending_recommendations: this.pendingRecommendations.size,
             athena_enabled: this.athena.enabled,
             athena_available: this.athena.isAvailable,
             total_decisions: this.athena.decisionHistory.length,
@@ -551,6 +803,7 @@ class AthenaWebSocketExtension {
         try {
             // Clear active analyses
             this.activeAnalyses.clear();
+            this.pendingRecommendations.clear();
 
             // Persist any remaining data
             await this.athena._persistDecisionHistory();
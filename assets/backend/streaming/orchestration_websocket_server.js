@@ -2,8 +2,28 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const TransparentAISynthesizer = require('../ai-handlers/enhanced_transparent_synthesizer');
+const aiRouter = require('../ai-handlers/router');
+const conversationStore = require('../storage/conversation_store');
+const usageTracker = require('../storage/usage_tracker');
+const budgetGuard = require('../ai-handlers/budget_guard');
+const failoverChains = require('../ai-handlers/failover_chains');
+const synthesisEngine = require('../ai-handlers/synthesis_engine');
+const knowledgeRetriever = require('../ai-handlers/knowledge_retriever');
+const attachmentStore = require('../storage/attachment_store');
+const toolAgent = require('../ai-handlers/tool_agent');
+const AthenaMetaOrchestrator = require('../ai-handlers/athena_meta_orchestrator');
 const { integrateAthenaWithWebSocket } = require('./athena_websocket_extension'); // Aggiunto import Athena
 
+// Request errors reported to the client with their own code
+const ORCHESTRATION_ERROR_CODES = [
+    'budget_exceeded',
+    'knowledge_base_not_found',
+    'attachment_not_found',
+    'invalid_image',
+    'too_many_attachments',
+    'images_not_supported'
+];
+
 /**
  * 🧠 NeuronVault WebSocket Orchestration Server
  * Real-time communication hub for transparent AI orchestration
@@ -43,7 +63,12 @@ class OrchestrationWebSocketServer extends EventEmitter {
                 id: clientId,
                 ws: ws,
                 connectedAt: Date.now(),
-                activeOrchestrations: new Set()
+                activeOrchestrations: new Set(),
+                // Caller identity for per-key budgets (the raw key is never stored)
+                principal: budgetGuard.resolvePrincipal({
+                    apiKey: req.headers['x-api-key'],
+                    userId: req.headers['x-user-id']
+                })
             };
 
             this.clients.set(clientId, client);
@@ -128,11 +153,15 @@ class OrchestrationWebSocketServer extends EventEmitter {
     async handleOrchestrationRequest(clientId, requestData) {
         const {
             prompt,
-            models,
             strategy = 'parallel',
-            weights = {},
-            conversation_id
+            weights = {}
         } = requestData;
+        let { models } = requestData;
+
+        // Without an ID the exchange starts a new stored conversation
+        const conversation_id = requestData.conversation_id ||
+            `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const startedAt = Date.now();
 
         try {
             // Validate request
@@ -140,18 +169,113 @@ class OrchestrationWebSocketServer extends EventEmitter {
                 throw new Error('Invalid orchestration request: missing prompt or models');
             }
 
-            // Track client orchestration
             const client = this.clients.get(clientId);
+            const principal = budgetGuard.resolvePrincipal({ userId: requestData.user_id }) ||
+                (client && client.principal);
+
+            // Chained strategies end with the last stage's answer: no synthesis call
+            const chained = this.synthesizer.ownsDispatch(strategy);
+
+            // Resume stored history when the client doesn't send its own
+            const conversation_history = requestData.conversation_history ||
+                await this.loadConversationHistory(conversation_id);
+
+            // 🖼️ Image attachments (uploaded IDs or base64): text-only models can't see them
+            const { images, attachments } = await attachmentStore.resolveAttachments(requestData.attachments);
+            const requireImages = images.length > 0;
+
+            if (requireImages) {
+                const excluded = models.filter(modelName => !aiRouter.supportsImages(modelName));
+                models = models.filter(modelName => aiRouter.supportsImages(modelName));
+
+                if (models.length === 0) {
+                    const error = new Error(`None of the selected models accepts image inputs (${excluded.join(', ')})`);
+                    error.code = 'images_not_supported';
+                    throw error;
+                }
+
+                if (excluded.length > 0) {
+                    console.log(`🖼️ Text-only models excluded for ${clientId}: ${excluded.join(', ')}`);
+                    this.sendToClient(clientId, {
+                        type: 'models_excluded',
+                        data: {
+                            conversation_id,
+                            models: excluded,
+                            reason: 'images_not_supported'
+                        }
+                    });
+                }
+            }
+
+            // 📚 Ground the prompt in the selected knowledge bases (numbered sources to cite)
+            const retrieval = await knowledgeRetriever.retrieve(requestData.knowledge_base, prompt);
+            const modelPrompt = retrieval ? knowledgeRetriever.buildGroundedPrompt(prompt, retrieval.chunks) : prompt;
+            const sources = retrieval ? retrieval.sources : [];
+
+            if (retrieval) {
+                this.sendToClient(clientId, {
+                    type: 'knowledge_sources',
+                    data: {
+                        conversation_id,
+                        knowledge_base_ids: retrieval.knowledgeBaseIds,
+                        sources
+                    }
+                });
+            }
+
+            // Budget check before any paid call: reject or downgrade the model selection
+            const budget = await budgetGuard.checkBudget({
+                prompt: modelPrompt,
+                history: conversation_history,
+                models,
+                maxTokens: 2000,
+                synthesisModel: chained ? null : synthesisEngine.getBillableBackend({
+                    backend: requestData.synthesis_backend,
+                    backends: requestData.synthesis_backends,
+                    conversationId: conversation_id
+                }),
+                conversationId: conversation_id,
+                principal,
+                mode: requestData.budget_mode,
+                requireImages
+            });
+
+            if (!budget.allowed) {
+                throw budgetGuard.createBudgetError(budget);
+            }
+
+            if (budget.downgraded) {
+                console.log(`💸 Budget downgrade for ${clientId}: ${models.join(', ')} → ${budget.models.join(', ')}`);
+                models = budget.models;
+                this.sendToClient(clientId, {
+                    type: 'budget_downgrade',
+                    data: {
+                        conversation_id,
+                        budget: budgetGuard.describeDecision(budget)
+                    }
+                });
+            }
+
+            // Track client orchestration
             if (client) {
                 client.activeOrchestrations.add(conversation_id);
             }
 
             console.log(`🧠 Starting orchestration for ${clientId}: ${models.join(', ')} using ${strategy} strategy`);
 
-            // Start individual AI requests
-            const modelPromises = models.map(modelName =>
-                this.requestAIResponse(conversation_id, modelName, prompt, clientId)
-            );
+            // A failover substitute is never a model already in use
+            const reservedModels = new Set(models.map(modelName => modelName.toLowerCase()));
+            const requestModel = (modelName, modelPrompt) =>
+                this.requestAIResponse(conversation_id, modelName, modelPrompt, clientId, conversation_history, strategy, principal, reservedModels, {
+                    images,
+                    tools: requestData.tools,
+                    knowledgeBaseIds: retrieval ? retrieval.knowledgeBaseIds : []
+                });
+
+            const chainResults = [];
+            // Chained strategies dispatch each stage themselves (model N sees model N-1's output);
+            // the others get every model's answer to the original prompt
+            const modelPromises = chained ? [] : models.map(modelName => requestModel(modelName, modelPrompt));
 
             // Start orchestration (non-blocking)
             const orchestrationPromise = this.synthesizer.orchestrate({
@@ -160,85 +284,297 @@ class OrchestrationWebSocketServer extends EventEmitter {
                 models,
                 strategy,
                 weights,
-                metadata: { clientId }
+                quorum: requestData.quorum ?? null,
+                responseTimeout: requestData.response_timeout_ms ?? null,
+                dispatch: chained
+                    ? async (modelName, stagePrompt) => {
+                        const record = await requestModel(modelName, stagePrompt);
+                        chainResults.push(record);
+                        return record;
+                    }
+                    : null,
+                chainRoles: requestData.chain_roles || null,
+                chainTemplates: requestData.chain_templates || {},
+                synthesisBackend: requestData.synthesis_backend || null,
+                synthesisBackends: requestData.synthesis_backends || null,
+                modelPrompt,
+                sources,
+                metadata: { clientId, budget: budgetGuard.describeDecision(budget) }
             });
 
-            // Wait for AI responses
-            await Promise.allSettled(modelPromises);
+            // Wait for AI responses and the synthesis together: with a quorum the synthesis
+            // may finish (or fail) before the slowest model
+            const [parallelResults, synthesizedResult] = await Promise.all([
+                Promise.all(modelPromises),
+                orchestrationPromise
+            ]);
+            const modelResults = chained ? chainResults : parallelResults;
+            const synthesisUsage = synthesizedResult.synthesisUsage;
+
+            if (synthesisUsage) {
+                await usageTracker.recordUsage({
+                    ...synthesisUsage,
+                    conversationId: conversation_id,
+                    strategy,
+                    principal,
+                    role: 'synthesis',
+                    source: 'orchestration_websocket'
+                });
+            }
+
+            const toolCalls = modelResults
+                .filter(result => result && result.toolCalls && result.toolCalls.length > 0)
+                .map(result => ({ model: result.model, calls: result.toolCalls }));
+
+            await this.saveExchange(conversation_id, {
+                prompt,
+                response: synthesizedResult.content,
+                strategy,
+                responses: modelResults.filter(Boolean),
+                synthesis: synthesisUsage,
+                startedAt,
+                source: 'orchestration_websocket',
+                metadata: {
+                    qualityMetrics: synthesizedResult.qualityMetrics,
+                    chain: synthesizedResult.chain.length > 0 ? synthesizedResult.chain : undefined,
+                    sources: sources.length > 0 ? sources : undefined,
+                    attachments: attachments.length > 0 ? attachments : undefined,
+                    toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+                    athena: requestData.analysis_id
+                        ? { analysisId: requestData.analysis_id, manualApproval: !!requestData.manual_approval }
+                        : undefined
+                }
+            });
 
-            // Complete orchestration
-            await orchestrationPromise;
+            // 🧠 Measured outcome of an Athena recommendation (latency, cost, errors) for its learning
+            this.recordAthenaOutcome(requestData, {
+                conversation_id,
+                latency_ms: Date.now() - startedAt,
+                synthesis_cost: synthesisUsage && synthesisUsage.cost ? synthesisUsage.cost.totalCost : 0,
+                models: modelResults.filter(Boolean).map(result => ({
+                    model: result.model,
+                    latency_ms: result.latencyMs,
+                    cost: result.cost ? result.cost.totalCost : 0,
+                    error: result.error || null
+                }))
+            });
 
         } catch (error) {
             console.error(`❌ Orchestration failed for ${clientId}:`, error);
+
+            // Rejected requests (budget, attachments...) say nothing about the recommended models
+            if (!ORCHESTRATION_ERROR_CODES.includes(error.code)) {
+                this.recordAthenaOutcome(requestData, {
+                    conversation_id,
+                    latency_ms: Date.now() - startedAt,
+                    error: error.message
+                });
+            }
+
             this.sendToClient(clientId, {
                 type: 'orchestration_error',
                 data: {
                     conversation_id,
                     message: error.message,
-                    code: 'ORCHESTRATION_FAILED'
+                    code: ORCHESTRATION_ERROR_CODES.includes(error.code) ? error.code : 'ORCHESTRATION_FAILED',
+                    budget: error.budget
                 }
             });
         }
     }
 
     /**
-     * Request response from specific AI model
+     * Report the outcome of an orchestration launched from an Athena analysis (never fails the orchestration)
      */
-    async requestAIResponse(conversationId, modelName, prompt, clientId) {
-        const handler = this.aiHandlers.get(modelName.toLowerCase());
+    recordAthenaOutcome(requestData, outcome) {
+        const analysisId = requestData.analysis_id ||
+            (requestData.athena_analysis && requestData.athena_analysis.analysis_id);
+        if (!analysisId) return;
 
-        if (!handler) {
-            console.warn(`⚠️ No handler found for model: ${modelName}`);
-            return;
+        AthenaMetaOrchestrator.recordOutcome(analysisId, outcome).catch(error => {
+            console.warn(`⚠️ Could not record Athena outcome for ${analysisId}:`, error.message);
+        });
+    }
+
+    /**
+     * Load stored history so a conversation can be resumed from any client
+     */
+    async loadConversationHistory(conversationId) {
+        try {
+            return await conversationStore.getHistory(conversationId);
+        } catch (error) {
+            console.error(`⚠️ Could not load history for ${conversationId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Persist a completed exchange (a storage failure never fails the orchestration)
+     */
+    async saveExchange(conversationId, exchange) {
+        try {
+            await conversationStore.recordExchange(conversationId, exchange);
+        } catch (error) {
+            console.error(`⚠️ Could not save conversation ${conversationId}:`, error.message);
         }
+    }
 
+    /**
+     * Request response from specific AI model
+     * A failed (or circuit-broken) provider is replaced along its failover chain;
+     * resolves with the individual response record (also on failure) for the conversation store.
+     * With images the prompt becomes a multimodal user message and only multimodal substitutes are tried;
+     * with tools the model runs in the agent loop and every call is reported (tool_call / tool_result)
+     */
+    async requestAIResponse(conversationId, modelName, prompt, clientId, history = [], strategy = null, principal = null, reservedModels = new Set([modelName.toLowerCase()]), { images = [], tools = null, knowledgeBaseIds = [] } = {}) {
+        const slotModel = modelName.toLowerCase();
         const startTime = Date.now();
+        let currentModel = modelName;
 
-        try {
-            console.log(`🤖 Requesting response from ${modelName}...`);
+        // Send status update
+        this.sendToClient(clientId, {
+            type: 'model_status_update',
+            data: {
+                model_name: modelName,
+                status: 'processing',
+                conversation_id: conversationId
+            }
+        });
 
-            // Send status update
-            this.sendToClient(clientId, {
-                type: 'model_status_update',
-                data: {
-                    model_name: modelName,
-                    status: 'processing',
-                    conversation_id: conversationId
+        try {
+            const { model, result: response, attempts } = await failoverChains.execute(
+                slotModel,
+                (handler, candidate) => {
+                    console.log(`🤖 Requesting response from ${candidate}...`);
+
+                    // Get AI response (the history gives follow-up questions their context)
+                    const input = images.length > 0 ? [{ role: 'user', content: prompt, images }] : prompt;
+                    const callOptions = {
+                        temperature: 0.7,
+                        max_tokens: 2000,
+                        history
+                    };
+
+                    // 🛠️ Tool calling: the agent loop executes the model's calls until it answers
+                    const toolDefinitions = toolAgent.resolveTools(handler, tools);
+                    if (toolDefinitions.length === 0) {
+                        return handler.generateResponse(input, callOptions);
+                    }
+
+                    return toolAgent.run(handler, input, {
+                        ...callOptions,
+                        tools: toolDefinitions,
+                        toolContext: { conversationId, knowledgeBaseIds },
+                        onEvent: (type, data) => this.sendToClient(clientId, {
+                            type,
+                            data: { ...data, model_name: candidate, conversation_id: conversationId }
+                        })
+                    });
+                },
+                {
+                    reserved: reservedModels,
+                    requireImages: images.length > 0,
+                    onFailover: (failover) => {
+                        const failedModel = currentModel;
+                        currentModel = failover.to;
+
+                        console.warn(`🔀 ${failedModel} unavailable (${failover.reason}), failing over to ${failover.to}`);
+
+                        // The synthesizer announces the substitution (model_failover) and tracks the new name
+                        this.synthesizer.substituteModel(conversationId, failedModel, failover.to, failover);
+
+                        this.sendToClient(clientId, {
+                            type: 'model_status_update',
+                            data: {
+                                model_name: failover.to,
+                                status: 'processing',
+                                failover_from: failedModel,
+                                conversation_id: conversationId
+                            }
+                        });
+                    }
                 }
-            });
-
-            // Get AI response
-            const response = await handler.generateResponse(prompt, {
-                temperature: 0.7,
-                max_tokens: 2000
-            });
+            );
 
+            const respondingModel = model === slotModel ? modelName : model;
+            const failover = respondingModel === modelName ? null : { slot: modelName, attempts };
             const responseTime = Date.now() - startTime;
 
+            // Never rejects: storage errors are logged by the tracker
+            usageTracker.recordUsage({
+                conversationId,
+                strategy,
+                principal,
+                model: respondingModel,
+                providerModel: response.model,
+                source: 'orchestration_websocket',
+                usage: response.usage,
+                cost: response.cost
+            });
+
             // Add response to synthesizer
-            this.synthesizer.addResponse(conversationId, modelName, {
+            this.synthesizer.addResponse(conversationId, respondingModel, {
                 content: response.content,
                 confidence: response.confidence || 0.8,
                 responseTime: responseTime,
-                metadata: response.metadata || {}
+                usage: response.usage,
+                cost: response.cost,
+                metadata: {
+                    model: response.model,
+                    usage: response.usage,
+                    finish_reason: response.finishReason,
+                    latency_ms: response.latencyMs,
+                    tool_calls: response.toolCalls,
+                    failover
+                }
             });
 
-            console.log(`✅ ${modelName} response received (${responseTime}ms)`);
+            console.log(`✅ ${respondingModel} response received (${responseTime}ms)`);
+
+            return {
+                model: respondingModel,
+                providerModel: response.model,
+                content: response.content,
+                status: 'completed',
+                latencyMs: responseTime,
+                usage: response.usage,
+                cost: response.cost,
+                finishReason: response.finishReason,
+                toolCalls: response.toolCalls,
+                failover
+            };
 
         } catch (error) {
-            console.error(`❌ Error getting response from ${modelName}:`, error);
+            console.error(`❌ Error getting response from ${currentModel}:`, error);
+
+            // The synthesizer stops waiting for this slot
+            this.synthesizer.addFailure(conversationId, currentModel, {
+                error: error.message,
+                type: error.type
+            });
 
             // Send error status
             this.sendToClient(clientId, {
                 type: 'model_status_update',
                 data: {
-                    model_name: modelName,
+                    model_name: currentModel,
                     status: 'error',
                     error: error.message,
+                    error_type: error.type || null,
+                    retryable: !!error.retryable,
+                    failover_attempts: error.attempts || [],
                     conversation_id: conversationId
                 }
             });
+
+            return {
+                model: currentModel,
+                status: 'error',
+                error: error.message,
+                errorType: error.type || null,
+                latencyMs: Date.now() - startTime,
+                failover: currentModel === modelName ? null : { slot: modelName, attempts: error.attempts || [] }
+            };
         }
     }
 
@@ -260,9 +596,15 @@ class OrchestrationWebSocketServer extends EventEmitter {
                 modelStatuses[modelName] = {
                     available: false,
                     error: error.message,
+                    error_type: error.type || null,
                     last_checked: new Date().toISOString()
                 };
             }
+
+            // Circuit breaker state (closed | open | half_open) after the probe
+            if (typeof handler.getResilienceStatus === 'function') {
+                modelStatuses[modelName].circuit_breaker = handler.getResilienceStatus().circuit;
+            }
         }
 
         this.sendToClient(clientId, {
@@ -283,6 +625,37 @@ class OrchestrationWebSocketServer extends EventEmitter {
             });
         });
 
+        // Failed model replaced along its failover chain
+        this.synthesizer.on('model_failover', (data) => {
+            this.broadcastToRelevantClients(data.conversation_id, {
+                type: 'model_failover',
+                data: data
+            });
+        });
+
+        // Chained strategies: stage-by-stage progress for the transparency panel
+        this.synthesizer.on('chain_stage_started', (data) => {
+            this.broadcastToRelevantClients(data.conversation_id, {
+                type: 'chain_stage_started',
+                data: data
+            });
+        });
+
+        this.synthesizer.on('chain_stage_completed', (data) => {
+            this.broadcastToRelevantClients(data.conversation_id, {
+                type: 'chain_stage_completed',
+                data: data
+            });
+        });
+
+        // Consensus strategy: which models back each claim and where they contradict
+        this.synthesizer.on('consensus_analysis', (data) => {
+            this.broadcastToRelevantClients(data.conversation_id, {
+                type: 'consensus_analysis',
+                data: data
+            });
+        });
+
         // Orchestration progress update
         this.synthesizer.on('orchestration_progress', (data) => {
             this.broadcastToRelevantClients(data.conversation_id, {
@@ -312,26 +685,11 @@ class OrchestrationWebSocketServer extends EventEmitter {
      * Load AI handlers
      */
     loadAIHandlers() {
-        const handlerConfigs = [
-            { name: 'claude', file: './claude_handler' },
-            { name: 'gpt', file: './gpt_handler' },
-            { name: 'openai', file: './gpt_handler' }, // Alias for GPT
-            { name: 'deepseek', file: './deepseek_handler' },
-            { name: 'gemini', file: './gemini_handler' },
-            { name: 'mistral', file: './mistral_handler' },
-            { name: 'llama', file: './llama_handler' },
-            { name: 'ollama', file: './ollama_handler' }
-        ];
-
-        handlerConfigs.forEach(config => {
-            try {
-                const handler = require(`../ai-handlers/${config.file}`);
-                this.aiHandlers.set(config.name, handler);
-                console.log(`✅ Loaded AI handler: ${config.name}`);
-            } catch (error) {
-                console.warn(`⚠️ Failed to load AI handler ${config.name}:`, error.message);
-            }
-        });
+        for (const name of aiRouter.getAvailableModels()) {
+            const handler = aiRouter.getHandler(name);
+            this.aiHandlers.set(name, handler);
+            console.log(`✅ Loaded AI handler: ${name}${handler.checkAvailability() ? '' : ' (not configured)'}`);
+        }
 
         console.log(`🤖 Loaded ${this.aiHandlers.size} AI handlers`);
     }
@@ -340,16 +698,17 @@ class OrchestrationWebSocketServer extends EventEmitter {
      * Test model availability
      */
     async testModelAvailability(handler) {
-        try {
-            // Simple test request
-            await handler.generateResponse('Test', {
-                max_tokens: 10,
-                timeout: 5000
-            });
-            return true;
-        } catch (error) {
+        if (!handler.checkAvailability()) {
             return false;
         }
+
+        // Simple test request, no retries: a classified failure is reported to the client
+        await handler.generateResponse('Test', {
+            max_tokens: 10,
+            timeout: 5000,
+            maxRetries: 0
+        });
+        return true;
     }
 
     /**
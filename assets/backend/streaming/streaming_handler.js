@@ -3,6 +3,11 @@ const EventEmitter = require('events');
 
 /**
  * Basic Streaming Handler per gestire streaming AI
+ *
+ * Ogni stream registrato consegna i propri eventi tramite una funzione
+ * deliver(eventName, data). Mentre lo stream è in pausa la generazione
+ * prosegue e gli eventi vengono trattenuti in un buffer limitato, poi
+ * consegnati in ordine alla ripresa.
  */
 class StreamingHandler extends EventEmitter {
   constructor() {
@@ -11,14 +16,51 @@ class StreamingHandler extends EventEmitter {
     this.config = {
       maxConcurrentStreams: 10,
       streamTimeout: 30000,
-      chunkDelay: 100
+      chunkDelay: 100,
+      maxBufferedChunks: 500,
+      // drop_oldest | drop_newest | stop
+      overflowPolicy: 'drop_oldest',
+      removalDelay: 5000
     };
   }
 
   /**
-   * Inizia un nuovo stream
+   * Inizia un nuovo stream (risposta simulata)
    */
   async startStream(streamId, request, onChunk) {
+    const streamInfo = this.registerStream(streamId, {
+      request,
+      deliver: (eventName, data) => {
+        this.emit(eventName, data);
+
+        // Call chunk callback
+        if (onChunk && eventName === 'chunk') {
+          onChunk(data.chunk, data.isFinished);
+        }
+      }
+    });
+
+    try {
+      // Simula streaming response
+      await this._simulateStreaming(streamId, request);
+
+      this.completeStream(streamId, 'completed');
+      this.emitEvent(streamId, 'stream_completed', { streamId, streamInfo: this.getStreamInfo(streamId) });
+
+    } catch (error) {
+      this.completeStream(streamId, 'error', error);
+      this.emit('stream_error', { streamId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uno stream gestito (simulato o proveniente da un provider reale)
+   * @param {String} streamId - ID dello stream
+   * @param {Object} options - { request, deliver(eventName, data), onStop(reason) }
+   * @returns {Object} - Stato interno dello stream
+   */
+  registerStream(streamId, { request = null, deliver, onStop = null }) {
     if (this.activeStreams.has(streamId)) {
       throw new Error(`Stream ${streamId} is already active`);
     }
@@ -27,38 +69,98 @@ class StreamingHandler extends EventEmitter {
       id: streamId,
       startTime: Date.now(),
       request,
-      status: 'active'
+      status: 'active',
+      deliver,
+      onStop,
+      pendingEvents: [],
+      bufferedChunks: 0,
+      droppedChunks: 0,
+      deliveredChunks: 0,
+      pausedAt: null,
+      totalPausedMs: 0,
+      finalStatus: null
     };
 
     this.activeStreams.set(streamId, streamInfo);
+    return streamInfo;
+  }
 
-    try {
-      // Simula streaming response
-      await this._simulateStreaming(streamId, request, onChunk);
+  /**
+   * Consegna un chunk di testo, o lo trattiene se lo stream è in pausa.
+   * I chunk sono gli unici eventi soggetti alla politica di overflow; quelli
+   * che arrivano dopo lo stop (anche per overflow) vengono scartati.
+   */
+  emitChunk(streamId, eventName, data) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo) return;
 
-      // Mark stream as completed
-      streamInfo.status = 'completed';
-      streamInfo.endTime = Date.now();
+    if (streamInfo.status === 'stopped') {
+      streamInfo.droppedChunks++;
+      return;
+    }
 
-      this.emit('stream_completed', { streamId, streamInfo });
+    if (streamInfo.status !== 'paused') {
+      streamInfo.deliveredChunks++;
+      streamInfo.deliver(eventName, data);
+      return;
+    }
 
-    } catch (error) {
-      streamInfo.status = 'error';
-      streamInfo.error = error.message;
-      this.emit('stream_error', { streamId, error });
-      throw error;
-    } finally {
-      // Cleanup dopo un po'
-      setTimeout(() => {
-        this.activeStreams.delete(streamId);
-      }, 5000);
+    if (streamInfo.bufferedChunks >= this.config.maxBufferedChunks) {
+      this._handleOverflow(streamInfo, eventName, data);
+      return;
+    }
+
+    streamInfo.pendingEvents.push({ eventName, data, isChunk: true });
+    streamInfo.bufferedChunks++;
+  }
+
+  /**
+   * Consegna un evento di controllo (strategia, completamento, errori).
+   * In pausa viene accodato dopo i chunk già trattenuti ma non viene mai scartato.
+   */
+  emitEvent(streamId, eventName, data) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo) return;
+
+    if (streamInfo.status === 'paused') {
+      streamInfo.pendingEvents.push({ eventName, data, isChunk: false });
+    } else {
+      streamInfo.deliver(eventName, data);
+    }
+  }
+
+  /**
+   * Applica la politica di overflow quando il buffer di pausa è pieno
+   */
+  _handleOverflow(streamInfo, eventName, data) {
+    switch (this.config.overflowPolicy) {
+      case 'drop_newest':
+        streamInfo.droppedChunks++;
+        break;
+
+      case 'stop':
+        streamInfo.droppedChunks++;
+        this.emit('buffer_overflow', { streamId: streamInfo.id, policy: 'stop' });
+        this.stopStream(streamInfo.id, 'buffer_overflow');
+        break;
+
+      case 'drop_oldest':
+      default: {
+        const oldestIndex = streamInfo.pendingEvents.findIndex(event => event.isChunk);
+        if (oldestIndex !== -1) {
+          streamInfo.pendingEvents.splice(oldestIndex, 1);
+          streamInfo.pendingEvents.push({ eventName, data, isChunk: true });
+        }
+        streamInfo.droppedChunks++;
+        break;
+      }
     }
   }
 
   /**
    * Simula streaming response
    */
-  async _simulateStreaming(streamId, request, onChunk) {
+  async _simulateStreaming(streamId, request) {
     const fullText = `This is a simulated streaming response for: "${request.prompt}".
     The response is being generated in chunks to demonstrate real-time streaming capabilities.
     Each chunk arrives with a small delay to simulate network latency and processing time.`;
@@ -66,28 +168,19 @@ class StreamingHandler extends EventEmitter {
     const words = fullText.split(' ');
 
     for (let i = 0; i < words.length; i++) {
-      // Check if stream is still active
+      // La generazione prosegue anche in pausa (i chunk vanno nel buffer)
       const streamInfo = this.activeStreams.get(streamId);
-      if (!streamInfo || streamInfo.status !== 'active') {
+      if (!streamInfo || streamInfo.status === 'stopped') {
         break;
       }
 
-      const chunk = words[i] + ' ';
-      const isFinished = i === words.length - 1;
-
-      // Emit chunk event
-      this.emit('chunk', {
+      this.emitChunk(streamId, 'chunk', {
         streamId,
-        chunk,
-        isFinished,
+        chunk: words[i] + ' ',
+        isFinished: i === words.length - 1,
         progress: (i + 1) / words.length
       });
 
-      // Call chunk callback
-      if (onChunk) {
-        onChunk(chunk, isFinished);
-      }
-
       // Simulate processing delay
       await new Promise(resolve => setTimeout(resolve, this.config.chunkDelay));
     }
@@ -95,50 +188,160 @@ class StreamingHandler extends EventEmitter {
 
   /**
    * Pausa uno stream
+   * @returns {Boolean} - true se lo stream è stato messo in pausa
    */
   pauseStream(streamId) {
     const streamInfo = this.activeStreams.get(streamId);
     if (streamInfo && streamInfo.status === 'active') {
       streamInfo.status = 'paused';
+      streamInfo.pausedAt = Date.now();
       this.emit('stream_paused', { streamId });
+      return true;
     }
+    return false;
   }
 
   /**
-   * Riprende uno stream
+   * Riprende uno stream consegnando in ordine gli eventi trattenuti
+   * @returns {Number|null} - Eventi consegnati, null se lo stream non era in pausa
    */
   resumeStream(streamId) {
     const streamInfo = this.activeStreams.get(streamId);
-    if (streamInfo && streamInfo.status === 'paused') {
-      streamInfo.status = 'active';
-      this.emit('stream_resumed', { streamId });
+    if (!streamInfo || streamInfo.status !== 'paused') {
+      return null;
+    }
+
+    const pending = streamInfo.pendingEvents;
+    streamInfo.pendingEvents = [];
+    streamInfo.bufferedChunks = 0;
+    streamInfo.totalPausedMs += Date.now() - streamInfo.pausedAt;
+    streamInfo.pausedAt = null;
+    streamInfo.status = 'active';
+
+    pending.forEach(({ eventName, data, isChunk }) => {
+      if (isChunk) streamInfo.deliveredChunks++;
+      streamInfo.deliver(eventName, data);
+    });
+
+    // Lo stream si era concluso durante la pausa
+    if (streamInfo.finalStatus) {
+      streamInfo.status = streamInfo.finalStatus;
+      this._scheduleRemoval(streamId);
+    }
+
+    this.emit('stream_resumed', { streamId, flushedEvents: pending.length });
+    return pending.length;
+  }
+
+  /**
+   * Ferma uno stream scartando gli eventi trattenuti
+   * @returns {Boolean} - true se lo stream era attivo o in pausa
+   */
+  stopStream(streamId, reason = 'stopped') {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo || !['active', 'paused'].includes(streamInfo.status)) {
+      return false;
+    }
+
+    if (streamInfo.pausedAt) {
+      streamInfo.totalPausedMs += Date.now() - streamInfo.pausedAt;
+      streamInfo.pausedAt = null;
+    }
+
+    streamInfo.pendingEvents = [];
+    streamInfo.bufferedChunks = 0;
+    streamInfo.status = 'stopped';
+    streamInfo.stopReason = reason;
+    streamInfo.endTime = Date.now();
+    this.emit('stream_stopped', { streamId, reason });
+
+    if (streamInfo.onStop) {
+      streamInfo.onStop(reason);
     }
+
+    this._scheduleRemoval(streamId);
+    return true;
   }
 
   /**
-   * Ferma uno stream
+   * Segna la fine della generazione. Se lo stream è in pausa lo stato finale
+   * viene applicato alla ripresa, dopo la consegna del buffer.
    */
-  stopStream(streamId) {
+  completeStream(streamId, status = 'completed', error = null) {
     const streamInfo = this.activeStreams.get(streamId);
-    if (streamInfo) {
-      streamInfo.status = 'stopped';
-      streamInfo.endTime = Date.now();
-      this.emit('stream_stopped', { streamId });
+    if (!streamInfo) return;
+
+    if (error) {
+      streamInfo.error = error.message;
     }
+
+    if (streamInfo.status === 'stopped') {
+      return;
+    }
+
+    streamInfo.endTime = Date.now();
+
+    if (streamInfo.status === 'paused') {
+      streamInfo.finalStatus = status;
+      return;
+    }
+
+    streamInfo.status = status;
+    this._scheduleRemoval(streamId);
+  }
+
+  _scheduleRemoval(streamId) {
+    // Cleanup dopo un po'
+    setTimeout(() => {
+      const streamInfo = this.activeStreams.get(streamId);
+      if (streamInfo && streamInfo.status !== 'paused') {
+        this.activeStreams.delete(streamId);
+      }
+    }, this.config.removalDelay);
   }
 
   /**
    * Ottieni info su stream attivo
    */
   getStreamInfo(streamId) {
-    return this.activeStreams.get(streamId);
+    const streamInfo = this.activeStreams.get(streamId);
+    return streamInfo ? this._describeStream(streamInfo) : undefined;
   }
 
   /**
    * Ottieni tutti gli stream attivi
    */
   getActiveStreams() {
-    return Array.from(this.activeStreams.values());
+    return Array.from(this.activeStreams.values()).map(streamInfo => this._describeStream(streamInfo));
+  }
+
+  /**
+   * Vista serializzabile dello stream (senza callback né eventi trattenuti)
+   */
+  _describeStream(streamInfo) {
+    const pausedFor = streamInfo.pausedAt ? Date.now() - streamInfo.pausedAt : 0;
+
+    return {
+      id: streamInfo.id,
+      status: streamInfo.status,
+      startTime: streamInfo.startTime,
+      endTime: streamInfo.endTime,
+      request: streamInfo.request,
+      error: streamInfo.error,
+      stopReason: streamInfo.stopReason,
+      paused: streamInfo.status === 'paused',
+      pausedAt: streamInfo.pausedAt,
+      totalPausedMs: streamInfo.totalPausedMs + pausedFor,
+      deliveredChunks: streamInfo.deliveredChunks,
+      buffer: {
+        bufferedChunks: streamInfo.bufferedChunks,
+        pendingEvents: streamInfo.pendingEvents.length,
+        maxBufferedChunks: this.config.maxBufferedChunks,
+        overflowPolicy: this.config.overflowPolicy,
+        droppedChunks: streamInfo.droppedChunks
+      },
+      pendingStatus: streamInfo.finalStatus
+    };
   }
 
   /**
@@ -158,18 +361,21 @@ class StreamingHandler extends EventEmitter {
    * Ottieni statistiche streaming
    */
   getStats() {
-    const activeCount = this.getActiveStreams().filter(s => s.status === 'active').length;
-    const pausedCount = this.getActiveStreams().filter(s => s.status === 'paused').length;
-    const completedCount = this.getActiveStreams().filter(s => s.status === 'completed').length;
+    const streams = Array.from(this.activeStreams.values());
+    const activeCount = streams.filter(s => s.status === 'active').length;
+    const pausedCount = streams.filter(s => s.status === 'paused').length;
+    const completedCount = streams.filter(s => s.status === 'completed').length;
 
     return {
       totalActiveStreams: this.activeStreams.size,
       activeStreams: activeCount,
       pausedStreams: pausedCount,
       completedStreams: completedCount,
+      bufferedChunks: streams.reduce((total, s) => total + s.bufferedChunks, 0),
+      droppedChunks: streams.reduce((total, s) => total + s.droppedChunks, 0),
       config: this.config
     };
   }
 }
 
-module.exports = new StreamingHandler();
\ No newline at end of file
+module.exports = new StreamingHandler();
@@ -2,6 +2,8 @@
 const http = require('http');
 const socketIo = require('socket.io');
 const enhancedStreamingRouter = require('../ai-handlers/enhanced_streaming_router');
+const streamingHandler = require('./streaming_handler');
+const budgetGuard = require('../ai-handlers/budget_guard');
 const cors = require('cors');
 
 /**
@@ -19,6 +21,7 @@ class WebSocketStreamingServer {
       totalConnections: 0,
       activeStreams: 0,
       completedStreams: 0,
+      cancelledStreams: 0,
       errorCount: 0
     };
 
@@ -43,7 +46,8 @@ class WebSocketStreamingServer {
       },
       transports: ['websocket', 'polling'],
       pingTimeout: 60000,
-      pingInterval: 25000
+      pingInterval: 25000,
+      maxHttpBufferSize: 25 * 1024 * 1024 // Immagini in base64 negli allegati di start_ai_stream
     });
 
     console.log('🔌 WebSocket Streaming Server initialized');
@@ -74,7 +78,12 @@ class WebSocketStreamingServer {
       connectedAt: Date.now(),
       activeStreams: new Set(),
       clientType: 'flutter_app', // Potrebbe essere determinato dinamicamente
-      lastActivity: Date.now()
+      lastActivity: Date.now(),
+      // Identità per i budget per chiave API / utente (la chiave non viene salvata)
+      principal: budgetGuard.resolvePrincipal({
+        apiKey: socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key'],
+        userId: socket.handshake.auth?.userId || socket.handshake.headers['x-user-id']
+      })
     };
 
     this.activeConnections.set(socket.id, clientInfo);
@@ -166,14 +175,26 @@ class WebSocketStreamingServer {
     clientInfo.activeStreams.add(streamId);
     this.streamingStats.activeStreams++;
 
-    // Prepara configurazione stream
+    // Prepara configurazione stream (gli allegati non vengono rimandati al client)
+    const { attachments, ...requestConfig } = request;
     const streamConfig = {
       streamId,
       clientId: socket.id,
-      ...request,
+      ...requestConfig,
+      attachmentCount: attachments ? [].concat(attachments).length : 0,
       startTime: Date.now()
     };
 
+    // Registra lo stream per pausa/ripresa: gli eventi passano dal buffer
+    // dello StreamingHandler, che li trattiene mentre il client è in pausa
+    streamingHandler.registerStream(streamId, {
+      request: { prompt: request.prompt, modelConfig: request.modelConfig, clientId: socket.id },
+      deliver: (eventName, data) => socket.emit(eventName, data),
+      // Stop dal buffer (overflow) o da HTTP: interrompe anche le chiamate ai provider
+      onStop: (reason) => enhancedStreamingRouter.cancelStreamingSession(streamId, reason)
+    });
+    const streamSocket = this._createBufferedSocket(socket, streamId);
+
     try {
       // Emetti inizio streaming
       socket.emit('stream_started', {
@@ -184,19 +205,42 @@ class WebSocketStreamingServer {
 
       // Avvia streaming tramite Enhanced Router
       const result = await enhancedStreamingRouter.startStreamingSession(
-        request,
-        socket // Passa socket per emissioni real-time
+        { ...request, principal: clientInfo.principal },
+        streamSocket, // Passa socket per emissioni real-time
+        { streamId }
       );
 
       // Stream completato con successo
-      this._handleStreamCompletion(socket, streamId, result);
+      this._handleStreamCompletion(streamSocket, streamId, result);
 
     } catch (error) {
-      // Gestisci errori streaming
-      this._handleStreamError(socket, streamId, error);
+      if (error.name === 'AbortError') {
+        // Stream annullato (stop o disconnessione): 'stream_cancelled' è già stato emesso
+        this._handleStreamCancelled(streamSocket, streamId, error);
+      } else {
+        // Gestisci errori streaming
+        this._handleStreamError(streamSocket, streamId, error);
+      }
     }
   }
 
+  /**
+   * Socket per il router che instrada le emissioni nel buffer dello stream.
+   * Gli eventi '*_chunk' sono soggetti alla politica di overflow, gli altri no.
+   */
+  _createBufferedSocket(socket, streamId) {
+    return {
+      id: socket.id,
+      emit: (eventName, data) => {
+        if (eventName.endsWith('_chunk')) {
+          streamingHandler.emitChunk(streamId, eventName, data);
+        } else {
+          streamingHandler.emitEvent(streamId, eventName, data);
+        }
+      }
+    };
+  }
+
   /**
    * Valida richiesta streaming
    */
@@ -217,6 +261,7 @@ class WebSocketStreamingServer {
 
     this.streamingStats.activeStreams--;
     this.streamingStats.completedStreams++;
+    streamingHandler.completeStream(streamId, 'completed');
 
     socket.emit('stream_completed', {
       streamId,
@@ -239,23 +284,52 @@ class WebSocketStreamingServer {
 
     this.streamingStats.activeStreams--;
     this.streamingStats.errorCount++;
+    streamingHandler.completeStream(streamId, 'error', error);
 
     socket.emit('stream_error', {
       streamId,
       error: error.message,
+      code: error.code,
+      budget: error.budget,
       timestamp: Date.now()
     });
 
     console.error(`❌ Stream error: ${streamId}:`, error.message);
   }
 
+  /**
+   * Gestisce stream annullato
+   */
+  _handleStreamCancelled(socket, streamId, error) {
+    const clientInfo = this.activeConnections.get(socket.id);
+
+    if (clientInfo) {
+      clientInfo.activeStreams.delete(streamId);
+    }
+
+    this.streamingStats.activeStreams--;
+    this.streamingStats.cancelledStreams++;
+    streamingHandler.completeStream(streamId, 'cancelled');
+
+    console.log(`⏹️ Stream cancelled: ${streamId} (${error.reason || 'cancelled'})`);
+  }
+
   /**
    * Gestisce pausa streaming
    */
   _handleStreamPause(socket, data) {
+    if (!this._ownsStream(socket, data.streamId)) {
+      socket.emit('stream_error', { streamId: data.streamId, error: 'Stream not found', timestamp: Date.now() });
+      return;
+    }
+
     console.log(`⏸️ Pausing stream: ${data.streamId}`);
+    const paused = streamingHandler.pauseStream(data.streamId);
+
     socket.emit('stream_paused', {
       streamId: data.streamId,
+      paused,
+      stream: streamingHandler.getStreamInfo(data.streamId),
       timestamp: Date.now()
     });
   }
@@ -264,27 +338,50 @@ class WebSocketStreamingServer {
    * Gestisce ripresa streaming
    */
   _handleStreamResume(socket, data) {
+    if (!this._ownsStream(socket, data.streamId)) {
+      socket.emit('stream_error', { streamId: data.streamId, error: 'Stream not found', timestamp: Date.now() });
+      return;
+    }
+
     console.log(`▶️ Resuming stream: ${data.streamId}`);
+
+    // Consegna in ordine gli eventi trattenuti durante la pausa
+    const flushedEvents = streamingHandler.resumeStream(data.streamId);
+
     socket.emit('stream_resumed', {
       streamId: data.streamId,
+      resumed: flushedEvents !== null,
+      flushedEvents: flushedEvents || 0,
+      stream: streamingHandler.getStreamInfo(data.streamId),
       timestamp: Date.now()
     });
   }
 
+  _ownsStream(socket, streamId) {
+    // Uno stream concluso in pausa resta registrato finché il buffer non viene consegnato
+    const streamInfo = streamingHandler.getStreamInfo(streamId);
+    return !!(streamInfo && streamInfo.request && streamInfo.request.clientId === socket.id);
+  }
+
   /**
    * Gestisce interruzione streaming
    */
   _handleStreamStop(socket, data) {
-    const clientInfo = this.activeConnections.get(socket.id);
-
-    if (clientInfo && clientInfo.activeStreams.has(data.streamId)) {
-      clientInfo.activeStreams.delete(data.streamId);
-      this.streamingStats.activeStreams--;
+    if (!this._ownsStream(socket, data.streamId)) {
+      socket.emit('stream_error', { streamId: data.streamId, error: 'Stream not found', timestamp: Date.now() });
+      return;
     }
 
     console.log(`⏹️ Stopping stream: ${data.streamId}`);
+
+    // Interrompe le chiamate ai provider; contatori e pulizia avvengono
+    // quando la sessione termina (_handleStreamCancelled)
+    const cancelled = enhancedStreamingRouter.cancelStreamingSession(data.streamId, 'client_stop');
+    streamingHandler.stopStream(data.streamId, 'client_stop');
+
     socket.emit('stream_stopped', {
       streamId: data.streamId,
+      cancelled,
       timestamp: Date.now()
     });
   }
@@ -358,8 +455,11 @@ class WebSocketStreamingServer {
     const clientInfo = this.activeConnections.get(socketId);
 
     if (clientInfo) {
-      // Pulisci stream attivi
-      this.streamingStats.activeStreams -= clientInfo.activeStreams.size;
+      // Annulla gli stream attivi: nessuno riceverebbe più la risposta
+      for (const streamId of clientInfo.activeStreams) {
+        enhancedStreamingRouter.cancelStreamingSession(streamId, 'client_disconnected');
+        streamingHandler.stopStream(streamId, 'client_disconnected');
+      }
 
       // Rimuovi client
       this.activeConnections.delete(socketId);
@@ -0,0 +1,133 @@
+// assets/backend/tests/unit/athena_bandit.test.js
+const ModelSelectionBandit = require('../../ai-handlers/athena_bandit');
+
+// Generatore deterministico (mulberry32): stesso seme, stesse estrazioni
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const MODELS = ['claude', 'gemini', 'gpt', 'mistral'];
+const flatPrior = () => 0.5;
+
+const decision = (models, strategy, score, category = 'coding') => ({
+  category, models, strategy, success_score: score
+});
+
+describe('ModelSelectionBandit', () => {
+  const history = [
+    decision(['claude', 'gpt', 'mistral'], 'consensus', 1),
+    decision(['claude', 'gpt', 'mistral'], 'consensus', 0.8),
+    decision(['gemini', 'gpt', 'mistral'], 'parallel', 0.2),
+    decision(['claude', 'gemini'], 'weighted', 0.4, 'creative'),
+    { category: 'coding', models: ['gpt'], strategy: 'parallel', success_score: null }
+  ];
+
+  test('train is idempotent and skips unrated decisions', () => {
+    const bandit = new ModelSelectionBandit();
+    bandit.train(history);
+    const first = bandit.getSummary();
+
+    bandit.train(history);
+    expect(bandit.getSummary()).toEqual(first);
+
+    const arm = bandit.observations.get('coding').get(ModelSelectionBandit.armKey(['mistral', 'gpt', 'claude'], 'consensus'));
+    expect(arm).toMatchObject({ pulls: 2, successes: 1.8 });
+    expect(arm.failures).toBeCloseTo(0.2);
+    expect(bandit.observations.get('coding').size).toBe(2);
+
+    bandit.train([]);
+    expect(bandit.observations.size).toBe(0);
+  });
+
+  test('exploit picks the arm with the highest posterior mean', () => {
+    const bandit = new ModelSelectionBandit({ explorationRate: 0, random: seededRandom(1) });
+    bandit.train(history);
+
+    const selection = bandit.selectArm('coding', { models: MODELS, priorFor: flatPrior });
+
+    expect(selection.mode).toBe('exploit');
+    expect([...selection.models].sort()).toEqual(['claude', 'gpt', 'mistral']);
+    expect(selection.strategy).toBe('consensus');
+    expect(selection.posterior.mean).toBeCloseTo((0.5 * 4 + 1.8) / (4 + 2), 3);
+    selection.alternatives.forEach(alternative => {
+      expect(alternative.mean).toBeLessThanOrEqual(selection.posterior.mean);
+    });
+  });
+
+  test('exploit follows the prior on a cold start', () => {
+    const bandit = new ModelSelectionBandit({ explorationRate: 0, random: seededRandom(2) });
+    const priorFor = (models, strategy) => (models.includes('mistral') ? 0.2 : 0.6) + (strategy === 'weighted' ? 0.1 : 0);
+
+    const selection = bandit.selectArm('analysis', { models: MODELS, priorFor });
+
+    expect(selection.models).toEqual(['claude', 'gemini', 'gpt']);
+    expect(selection.strategy).toBe('weighted');
+    expect(selection.posterior.pulls).toBe(0);
+  });
+
+  test('Thompson sampling is reproducible with a seeded random', () => {
+    const select = seed => {
+      const bandit = new ModelSelectionBandit({ explorationRate: 1, random: seededRandom(seed) });
+      bandit.train(history);
+      return bandit.selectArm('coding', { models: MODELS, priorFor: flatPrior });
+    };
+
+    const first = select(42);
+    expect(first.mode).toBe('explore');
+    expect(select(42)).toEqual(first);
+  });
+
+  test('arms are every model subset of the arm size, each once', () => {
+    // Prior diverso per ogni sottoinsieme: l'ordine delle alternative è deterministico
+    const priorFor = models => 0.2 + 0.1 * models.map(model => MODELS.indexOf(model)).reduce((a, b) => a + b, 0) / MODELS.length;
+    const select = (armSize, models) => new ModelSelectionBandit({ explorationRate: 0, armSize, strategies: ['parallel'] })
+      .selectArm('coding', { models, priorFor });
+    const arms = selection => [selection, ...selection.alternatives].map(arm => [...arm.models].sort().join('+'));
+
+    // 4 modelli: C(4,3) = 4 arm, C(4,1) = 4, C(4,4) = 1
+    expect(arms(select(3, MODELS))).toHaveLength(4);
+    expect(new Set(arms(select(3, MODELS))).size).toBe(4);
+    expect(select(3, MODELS).models).toHaveLength(3);
+    expect(arms(select(1, MODELS)).sort()).toEqual(['claude', 'gemini', 'gpt', 'mistral']);
+    expect(arms(select(4, MODELS))).toEqual(['claude+gemini+gpt+mistral']);
+
+    // Meno candidati della dimensione dell'arm: un solo arm con tutti i candidati
+    expect(arms(select(3, ['gpt', 'claude']))).toEqual(['claude+gpt']);
+
+    // C(5,2) = 10 arm: le alternative restituite sono al massimo 5
+    const five = select(2, [...MODELS, 'deepseek']);
+    expect(five.models).toHaveLength(2);
+    expect(five.alternatives).toHaveLength(5);
+    expect(new Set(arms(five)).size).toBe(6);
+  });
+
+  test('observed arms are candidates only when all their models are', () => {
+    const bandit = new ModelSelectionBandit({ explorationRate: 0, armSize: 3, strategies: ['parallel'] });
+    bandit.train([
+      decision(['claude', 'llama', 'gpt'], 'parallel', 1),
+      decision(['claude', 'llama', 'gpt'], 'parallel', 1),
+      decision(['claude', 'gpt'], 'consensus', 0.9),
+      decision(['gemini', 'gpt', 'mistral'], 'parallel', 0.1)
+    ]);
+
+    const selection = bandit.selectArm('coding', { models: MODELS, priorFor: flatPrior });
+    const arms = [selection, ...selection.alternatives];
+
+    // L'arm con llama ha il punteggio migliore ma llama non è un candidato
+    expect(arms.some(arm => arm.models.includes('llama'))).toBe(false);
+    // L'arm osservato da 2 modelli non è generato dalla dimensione 3 ma resta candidato
+    expect([...selection.models].sort()).toEqual(['claude', 'gpt']);
+    expect(selection.strategy).toBe('consensus');
+    expect(selection.posterior.pulls).toBe(1);
+    // 4 sottoinsiemi generati + l'arm osservato
+    expect(arms).toHaveLength(5);
+    expect(arms.find(arm => [...arm.models].sort().join('+') === 'gemini+gpt+mistral').pulls).toBe(1);
+  });
+});
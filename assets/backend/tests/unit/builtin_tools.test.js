@@ -0,0 +1,86 @@
+// assets/backend/tests/unit/builtin_tools.test.js
+const builtinTools = require('../../ai-handlers/builtin_tools');
+
+const { evaluateExpression } = builtinTools;
+const runJavaScript = builtinTools.find(tool => tool.name === 'run_javascript');
+
+// Dal contesto vm si risale a process del processo figlio
+const ESCAPE = "this.constructor.constructor('return process')()";
+
+describe('evaluateExpression', () => {
+  test('applies operator precedence and parentheses', () => {
+    expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+    expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+    expect(evaluateExpression('10 - 4 - 3')).toBe(3);
+    expect(evaluateExpression('7 % 4 * 2')).toBe(6);
+    expect(evaluateExpression('-2 ^ 2')).toBe(-4);
+  });
+
+  test('treats ^ as right-associative', () => {
+    expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluateExpression('2 ^ -1')).toBe(0.5);
+  });
+
+  test('supports functions and constants', () => {
+    expect(evaluateExpression('sqrt(16) + max(1, 5, 3)')).toBe(9);
+    expect(evaluateExpression('2 * PI')).toBeCloseTo(2 * Math.PI);
+  });
+
+  test('rejects unknown symbols', () => {
+    expect(() => evaluateExpression('process')).toThrow('Unknown symbol: process');
+    expect(() => evaluateExpression('constructor(1)')).toThrow('Unknown symbol: constructor');
+    expect(() => evaluateExpression('toString')).toThrow('Unknown symbol: toString');
+    expect(() => evaluateExpression('2 $ 3')).toThrow('Invalid characters');
+  });
+
+  test('rejects trailing tokens', () => {
+    expect(() => evaluateExpression('2 3')).toThrow('Unexpected token: 3');
+    expect(() => evaluateExpression('(1 + 2))')).toThrow('Unexpected token: )');
+    expect(() => evaluateExpression('1 +')).toThrow('Unexpected end of expression');
+  });
+});
+
+describe('run_javascript', () => {
+  const run = code => runJavaScript.execute({ code }, {});
+
+  test('returns console output and the last value', async () => {
+    await expect(run("console.log('hi', { a: 1 }); 1 + 2")).resolves.toEqual({ output: 'hi {"a":1}', result: '3' });
+  });
+
+  test('blocks the file system after escaping the vm context', async () => {
+    const result = await run(`${ESCAPE}.getBuiltinModule('fs').readdirSync('/')`);
+
+    expect(result.result).toBeUndefined();
+    expect(result.error).toMatch(/restricted/i);
+  });
+
+  test('blocks child processes', async () => {
+    const result = await run(`${ESCAPE}.getBuiltinModule('child_process').execSync('id').toString()`);
+    expect(result.error).toMatch(/restricted/i);
+  });
+
+  test('blocks network connections and DNS', async () => {
+    const net = await run(`${ESCAPE}.getBuiltinModule('net').connect(80, '127.0.0.1')`);
+    const restored = await run(`const net = ${ESCAPE}.getBuiltinModule('net'); delete net.Socket.prototype.connect; net.connect(80, '127.0.0.1')`);
+    const dns = await run(`${ESCAPE}.getBuiltinModule('dns').lookup('example.com', () => {})`);
+
+    [net, restored, dns].forEach(result => {
+      expect(result.error).toBe('Network access is disabled in the sandbox');
+    });
+  });
+
+  test('cannot signal the server process', async () => {
+    const kill = await run(`const p = ${ESCAPE}; p.kill(p.ppid, 'SIGKILL')`);
+    const internalKill = await run(`const p = ${ESCAPE}; p._kill(p.ppid, 9)`);
+    const restored = await run(`const p = ${ESCAPE}; delete p.kill; p.kill = () => 0; p.kill(p.ppid, 'SIGKILL')`);
+
+    [kill, internalKill, restored].forEach(result => {
+      expect(result.error).toBe('Signals to other processes are disabled in the sandbox');
+    });
+    await expect(run('1 + 1')).resolves.toMatchObject({ result: '2' });
+  });
+
+  test('does not pass the server environment', async () => {
+    await expect(run(`JSON.stringify(${ESCAPE}.env)`)).resolves.toMatchObject({ result: '{}' });
+  });
+});